@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+
+/**
+ * Chazy Replay Check
+ *
+ * Records a short seeded Chazy session on a VirtualClock, with the real line
+ * files and a DOM from jsdom, then replays the recording and checks that the
+ * replay's trace matches it entry for entry. Anything in Chazy that reads the
+ * time, waits or draws randomness outside its runtime shows up here as a
+ * divergence. Also checks the recorder's budgets.
+ *
+ * Usage:
+ *   npm run check:replay
+ *
+ * Exits with 1 if any check fails.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { JSDOM } from 'jsdom';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+
+/** Seed and start time of the recorded session */
+const SEED = 20261019;
+const STARTED_AT = Date.UTC(2026, 0, 1);
+
+/** Inputs of the recorded session, at milliseconds after the start */
+const SCRIPT: Array<[number, (chazy: any) => void]> = [
+  [500, chazy => chazy.route('page_loaded', {})],
+  [6000, chazy => chazy.observeMode('zoom', { stability: 0.4, hasCollision: false, hasEscape: false })],
+  [9000, chazy => chazy.observeMode('render', { stability: 0.7, hasCollision: false, hasEscape: false })],
+  [14000, chazy => chazy.interrupt()],
+  [21000, chazy => chazy.observeMode('collision', { stability: 0.1, hasCollision: true, hasEscape: false })],
+  [30000, chazy => chazy.route('user_idle', { duration: 30000 })],
+  [42000, chazy => chazy.route('page_hidden', {})],
+  [45000, chazy => chazy.route('page_visible', {})],
+  [52000, chazy => chazy.route('user_returned', {})],
+];
+const DURATION = 90000;
+
+// ─── Browser globals ───────────────────────────────────────────────────────
+
+const dom = new JSDOM('<!doctype html><html><body></body></html>', { url: 'http://localhost/', pretendToBeVisual: true });
+const g = globalThis as any;
+for (const key of Object.getOwnPropertyNames(dom.window)) {
+  if (!(key in g)) g[key] = (dom.window as any)[key];
+}
+g.window = g;
+
+// Line files come from disk, as the dev server would serve them
+g.fetch = async (url: string | URL) => {
+  try {
+    return new Response(await readFile(join(ROOT, String(url).replace(/^\//, '')), 'utf8'), { status: 200 });
+  } catch {
+    return new Response('', { status: 404, statusText: 'Not Found' });
+  }
+};
+
+// Quiet: Chazy logs every line and transition, and jsdom lays nothing out
+const log = console.log;
+console.log = console.warn = () => {};
+console.group = console.groupEnd = () => {};
+
+// Imported once the globals exist; some modules look for `window` on load
+const { Chazy } = await import('../src/Chazy/ChazyOrchestrator.ts');
+const { VirtualClock } = await import('../src/Chazy/session/clock.ts');
+const { createRuntime } = await import('../src/Chazy/session/runtime.ts');
+const { SessionRecorder } = await import('../src/Chazy/session/recorder.ts');
+const { replaySession } = await import('../src/Chazy/session/replay.ts');
+
+// ─── Checks ────────────────────────────────────────────────────────────────
+
+interface Check {
+  name: string;
+  run(): void | Promise<void>;
+}
+
+function assert(cond: unknown, message: string): asserts cond {
+  if (!cond) throw new Error(message);
+}
+
+/**
+ * Run SCRIPT on a fresh Chazy and return its recording
+ */
+async function recordSession(): Promise<any> {
+  const clock = new VirtualClock(STARTED_AT);
+  const runtime = createRuntime({ clock, seed: SEED });
+  const chazy = new Chazy({ textPath: 'src/Chazy/lines/', runtime });
+  try {
+    await chazy.init(document.createElement('div'), () => 'idle');
+    chazy.start();
+    for (const [t, apply] of SCRIPT) {
+      await clock.advanceTo(STARTED_AT + t);
+      apply(chazy);
+    }
+    await clock.advanceTo(STARTED_AT + DURATION);
+  } finally {
+    chazy.stop();
+    chazy.view.unmount();
+  }
+  return runtime.recorder.toJSON();
+}
+
+const CHECKS: Check[] = [
+  {
+    name: 'a seeded session replays without divergence',
+    async run() {
+      const session = await recordSession();
+      const lines = session.trace.filter((e: any) => e.kind === 'line').length;
+      assert(lines > 0, 'the session showed no lines, so there is nothing to compare');
+      log(`        ${lines} lines, ${session.trace.length} trace entries`);
+      const { divergence } = await replaySession(session);
+      assert(!divergence, `diverged at trace entry ${divergence?.index}: expected ${JSON.stringify(divergence?.expected)}, got ${JSON.stringify(divergence?.actual)}`);
+    },
+  },
+  {
+    name: 'the same seed records the same session',
+    async run() {
+      const [a, b] = [await recordSession(), await recordSession()];
+      assert(JSON.stringify(a) === JSON.stringify(b), 'two recordings with one seed differ');
+    },
+  },
+  {
+    name: 'the trace keeps its latest entries once inputs are truncated',
+    run() {
+      const recorder = new SessionRecorder({ seed: SEED, clock: new VirtualClock(STARTED_AT), limit: 5, traceLimit: 3 });
+      for (let i = 0; i < 10; i++) {
+        recorder.input('event', { type: 'tick', data: { i } });
+        recorder.record('fsm', { to: `state${i}` });
+      }
+      recorder.record('watchdog_recovery', { reason: 'stuck' });
+      const session = recorder.toJSON();
+      assert(session.truncated, 'inputs past the limit did not truncate the session');
+      assert(session.inputs.length === 5, `${session.inputs.length} inputs kept, expected 5`);
+      assert(session.trace.length === 3 && session.traceDropped === 8, `trace kept ${session.trace.length}, dropped ${session.traceDropped}`);
+      assert(session.trace[2].kind === 'watchdog_recovery', 'the latest trace entry was not kept');
+    },
+  },
+];
+
+let failed = 0;
+for (const check of CHECKS) {
+  try {
+    await check.run();
+    log(`  ok    ${check.name}`);
+  } catch (e: any) {
+    failed++;
+    log(`  FAIL  ${check.name}: ${e?.message || e}`);
+  }
+}
+log(failed ? `\n${failed} of ${CHECKS.length} checks failed` : `\nAll ${CHECKS.length} checks passed`);
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+
+/**
+ * State Document Checks
+ *
+ * Runs canonical documents through the same migrate, validate and apply path
+ * as the state box, URL hash and PNG metadata, and checks the cases that have
+ * gone wrong before. Also runs the script console's example script against a
+ * scripting API whose renders are stubbed but whose state changes are real.
+ *
+ * Usage:
+ *   npm run check:state
+ *
+ * Exits with 1 if any check fails.
+ */
+
+import {
+  state, canonicalState, applyCanonical, stateFromCanonical, validateCanonical, encodeStateHash, decodeStateHash,
+  type ProbeMarker,
+} from '../src/state.ts';
+import { planeThroughPoints } from '../src/sim/slice.ts';
+import { createScriptingAPI, type PrincipiaAPI } from '../src/scripting/api.ts';
+import { EXAMPLE_SCRIPT } from '../src/ui/script-storage.ts';
+
+/** As in ScriptEditor.ts, which pulls in CodeMirror */
+const AsyncFunction = Object.getPrototypeOf(async function () {}).constructor as
+  new (...args: string[]) => (...args: any[]) => Promise<any>;
+
+interface Check {
+  name: string;
+  run(): void | Promise<void>;
+}
+
+function assert(cond: unknown, message: string): asserts cond {
+  if (!cond) throw new Error(message);
+}
+
+const MARKERS: ProbeMarker[] = [{ x: 0.1, y: -0.2, note: 'kept' }, { x: 0.3, y: 0.4, note: '' }];
+
+/** A full document as a build before markers (v3) wrote it */
+function oldFullDoc(): any {
+  const { markers, ...doc } = canonicalState(state) as any;
+  delete doc.slice.plane;
+  return { ...doc, v: 2 };
+}
+
+/**
+ * The scripting API over the real state functions; rendering and pixel
+ * reads are stand-ins
+ */
+function headlessAPI(): PrincipiaAPI {
+  return createScriptingAPI({
+    getState: () => canonicalState(state),
+    applyDoc: (doc) => applyCanonical(doc, () => {}),
+    validate: (doc) => validateCanonical(doc).issues,
+    render: async (res) => ({ res, tiled: false, aborted: false, ms: 0 }),
+    frameCanvas: () => { throw new Error('no canvas headless'); },
+    exportPNG: async () => { throw new Error('no canvas headless'); },
+    zAt: () => state.z0.slice(),
+    probeData: async () => null,
+  }).api;
+}
+
+const CHECKS: Check[] = [
+  {
+    name: 'an old partial document keeps the current markers',
+    run() {
+      state.markers = MARKERS.map(m => ({ ...m }));
+      const z0 = state.z0.slice();
+      z0[8] = 0.25;
+      applyCanonical({ v: 2, slice: { z0 } }, () => {});
+      assert(state.z0[8] === 0.25, `slice.z0[8] is ${state.z0[8]}, expected 0.25`);
+      assert(JSON.stringify(state.markers) === JSON.stringify(MARKERS),
+        `markers are ${JSON.stringify(state.markers)}, expected ${JSON.stringify(MARKERS)}`);
+    },
+  },
+  {
+    name: 'an old full document builds a state without markers',
+    run() {
+      state.markers = MARKERS.map(m => ({ ...m }));
+      const st = stateFromCanonical(oldFullDoc(), () => {});
+      assert(st.markers.length === 0, `${st.markers.length} markers, expected none`);
+      assert(state.markers.length === MARKERS.length, 'building a state changed the current markers');
+    },
+  },
+  {
+    name: 'a current document round-trips its markers',
+    run() {
+      state.markers = MARKERS.map(m => ({ ...m }));
+      const st = stateFromCanonical(canonicalState(state), () => {});
+      assert(JSON.stringify(st.markers) === JSON.stringify(MARKERS), `markers are ${JSON.stringify(st.markers)}`);
+    },
+  },
+  {
+    name: 'a plane through points survives the URL hash at deep zoom',
+    run() {
+      const zoom = 1e-7;
+      const points = [0, 1, 2].map(i => Array.from({ length: 10 }, (_, k) => 0.37 * Math.sin(3.1 * i + 1.3 * k)));
+      const { z0, q1, q2 } = planeThroughPoints(points);
+      applyCanonical({ v: 4, slice: { preset: 'plane', z0, plane: { q1, q2 } }, view: { zoom, panX: 0.1234567, panY: -0.3 } }, () => {});
+      const doc = decodeStateHash(encodeStateHash(state));
+      const maxError = (a: number[], b: number[]) => Math.max(...a.map((x, i) => Math.abs(x - b[i])));
+      // A thousandth of the view is well under a pixel at any size the hash is shared at
+      const pairs: Array<[string, number[], number[]]> = [
+        ['slice.z0', z0, doc.slice.z0], ['slice.plane.q1', q1, doc.slice.plane.q1], ['slice.plane.q2', q2, doc.slice.plane.q2],
+      ];
+      for (const [name, a, b] of pairs) {
+        const err = maxError(a, b);
+        assert(err < zoom * 1e-3, `${name} moved by ${err.toExponential(2)}`);
+      }
+    },
+  },
+  {
+    name: 'a script may leave out v',
+    run() {
+      const api = headlessAPI();
+      const z0 = state.z0.slice();
+      z0[8] = -0.2;
+      const issues = api.validateState({ slice: { z0 } });
+      assert(!issues.length, issues.map(i => i.message).join('; '));
+      api.setState({ slice: { z0 } });
+      assert(state.z0[8] === -0.2, `slice.z0[8] is ${state.z0[8]}, expected -0.2`);
+    },
+  },
+  {
+    name: 'the example script runs',
+    async run() {
+      const before = JSON.stringify(canonicalState(state));
+      const fn = new AsyncFunction('principia', 'log', 'sleep', EXAMPLE_SCRIPT);
+      await fn(headlessAPI(), () => {}, async () => {});
+      assert(JSON.stringify(canonicalState(state)) === before, 'the script did not restore the state it started from');
+    },
+  },
+];
+
+const initial = canonicalState(state);
+let failed = 0;
+for (const check of CHECKS) {
+  try {
+    await check.run();
+    console.log(`  ok    ${check.name}`);
+  } catch (e: any) {
+    failed++;
+    console.log(`  FAIL  ${check.name}: ${e?.message || e}`);
+  } finally {
+    applyCanonical(initial, () => {});
+  }
+}
+console.log(failed ? `\n${failed} of ${CHECKS.length} checks failed` : `\nAll ${CHECKS.length} checks passed`);
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+
+/**
+ * Headless CPU Renderer
+ * Renders a canonical state JSON to PNG without a GPU, using worker threads.
+ *
+ * Usage:
+ *   npm run render:cpu -- state.json [-o out.png] [--res 1024] [--region x,y,w,h]
+ *                                    [--mode 0-7] [--workers N]
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { availableParallelism } from 'node:os';
+import { basename, extname } from 'node:path';
+import { deflateSync } from 'node:zlib';
+import { Worker, isMainThread, parentPort, workerData } from 'node:worker_threads';
+import { renderRegion, type PixelRegion, type RenderSource } from '../src/sim/cpuRenderer.ts';
+import { encodePNG } from '../src/utils/png.ts';
+
+/** Rows per work item handed to a worker */
+const BAND_ROWS = 8;
+
+/**
+ * Worker entry: loaders are not inherited by worker threads, so register tsx
+ * inside the worker before importing this file again
+ */
+const WORKER_BOOTSTRAP = `import('tsx/esm/api').then(({ register }) => {
+  register();
+  return import(${JSON.stringify(import.meta.url)});
+});`;
+
+interface WorkerInit {
+  st: RenderSource;
+  res: number;
+}
+
+interface Band {
+  region: PixelRegion;
+}
+
+// ─── Worker ─────────────────────────────────────────────────────────────────
+
+if (!isMainThread) {
+  const { st, res } = workerData as WorkerInit;
+  parentPort!.on('message', ({ region }: Band) => {
+    const pixels = renderRegion(st, res, region);
+    parentPort!.postMessage({ region, pixels }, [pixels.buffer]);
+  });
+} else {
+  main().catch(err => {
+    console.error(`❌ ${err?.message || err}`);
+    process.exit(1);
+  });
+}
+
+// ─── CLI ────────────────────────────────────────────────────────────────────
+
+interface CliOptions {
+  input: string;
+  out: string;
+  res: number | null;
+  region: PixelRegion | null;
+  mode: number | null;
+  workers: number;
+}
+
+function usage(): never {
+  console.log('Usage: render-cpu <state.json> [-o out.png] [--res N] [--region x,y,w,h] [--mode 0-7] [--workers N]');
+  process.exit(2);
+}
+
+function parseArgs(argv: string[]): CliOptions {
+  const opts: CliOptions = { input: '', out: '', res: null, region: null, mode: null, workers: availableParallelism() };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    const next = () => { if (i + 1 >= argv.length) usage(); return argv[++i]; };
+    if (a === '-o' || a === '--out') opts.out = next();
+    else if (a === '--res') opts.res = parseInt(next(), 10);
+    else if (a === '--mode') opts.mode = parseInt(next(), 10);
+    else if (a === '--workers') opts.workers = Math.max(1, parseInt(next(), 10));
+    else if (a === '--region') {
+      const [x, y, w, h] = next().split(',').map(n => parseInt(n, 10));
+      if ([x, y, w, h].some(n => !Number.isFinite(n))) usage();
+      opts.region = { x, y, w, h };
+    }
+    else if (a === '-h' || a === '--help') usage();
+    else if (!opts.input) opts.input = a;
+    else usage();
+  }
+  if (!opts.input) usage();
+  if (!opts.out) opts.out = basename(opts.input, extname(opts.input)) + '.png';
+  return opts;
+}
+
+async function loadState(file: string, mode: number | null): Promise<{ st: RenderSource; canonical: string }> {
+  // Imported lazily so worker threads don't pull in the state module
+  const { state, applyCanonical, canonicalState } = await import('../src/state.ts');
+  const { applyCustomBasis } = await import('../src/ui/builders/presets.ts');
+  applyCanonical(JSON.parse(readFileSync(file, 'utf8')), applyCustomBasis);
+  if (mode != null) state.mode = mode;
+  return { st: { ...state, z0: state.z0.slice() }, canonical: JSON.stringify(canonicalState(state)) };
+}
+
+async function main(): Promise<void> {
+  const opts = parseArgs(process.argv.slice(2));
+  const { st, canonical } = await loadState(opts.input, opts.mode);
+  const res = opts.res ?? st.res;
+  const region = opts.region ?? { x: 0, y: 0, w: res, h: res };
+  if (region.x < 0 || region.y < 0 || region.w < 1 || region.h < 1 ||
+      region.x + region.w > res || region.y + region.h > res) {
+    throw new Error(`Region ${region.x},${region.y},${region.w},${region.h} lies outside ${res}x${res}`);
+  }
+
+  const bands: Band[] = [];
+  for (let y = 0; y < region.h; y += BAND_ROWS) {
+    bands.push({ region: { x: region.x, y: region.y + y, w: region.w, h: Math.min(BAND_ROWS, region.h - y) } });
+  }
+  const rgba = new Uint8ClampedArray(region.w * region.h * 4);
+  const nWorkers = Math.min(opts.workers, bands.length);
+  console.log(`🖥️  ${opts.input} → ${opts.out}: mode ${st.mode}, ${region.w}x${region.h} of ${res}², ${nWorkers} workers`);
+
+  const t0 = Date.now();
+  let next = 0, finished = 0;
+  await new Promise<void>((resolve, reject) => {
+    for (let w = 0; w < nWorkers; w++) {
+      const worker = new Worker(WORKER_BOOTSTRAP, { eval: true, workerData: { st, res } satisfies WorkerInit });
+      const feed = () => {
+        if (next < bands.length) worker.postMessage(bands[next++]);
+        else worker.terminate();
+      };
+      worker.on('message', ({ region: r, pixels }: { region: PixelRegion; pixels: Uint8ClampedArray }) => {
+        rgba.set(pixels, (r.y - region.y) * region.w * 4);
+        finished++;
+        process.stdout.write(`\r  ${Math.round((finished / bands.length) * 100)}%`);
+        if (finished === bands.length) resolve();
+        feed();
+      });
+      worker.on('error', reject);
+      feed();
+    }
+  });
+
+  const { STATE_PNG_KEYWORD, RENDER_PNG_KEYWORD } = await import('../src/ui/core/stateFile.ts');
+  const png = encodePNG(rgba, region.w, region.h, raw => deflateSync(raw), {
+    'Software': 'Principia render-cpu',
+    [STATE_PNG_KEYWORD]: unescape(encodeURIComponent(canonical)),
+    [RENDER_PNG_KEYWORD]: JSON.stringify({ source: 'cpu', width: region.w, height: region.h, res, region, mode: st.mode }),
+  });
+  writeFileSync(opts.out, png);
+  console.log(`\n✅ Wrote ${opts.out} in ${((Date.now() - t0) / 1000).toFixed(1)}s`);
+}
@@ -0,0 +1,396 @@
+#!/usr/bin/env node
+
+/**
+ * Chazy Content Validator
+ *
+ * Checks every JSON file under src/Chazy/lines/ against lines/SCHEMA.md and
+ * every pool under src/ui/content/pools/ against the pool READMEs: structure,
+ * emotion and tone names, template references (resolved against
+ * content/stateReferences.ts), pause markers, and that the load lists in the
+ * code agree with the files on disk. Then reports which events routed by
+ * events/eventRouter.ts have no lines of their own.
+ *
+ * Usage:
+ *   npm run validate:lines
+ *   npm run validate:lines -- --strict    # warnings fail too
+ *
+ * Exits with 1 on errors. Warnings (unknown keys, clamped pauses, files
+ * nobody loads) are printed but do not fail unless --strict is given.
+ */
+
+import { readFileSync, readdirSync, statSync } from 'node:fs';
+import { join, relative } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import {
+  CORE_LINE_FILES, INTERACTION_LINE_FILES, TEMPLATE_PATTERN, TEMPLATE_FORMATTERS, matchesInteractionContext,
+} from '../src/Chazy/content/textSelector.ts';
+import { getStateReferences } from '../src/Chazy/content/stateReferences.ts';
+import { EMOTIONS } from '../src/Chazy/mind/chazyMind.ts';
+import { TONES, MIN_PAUSE, MAX_PAUSE } from '../src/Chazy/animation/textAnimation.ts';
+import { ChazyEventRouter } from '../src/Chazy/events/eventRouter.ts';
+import { LABEL_POOL_FILES } from '../src/ui/content/poolLoader.ts';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const SRC_DIR = join(ROOT, 'src');
+const LINES_DIR = join(SRC_DIR, 'Chazy/lines');
+const POOLS_DIR = join(SRC_DIR, 'ui/content/pools');
+
+const FILE_KEYS = new Set(['_file', '_description', '_context', '_notes', 'lines']);
+const CONTEXT_KEYS = new Set(['when', 'what', 'event', 'button', 'slider', 'select']);
+const ENTRY_KEYS = new Set(['select_bias', 'reflect_pull', 'tone', 'themes', 'lines', 'interrupt_style', 'stage_pause']);
+const LINE_KEYS = new Set(['t', 'rarity', 'tone', 'duration_mult']);
+const PAUSE_MARKER = /(?<!\\)\\pause\{([^}]*)\}/g;
+
+const EMOTION_NAMES = new Set<string>(EMOTIONS.map(e => e.toLowerCase()));
+const TONE_NAMES = new Set(TONES);
+const REFERENCES = new Set(Object.keys(getStateReferences()));
+
+interface Problem {
+  level: 'error' | 'warning';
+  file: string;
+  where: string;
+  message: string;
+}
+
+const problems: Problem[] = [];
+
+/** Reporter for one file; `where` is a JSON path inside it */
+function reporter(file: string) {
+  return {
+    error: (where: string, message: string) => problems.push({ level: 'error', file, where, message }),
+    warn: (where: string, message: string) => problems.push({ level: 'warning', file, where, message }),
+  };
+}
+type Report = ReturnType<typeof reporter>;
+
+const isObject = (v: unknown): v is Record<string, any> => !!v && typeof v === 'object' && !Array.isArray(v);
+const isStringArray = (v: unknown): v is string[] => Array.isArray(v) && v.every(x => typeof x === 'string');
+
+/** All .json files under `dir`, as paths relative to it with forward slashes */
+function jsonFilesUnder(dir: string): string[] {
+  const out: string[] = [];
+  const walk = (d: string) => {
+    for (const name of readdirSync(d).sort()) {
+      const p = join(d, name);
+      if (statSync(p).isDirectory()) walk(p);
+      else if (name.endsWith('.json')) out.push(relative(dir, p).split('\\').join('/'));
+    }
+  };
+  walk(dir);
+  return out;
+}
+
+function readJson(dir: string, file: string, report: Report): any {
+  try {
+    return JSON.parse(readFileSync(join(dir, file), 'utf8'));
+  } catch (e: any) {
+    report.error('', `not valid JSON: ${e?.message || e}`);
+    return undefined;
+  }
+}
+
+function checkUnknownKeys(obj: Record<string, any>, known: Set<string>, where: string, report: Report): void {
+  for (const key of Object.keys(obj)) {
+    if (!known.has(key)) report.warn(where, `unknown key "${key}" is ignored`);
+  }
+}
+
+// ─── Line files ──────────────────────────────────────────────────────────────
+
+function checkText(text: string, where: string, report: Report): void {
+  for (const [, content] of text.matchAll(TEMPLATE_PATTERN)) {
+    const [key, formatter] = content.split('|').map(s => s.trim());
+    if (!REFERENCES.has(key)) report.error(where, `unknown reference \\ref{${content}}: "${key}" is not in stateReferences.ts`);
+    if (formatter !== undefined && !(formatter in TEMPLATE_FORMATTERS)) {
+      report.error(where, `unknown formatter "${formatter}" in \\ref{${content}}`);
+    }
+  }
+  for (const [marker, ms] of text.matchAll(PAUSE_MARKER)) {
+    if (!/^\d+$/.test(ms)) report.error(where, `${marker} is not a whole number of ms and would be shown as text`);
+    else if (+ms < MIN_PAUSE || +ms > MAX_PAUSE) report.warn(where, `${marker} is clamped to ${MIN_PAUSE}–${MAX_PAUSE} ms`);
+  }
+}
+
+function checkEmotionWeights(weights: unknown, where: string, report: Report): void {
+  if (!isObject(weights)) {
+    report.error(where, 'expected an object of emotion weights');
+    return;
+  }
+  for (const [emotion, w] of Object.entries(weights)) {
+    if (!EMOTION_NAMES.has(emotion)) report.error(`${where}.${emotion}`, `"${emotion}" is not an emotion (${[...EMOTION_NAMES].join(', ')})`);
+    if (typeof w !== 'number' || !Number.isFinite(w) || w < 0) report.error(`${where}.${emotion}`, 'weight must be a number ≥ 0');
+  }
+}
+
+function checkTone(tone: unknown, where: string, report: Report): void {
+  if (tone === undefined) return;
+  if (typeof tone !== 'string' || !TONE_NAMES.has(tone)) {
+    report.error(where, `unknown tone ${JSON.stringify(tone)} (${TONES.join(', ')})`);
+  }
+}
+
+function checkLine(line: unknown, where: string, report: Report): void {
+  if (typeof line === 'string') {
+    checkText(line, where, report);
+    return;
+  }
+  if (!isObject(line)) {
+    report.error(where, 'a line is a string or an object with "t"');
+    return;
+  }
+  checkUnknownKeys(line, LINE_KEYS, where, report);
+  if (typeof line.t !== 'string' || !line.t) report.error(`${where}.t`, 'missing text');
+  else checkText(line.t, `${where}.t`, report);
+  if (line.rarity !== undefined && !(typeof line.rarity === 'number' && line.rarity >= 0 && line.rarity <= 1)) {
+    report.error(`${where}.rarity`, 'rarity must be a number from 0 to 1');
+  }
+  if (line.duration_mult !== undefined && !(typeof line.duration_mult === 'number' && line.duration_mult > 0)) {
+    report.error(`${where}.duration_mult`, 'duration_mult must be a number > 0');
+  }
+  checkTone(line.tone, `${where}.tone`, report);
+}
+
+function checkEntry(entry: unknown, where: string, report: Report): void {
+  if (!isObject(entry)) {
+    report.error(where, 'an entry is an object with "lines"');
+    return;
+  }
+  checkUnknownKeys(entry, ENTRY_KEYS, where, report);
+  for (const k of ['select_bias', 'reflect_pull'] as const) {
+    if (entry[k] === undefined || (isObject(entry[k]) && Object.keys(entry[k]).length === 0)) report.warn(`${where}.${k}`, 'no emotion weights');
+    else checkEmotionWeights(entry[k], `${where}.${k}`, report);
+  }
+  checkTone(entry.tone, `${where}.tone`, report);
+  if (entry.themes === undefined || (Array.isArray(entry.themes) && entry.themes.length === 0)) {
+    report.warn(`${where}.themes`, 'no themes');
+  } else if (!isStringArray(entry.themes)) {
+    report.error(`${where}.themes`, 'themes must be an array of strings');
+  }
+  if (entry.stage_pause !== undefined) {
+    if (!(typeof entry.stage_pause === 'number' && entry.stage_pause > 0)) report.error(`${where}.stage_pause`, 'stage_pause must be ms > 0');
+    else if (entry.interrupt_style !== 'staged') report.warn(`${where}.stage_pause`, 'only used with "interrupt_style": "staged"');
+  }
+  if (!Array.isArray(entry.lines) || entry.lines.length === 0) {
+    report.error(`${where}.lines`, 'an entry needs at least one line');
+    return;
+  }
+  entry.lines.forEach((line, i) => checkLine(line, `${where}.lines[${i}]`, report));
+}
+
+function checkLineFile(data: any, report: Report): void {
+  if (!isObject(data)) {
+    report.error('', 'the file must hold an object');
+    return;
+  }
+  checkUnknownKeys(data, FILE_KEYS, '', report);
+  if (typeof data._file !== 'string' || !data._file) report.warn('_file', 'missing file identifier');
+  if (typeof data._description !== 'string' || !data._description) report.warn('_description', 'missing description');
+  const ctx = data._context;
+  if (!isObject(ctx)) {
+    report.error('_context', 'missing context');
+  } else {
+    checkUnknownKeys(ctx, CONTEXT_KEYS, '_context', report);
+    for (const k of ['when', 'what'] as const) {
+      if (ctx[k] !== undefined && !isStringArray(ctx[k])) report.error(`_context.${k}`, 'expected an array of strings');
+    }
+    for (const k of ['event', 'button', 'slider', 'select'] as const) {
+      if (ctx[k] !== undefined && typeof ctx[k] !== 'string') report.error(`_context.${k}`, 'expected a string');
+    }
+  }
+  if (!Array.isArray(data.lines) || data.lines.length === 0) {
+    report.error('lines', 'no entries');
+    return;
+  }
+  data.lines.forEach((entry: unknown, i: number) => checkEntry(entry, `lines[${i}]`, report));
+}
+
+// ─── Content pools ───────────────────────────────────────────────────────────
+
+function checkVariants(list: unknown, fields: string[], where: string, report: Report): void {
+  if (!Array.isArray(list) || list.length === 0) {
+    report.error(where, 'needs at least one variant');
+    return;
+  }
+  const seen = new Set<string>();
+  list.forEach((v, i) => {
+    const at = `${where}[${i}]`;
+    if (!isObject(v)) {
+      report.error(at, 'expected an object');
+      return;
+    }
+    checkUnknownKeys(v, new Set([...fields, 'weight', 'kind']), at, report);
+    for (const f of fields) {
+      if (typeof v[f] !== 'string' || !v[f].trim()) report.error(`${at}.${f}`, 'missing text');
+    }
+    if (v.weight !== undefined && !(typeof v.weight === 'number' && v.weight > 0)) report.error(`${at}.weight`, 'weight must be a number > 0');
+    if (v.kind !== undefined && typeof v.kind !== 'string') report.error(`${at}.kind`, 'kind must be a string');
+    const key = fields.map(f => v[f]).join(' / ');
+    if (seen.has(key)) report.warn(at, `duplicate variant "${key}"`);
+    seen.add(key);
+  });
+}
+
+/**
+ * Check the pools of one file and add their ids to `poolIds`.
+ * Keys starting with `_` are notes, not pools.
+ */
+function checkPoolFile(data: any, poolIds: Map<string, string>, file: string, report: Report): void {
+  if (!isObject(data)) {
+    report.error('', 'the file must hold an object of pools');
+    return;
+  }
+  for (const [id, pool] of Object.entries(data)) {
+    if (id.startsWith('_')) continue;
+    if (poolIds.has(id)) report.error(id, `pool id also defined in ${poolIds.get(id)}`);
+    poolIds.set(id, file);
+    if (!isObject(pool)) {
+      report.error(id, 'a pool is an object');
+      continue;
+    }
+    if (typeof pool.description !== 'string' || !pool.description) report.warn(`${id}.description`, 'missing description');
+    if ('pairs' in pool) {
+      checkUnknownKeys(pool, new Set(['description', 'defaultPair', 'pairs']), id, report);
+      if (!isObject(pool.defaultPair) || typeof pool.defaultPair.cancel !== 'string' || typeof pool.defaultPair.confirm !== 'string') {
+        report.error(`${id}.defaultPair`, 'needs "cancel" and "confirm" fallbacks');
+      }
+      checkVariants(pool.pairs, ['cancel', 'confirm'], `${id}.pairs`, report);
+    } else {
+      checkUnknownKeys(pool, new Set(['description', 'defaultLabel', 'defaultText', 'entries']), id, report);
+      if (typeof (pool.defaultLabel ?? pool.defaultText) !== 'string') report.error(id, 'needs a "defaultLabel" fallback');
+      checkVariants(pool.entries, ['text'], `${id}.entries`, report);
+    }
+  }
+}
+
+/** Pool ids named in the source as `labelPoolId: '…'` or `pairPoolId: '…'`, with the file naming each */
+function poolReferences(): Map<string, string> {
+  const refs = new Map<string, string>();
+  const walk = (d: string) => {
+    for (const name of readdirSync(d)) {
+      const p = join(d, name);
+      if (statSync(p).isDirectory()) walk(p);
+      else if (/\.(ts|js)$/.test(name)) {
+        for (const [, id] of readFileSync(p, 'utf8').matchAll(/\b(?:labelPoolId|pairPoolId):\s*['"]([^'"]+)['"]/g)) {
+          if (!refs.has(id)) refs.set(id, relative(ROOT, p));
+        }
+      }
+    }
+  };
+  walk(SRC_DIR);
+  return refs;
+}
+
+// ─── Coverage ────────────────────────────────────────────────────────────────
+
+interface LoadedFile {
+  path: string;
+  context: Record<string, any>;
+}
+
+/**
+ * Events the router answers with lines, and the file that would answer each,
+ * found the way TextSelector.selectImmediate finds it
+ */
+function coverage(loaded: LoadedFile[]): string[] {
+  // The constructor only builds the handler tables
+  const router = new ChazyEventRouter(null as any, null as any, null as any);
+  const out: string[] = [];
+  const rel = (f: LoadedFile) => f.path.replace(/^interactions\//, '');
+
+  for (const event of router.immediateHandlers.keys()) {
+    const own = loaded.filter(f => f.context.event === event);
+    if (own.length) {
+      out.push(`  ✅ ${event}: ${own.length > 3 ? `${own.length} files` : own.map(rel).join(', ')}`);
+      continue;
+    }
+    const answering = loaded.find(f => matchesInteractionContext(f.context, { event }))
+      ?? loaded.find(f => f.context.event === '*');
+    const fallback = answering ? `falls through to ${rel(answering)}` : 'nothing answers it';
+    out.push(`  ⚠️  ${event}: no lines (${fallback})`);
+  }
+
+  const hesitating = new Set(loaded.filter(f => f.context.event === 'button_hesitation').map(f => f.context.button));
+  for (const event of router.immediateHandlers.keys()) {
+    const button = event.match(/^button_click_(.+)$/)?.[1];
+    if (button && !hesitating.has(button)) out.push(`  ⚠️  button_hesitation: no lines for button "${button}"`);
+  }
+  return out;
+}
+
+/** Problems with the same message in the same file, in order of first appearance */
+function groupProblems(list: Problem[]): Problem[][] {
+  const groups = new Map<string, Problem[]>();
+  for (const p of list) {
+    const key = `${p.level}\0${p.file}\0${p.message}`;
+    groups.get(key)?.push(p) ?? groups.set(key, [p]);
+  }
+  return [...groups.values()];
+}
+
+// ─── Main ────────────────────────────────────────────────────────────────────
+
+function main(): void {
+  const args = process.argv.slice(2);
+  if (args.some(a => a !== '--strict')) {
+    console.log('Usage: validate-lines [--strict]');
+    process.exit(2);
+  }
+  const strict = args.includes('--strict');
+
+  // Line files
+  const onDisk = jsonFilesUnder(LINES_DIR);
+  const listed = [...CORE_LINE_FILES, ...INTERACTION_LINE_FILES];
+  const interactions: LoadedFile[] = [];
+  let entries = 0;
+  for (const file of listed) {
+    if (!onDisk.includes(file)) reporter(`lines/${file}`).error('', 'listed in textSelector.ts but missing on disk');
+  }
+  for (const file of onDisk) {
+    const report = reporter(`lines/${file}`);
+    if (!listed.includes(file)) report.warn('', 'never loaded: not listed in textSelector.ts');
+    const data = readJson(LINES_DIR, file, report);
+    if (data === undefined) continue;
+    checkLineFile(data, report);
+    entries += Array.isArray(data?.lines) ? data.lines.length : 0;
+    if (INTERACTION_LINE_FILES.includes(file) && isObject(data?._context)) interactions.push({ path: file, context: data._context });
+  }
+  interactions.sort((a, b) => INTERACTION_LINE_FILES.indexOf(a.path) - INTERACTION_LINE_FILES.indexOf(b.path));
+
+  // Pools
+  const pools = jsonFilesUnder(POOLS_DIR);
+  const poolIds = new Map<string, string>();
+  for (const file of LABEL_POOL_FILES) {
+    if (!pools.includes(`labels/${file}`)) reporter(`pools/labels/${file}`).error('', 'listed in poolLoader.ts but missing on disk');
+  }
+  for (const file of pools) {
+    const report = reporter(`pools/${file}`);
+    if (file.startsWith('labels/') && !LABEL_POOL_FILES.includes(file.slice('labels/'.length))) {
+      report.warn('', 'never loaded: not listed in poolLoader.ts');
+    }
+    const data = readJson(POOLS_DIR, file, report);
+    if (data !== undefined) checkPoolFile(data, poolIds, file, report);
+  }
+  for (const [id, where] of poolReferences()) {
+    if (!poolIds.has(id)) reporter(where).error('', `names pool "${id}", which no pool file defines`);
+  }
+
+  // Report
+  console.log(`🔎 ${onDisk.length} line files (${entries} entries), ${pools.length} pool files (${poolIds.size} pools)`);
+  for (const group of groupProblems(problems)) {
+    const [first] = group;
+    const icon = first.level === 'error' ? '❌' : '⚠️ ';
+    const where = group.length > 1 ? ` ${first.where} and ${group.length - 1} more` : first.where ? ` ${first.where}` : '';
+    console.log(`${icon} ${first.file}${where}: ${first.message}`);
+  }
+  console.log('\nRouted events:');
+  for (const line of coverage(interactions)) console.log(line);
+
+  const errors = problems.filter(p => p.level === 'error').length;
+  const warnings = problems.length - errors;
+  const failed = errors > 0 || (strict && warnings > 0);
+  console.log(`\n${failed ? '❌' : '✅'} ${errors} error${errors === 1 ? '' : 's'}, ${warnings} warning${warnings === 1 ? '' : 's'}`);
+  if (failed) process.exit(1);
+}
+
+main();
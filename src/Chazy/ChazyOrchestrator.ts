@@ -14,6 +14,9 @@ import { TextSelector } from './content/textSelector.js';
 import { ChazyEventRouter } from './events/eventRouter.js';
 import { getStateReferences } from './content/stateReferences.js';
 import { ChazyWatchdog } from './ChazyWatchdog.js';
+import { createRuntime, type ChazyRuntime } from './session/runtime.js';
+import type { TimerHandle } from './session/clock.js';
+import type { RandomFn } from './session/random.js';
 
 // ─── Types ─────────────────────────────────────────────────────────────────
 
@@ -23,6 +26,8 @@ interface ChazyOptions {
   selector?: any;
   displayMinMs?: number;
   displayMaxMs?: number;
+  /** Clock, seed and recorder to run on; a live one by default */
+  runtime?: ChazyRuntime;
 }
 
 interface LayoutConstraints {
@@ -62,8 +67,12 @@ export class Chazy {
   mind: ChazyMind;
   selector: TextSelector;
   router: ChazyEventRouter;
+  runtime: ChazyRuntime;
+  random: RandomFn;
+  /** Options other than the runtime, recorded so a replay can build the same Chazy */
+  setup: Omit<ChazyOptions, 'runtime'>;
   running: boolean;
-  cycleTimer: ReturnType<typeof setTimeout> | null;
+  cycleTimer: TimerHandle | null;
   getCurrentMode: (() => string) | null;
   lastInterruptTime: number;
   currentTextToken: number;
@@ -77,14 +86,21 @@ export class Chazy {
   displayMaxMs: number;
   
   constructor(options: ChazyOptions = {}) {
-    this.view = new ChazyView(options.view);
-    this.mind = new ChazyMind();
+    const { runtime, ...setup } = options;
+    this.setup = setup;
+    this.runtime = runtime || createRuntime();
+    this.random = this.runtime.random.stream('orchestrator');
+    
+    this.view = new ChazyView(options.view, this.runtime);
+    this.mind = new ChazyMind(this.runtime);
+    this.mind.onSpeakRequest = (data) => this._emit('mind_wants_to_speak', data);
     this.selector = new TextSelector(
       options.textPath || '/src/Chazy/lines/',
-      options.selector
+      options.selector,
+      this.runtime
     );
     
-    this.router = new ChazyEventRouter(this as any, this.mind, this.selector);
+    this.router = new ChazyEventRouter(this as any, this.mind, this.selector, this.runtime);
     
     this.running = false;
     this.cycleTimer = null;
@@ -106,6 +122,7 @@ export class Chazy {
   
   async init(container: HTMLElement, getCurrentMode: () => string): Promise<void> {
     await this.selector.load();
+    this.runtime.recorder.input('init', { options: this.setup });
     this.view.mount(container);
     this.getCurrentMode = getCurrentMode;
     console.log('[Chazy] Initialized');
@@ -113,6 +130,7 @@ export class Chazy {
   
   start(): void {
     if (this.running) return;
+    this.runtime.recorder.input('start');
     this.running = true;
     
     if (this.watchdog) {
@@ -125,6 +143,7 @@ export class Chazy {
   }
   
   stop(): void {
+    if (this.running) this.runtime.recorder.input('stop');
     this.running = false;
     this.cancelAmbient('stop');
     
@@ -147,8 +166,34 @@ export class Chazy {
     return this.router.route(eventType, data);
   }
   
+  /**
+   * Observe a change of simulation mode; the mind may take it as a reason to interrupt
+   */
+  observeMode(mode: string, data: any): void {
+    this.runtime.recorder.input('mode', { type: mode, data });
+    this._emit(mode, data);
+    
+    if (this.mind.shouldInterrupt(mode)) {
+      this._interrupt();
+    }
+  }
+  
   interrupt(): boolean {
-    const now = Date.now();
+    this.runtime.recorder.input('interrupt');
+    return this._interrupt();
+  }
+  
+  // ─── Internal ─────────────────────────────────────────────────────────────
+  
+  /**
+   * Route an event Chazy raised itself, which is not a session input
+   */
+  _emit(eventType: string, data: any): any {
+    return this.router.route(eventType, data, 'internal');
+  }
+  
+  _interrupt(): boolean {
+    const now = this.runtime.clock.now();
     const timeSinceLastInterrupt = now - this.lastInterruptTime;
     if (timeSinceLastInterrupt < 10000) {
       console.log('[Chazy] Interrupt blocked - cooldown active');
@@ -172,11 +217,9 @@ export class Chazy {
     return false;
   }
   
-  // ─── Internal ─────────────────────────────────────────────────────────────
-  
   scheduleAmbient(ms: number, reason: string = 'unknown'): void {
     if (this.cycleTimer) {
-      clearTimeout(this.cycleTimer);
+      this.runtime.clock.clearTimeout(this.cycleTimer);
       this.cycleTimer = null;
     }
     
@@ -190,18 +233,18 @@ export class Chazy {
       return;
     }
     
-    this.lastScheduledAmbient = Date.now();
+    this.lastScheduledAmbient = this.runtime.clock.now();
     console.log(`[Chazy] Scheduled ambient in ${ms}ms (${reason})`);
     
-    this.cycleTimer = setTimeout(() => {
+    this.cycleTimer = this.runtime.clock.setTimeout(() => {
       this.cycleTimer = null;
-      this.route('ambient_cycle_ready', { reason });
+      this._emit('ambient_cycle_ready', { reason });
     }, ms);
   }
   
   cancelAmbient(reason: string = 'unknown'): void {
     if (this.cycleTimer) {
-      clearTimeout(this.cycleTimer);
+      this.runtime.clock.clearTimeout(this.cycleTimer);
       this.cycleTimer = null;
       console.log(`[Chazy] Cancelled ambient (${reason})`);
     }
@@ -226,12 +269,14 @@ export class Chazy {
     }
     
     try {
-      const mode = (this.selector as any).isFirstSelection ? 'welcome' : this.getCurrentMode();
+      const mode = (this.selector as any).isFirstSelection
+        ? 'welcome'
+        : this.runtime.recorder.read('mode', () => this.getCurrentMode!());
       const isWelcome = (this.selector as any).isFirstSelection;
       const emotion = this.mind.emotion || 'NEUTRAL';
       const intensity = this.mind.intensity || 0.5;
       
-      const stateRefs = getStateReferences();
+      const stateRefs = this.runtime.recorder.read('stateRefs', () => getStateReferences());
       
       const selected = this.selector.select({
         mode,
@@ -328,7 +373,7 @@ export class Chazy {
     this.lastTextLength = totalTextLength;
     this.lastThemes = config.themes || [];
     
-    let watchdogRecordingInterval: ReturnType<typeof setInterval> | null = null;
+    let watchdogRecordingInterval: TimerHandle | null = null;
     
     const showLine = (lineIndex: number): void => {
       if (token !== this.currentTextToken) {
@@ -352,7 +397,7 @@ export class Chazy {
           console.log(`[Chazy] Cleared multi-line sequence due to bounds error (token ${token})`);
         }
         
-        this.route('text_complete', {
+        this._emit('text_complete', {
           type: config._source || 'ambient',
           token,
           textLength: this.lastTextLength,
@@ -374,7 +419,7 @@ export class Chazy {
             console.log(`[Chazy] Cleared multi-line sequence due to null line (token ${token})`);
           }
           
-          this.route('text_complete', {
+          this._emit('text_complete', {
             type: config._source || 'ambient',
             token,
             textLength: this.lastTextLength,
@@ -387,8 +432,9 @@ export class Chazy {
       const isObject = typeof lineItem === 'object' && lineItem !== null && lineItem.t;
       
       if (isObject && lineItem.rarity !== undefined) {
-        if (Math.random() > lineItem.rarity) {
+        if (this.random() > lineItem.rarity) {
           console.log(`[Chazy] Rare line skipped (rarity=${lineItem.rarity}), moving to line ${lineIndex + 1}`);
+          this.runtime.recorder.record('line_skipped', { text: lineItem.t, source: config._source || 'ambient' });
           
           if (lineIndex < lines.length - 1) {
             this._recordWatchdogState();
@@ -400,7 +446,7 @@ export class Chazy {
               console.log(`[Chazy] Cleared multi-line sequence after last line skipped (token ${token})`);
             }
             
-            this.route('text_complete', {
+            this._emit('text_complete', {
               type: config._source || 'ambient',
               token,
               textLength: this.lastTextLength,
@@ -427,7 +473,7 @@ export class Chazy {
             console.log(`[Chazy] Cleared multi-line sequence due to invalid line type (token ${token})`);
           }
           
-          this.route('text_complete', {
+          this._emit('text_complete', {
             type: config._source || 'ambient',
             token,
             textLength: this.lastTextLength,
@@ -449,7 +495,7 @@ export class Chazy {
           if (config.interrupt_style === 'staged' && config.stage_pause) {
             nextIdleTime = config.stage_pause;
           } else {
-            nextIdleTime = 500 + Math.random() * 500;
+            nextIdleTime = 500 + this.random() * 500;
           }
         } else {
           // Last line of multi-line sequence
@@ -466,7 +512,7 @@ export class Chazy {
         nextCallback = () => {
           // Clean up watchdog recording interval
           if (watchdogRecordingInterval) {
-            clearInterval(watchdogRecordingInterval);
+            this.runtime.clock.clearInterval(watchdogRecordingInterval);
             watchdogRecordingInterval = null;
           }
           
@@ -489,7 +535,7 @@ export class Chazy {
         nextCallback = () => {
           // Clean up watchdog recording interval
           if (watchdogRecordingInterval) {
-            clearInterval(watchdogRecordingInterval);
+            this.runtime.clock.clearInterval(watchdogRecordingInterval);
             watchdogRecordingInterval = null;
           }
           
@@ -514,7 +560,7 @@ export class Chazy {
             console.log(`[Chazy] Completed multi-line sequence (token ${token})`);
           }
           
-          this.route('text_complete', {
+          this._emit('text_complete', {
             type: config._source || 'ambient',
             token,
             textLength: this.lastTextLength,
@@ -524,6 +570,14 @@ export class Chazy {
       }
       
       try {
+        this.runtime.recorder.record('line', {
+          text: line,
+          source: config._source || 'ambient',
+          tone: lineTone || 'neutral',
+          index: lineIndex,
+          of: lines.length
+        });
+        
         this.view.showText(line, {
           displayTime: (config.displayTime || 3000) * durationMult,
           idleTime: nextIdleTime,
@@ -539,12 +593,12 @@ export class Chazy {
         // WATCHDOG: Record state after starting display
         this._recordWatchdogState();
         
-        watchdogRecordingInterval = setInterval(() => {
+        watchdogRecordingInterval = this.runtime.clock.setInterval(() => {
           if (token === this.currentTextToken) {
             this._recordWatchdogState();
           } else {
             if (watchdogRecordingInterval) {
-              clearInterval(watchdogRecordingInterval);
+              this.runtime.clock.clearInterval(watchdogRecordingInterval);
             }
           }
         }, 5000);
@@ -553,7 +607,7 @@ export class Chazy {
         console.error('[Chazy] Error in view.showText:', error);
         
         if (watchdogRecordingInterval) {
-          clearInterval(watchdogRecordingInterval);
+          this.runtime.clock.clearInterval(watchdogRecordingInterval);
           watchdogRecordingInterval = null;
         }
         
@@ -564,7 +618,7 @@ export class Chazy {
         }
         
         if (nextCallback) {
-          setTimeout(() => {
+          this.runtime.clock.setTimeout(() => {
             if (token === this.currentTextToken) {
               nextCallback();
             } else {
@@ -616,7 +670,7 @@ export class Chazy {
         fsmState: (this.view as any)?.textStateMachine?.currentState || 'UNKNOWN',
         textContent: (this.view as any)?.elements?.subtitle?.textContent || '',
         lockHeld: this.inMultiLineSequence,
-        timestamp: Date.now()
+        timestamp: this.runtime.clock.now()
       };
       
       this.watchdog.recordState(snapshot);
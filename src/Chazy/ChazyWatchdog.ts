@@ -6,9 +6,13 @@
  * - Text content changes
  * - Multi-line lock duration
  * 
- * Triggers recovery if no progress for 30s while lock held
+ * Triggers recovery if no progress for 30s while lock held, and records
+ * what it saw in the session trace so the recording explains the recovery
  */
 
+import type { ChazyRuntime } from './session/runtime.js';
+import type { ChazyClock, TimerHandle } from './session/clock.js';
+
 /**
  * State snapshot for watchdog monitoring
  */
@@ -40,16 +44,30 @@ interface ChazyOrchestratorLike {
   multiLineSequenceToken: number | null;
   currentTextToken: number;
   running: boolean;
+  runtime: ChazyRuntime;
   scheduleAmbient(delay: number, reason: string): void;
 }
 
+/**
+ * What the watchdog saw when it decided the orchestrator was stuck
+ */
+interface StuckReport {
+  stalledMs: number;
+  fsmState: string;
+  textContent: string;
+  lockHeld: boolean;
+  /** FSM states of the recorded history, oldest first */
+  history: string[];
+}
+
 export class ChazyWatchdog {
   private orchestrator: ChazyOrchestratorLike;
   private history: WatchdogSnapshot[];
   private maxHistory: number;
   private checkInterval: number;
   private stuckThreshold: number;
-  private timer: number | null;
+  private clock: ChazyClock;
+  private timer: TimerHandle | null;
   private isRunning: boolean;
   private recoveryCount: number;
 
@@ -60,6 +78,7 @@ export class ChazyWatchdog {
     }
     
     this.orchestrator = orchestrator;
+    this.clock = orchestrator.runtime.clock;
     this.history = [];
     this.maxHistory = 10;
     this.checkInterval = 10000; // Check every 10s
@@ -79,7 +98,7 @@ export class ChazyWatchdog {
     }
     
     this.isRunning = true;
-    this.timer = window.setInterval(() => this._checkProgress(), this.checkInterval);
+    this.timer = this.clock.setInterval(() => this._checkProgress(), this.checkInterval);
     console.log('[Watchdog] Started monitoring');
   }
   
@@ -89,7 +108,7 @@ export class ChazyWatchdog {
     }
     
     if (this.timer !== null) {
-      clearInterval(this.timer);
+      this.clock.clearInterval(this.timer);
       this.timer = null;
     }
     
@@ -109,7 +128,7 @@ export class ChazyWatchdog {
       fsmState: snapshot.fsmState || 'UNKNOWN',
       textContent: snapshot.textContent || '',
       lockHeld: Boolean(snapshot.lockHeld),
-      timestamp: snapshot.timestamp || Date.now()
+      timestamp: snapshot.timestamp || this.clock.now()
     };
     
     // Add to history
@@ -142,7 +161,7 @@ export class ChazyWatchdog {
     
     const latest = this.history[this.history.length - 1];
     const lastProgressTime = this._getLastProgressTime();
-    const timeSinceLastChange = Date.now() - lastProgressTime;
+    const timeSinceLastChange = this.clock.now() - lastProgressTime;
     
     // Log progress check
     console.log(`[Watchdog] Progress check: ${(timeSinceLastChange / 1000).toFixed(1)}s since change (lock: ${latest.lockHeld}, FSM: ${latest.fsmState})`);
@@ -165,7 +184,13 @@ export class ChazyWatchdog {
         historySize: this.history.length
       });
       
-      this._forceRecovery();
+      this._forceRecovery({
+        stalledMs: timeSinceLastChange,
+        fsmState: latest.fsmState,
+        textContent: latest.textContent.substring(0, 80),
+        lockHeld: latest.lockHeld,
+        history: this.history.map(h => h.fsmState)
+      });
     }
   }
   
@@ -197,7 +222,7 @@ export class ChazyWatchdog {
     return this.history[0].timestamp;
   }
   
-  private _forceRecovery(): void {
+  private _forceRecovery(report: StuckReport): void {
     console.error('[Watchdog] ========================================');
     console.error('[Watchdog] FORCING RECOVERY');
     console.error('[Watchdog] ========================================');
@@ -208,13 +233,18 @@ export class ChazyWatchdog {
       return;
     }
     
-    // Log pre-recovery state
-    console.error('[Watchdog] Pre-recovery state:', {
+    const preRecovery = {
       inMultiLineSequence: this.orchestrator.inMultiLineSequence,
       multiLineSequenceToken: this.orchestrator.multiLineSequenceToken,
       currentTextToken: this.orchestrator.currentTextToken,
       running: this.orchestrator.running
-    });
+    };
+    
+    // Log pre-recovery state
+    console.error('[Watchdog] Pre-recovery state:', preRecovery);
+    
+    this.orchestrator.runtime.recorder.record('watchdog_recovery', { ...report, ...preRecovery });
+    console.error('[Watchdog] Recorded in the session trace; attach chazyDebug.exportSession() to the bug report');
     
     try {
       // Force clear multi-line lock
@@ -261,7 +291,7 @@ export class ChazyWatchdog {
     return {
       isRunning: this.isRunning,
       historySize: this.history.length,
-      timeSinceLastProgress: lastProgressTime ? Date.now() - lastProgressTime : null,
+      timeSinceLastProgress: lastProgressTime ? this.clock.now() - lastProgressTime : null,
       recoveryCount: this.recoveryCount,
       currentState: this.history.length > 0 ? this.history[this.history.length - 1] : null,
       threshold: this.stuckThreshold,
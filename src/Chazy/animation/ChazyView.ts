@@ -9,6 +9,7 @@
  */
 
 import { TextStateMachine } from './textStateMachine.js';
+import { createRuntime, type ChazyRuntime } from '../session/runtime.js';
 
 // ─── Types ─────────────────────────────────────────────────────────────────
 
@@ -54,8 +55,10 @@ export class ChazyView {
   constraints: Required<LayoutConstraints>;
   isApplyingLayout: boolean;
   _pendingRefitRafId: number | null;
+  runtime: ChazyRuntime;
   
-  constructor(options: ChazyViewConfig = {}) {
+  constructor(options: ChazyViewConfig = {}, runtime: ChazyRuntime = createRuntime()) {
+    this.runtime = runtime;
     this.config = {
       title: options.title || 'Principia',
       titleFontRatio: options.titleFontRatio || 1.0,
@@ -144,11 +147,11 @@ export class ChazyView {
     if (!hasContent) return;
     
     if (this._pendingRefitRafId != null) {
-      cancelAnimationFrame(this._pendingRefitRafId);
+      this.runtime.clock.cancelAnimationFrame(this._pendingRefitRafId);
       this._pendingRefitRafId = null;
     }
     
-    this._pendingRefitRafId = requestAnimationFrame(() => {
+    this._pendingRefitRafId = this.runtime.clock.requestAnimationFrame(() => {
       this._pendingRefitRafId = null;
       if (!this.isApplyingLayout) this._refitSubtitleToConstraints();
     });
@@ -220,7 +223,8 @@ export class ChazyView {
   private _initTextStateMachine(): void {
     this.textStateMachine = new TextStateMachine(
       this.elements.subtitle as HTMLElement,
-      () => this._onSubtitleUpdate()
+      () => this._onSubtitleUpdate(),
+      this.runtime
     );
   }
   
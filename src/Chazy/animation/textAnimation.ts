@@ -2,6 +2,9 @@
  * Text animation types and interfaces
  */
 
+import { realClock, type ChazyClock } from '../session/clock.js';
+import type { RandomFn } from '../session/random.js';
+
 // ─── Type Definitions ────────────────────────────────────────────────────
 
 interface AnimationOptions {
@@ -12,6 +15,10 @@ interface AnimationOptions {
   inMultiLineSequence?: boolean;
   isLastInSequence?: boolean;
   speedMultiplier?: number;
+  /** Timers and time to animate on (default: the real ones) */
+  clock?: ChazyClock;
+  /** Randomness for typos and pacing (default: Math.random) */
+  random?: RandomFn;
 }
 
 interface TextSegment {
@@ -64,6 +71,8 @@ interface DeletionOptions {
   clearStrategy?: 'backspace' | 'instant';
   interrupt_style?: string;
   themes?: string[];
+  clock?: ChazyClock;
+  random?: RandomFn;
 }
 
 // ─── Character Pools ─────────────────────────────────────────────────────
@@ -347,8 +356,8 @@ const MATH_TYPO_NEIGHBORS = {
 };
 
 // Helper: pick random element from array
-function pickRandom(arr: string[]): string {
-  return arr[Math.floor(Math.random() * arr.length)];
+function pickRandom(arr: string[], random: RandomFn = Math.random): string {
+  return arr[Math.floor(random() * arr.length)];
 }
 
 // Detect if we're in a mathematical context
@@ -398,17 +407,17 @@ function isStrongMathContext(index: number, chars: string[]): boolean {
 }
 
 // Get math-aware typo (symbol confusion)
-function getMathTypo(char: string): string {
+function getMathTypo(char: string, random: RandomFn = Math.random): string {
   const neighbors = MATH_TYPO_NEIGHBORS[char];
   if (!neighbors || neighbors.length === 0) return null;
-  return pickRandom(neighbors);
+  return pickRandom(neighbors, random);
 }
 
 // Get QWERTY keyboard typo (physical neighbor)
-function getQwertyTypo(char: string): string {
+function getQwertyTypo(char: string, random: RandomFn = Math.random): string {
   // Check direct neighbors (numbers, punctuation)
   if (QWERTY_NEIGHBORS[char]) {
-    return pickRandom(QWERTY_NEIGHBORS[char]);
+    return pickRandom(QWERTY_NEIGHBORS[char], random);
   }
 
   // For letters, check lowercase version
@@ -416,7 +425,7 @@ function getQwertyTypo(char: string): string {
   const neighbors = QWERTY_NEIGHBORS[lower];
   if (!neighbors || neighbors.length === 0) return null;
 
-  const typo = pickRandom(neighbors);
+  const typo = pickRandom(neighbors, random);
   const isLetter = /[a-zA-Z]/.test(char);
   return isLetter && char === char.toUpperCase() ? typo.toUpperCase() : typo;
 }
@@ -432,12 +441,12 @@ function isSuperscript(char: string): boolean {
 }
 
 // Context-aware typo: prefers math confusions in math context, QWERTY otherwise
-function getTypoForIndex(index: number, chars: string[]): string {
+function getTypoForIndex(index: number, chars: string[], random: RandomFn = Math.random): string {
   const char = chars[index];
 
   // Prefer math-aware confusions in math context
   if (isMathContext(index, chars)) {
-    const mathTypo = getMathTypo(char);
+    const mathTypo = getMathTypo(char, random);
     
     // Gate Latin→Greek substitutions to strong math context only
     if (mathTypo && mathTypo !== char) {
@@ -456,13 +465,13 @@ function getTypoForIndex(index: number, chars: string[]): string {
     }
 
     // For ASCII characters inside math context, still allow QWERTY slips sometimes
-    const qTypo = getQwertyTypo(char);
+    const qTypo = getQwertyTypo(char, random);
     if (qTypo && qTypo !== char) return qTypo;
     return char;
   }
 
   // Non-math context: normal keyboard typos
-  return getQwertyTypo(char) || char;
+  return getQwertyTypo(char, random) || char;
 }
 
 /**
@@ -471,22 +480,22 @@ function getTypoForIndex(index: number, chars: string[]): string {
 class AnimationMomentum {
   currentSpeedMultiplier: number;
   targetSpeedMultiplier: number;
-  lastUpdate: number;
+  lastUpdate: number | null;
 
   constructor() {
     this.currentSpeedMultiplier = 1.0;
     this.targetSpeedMultiplier = 1.0;
-    this.lastUpdate = Date.now();
+    this.lastUpdate = null;
   }
   
   /**
    * Update momentum toward target
    * @param {number} targetMult - Target speed multiplier from emotion
+   * @param {number} now - Current time from the session clock, so replays keep the pace
    * @returns {number} - Smoothed current multiplier
    */
-  update(targetMult: number): number {
-    const now = Date.now();
-    const dt = Math.min(1000, now - this.lastUpdate); // Cap at 1s
+  update(targetMult: number, now: number): number {
+    const dt = this.lastUpdate == null ? 0 : Math.min(1000, now - this.lastUpdate); // Cap at 1s
     this.lastUpdate = now;
     
     this.targetSpeedMultiplier = targetMult;
@@ -607,6 +616,22 @@ function getTypingParams(emotion: string, intensity: number): TypingParams {
   return params;
 }
 
+// Tone speed adjustments (additive, not multiplicative)
+const TONE_SPEED_ADJUSTMENTS: Record<string, { min: number; max: number }> = {
+  neutral: { min: 0, max: 0 },
+  whisper: { min: 15, max: 30 },         // +15 to +30ms (slower, deliberate)
+  ominous: { min: 10, max: 25 },         // +10 to +25ms (measured, foreboding)
+  wry: { min: -8, max: 0 },              // -8 to 0ms (slightly quicker, dry)
+  deadpan: { min: -12, max: -5 },        // -12 to -5ms (crisp, flat)
+  clinical: { min: -8, max: 0 },         // -8 to 0ms (efficient, precise)
+  warm: { min: 3, max: 12 },             // +3 to +12ms (gentle, unhurried)
+  concerned: { min: -5, max: 8 },        // -5 to +8ms (variable anxiety/caution)
+  surprised: { min: -10, max: -3 }       // -10 to -3ms (reactive, quick)
+};
+
+/** Delivery tones a line or entry can ask for */
+export const TONES = Object.keys(TONE_SPEED_ADJUSTMENTS);
+
 /**
  * Apply tone-based modifiers to typing parameters
  * Tone is a delivery style layer on top of emotion
@@ -616,22 +641,9 @@ function getTypingParams(emotion: string, intensity: number): TypingParams {
  * @param {string} emotion - Current emotion (for context-aware modulation)
  * @returns {Object} Modified typing params
  */
-function applyToneModifiers(params: TypingParams, tone: string, emotion: string): TypingParams {
+function applyToneModifiers(params: TypingParams, tone: string, emotion: string, random: RandomFn = Math.random): TypingParams {
   if (!tone || tone === 'neutral') return params;
   
-  // Tone speed adjustments (additive, not multiplicative)
-  const TONE_SPEED_ADJUSTMENTS = {
-    neutral: { min: 0, max: 0 },
-    whisper: { min: 15, max: 30 },         // +15 to +30ms (slower, deliberate)
-    ominous: { min: 10, max: 25 },         // +10 to +25ms (measured, foreboding)
-    wry: { min: -8, max: 0 },              // -8 to 0ms (slightly quicker, dry)
-    deadpan: { min: -12, max: -5 },        // -12 to -5ms (crisp, flat)
-    clinical: { min: -8, max: 0 },         // -8 to 0ms (efficient, precise)
-    warm: { min: 3, max: 12 },             // +3 to +12ms (gentle, unhurried)
-    concerned: { min: -5, max: 8 },        // -5 to +8ms (variable anxiety/caution)
-    surprised: { min: -10, max: -3 }       // -10 to -3ms (reactive, quick)
-  };
-  
   // Other tone properties with variance ranges
   const TONE_OTHER_MODIFIERS = {
     neutral: {
@@ -691,13 +703,13 @@ function applyToneModifiers(params: TypingParams, tone: string, emotion: string)
   }
   
   // Speed: additive adjustment with variance
-  const speedDelta = sampleRange(speedAdj);
+  const speedDelta = sampleRange(speedAdj, random);
   
   // Other properties: multiplicative with variance
-  const typoMult = sampleRange(otherMods.typoMult);
-  const pauseMult = sampleRange(otherMods.pauseMult);
-  const variationMult = sampleRange(otherMods.variationMult);
-  const chuckleBoost = otherMods.chuckleBoost ? sampleRange(otherMods.chuckleBoost) : 0;
+  const typoMult = sampleRange(otherMods.typoMult, random);
+  const pauseMult = sampleRange(otherMods.pauseMult, random);
+  const variationMult = sampleRange(otherMods.variationMult, random);
+  const chuckleBoost = otherMods.chuckleBoost ? sampleRange(otherMods.chuckleBoost, random) : 0;
   
   return {
     baseSpeed: params.baseSpeed + speedDelta,
@@ -801,15 +813,16 @@ function getCharacterComplexity(char: string): number {
 // PAUSE SYSTEM: Mid-line typing pauses for dramatic effect
 // ═══════════════════════════════════════════════════════════════════════════
 
+/** Range of a `\pause{ms}` marker; durations outside it are clamped */
+export const MIN_PAUSE = 50;
+export const MAX_PAUSE = 5000;
+
 /**
  * Validate and clamp pause duration to reasonable range
  * @param {string|number} duration - Duration from pause marker
  * @returns {number} Clamped duration in ms
  */
 function validateAndClampDuration(duration: any): number {
-  const MIN_PAUSE = 50;
-  const MAX_PAUSE = 5000;
-  
   const parsed = parseInt(duration, 10);
   
   if (isNaN(parsed)) {
@@ -949,9 +962,9 @@ function buildPauseMap(segments: TextSegment[]): Map<number, number> {
 /**
  * Sample a random value from a min-max range
  */
-function sampleRange(range: SpeedRange | undefined): number {
+function sampleRange(range: SpeedRange | undefined, random: RandomFn = Math.random): number {
   if (!range || range.min === range.max) return range?.min || 0;
-  return range.min + Math.random() * (range.max - range.min);
+  return range.min + random() * (range.max - range.min);
 }
 
 function splitGraphemes(text: string): string[] {
@@ -985,6 +998,8 @@ export function animateTextInTyping(
     emotion = 'NEUTRAL',
     intensity = 0.5,
     tone = 'neutral',  // NEW
+    clock = realClock,
+    random = Math.random,
   } = options || {};
 
   // Clamp intensity to valid range
@@ -993,7 +1008,7 @@ export function animateTextInTyping(
   let typingParams = getTypingParams(emotion, clampedIntensity);
   
   // Apply tone modifiers
-  typingParams = applyToneModifiers(typingParams, tone, emotion);
+  typingParams = applyToneModifiers(typingParams, tone, emotion, random);
   
   // Apply hard speed bounds (safety clamps)
   typingParams.baseSpeed = Math.max(
@@ -1126,8 +1141,8 @@ export function animateTextInTyping(
   const typoPositions = [];
   chars.forEach((char, index) => {
     const typoChance = getContextualTypoChance(index);
-    if (!isWhitespace(char) && Math.random() < typoChance) {
-      const typoChar = getTypoForIndex(index, chars);
+    if (!isWhitespace(char) && random() < typoChance) {
+      const typoChar = getTypoForIndex(index, chars, random);
       // Only add if typo is different from original (avoid no-op typos)
       if (typoChar !== char) {
         typoMap.set(index, {
@@ -1207,7 +1222,7 @@ export function animateTextInTyping(
   function safeTimeout(ms) {
     return new Promise((resolve) => {
       if (cancelled) return resolve(false);
-      const t = setTimeout(() => resolve(!cancelled), ms);
+      const t = clock.setTimeout(() => resolve(!cancelled), ms);
       timeouts.push(t);
     });
   }
@@ -1215,7 +1230,7 @@ export function animateTextInTyping(
   function nextFrame() {
     return new Promise((resolve) => {
       if (cancelled) return resolve(false);
-      const raf = requestAnimationFrame(() => resolve(!cancelled));
+      const raf = clock.requestAnimationFrame(() => resolve(!cancelled));
       animationFrames.push(raf);
     });
   }
@@ -1270,14 +1285,14 @@ export function animateTextInTyping(
 
   // Scramble a character span for durationMs, then caller decides what to lock in
   async function scrambleSpan(span, durationMs, targetChar = '') {
-    const start = performance.now();
+    const start = clock.now();
     
     // Choose scramble pool based on target character type
     const pool = getScramblePoolForChar(targetChar);
 
-    while (!cancelled && performance.now() - start < durationMs) {
+    while (!cancelled && clock.now() - start < durationMs) {
       span.style.opacity = '1';
-      span.textContent = pool[Math.floor(Math.random() * pool.length)];
+      span.textContent = pool[Math.floor(random() * pool.length)];
 
       const ok = await safeTimeout(cycleSpeed);
       if (!ok) return false;
@@ -1299,20 +1314,20 @@ export function animateTextInTyping(
     let postFixPause = 300;
 
     if (emotionUpper === 'EXCITED' || emotionUpper === 'SURPRISED') {
-      realizePause = 450 + Math.random() * 180;
-      hesitationPause = 180 + Math.random() * 120;
-      retypeDuration = 260 + Math.random() * 140;
-      postFixPause = 120 + Math.random() * 100;
+      realizePause = 450 + random() * 180;
+      hesitationPause = 180 + random() * 120;
+      retypeDuration = 260 + random() * 140;
+      postFixPause = 120 + random() * 100;
     } else if (emotionUpper === 'ANALYTICAL') {
-      realizePause = 700 + Math.random() * 180;
-      hesitationPause = 350 + Math.random() * 160;
-      retypeDuration = 420 + Math.random() * 150;
-      postFixPause = 260 + Math.random() * 120;
+      realizePause = 700 + random() * 180;
+      hesitationPause = 350 + random() * 160;
+      retypeDuration = 420 + random() * 150;
+      postFixPause = 260 + random() * 120;
     } else if (emotionUpper === 'CONTEMPLATIVE') {
-      realizePause = 900 + Math.random() * 260;
-      hesitationPause = 420 + Math.random() * 220;
-      retypeDuration = 500 + Math.random() * 220;
-      postFixPause = 320 + Math.random() * 160;
+      realizePause = 900 + random() * 260;
+      hesitationPause = 420 + random() * 220;
+      retypeDuration = 500 + random() * 220;
+      postFixPause = 320 + random() * 160;
     }
 
     // Math context: pause longer to notice, retype more carefully
@@ -1363,7 +1378,7 @@ export function animateTextInTyping(
   // Character-type-aware scramble duration
   function getScrambleDurationForChar(index, targetChar) {
     // Base duration
-    let duration = (120 + Math.random() * 90) * (0.85 + Math.random() * 0.3);
+    let duration = (120 + random() * 90) * (0.85 + random() * 0.3);
 
     const prevChar = index > 0 ? chars[index - 1] : '';
 
@@ -1372,32 +1387,32 @@ export function animateTextInTyping(
 
     // Shift-heavy chars take longer (uppercase / symbols)
     if (isShiftLikelyChar(targetChar)) {
-      duration += 40 + Math.random() * 90;
+      duration += 40 + random() * 90;
     }
 
     // Rare symbols take longer
     if (isRareSymbolChar(targetChar)) {
-      duration += 50 + Math.random() * 110;
+      duration += 50 + random() * 110;
     }
 
     // Unicode/accented chars can take a little longer
     if (isUnicodeOrAccented(targetChar)) {
-      duration += 40 + Math.random() * 100;
+      duration += 40 + random() * 100;
     }
     
     // Subscripts and superscripts require special input (longer)
     if (isSubscript(targetChar) || isSuperscript(targetChar)) {
-      duration += 60 + Math.random() * 120;
+      duration += 60 + random() * 120;
     }
 
     // Punctuation often "snaps" in a bit faster visually, but pause is handled in cadence
     if (isPunctuation(targetChar)) {
-      duration *= 0.8 + Math.random() * 0.15;
+      duration *= 0.8 + random() * 0.15;
     }
 
     // First char of a word can feel more deliberate
     if (isWordBoundaryChar(prevChar)) {
-      duration += 10 + Math.random() * 35;
+      duration += 10 + random() * 35;
     }
 
     return Math.max(40, duration);
@@ -1452,7 +1467,7 @@ export function animateTextInTyping(
     const prevChar = index > 0 ? chars[index - 1] : '';
 
     // Base cadence randomness
-    const delayVariation = 1.0 + ((Math.random() - 0.5) * 2 * typingParams.speedVariation);
+    const delayVariation = 1.0 + ((random() - 0.5) * 2 * typingParams.speedVariation);
     let delay = cascadeDelay * delayVariation;
     
     // HARD FLOOR: Never go below 30ms per character (readability + calm character)
@@ -1463,22 +1478,22 @@ export function animateTextInTyping(
 
     // Micro-pause at word boundaries (space after a word)
     if (isWordBoundaryChar(char)) {
-      delay += 15 + Math.random() * 45;
+      delay += 15 + random() * 45;
     }
 
     // Slight pause for first char after a space (starting next word)
     if (isWordBoundaryChar(prevChar)) {
-      delay += 10 + Math.random() * 35;
+      delay += 10 + random() * 35;
     }
 
     // Clause punctuation gets a pause
     if (isClausePunctuation(char)) {
-      delay += 60 + Math.random() * 120;
+      delay += 60 + random() * 120;
     }
 
     // Sentence punctuation gets a bigger pause
     if (isSentencePunctuation(char)) {
-      delay += 140 + Math.random() * 260;
+      delay += 140 + random() * 260;
     }
 
     // Optional random hesitation (uses existing pauseChance/pauseDuration params!)
@@ -1490,8 +1505,8 @@ export function animateTextInTyping(
 
     const effectivePauseChance = clamp01(typingParams.pauseChance! * hesitationBias * 0.6);
 
-    if (Math.random() < effectivePauseChance) {
-      const jitter = 0.6 + Math.random() * 0.8; // 0.6x to 1.4x
+    if (random() < effectivePauseChance) {
+      const jitter = 0.6 + random() * 0.8; // 0.6x to 1.4x
       const pauseDur = typeof typingParams.pauseDuration === 'number' ? typingParams.pauseDuration : (typingParams.pauseDuration?.min || 0);
       delay += pauseDur * jitter;
     }
@@ -1622,8 +1637,8 @@ export function animateTextInTyping(
 
   return (partialOnly = false) => {
     cancelled = true;
-    animationFrames.forEach(raf => cancelAnimationFrame(raf));
-    timeouts.forEach(t => clearTimeout(t));
+    animationFrames.forEach(raf => clock.cancelAnimationFrame(raf));
+    timeouts.forEach(t => clock.clearTimeout(t));
 
     // If partialOnly, keep whatever text has been typed so far (for graceful interrupts)
     // Otherwise, snap to full text (for normal completion/legacy behavior)
@@ -1751,6 +1766,8 @@ export function animateTextOut(
     emotion = 'NEUTRAL',
     intensity = 0.5,
     themes = [],
+    clock = realClock,
+    random = Math.random,
   } = options || {};
 
   // Clamp intensity to valid range
@@ -1764,7 +1781,7 @@ export function animateTextOut(
   );
   const shouldChuckle = chucklePause && hasHumorTheme;
 
-  const rand = Math.random();
+  const rand = random();
   let deletionStrategy = 'character';
 
   if (rand < sentenceDeleteChance) {
@@ -1863,9 +1880,9 @@ export function animateTextOut(
       span.style.opacity = '1';
     });
 
-    const selectionPause = 800 + Math.random() * 600;
+    const selectionPause = 800 + random() * 600;
 
-    const timeout = setTimeout(() => {
+    const timeout = clock.setTimeout(() => {
       if (cancelled) return;
 
       // Remove selection styling
@@ -1884,7 +1901,7 @@ export function animateTextOut(
 
     return () => {
       cancelled = true;
-      timeouts.forEach(t => clearTimeout(t));
+      timeouts.forEach(t => clock.clearTimeout(t));
       if (cursor) cursor.remove();
       element.textContent = '';
       element.style.minWidth = '';
@@ -1955,9 +1972,9 @@ export function animateTextOut(
         wrapper.appendChild(span);
       });
 
-      const selectionPause = 200 + Math.random() * 300;
+      const selectionPause = 200 + random() * 300;
 
-      const timeout = setTimeout(() => {
+      const timeout = clock.setTimeout(() => {
         if (cancelled) return;
 
         // Remove the entire wrapper (with all word spans)
@@ -1969,18 +1986,18 @@ export function animateTextOut(
           cursor.style.opacity = '1';
         }
 
-        const nextTimeout = setTimeout(deleteNextWord, 100 + Math.random() * 150);
+        const nextTimeout = clock.setTimeout(deleteNextWord, 100 + random() * 150);
         timeouts.push(nextTimeout);
       }, selectionPause);
       timeouts.push(timeout);
     }
 
-    const initialTimeout = setTimeout(deleteNextWord, 120 + Math.random() * 80);
+    const initialTimeout = clock.setTimeout(deleteNextWord, 120 + random() * 80);
     timeouts.push(initialTimeout);
 
     return () => {
       cancelled = true;
-      timeouts.forEach(t => clearTimeout(t));
+      timeouts.forEach(t => clock.clearTimeout(t));
       if (cursor) cursor.remove();
       element.textContent = '';
       element.style.minWidth = '';
@@ -2023,24 +2040,24 @@ export function animateTextOut(
     let nextDelay = isRepeating ? arrRate : dasDelay;
 
     // Punctuation hesitation - pause slightly before deleting punctuation
-    if (/[.,;:!?]/.test(char) && Math.random() < 0.5) {
-      nextDelay += 80 + Math.random() * 180;
+    if (/[.,;:!?]/.test(char) && random() < 0.5) {
+      nextDelay += 80 + random() * 180;
     }
 
-    if (shouldChuckle && Math.random() < 0.15) {
-      nextDelay = 600 + Math.random() * 400;
+    if (shouldChuckle && random() < 0.15) {
+      nextDelay = 600 + random() * 400;
     }
 
-    const timeout = setTimeout(deleteNext, nextDelay);
+    const timeout = clock.setTimeout(deleteNext, nextDelay);
     timeouts.push(timeout);
   }
 
-  const initialTimeout = setTimeout(deleteNext, initialDeleteDelay);
+  const initialTimeout = clock.setTimeout(deleteNext, initialDeleteDelay);
   timeouts.push(initialTimeout);
 
   return (partialOnly = false) => {
     cancelled = true;
-    timeouts.forEach(t => clearTimeout(t));
+    timeouts.forEach(t => clock.clearTimeout(t));
     if (cursor) cursor.remove();
     element.textContent = '';
     element.style.minWidth = '';
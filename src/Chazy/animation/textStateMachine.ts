@@ -17,6 +17,9 @@ import { animateTextInTyping, animateTextOut } from './textAnimation.js';
 import { InterruptTimingCalibrator } from '../events/interruptTimingCalibrator.js';
 import { InterruptPredictor } from '../events/interruptPredictor.js';
 import { INTERRUPT_URGENCY } from '../events/interruptUrgency.js';
+import { createRuntime, type ChazyRuntime } from '../session/runtime.js';
+import type { ChazyClock, TimerHandle } from '../session/clock.js';
+import type { RandomFn } from '../session/random.js';
 
 // ─── Types ─────────────────────────────────────────────────────────────────
 
@@ -77,7 +80,7 @@ export class TextStateMachine {
   onUpdateCallback: (() => void) | null;
   currentState: FSMState;
   currentAnimationCancel: ((partialOnly?: boolean) => void) | null;
-  currentTimer: ReturnType<typeof setTimeout> | null;
+  currentTimer: TimerHandle | null;
   pendingLine: string | null;
   isFirstText: boolean;
   isWelcomeText: boolean;
@@ -97,13 +100,21 @@ export class TextStateMachine {
   inMultiLineSequence: boolean;
   _clearInProgress: boolean;
   currentDisplayLine: string | null;
-  _cleanupInterval: ReturnType<typeof setInterval> | null;
+  _cleanupInterval: TimerHandle | null;
   _multiLineLockTimestamp: number | undefined;
   currentTextSource: string;
+  runtime: ChazyRuntime;
+  clock: ChazyClock;
+  random: RandomFn;
+  animationRandom: RandomFn;
   
-  constructor(element: HTMLElement, onUpdateCallback: (() => void) | null = null) {
+  constructor(element: HTMLElement, onUpdateCallback: (() => void) | null = null, runtime: ChazyRuntime = createRuntime()) {
     this.element = element;
     this.onUpdateCallback = onUpdateCallback;
+    this.runtime = runtime;
+    this.clock = runtime.clock;
+    this.random = runtime.random.stream('fsm');
+    this.animationRandom = runtime.random.stream('animation');
     
     // FSM state
     this._enterIdle();
@@ -122,9 +133,14 @@ export class TextStateMachine {
     this.interruptHistory = [];
     
     // Adaptive systems
-    this.timingCalibrator = new InterruptTimingCalibrator();
-    this.interruptPredictor = new InterruptPredictor();
+    this.timingCalibrator = new InterruptTimingCalibrator({
+      persist: !runtime.replaying,
+      clock: this.clock,
+      readSaved: (produce) => runtime.recorder.read('calibration', produce),
+    });
+    this.interruptPredictor = new InterruptPredictor({ clock: this.clock });
     this.interruptPredictor.onPrediction = (buttonId, confidence) => {
+      this.runtime.recorder.input('prediction', { buttonId, confidence });
       this._handleInterruptPrediction(buttonId, confidence);
     };
     
@@ -149,13 +165,20 @@ export class TextStateMachine {
     this.currentDisplayLine = null;
     
     // Cleanup interval
-    this._cleanupInterval = setInterval(() => this._cleanupInterruptHistory(), 10000);
+    this._cleanupInterval = this.clock.setInterval(() => this._cleanupInterruptHistory(), 10000);
     
     this._showInitialCursor();
   }
   
+  private _setState(next: FSMState): void {
+    if (this.currentState !== next) {
+      this.runtime.recorder.record('fsm', { from: this.currentState ?? null, to: next });
+    }
+    this.currentState = next;
+  }
+  
   private _enterIdle(): void {
-    this.currentState = 'IDLE';
+    this._setState('IDLE');
     this.currentDisplayLine = null;
   }
   
@@ -172,7 +195,8 @@ export class TextStateMachine {
   }
   
   private _setupVisibilityListener(): void {
-    if (typeof document !== 'undefined') {
+    // A replay is not shown, so the page's visibility is not its business
+    if (typeof document !== 'undefined' && !this.runtime.replaying) {
       document.addEventListener('visibilitychange', this._visibilityHandler);
     }
   }
@@ -191,12 +215,12 @@ export class TextStateMachine {
     }
     
     if (this.currentTimer) {
-      clearTimeout(this.currentTimer);
+      this.clock.clearTimeout(this.currentTimer);
       this.currentTimer = null;
     }
     
     if (this._cleanupInterval) {
-      clearInterval(this._cleanupInterval);
+      this.clock.clearInterval(this._cleanupInterval);
       this._cleanupInterval = null;
     }
     
@@ -220,7 +244,7 @@ export class TextStateMachine {
         span.style.transition = `opacity ${fadeDuration}ms ease-out`;
       });
       
-      setTimeout(() => {
+      this.clock.setTimeout(() => {
         charSpans.forEach(span => span.remove());
         this.element.style.minWidth = '';
         this.element.style.maxWidth = '';
@@ -255,9 +279,9 @@ export class TextStateMachine {
     if (this.inMultiLineSequence && state === 'IDLE') {
       // Check how long we've been in this state
       if (!this._multiLineLockTimestamp) {
-        this._multiLineLockTimestamp = Date.now();
+        this._multiLineLockTimestamp = this.clock.now();
       } else {
-        const lockDuration = Date.now() - this._multiLineLockTimestamp;
+        const lockDuration = this.clock.now() - this._multiLineLockTimestamp;
         if (lockDuration > 45000) {
           console.error(`[FSM] SAFETY: Multi-line lock stuck for ${(lockDuration / 1000).toFixed(1)}s in IDLE state - force clearing`);
           this.inMultiLineSequence = false;
@@ -436,7 +460,7 @@ export class TextStateMachine {
           this.currentAnimationCancel = null;
         }
         if (this.currentTimer) {
-          clearTimeout(this.currentTimer);
+          this.clock.clearTimeout(this.currentTimer);
           this.currentTimer = null;
         }
         
@@ -463,7 +487,7 @@ export class TextStateMachine {
                 }
               });
               
-              setTimeout(() => {
+              this.clock.setTimeout(() => {
                 charSpans.forEach(span => {
                   if (span && span.parentNode) {
                     span.remove();
@@ -517,7 +541,7 @@ export class TextStateMachine {
   
   private _calculateInterruptMomentum(): number {
     const recentInterrupts = this.interruptHistory.filter(
-      i => Date.now() - i.timestamp < 10000
+      i => this.clock.now() - i.timestamp < 10000
     );
     
     if (recentInterrupts.length >= 3) {
@@ -530,7 +554,7 @@ export class TextStateMachine {
   }
   
   private _cleanupInterruptHistory(): void {
-    const now = Date.now();
+    const now = this.clock.now();
     
     this.interruptHistory = this.interruptHistory.filter(
       i => now - i.timestamp < 30000
@@ -617,14 +641,14 @@ export class TextStateMachine {
         this.currentAnimationCancel = null;
       }
       if (this.currentTimer) {
-        clearTimeout(this.currentTimer);
+        this.clock.clearTimeout(this.currentTimer);
         this.currentTimer = null;
       }
       
       if (this.isFirstText) {
         this.isFirstText = false;
-        const initialDelay = 3000 + Math.random() * 2000;
-        this.currentTimer = setTimeout(() => {
+        const initialDelay = 3000 + this.random() * 2000;
+        this.currentTimer = this.clock.setTimeout(() => {
           this.currentTimer = null;
           this.startTyping(line, config);
         }, initialDelay);
@@ -634,6 +658,9 @@ export class TextStateMachine {
       this.currentAnimationCancel = animateTextOut(this.element, () => {
         this.currentAnimationCancel = null;
         this.startTyping(line, config);
+      }, {
+        clock: this.clock,
+        random: this.animationRandom
       });
     } catch (error) {
       console.error('[FSM] Error in processLine:', error);
@@ -661,7 +688,7 @@ export class TextStateMachine {
     }
     
     try {
-      this.currentState = 'TYPING';
+      this._setState('TYPING');
       this.currentDisplayLine = line;
       this.inMultiLineSequence = config.inMultiLineSequence || false;
       
@@ -686,10 +713,10 @@ export class TextStateMachine {
       
       this.currentAnimationCancel = animateTextInTyping(this.element, line, () => {
         this.currentAnimationCancel = null;
-        this.currentState = 'DISPLAY';
+        this._setState('DISPLAY');
         
         const displayTime = config.displayTime || 3000;
-        this.currentTimer = setTimeout(() => {
+        this.currentTimer = this.clock.setTimeout(() => {
           this.currentTimer = null;
           this.startDeleting(config);
         }, displayTime);
@@ -697,13 +724,15 @@ export class TextStateMachine {
         emotion,
         intensity,
         tone,
-        speedMultiplier: this.prewarmSpeedMultiplier
+        speedMultiplier: this.prewarmSpeedMultiplier,
+        clock: this.clock,
+        random: this.animationRandom
       });
     } catch (error) {
       console.error('[FSM] Error in startTyping:', error);
       this._enterIdle();
       if (config.onComplete) {
-        setTimeout(config.onComplete, 1000);
+        this.clock.setTimeout(config.onComplete, 1000);
       }
     }
   }
@@ -728,7 +757,7 @@ export class TextStateMachine {
     }
     
     try {
-      this.currentState = 'DELETING';
+      this._setState('DELETING');
       
       const emotion = config.emotion || 'NEUTRAL';
       const intensity = Math.max(0, Math.min(1, config.intensity || 0.5));
@@ -749,7 +778,7 @@ export class TextStateMachine {
         this._processPendingInterrupts();
         
         const idleTime = config.idleTime || 2000;
-        this.currentTimer = setTimeout(() => {
+        this.currentTimer = this.clock.setTimeout(() => {
           this.currentTimer = null;
           config.onComplete();
         }, idleTime);
@@ -757,6 +786,8 @@ export class TextStateMachine {
         emotion,
         intensity,
         themes,
+        clock: this.clock,
+        random: this.animationRandom
       });
     } catch (error) {
       console.error('[FSM] Error in startDeleting:', error);
@@ -765,7 +796,7 @@ export class TextStateMachine {
       this.inMultiLineSequence = false;
       this.isWelcomeText = false;
       if (config.onComplete) {
-        setTimeout(config.onComplete, 1000);
+        this.clock.setTimeout(config.onComplete, 1000);
       }
     }
   }
@@ -780,7 +811,7 @@ export class TextStateMachine {
         this.currentAnimationCancel = null;
       }
       if (this.currentTimer) {
-        clearTimeout(this.currentTimer);
+        this.clock.clearTimeout(this.currentTimer);
         this.currentTimer = null;
       }
       this._enterIdle();
@@ -32,6 +32,7 @@ export interface StateReferences {
   z8: string;
   z9: string;
   z_coords: string;
+  slice_preset: string;
   z0_name: string;
   z1_name: string;
   z2_name: string;
@@ -53,6 +54,8 @@ export interface StateReferences {
   tilt_dim2: number;
   tilt_q1: string;
   tilt_q2: string;
+  pan_x: number;
+  pan_y: number;
   is_high_res: boolean;
   res_quality: 'ultra' | 'high' | 'low';
   total_dims: number;
@@ -87,6 +90,7 @@ export function getStateReferences(eventData: EventData = {}): StateReferences {
     z8: state.z0?.[8]?.toFixed(2) || '?',
     z9: state.z0?.[9]?.toFixed(2) || '?',
     z_coords: state.z0?.map(v => v.toFixed(2)).join(', ') || '?',
+    slice_preset: state.presetId || '?',
     
     // ─── Axis Names ───
     z0_name: AXIS_NAMES[0] || 'z₀',
@@ -115,6 +119,10 @@ export function getStateReferences(eventData: EventData = {}): StateReferences {
     tilt_q1: state.tiltAmt1?.toFixed(2) || '?',
     tilt_q2: state.tiltAmt2?.toFixed(2) || '?',
     
+    // ─── View ───
+    pan_x: state.viewPanX,
+    pan_y: state.viewPanY,
+    
     // ─── Computed/Conditional ───
     is_high_res: state.res > 1024,
     res_quality: state.res > 2048 ? 'ultra' : state.res > 1024 ? 'high' : 'low',
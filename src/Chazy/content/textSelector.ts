@@ -6,6 +6,8 @@
  */
 
 import type { StateReferences } from './stateReferences.js';
+import { createRuntime, type ChazyRuntime } from '../session/runtime.js';
+import type { RandomFn } from '../session/random.js';
 
 // ─── Types ─────────────────────────────────────────────────────────────────
 
@@ -74,7 +76,7 @@ interface TextSelectorOptions {
 
 // ─── Emotional Timing Functions ────────────────────────────────────────────
 
-function getEmotionalIdleTime(emotion: string, intensity: number, baseDisplayTime: number): number {
+function getEmotionalIdleTime(emotion: string, intensity: number, baseDisplayTime: number, random: RandomFn = Math.random): number {
   let multiplier = 1.0;
   let minRange = 0.8;
   let maxRange = 1.2;
@@ -141,7 +143,7 @@ function getEmotionalIdleTime(emotion: string, intensity: number, baseDisplayTim
   }
   
   const intensityFactor = 0.7 + (intensity * 0.6);
-  const variation = minRange + Math.random() * (maxRange - minRange);
+  const variation = minRange + random() * (maxRange - minRange);
   const rawResult = baseDisplayTime * multiplier * variation * intensityFactor;
   
   // Cap the combined multiplier to prevent extreme stacking
@@ -151,7 +153,7 @@ function getEmotionalIdleTime(emotion: string, intensity: number, baseDisplayTim
   return baseDisplayTime * cappedMultiplier;
 }
 
-function getEmotionalDisplayTime(emotion: string, intensity: number, baseMin: number, baseMax: number): number {
+function getEmotionalDisplayTime(emotion: string, intensity: number, baseMin: number, baseMax: number, random: RandomFn = Math.random): number {
   let multiplier = 1.0;
   let minRange = 0.8;
   let maxRange = 1.2;
@@ -214,8 +216,8 @@ function getEmotionalDisplayTime(emotion: string, intensity: number, baseMin: nu
   }
   
   const intensityFactor = 0.7 + (intensity * 0.6);
-  const baseDisplay = baseMin + Math.random() * (baseMax - baseMin);
-  const variation = minRange + Math.random() * (maxRange - minRange);
+  const baseDisplay = baseMin + random() * (baseMax - baseMin);
+  const variation = minRange + random() * (maxRange - minRange);
   
   // Cap the combined multiplier to prevent extreme stacking
   const combinedMultiplier = multiplier * variation * intensityFactor;
@@ -229,6 +231,100 @@ function getEmotionalDisplayTime(emotion: string, intensity: number, baseMin: nu
   return Math.max(DISPLAY_MIN, Math.min(DISPLAY_MAX, calculated));
 }
 
+// ─── Content Files ─────────────────────────────────────────────────────────
+
+/** Ambient files, relative to the lines path */
+export const CORE_LINE_FILES = [
+  'core/boundary.json',
+  'core/mathematical.json',
+  'core/existential.json',
+  'core/infohazard.json',
+  'core/dark-humor.json',
+  'core/observational.json'
+];
+
+/** Event-driven files, in matching order: the first file whose context matches wins */
+export const INTERACTION_LINE_FILES = [
+  'interactions/gui/buttons/render/click.json',
+  'interactions/gui/buttons/share/click.json',
+  'interactions/gui/buttons/save/click.json',
+  'interactions/gui/buttons/copy/click.json',
+  'interactions/gui/buttons/reset/click.json',
+  'interactions/gui/buttons/zero/click.json',
+  'interactions/gui/buttons/randomize/click.json',
+  'interactions/gui/buttons/reset-tilts/click.json',
+  'interactions/gui/buttons/apply-json/click.json',
+  'interactions/gui/buttons/download-json/click.json',
+  'interactions/gui/buttons/render/hesitation.json',
+  'interactions/gui/buttons/share/hesitation.json',
+  'interactions/gui/buttons/save/hesitation.json',
+  'interactions/gui/buttons/copy/hesitation.json',
+  'interactions/gui/buttons/reset/hesitation.json',
+  'interactions/gui/buttons/zero/hesitation.json',
+  'interactions/gui/buttons/randomize/hesitation.json',
+  'interactions/gui/buttons/reset-tilts/hesitation.json',
+  'interactions/gui/buttons/apply-json/hesitation.json',
+  'interactions/gui/buttons/download-json/hesitation.json',
+  'interactions/gui/selects/render-mode/hover.json',
+  'interactions/gui/selects/render-mode/changed.json',
+  'interactions/gui/selects/resolution/hover.json',
+  'interactions/gui/selects/resolution/changed.json',
+  'interactions/gui/sliders/horizon/changed.json',
+  'interactions/gui/sliders/max-steps/changed.json',
+  'interactions/gui/sliders/dt-macro/changed.json',
+  'interactions/gui/sliders/r-coll/changed.json',
+  'interactions/gui/sliders/r-esc/changed.json',
+  'interactions/gui/sliders/tilt-gamma/changed.json',
+  'interactions/gui/sliders/tilt-q1/changed.json',
+  'interactions/gui/sliders/tilt-q2/changed.json',
+  'interactions/gui/sliders/generic/hover.json',
+  'interactions/gui/sliders/generic/changed.json',
+  'interactions/lifecycle/welcome.json',
+  'interactions/lifecycle/idle.json',
+  'interactions/physics/collision.json',
+  'interactions/physics/ejection.json',
+  'interactions/physics/stable.json',
+  'interactions/navigation/drag.json',
+  'interactions/navigation/zoom.json',
+  'interactions/rendering/render.json',
+  'interactions/patterns/slider-exploration.json',
+  'interactions/patterns/preset-browsing.json',
+  'interactions/generic-fallback.json',
+];
+
+/** `\ref{key}` or `\ref{key|formatter}`, unless the backslash is escaped */
+export const TEMPLATE_PATTERN = /(?<!\\)\\ref\{([^}]+)\}/g;
+
+/** Formatters usable after `|` in a template reference */
+export const TEMPLATE_FORMATTERS: Record<string, (value: any) => string> = {
+  int: v => String(Math.round(Number(v))),
+  fixed1: v => Number(v).toFixed(1),
+  fixed2: v => Number(v).toFixed(2),
+  fixed3: v => Number(v).toFixed(3),
+  fixed4: v => Number(v).toFixed(4),
+  sci: v => Number(v).toExponential(2),
+  percent: v => (Number(v) * 100).toFixed(0) + '%',
+  upper: v => String(v).toUpperCase(),
+  lower: v => String(v).toLowerCase(),
+};
+
+/**
+ * Whether an interaction file answers an event. A file without `event`,
+ * `button`, `slider` or `select` in its context places no condition on it;
+ * `*` matches anything.
+ */
+export function matchesInteractionContext(
+  context: FileData['_context'],
+  query: { event: string; button?: string; slider?: string; select?: string }
+): boolean {
+  if (!context) return false;
+  if (context.event && context.event !== '*' && context.event !== query.event) return false;
+  if (query.button && context.button && context.button !== '*' && context.button !== query.button) return false;
+  if (query.slider && context.slider && context.slider !== '*' && context.slider !== query.slider) return false;
+  if (query.select && context.select && context.select !== '*' && context.select !== query.select) return false;
+  return true;
+}
+
 // ─── TextSelector Class ────────────────────────────────────────────────────
 
 export class TextSelector {
@@ -244,14 +340,16 @@ export class TextSelector {
   templatePattern: RegExp;
   welcomeEntries: TextEntry[] = [];
   ambientEntries: TextEntry[] = [];
+  random: RandomFn;
   
-  constructor(linesPath: string, options: TextSelectorOptions = {}) {
+  constructor(linesPath: string, options: TextSelectorOptions = {}, runtime: ChazyRuntime = createRuntime()) {
     this.linesPath = linesPath;
+    this.random = runtime.random.stream('selector');
     this.bufferSize = options.bufferSize || 32;
     this.displayMinMs = options.displayMinMs || 2000;
     this.displayMaxMs = options.displayMaxMs || 10000;
     this.multiLineMultiplier = options.multiLineMultiplier || 2.5;
-    this.templatePattern = /(?<!\\)\\ref\{([^}]+)\}/g;
+    this.templatePattern = TEMPLATE_PATTERN;
   }
   
   _getDisplayLengthMultiplier(textLength: number): number {
@@ -263,63 +361,6 @@ export class TextSelector {
   }
   
   async load(): Promise<this> {
-    const files = [
-      'core/boundary.json', 
-      'core/mathematical.json', 
-      'core/existential.json',
-      'core/infohazard.json', 
-      'core/dark-humor.json', 
-      'core/observational.json'
-    ];
-    
-    const interactionFiles = [
-      'interactions/gui/buttons/render/click.json',
-      'interactions/gui/buttons/share/click.json',
-      'interactions/gui/buttons/save/click.json',
-      'interactions/gui/buttons/copy/click.json',
-      'interactions/gui/buttons/reset/click.json',
-      'interactions/gui/buttons/zero/click.json',
-      'interactions/gui/buttons/randomize/click.json',
-      'interactions/gui/buttons/reset-tilts/click.json',
-      'interactions/gui/buttons/apply-json/click.json',
-      'interactions/gui/buttons/download-json/click.json',
-      'interactions/gui/buttons/render/hesitation.json',
-      'interactions/gui/buttons/share/hesitation.json',
-      'interactions/gui/buttons/save/hesitation.json',
-      'interactions/gui/buttons/copy/hesitation.json',
-      'interactions/gui/buttons/reset/hesitation.json',
-      'interactions/gui/buttons/zero/hesitation.json',
-      'interactions/gui/buttons/randomize/hesitation.json',
-      'interactions/gui/buttons/reset-tilts/hesitation.json',
-      'interactions/gui/buttons/apply-json/hesitation.json',
-      'interactions/gui/buttons/download-json/hesitation.json',
-      'interactions/gui/selects/render-mode/hover.json',
-      'interactions/gui/selects/render-mode/changed.json',
-      'interactions/gui/selects/resolution/hover.json',
-      'interactions/gui/selects/resolution/changed.json',
-      'interactions/gui/sliders/horizon/changed.json',
-      'interactions/gui/sliders/max-steps/changed.json',
-      'interactions/gui/sliders/dt-macro/changed.json',
-      'interactions/gui/sliders/r-coll/changed.json',
-      'interactions/gui/sliders/r-esc/changed.json',
-      'interactions/gui/sliders/tilt-gamma/changed.json',
-      'interactions/gui/sliders/tilt-q1/changed.json',
-      'interactions/gui/sliders/tilt-q2/changed.json',
-      'interactions/gui/sliders/generic/hover.json',
-      'interactions/gui/sliders/generic/changed.json',
-      'interactions/lifecycle/welcome.json',
-      'interactions/lifecycle/idle.json',
-      'interactions/physics/collision.json',
-      'interactions/physics/ejection.json',
-      'interactions/physics/stable.json',
-      'interactions/navigation/drag.json',
-      'interactions/navigation/zoom.json',
-      'interactions/rendering/render.json',
-      'interactions/patterns/slider-exploration.json',
-      'interactions/patterns/preset-browsing.json',
-      'interactions/generic-fallback.json',
-    ];
-    
     const basePath = this.linesPath;
     
     if (!basePath || typeof basePath !== 'string') {
@@ -327,7 +368,7 @@ export class TextSelector {
       return this;
     }
     
-    const promises = files.map(f => 
+    const promises = CORE_LINE_FILES.map(f => 
       fetch(basePath + f, { cache: 'no-store' })
         .then(r => {
           if (!r.ok) throw new Error(`HTTP ${r.status}: ${r.statusText}`);
@@ -339,7 +380,7 @@ export class TextSelector {
         })
     );
     
-    const interactionPromises = interactionFiles.map(f =>
+    const interactionPromises = INTERACTION_LINE_FILES.map(f =>
       fetch(basePath + f, { cache: 'no-store' })
         .then(r => {
           if (!r.ok) throw new Error(`HTTP ${r.status}: ${r.statusText}`);
@@ -451,7 +492,7 @@ export class TextSelector {
     this.data.subtitles = this.ambientEntries;
     
     console.log(`[TextSelector] Loaded ${this.welcomeEntries.length} welcome entries`);
-    console.log(`[TextSelector] Loaded ${this.ambientEntries.length} ambient entries (${files.length} core + idle)`);
+    console.log(`[TextSelector] Loaded ${this.ambientEntries.length} ambient entries (${CORE_LINE_FILES.length} core + idle)`);
     console.log(`[TextSelector] Loaded ${this.interactionContent.length} interaction files for event matching`);
     return this;
   }
@@ -538,7 +579,7 @@ export class TextSelector {
   }
   
   getDisplayTime(emotion: string, intensity: number, textLength?: number): number {
-    const baseDisplay = getEmotionalDisplayTime(emotion, intensity, this.displayMinMs, this.displayMaxMs);
+    const baseDisplay = getEmotionalDisplayTime(emotion, intensity, this.displayMinMs, this.displayMaxMs, this.random);
     
     if (textLength) {
       const lengthMult = this._getDisplayLengthMultiplier(textLength);
@@ -549,7 +590,7 @@ export class TextSelector {
   }
   
   getIdleTime(emotion: string, intensity: number, baseDisplay: number): number {
-    return getEmotionalIdleTime(emotion, intensity, baseDisplay);
+    return getEmotionalIdleTime(emotion, intensity, baseDisplay, this.random);
   }
   
   _processTemplate(line: string | { t: string; [key: string]: any }, stateRefs: Partial<StateReferences>): string | { t: string; [key: string]: any } {
@@ -608,30 +649,14 @@ export class TextSelector {
   }
   
   _formatValue(value: any, formatter: string): string {
-    switch (formatter) {
-      case 'int':
-        return String(Math.round(Number(value)));
-      case 'fixed1':
-        return Number(value).toFixed(1);
-      case 'fixed2':
-        return Number(value).toFixed(2);
-      case 'fixed3':
-        return Number(value).toFixed(3);
-      case 'fixed4':
-        return Number(value).toFixed(4);
-      case 'sci':
-        return Number(value).toExponential(2);
-      case 'percent':
-        return (Number(value) * 100).toFixed(0) + '%';
-      case 'upper':
-        return String(value).toUpperCase();
-      case 'lower':
-        return String(value).toLowerCase();
-      default:
-        console.warn(`[TextSelector] Unknown formatter: ${formatter}`);
-        return String(value);
+    const format = TEMPLATE_FORMATTERS[formatter];
+    if (!format) {
+      console.warn(`[TextSelector] Unknown formatter: ${formatter}`);
+      return String(value);
     }
+    return format(value);
   }
+
   
   selectImmediate(context: SelectImmediateContext): Omit<SelectResult, 'weights' | 'isMultiLine'> | null {
     const { event, emotion, intensity, button, slider, select, data = {}, stateRefs = {} } = context;
@@ -640,27 +665,9 @@ export class TextSelector {
       return null;
     }
     
-    let matchingFile = this.interactionContent.find(file => {
-      if (!file._context) return false;
-      
-      if (file._context.event && file._context.event !== '*' && file._context.event !== event) {
-        return false;
-      }
-      
-      if (button && file._context.button && file._context.button !== '*' && file._context.button !== button) {
-        return false;
-      }
-      
-      if (slider && file._context.slider && file._context.slider !== '*' && file._context.slider !== slider) {
-        return false;
-      }
-      
-      if (select && file._context.select && file._context.select !== '*' && file._context.select !== select) {
-        return false;
-      }
-      
-      return true;
-    });
+    let matchingFile = this.interactionContent.find(file =>
+      matchesInteractionContext(file._context, { event, button, slider, select })
+    );
     
     if (!matchingFile) {
       matchingFile = this.interactionContent.find(file => file._context?.event === '*');
@@ -693,7 +700,7 @@ export class TextSelector {
       return null;
     }
     
-    let random = Math.random() * totalWeight;
+    let random = this.random() * totalWeight;
     
     for (const { entry, weight } of candidates) {
       random -= weight;
@@ -820,7 +827,7 @@ export class TextSelector {
     const total = weighted.reduce((acc, { weight }) => acc + weight, 0);
     if (total <= 0) return weighted[0]?.idx ?? -1;
     
-    let r = Math.random() * total;
+    let r = this.random() * total;
     for (const { idx, weight } of weighted) {
       r -= weight;
       if (r <= 0) return idx;
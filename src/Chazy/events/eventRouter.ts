@@ -13,6 +13,9 @@ import { getEventUrgency, getEventPriority } from './interruptUrgency.js';
 import { getStateReferences } from '../content/stateReferences.js';
 import type { ChazyMind } from '../mind/chazyMind.js';
 import type { TextSelector } from '../content/textSelector.js';
+import { createRuntime, type ChazyRuntime } from '../session/runtime.js';
+import type { ChazyClock } from '../session/clock.js';
+import type { SessionRecorder } from '../session/recorder.js';
 
 // ─── Types ─────────────────────────────────────────────────────────────────
 
@@ -20,6 +23,12 @@ interface EventData {
   [key: string]: any;
 }
 
+/**
+ * Where a routed event came from. External events are recorded as session
+ * inputs; internal ones are consequences of earlier inputs and are not.
+ */
+type EventOrigin = 'external' | 'internal';
+
 interface RouteResult {
   responded: boolean;
   kind: string | null;
@@ -115,11 +124,15 @@ export class ChazyEventRouter {
   queuedImmediate: QueuedImmediate | null;
   sessionMetrics: SessionMetrics;
   sessionPhase: string;
+  clock: ChazyClock;
+  recorder: SessionRecorder;
   
-  constructor(orchestrator: Orchestrator, mind: ChazyMind, selector: TextSelector) {
+  constructor(orchestrator: Orchestrator, mind: ChazyMind, selector: TextSelector, runtime: ChazyRuntime = createRuntime()) {
     this.orchestrator = orchestrator;
     this.mind = mind;
     this.selector = selector;
+    this.clock = runtime.clock;
+    this.recorder = runtime.recorder;
     
     // Handler maps
     this.systemHandlers = new Map([
@@ -169,7 +182,7 @@ export class ChazyEventRouter {
     this.responseBudget = 3;
     this.maxBudget = 3;
     this.budgetRefillRate = 45000;
-    this.lastBudgetRefill = Date.now();
+    this.lastBudgetRefill = this.clock.now();
     this.recentEvents = [];
     this.maxRecentEvents = 5;
     this.pendingImmediate = null;
@@ -177,7 +190,7 @@ export class ChazyEventRouter {
     
     // Session metrics
     this.sessionMetrics = {
-      startTime: Date.now(),
+      startTime: this.clock.now(),
       totalEvents: 0,
       shownAmbient: 0,
       shownImmediateResponses: 0,
@@ -189,14 +202,18 @@ export class ChazyEventRouter {
     this.sessionPhase = 'startup';
   }
   
-  route(eventType: string, data: EventData = {}): RouteResult | Promise<RouteResult> {
+  route(eventType: string, data: EventData = {}, origin: EventOrigin = 'external'): RouteResult | Promise<RouteResult> {
     console.log(`[EventRouter] ${eventType}`, data);
     this.sessionMetrics.totalEvents++;
     
+    if (origin === 'external') {
+      this.recorder.input('event', { type: eventType, data });
+    }
+    
     const event = {
       eventType,
       data,
-      _timestamp: Date.now(),
+      _timestamp: this.clock.now(),
       _source: 'router'
     };
     
@@ -275,8 +292,8 @@ export class ChazyEventRouter {
         this.pendingImmediate = {
           eventType,
           data,
-          queuedAt: Date.now(),
-          expiresAt: Date.now() + 2000
+          queuedAt: this.clock.now(),
+          expiresAt: this.clock.now() + 2000
         };
         console.log(`[EventRouter] Queued ${eventType} (FSM busy)`);
       }
@@ -297,7 +314,7 @@ export class ChazyEventRouter {
           data,
           urgency,
           priority,
-          queuedAt: Date.now()
+          queuedAt: this.clock.now()
         };
         console.log(`[EventRouter] Queued polite interrupt: ${eventType} (${interruptCheck.reason})`);
         
@@ -335,8 +352,8 @@ export class ChazyEventRouter {
         
         const lockDuration = 8000;
         this.globalImmediateLock = true;
-        this.globalImmediateLockUntil = Date.now() + lockDuration;
-        setTimeout(() => {
+        this.globalImmediateLockUntil = this.clock.now() + lockDuration;
+        this.clock.setTimeout(() => {
           this.globalImmediateLock = false;
         }, lockDuration);
         
@@ -347,14 +364,14 @@ export class ChazyEventRouter {
           tone: result.metadata?.tone,
           wasSuccessful: true,
           button: data.button
-        });
+        }, 'internal');
       } else if (result.reason === 'fsm_busy') {
         if (this._shouldQueueInterrupt(eventType)) {
           this.pendingImmediate = {
             eventType,
             data,
-            queuedAt: Date.now(),
-            expiresAt: Date.now() + 2000
+            queuedAt: this.clock.now(),
+            expiresAt: this.clock.now() + 2000
           };
           console.log(`[EventRouter] Queued ${eventType} (FSM busy)`);
         }
@@ -365,7 +382,7 @@ export class ChazyEventRouter {
   }
   
   private _checkRateLimits(eventType: string, data: EventData, urgency: number, priority: number): RateLimitCheck {
-    const now = Date.now();
+    const now = this.clock.now();
     
     const cooldownKey = eventType + (data.button || '');
     const cooldown = this.eventCooldowns.get(cooldownKey);
@@ -404,7 +421,7 @@ export class ChazyEventRouter {
     
     const cooldownKey = eventType + (data.button || '');
     const duration = cooldowns[eventType] || 15000;
-    this.eventCooldowns.set(cooldownKey, Date.now() + duration);
+    this.eventCooldowns.set(cooldownKey, this.clock.now() + duration);
   }
   
   private _spendBudget(amount: number): void {
@@ -413,7 +430,7 @@ export class ChazyEventRouter {
   }
   
   private _refillBudget(): void {
-    const now = Date.now();
+    const now = this.clock.now();
     const timeSinceRefill = now - this.lastBudgetRefill;
     
     if (timeSinceRefill >= this.budgetRefillRate) {
@@ -431,7 +448,7 @@ export class ChazyEventRouter {
   
   private _recordRecentEvent(eventType: string, data: EventData): void {
     const eventSig = eventType + (data.button || '');
-    this.recentEvents.push({ sig: eventSig, time: Date.now() });
+    this.recentEvents.push({ sig: eventSig, time: this.clock.now() });
     
     if (this.recentEvents.length > this.maxRecentEvents) {
       this.recentEvents.shift();
@@ -441,7 +458,7 @@ export class ChazyEventRouter {
   private _shouldDrainPending(): boolean {
     if (!this.pendingImmediate) return false;
     
-    const now = Date.now();
+    const now = this.clock.now();
     if (now > this.pendingImmediate.expiresAt) {
       console.log('[EventRouter] Pending immediate expired');
       this.pendingImmediate = null;
@@ -461,7 +478,7 @@ export class ChazyEventRouter {
     
     const { eventType, data, urgency, priority, queuedAt } = this.queuedImmediate;
     
-    if (Date.now() - queuedAt > 5000) {
+    if (this.clock.now() - queuedAt > 5000) {
       console.log('[EventRouter] Queued immediate expired');
       this.queuedImmediate = null;
       return;
@@ -663,7 +680,7 @@ export class ChazyEventRouter {
         return { responded: false, kind: null, reason: 'invalid_data' };
       }
       
-      const stateRefs = getStateReferences(data);
+      const stateRefs = this.recorder.read('stateRefs', () => getStateReferences(data));
       
       const selected = this.selector.selectImmediate({
         event: 'button_hesitation',
@@ -763,7 +780,7 @@ export class ChazyEventRouter {
       const action = actionMap[buttonId] || buttonId;
       const eventName = `button_click_${action}`;
       
-      const stateRefs = getStateReferences(data);
+      const stateRefs = this.recorder.read('stateRefs', () => getStateReferences(data));
       
       const selected = this.selector.selectImmediate({
         event: eventName,
@@ -841,7 +858,7 @@ export class ChazyEventRouter {
     
     console.log(`[EventRouter] Handling slider_hover: slider=${slider}, duration=${duration}ms`);
     
-    const stateRefs = getStateReferences(data);
+    const stateRefs = this.recorder.read('stateRefs', () => getStateReferences(data));
     
     const selected = this.selector.selectImmediate({
       event: 'slider_hover',
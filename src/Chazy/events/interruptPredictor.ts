@@ -11,12 +11,16 @@
  * Persists prediction threshold to localStorage.
  */
 
+import { realClock, type ChazyClock } from '../session/clock.js';
+
 /**
  * Predictor configuration options
  */
 export interface PredictorOptions {
   maxHistoryLength?: number;
   historyTimeWindow?: number;
+  /** Time source for the mouse history (the session clock) */
+  clock?: ChazyClock;
 }
 
 /**
@@ -72,6 +76,7 @@ export class InterruptPredictor {
   private predictionThreshold: number;
   private recentPredictions: PredictionRecord[];
   private maxRecentPredictions: number;
+  private clock: ChazyClock;
   
   public onPrediction: ((buttonId: string | null, confidence: number) => void) | null;
 
@@ -80,6 +85,7 @@ export class InterruptPredictor {
     this.mouseHistory = [];
     this.maxHistoryLength = options.maxHistoryLength || 10;
     this.historyTimeWindow = options.historyTimeWindow || 500; // ms
+    this.clock = options.clock ?? realClock;
     
     // Button tracking
     this.buttonBounds = new Map();
@@ -106,7 +112,7 @@ export class InterruptPredictor {
       return;
     }
     
-    const now = performance.now();
+    const now = this.clock.now();
     
     this.mouseHistory.push({ x, y, timestamp: now });
     
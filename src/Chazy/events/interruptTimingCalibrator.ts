@@ -9,11 +9,24 @@
  * Persists to localStorage for cross-session learning.
  */
 
+import { realClock, type ChazyClock } from '../session/clock.js';
+
+const STORAGE_KEY = 'chazyInterruptCalibration';
+
 /**
  * Calibrator options
  */
 export interface CalibratorOptions {
   maxHistorySize?: number;
+  /** Save to localStorage (default true; off for replays) */
+  persist?: boolean;
+  /** Time source for record timestamps and the age of saved data (the session clock) */
+  clock?: ChazyClock;
+  /**
+   * Reads the saved calibration through `produce`; a session records the
+   * value so its replay starts from the same calibration
+   */
+  readSaved?: (produce: () => string | null) => string | null;
 }
 
 /**
@@ -45,10 +58,16 @@ interface CalibratorData {
 export class InterruptTimingCalibrator {
   private userInterruptHistory: InterruptRecord[];
   private maxHistorySize: number;
+  private persist: boolean;
+  private clock: ChazyClock;
+  private readSaved: (produce: () => string | null) => string | null;
 
   constructor(options: CalibratorOptions = {}) {
     this.userInterruptHistory = [];
     this.maxHistorySize = options.maxHistorySize || 50;
+    this.persist = options.persist ?? true;
+    this.clock = options.clock ?? realClock;
+    this.readSaved = options.readSaved ?? (produce => produce());
     
     // Load from localStorage if available
     this._loadFromStorage();
@@ -73,7 +92,7 @@ export class InterruptTimingCalibrator {
       emotion,
       timing: timing || {},
       completionRate: userWaitedForCompletion ? 1 : 0,
-      timestamp: Date.now()
+      timestamp: this.clock.now()
     });
     
     // Keep only most recent entries
@@ -141,7 +160,7 @@ export class InterruptTimingCalibrator {
   toJSON(): CalibratorData {
     return {
       history: this.userInterruptHistory,
-      timestamp: Date.now()
+      timestamp: this.clock.now()
     };
   }
   
@@ -158,12 +177,15 @@ export class InterruptTimingCalibrator {
   
   private _loadFromStorage(): void {
     try {
-      const stored = localStorage.getItem('chazyInterruptCalibration');
+      // Unavailable storage reads as nothing saved, so the recorded value is always there
+      const stored = this.readSaved(() => {
+        try { return localStorage.getItem(STORAGE_KEY); } catch { return null; }
+      });
       if (stored) {
         const data = JSON.parse(stored) as CalibratorData;
         
         // Only load if recent (< 7 days)
-        const age = Date.now() - (data.timestamp || 0);
+        const age = this.clock.now() - (data.timestamp || 0);
         if (age < 7 * 24 * 60 * 60 * 1000) {
           this.fromJSON(data);
           console.log('[InterruptTimingCalibrator] Restored from localStorage');
@@ -175,8 +197,9 @@ export class InterruptTimingCalibrator {
   }
   
   private _saveToStorage(): void {
+    if (!this.persist) return;
     try {
-      localStorage.setItem('chazyInterruptCalibration', JSON.stringify(this.toJSON()));
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.toJSON()));
     } catch (e) {
       console.warn('[InterruptTimingCalibrator] Failed to save to storage:', e);
     }
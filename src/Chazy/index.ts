@@ -11,6 +11,7 @@
  * 5. TextStateMachine — Animation FSM (IDLE → TYPING → DISPLAY → DELETING)
  * 6. InterruptPredictor — Mouse trajectory prediction for pre-warming
  * 7. InterruptTimingCalibrator — Learns user's interrupt timing preferences
+ * 8. Session — Clock, seeded randomness, recorder and replay of sessions
  */
 
 export { Chazy } from './ChazyOrchestrator.js';
@@ -21,3 +22,8 @@ export { TextStateMachine } from './animation/textStateMachine.js';
 export { InterruptPredictor } from './events/interruptPredictor.js';
 export { InterruptTimingCalibrator } from './events/interruptTimingCalibrator.js';
 export { INTERRUPT_URGENCY, getEventUrgency, getEventPriority } from './events/interruptUrgency.js';
+export { createRuntime, type ChazyRuntime } from './session/runtime.js';
+export { realClock, VirtualClock, type ChazyClock } from './session/clock.js';
+export { createRandomSource, mulberry32 } from './session/random.js';
+export { SessionRecorder, readSession, type ChazySession, type TraceEntry } from './session/recorder.js';
+export { replaySession, compareTraces, type ReplayResult } from './session/replay.js';
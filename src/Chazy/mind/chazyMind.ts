@@ -26,18 +26,26 @@
  * - Modulates text selection weights: effectiveWeight = 1.0 + (rawWeight - 1.0) * intensity
  */
 
+import { createRuntime, type ChazyRuntime } from '../session/runtime.js';
+import type { ChazyClock } from '../session/clock.js';
+import type { RandomFn } from '../session/random.js';
+
 // ─── Types ─────────────────────────────────────────────────────────────────
 
-type Emotion = 
-  | 'NEUTRAL'
-  | 'CURIOUS'
-  | 'ANALYTICAL'
-  | 'AMUSED'
-  | 'CONCERNED'
-  | 'CONTEMPLATIVE'
-  | 'EXCITED'
-  | 'BORED'
-  | 'SURPRISED';
+/** Emotional states; content files name them in lowercase */
+export const EMOTIONS = [
+  'NEUTRAL',
+  'CURIOUS',
+  'ANALYTICAL',
+  'AMUSED',
+  'CONCERNED',
+  'CONTEMPLATIVE',
+  'EXCITED',
+  'BORED',
+  'SURPRISED',
+] as const;
+
+type Emotion = typeof EMOTIONS[number];
 
 interface EmotionState {
   emotion: Emotion;
@@ -96,8 +104,16 @@ export class ChazyMind {
   transitionThresholds: Record<Emotion, number>;
   emotionGraph: Record<Emotion, Partial<Record<Emotion, EdgeDefinition>>>;
   emotionModeWeights: Record<Emotion, Record<string, number>>;
+  /** Asks the owner to speak now; without one, goes through window.chazyEvent */
+  onSpeakRequest: ((data: { emotion: Emotion; intensity: number; reason: string }) => void) | null;
+  clock: ChazyClock;
+  random: RandomFn;
   
-  constructor() {
+  constructor(runtime: ChazyRuntime = createRuntime()) {
+    this.clock = runtime.clock;
+    this.random = runtime.random.stream('mind');
+    this.onSpeakRequest = null;
+    
     // Random starting emotional state for session variety
     const startingEmotions: Array<{ emotion: Emotion; intensity: [number, number] }> = [
       { emotion: 'NEUTRAL',       intensity: [0.1, 0.4] },   // Low engagement
@@ -107,16 +123,16 @@ export class ChazyMind {
       { emotion: 'ANALYTICAL',    intensity: [0.4, 0.7] },   // Observing
     ];
     
-    const startState = startingEmotions[Math.floor(Math.random() * startingEmotions.length)];
+    const startState = startingEmotions[Math.floor(this.random() * startingEmotions.length)];
     const [minInt, maxInt] = startState.intensity;
     
     this.emotion = startState.emotion;
-    this.intensity = minInt + Math.random() * (maxInt - minInt);
+    this.intensity = minInt + this.random() * (maxInt - minInt);
     
     console.log(`[Chazy] Session start: ${this.emotion}, intensity ${this.intensity.toFixed(2)}`);
     
     // State duration tracking
-    this.emotionStartTime = Date.now();
+    this.emotionStartTime = this.clock.now();
     this.emotionDurationMs = 0;
     
     // Event memory (last 20 events)
@@ -124,11 +140,11 @@ export class ChazyMind {
     this.maxEventMemory = 20;
     
     // Text reflection tracking (for graph-based bidirectional feedback)
-    this.lastTextReflection = Date.now();
+    this.lastTextReflection = this.clock.now();
     this.transitionPressure = 0;
     
     // Intensity decay tracking
-    this.lastIntensityDecay = Date.now();
+    this.lastIntensityDecay = this.clock.now();
     this.intensityDecayInterval = 8000;
     this.intensityDecayRate = 0.015;
     this.intensityFloor = 0.1;
@@ -261,7 +277,7 @@ export class ChazyMind {
     const event: EventRecord = {
       type: eventType,
       data: data || {},
-      timestamp: Date.now(),
+      timestamp: this.clock.now(),
       emotion: this.emotion,
     };
     
@@ -280,7 +296,7 @@ export class ChazyMind {
    * React to an observed event (emotional state machine logic)
    */
   private _react(event: EventRecord): void {
-    const now = Date.now();
+    const now = this.clock.now();
     const timeSinceTransition = now - this.emotionStartTime;
     
     // Boost intensity for interesting events
@@ -425,7 +441,7 @@ export class ChazyMind {
    * Check for time-based emotional drift (happens when no events)
    */
   private _checkEmotionalDrift(): void {
-    const now = Date.now();
+    const now = this.clock.now();
     const timeInEmotion = now - this.emotionStartTime;
     
     if (timeInEmotion < 45000) return;
@@ -479,9 +495,9 @@ export class ChazyMind {
     
     const oldEmotion = this.emotion;
     this.emotion = newEmotion;
-    this.emotionStartTime = Date.now();
+    this.emotionStartTime = this.clock.now();
     
-    this.nextTransitionAllowedAt = Date.now() + this.minTransitionInterval;
+    this.nextTransitionAllowedAt = this.clock.now() + this.minTransitionInterval;
     
     if (this._shouldExpressTransition(oldEmotion, newEmotion)) {
       this._requestImmediateAmbient(`transition_${newEmotion.toLowerCase()}`);
@@ -489,13 +505,13 @@ export class ChazyMind {
     
     // Set intensity based on new emotion
     if (newEmotion === 'NEUTRAL') {
-      this.intensity = 0.2 + Math.random() * 0.2;
+      this.intensity = 0.2 + this.random() * 0.2;
     } else if (newEmotion === 'SURPRISED' || newEmotion === 'EXCITED') {
-      this.intensity = 0.8 + Math.random() * 0.2;
+      this.intensity = 0.8 + this.random() * 0.2;
     } else if (newEmotion === 'CONTEMPLATIVE' || newEmotion === 'ANALYTICAL') {
-      this.intensity = 0.4 + Math.random() * 0.3;
+      this.intensity = 0.4 + this.random() * 0.3;
     } else {
-      this.intensity = 0.5 + Math.random() * 0.3;
+      this.intensity = 0.5 + this.random() * 0.3;
     }
   }
   
@@ -503,7 +519,7 @@ export class ChazyMind {
    * Update intensity - passive decay during idle
    */
   private _updateIntensity(): void {
-    const now = Date.now();
+    const now = this.clock.now();
     const timeSinceDecay = now - this.lastIntensityDecay;
     
     if (timeSinceDecay >= this.intensityDecayInterval) {
@@ -542,7 +558,7 @@ export class ChazyMind {
     
     if (totalWeight === 0) return null;
     
-    let rand = Math.random() * totalWeight;
+    let rand = this.random() * totalWeight;
     for (const choice of choices) {
       if (!choice || typeof choice.weight !== 'number') continue;
       rand -= Math.max(0, choice.weight);
@@ -560,7 +576,7 @@ export class ChazyMind {
     return {
       emotion: this.emotion,
       intensity: this.intensity,
-      duration: Date.now() - this.emotionStartTime,
+      duration: this.clock.now() - this.emotionStartTime,
     };
   }
   
@@ -601,14 +617,14 @@ export class ChazyMind {
     }
     
     const interruptChance = this.intensity * 0.4;
-    return Math.random() < interruptChance;
+    return this.random() < interruptChance;
   }
   
   /**
    * Reflect on selected text - traverses the emotion graph
    */
   reflectOnText(textData: TextData = {}, themes: string[] = []): void {
-    const now = Date.now();
+    const now = this.clock.now();
     const timeSinceLastReflection = now - this.lastTextReflection;
     
     if (timeSinceLastReflection < 3000) return;
@@ -628,7 +644,7 @@ export class ChazyMind {
     const intensityMultiplier = 1.0 + (0.3 * this.intensity);
     let pressureIncrease = influence * (avgWeight / 3.0) * intensityMultiplier;
     
-    const randomNoise = (Math.random() - 0.5) * 0.1;
+    const randomNoise = (this.random() - 0.5) * 0.1;
     pressureIncrease += randomNoise;
     
     this.transitionPressure += pressureIncrease;
@@ -648,7 +664,7 @@ export class ChazyMind {
     
     console.log(`[Chazy] Reflecting on text (avg weight: ${avgWeight.toFixed(1)}), pressure: ${this.transitionPressure.toFixed(2)}, intensity: ${this.intensity.toFixed(2)} (target: ${intensityTarget.toFixed(2)})`);
     
-    const now2 = Date.now();
+    const now2 = this.clock.now();
     if (now2 < this.nextTransitionAllowedAt) {
       return;
     }
@@ -687,9 +703,9 @@ export class ChazyMind {
           .join(', ')
       );
       
-      if (Math.random() < 0.15) {
+      if (this.random() < 0.15) {
         const allEmotions = Object.keys(this.emotionGraph) as Emotion[];
-        const kickEmotion = allEmotions[Math.floor(Math.random() * allEmotions.length)];
+        const kickEmotion = allEmotions[Math.floor(this.random() * allEmotions.length)];
         if (kickEmotion !== this.emotion) {
           console.log(`[Chazy] Random kick! ${this.emotion} -> ${kickEmotion} (ignoring graph)`);
           this._transitionTo(kickEmotion, 'random perturbation');
@@ -778,7 +794,7 @@ export class ChazyMind {
    * Check if Mind wants to suppress ambient speech right now
    */
   shouldSuppressAmbient(): boolean {
-    const now = Date.now();
+    const now = this.clock.now();
     
     const timeSinceTransition = now - this.emotionStartTime;
     if (timeSinceTransition < 3000) {
@@ -787,7 +803,7 @@ export class ChazyMind {
     }
     
     if (this.emotion === 'CONTEMPLATIVE' && this.intensity > 0.8) {
-      if (Math.random() < 0.4) {
+      if (this.random() < 0.4) {
         console.log('[Mind] Deep contemplation, staying quiet');
         return true;
       }
@@ -803,7 +819,7 @@ export class ChazyMind {
     }
     
     if (this.emotion === 'NEUTRAL' && this.intensity < 0.15) {
-      if (Math.random() < 0.25) {
+      if (this.random() < 0.25) {
         console.log('[Mind] Low engagement, staying quiet');
         return true;
       }
@@ -840,12 +856,16 @@ export class ChazyMind {
   private _requestImmediateAmbient(reason: string): void {
     console.log(`[Mind] Requesting immediate ambient: ${reason}`);
     
-    if ((window as any).chazyEvent) {
-      (window as any).chazyEvent('mind_wants_to_speak', { 
-        emotion: this.emotion,
-        intensity: this.intensity,
-        reason 
-      });
+    const data = { 
+      emotion: this.emotion,
+      intensity: this.intensity,
+      reason 
+    };
+    
+    if (this.onSpeakRequest) {
+      this.onSpeakRequest(data);
+    } else if ((window as any).chazyEvent) {
+      (window as any).chazyEvent('mind_wants_to_speak', data);
     }
   }
 }
@@ -0,0 +1,162 @@
+/**
+ * Chazy clocks
+ *
+ * Everything in Chazy that reads the time or waits goes through a ChazyClock,
+ * so a session can run either on the real timers or on a VirtualClock that
+ * only advances when told to (replay).
+ */
+
+// ─── Types ─────────────────────────────────────────────────────────────────
+
+export type TimerHandle = ReturnType<typeof setTimeout>;
+
+export interface ChazyClock {
+  /** Milliseconds since the epoch, like Date.now() */
+  now(): number;
+  setTimeout(fn: () => void, ms?: number): TimerHandle;
+  clearTimeout(handle: TimerHandle | null | undefined): void;
+  setInterval(fn: () => void, ms: number): TimerHandle;
+  clearInterval(handle: TimerHandle | null | undefined): void;
+  requestAnimationFrame(fn: (time: number) => void): number;
+  cancelAnimationFrame(handle: number): void;
+}
+
+interface VirtualTimer {
+  id: number;
+  due: number;
+  fn: () => void;
+  /** Repeat period for intervals */
+  every: number | null;
+}
+
+/** Frame period of the virtual requestAnimationFrame */
+const FRAME_MS = 1000 / 60;
+
+/** Timers fired by one advance before it gives up on a runaway loop */
+const MAX_TIMERS_PER_ADVANCE = 1_000_000;
+
+// ─── Real Clock ────────────────────────────────────────────────────────────
+
+export const realClock: ChazyClock = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (handle) => clearTimeout(handle ?? undefined),
+  setInterval: (fn, ms) => setInterval(fn, ms),
+  clearInterval: (handle) => clearInterval(handle ?? undefined),
+  requestAnimationFrame: (fn) => requestAnimationFrame(fn),
+  cancelAnimationFrame: (handle) => cancelAnimationFrame(handle),
+};
+
+// ─── Virtual Clock ─────────────────────────────────────────────────────────
+
+/**
+ * Wait until every queued microtask (promise continuation) has run, so code
+ * awaiting a timer that just fired gets to schedule its next one.
+ */
+function flushMicrotasks(): Promise<void> {
+  return new Promise(resolve => {
+    const channel = new MessageChannel();
+    channel.port1.onmessage = () => {
+      channel.port1.close();
+      resolve();
+    };
+    channel.port2.postMessage(null);
+  });
+}
+
+/**
+ * Discrete-event clock. Time stands still until advanceTo() moves it,
+ * firing due timers in order of due time, then of creation.
+ */
+export class VirtualClock implements ChazyClock {
+  private time: number;
+  private timers: Map<number, VirtualTimer>;
+  private nextId: number;
+
+  constructor(startTime: number = 0) {
+    this.time = startTime;
+    this.timers = new Map();
+    this.nextId = 1;
+  }
+
+  now(): number {
+    return this.time;
+  }
+
+  setTimeout(fn: () => void, ms: number = 0): TimerHandle {
+    return this._add(fn, ms, null) as unknown as TimerHandle;
+  }
+
+  clearTimeout(handle: TimerHandle | null | undefined): void {
+    if (handle != null) this.timers.delete(handle as unknown as number);
+  }
+
+  setInterval(fn: () => void, ms: number): TimerHandle {
+    return this._add(fn, ms, Math.max(1, ms)) as unknown as TimerHandle;
+  }
+
+  clearInterval(handle: TimerHandle | null | undefined): void {
+    this.clearTimeout(handle);
+  }
+
+  requestAnimationFrame(fn: (time: number) => void): number {
+    return this._add(() => fn(this.time), FRAME_MS, null);
+  }
+
+  cancelAnimationFrame(handle: number): void {
+    this.timers.delete(handle);
+  }
+
+  /** Timers still waiting to fire */
+  get pending(): number {
+    return this.timers.size;
+  }
+
+  /**
+   * Move time forward to `target`, firing every timer due on the way
+   */
+  async advanceTo(target: number): Promise<void> {
+    for (let fired = 0; ; fired++) {
+      await flushMicrotasks();
+
+      const next = this._nextDue(target);
+      if (!next) break;
+      if (fired >= MAX_TIMERS_PER_ADVANCE) {
+        throw new Error(`[VirtualClock] More than ${MAX_TIMERS_PER_ADVANCE} timers before t=${target}`);
+      }
+
+      this.time = Math.max(this.time, next.due);
+      if (next.every !== null) {
+        next.due += next.every;
+      } else {
+        this.timers.delete(next.id);
+      }
+
+      try {
+        next.fn();
+      } catch (error) {
+        console.error('[VirtualClock] Timer callback threw:', error);
+      }
+    }
+
+    this.time = Math.max(this.time, target);
+  }
+
+  private _add(fn: () => void, ms: number, every: number | null): number {
+    const id = this.nextId++;
+    const delay = Number.isFinite(ms) ? Math.max(0, ms) : 0;
+    this.timers.set(id, { id, due: this.time + delay, fn, every });
+    return id;
+  }
+
+  private _nextDue(limit: number): VirtualTimer | null {
+    let best: VirtualTimer | null = null;
+    for (const timer of this.timers.values()) {
+      if (timer.due > limit) continue;
+      if (!best || timer.due < best.due || (timer.due === best.due && timer.id < best.id)) {
+        best = timer;
+      }
+    }
+    return best;
+  }
+}
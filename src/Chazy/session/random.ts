@@ -0,0 +1,71 @@
+/**
+ * Seedable randomness for Chazy
+ *
+ * One seed per session. Each subsystem draws from its own named stream, so
+ * the mind and the selector stay in step across a replay even when the
+ * animations, whose draws depend on timing, take a different number.
+ */
+
+// ─── Types ─────────────────────────────────────────────────────────────────
+
+/** Uniform in [0, 1), like Math.random */
+export type RandomFn = () => number;
+
+export type StreamName = 'mind' | 'selector' | 'orchestrator' | 'fsm' | 'animation';
+
+export interface RandomSource {
+  readonly seed: number;
+  /** The stream of that name; the same function on every call */
+  stream(name: StreamName): RandomFn;
+}
+
+// ─── Generators ────────────────────────────────────────────────────────────
+
+/**
+ * mulberry32: small, fast, and good enough for choosing lines
+ */
+export function mulberry32(seed: number): RandomFn {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** FNV-1a of a stream name, to spread the streams of one seed apart */
+function hashName(name: string): number {
+  let h = 0x811C9DC5;
+  for (let i = 0; i < name.length; i++) {
+    h ^= name.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Fresh 32-bit seed for a new live session
+ */
+export function newSeed(): number {
+  if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+    return crypto.getRandomValues(new Uint32Array(1))[0];
+  }
+  return Math.floor(Math.random() * 4294967296);
+}
+
+export function createRandomSource(seed: number = newSeed()): RandomSource {
+  const streams = new Map<StreamName, RandomFn>();
+  return {
+    seed: seed >>> 0,
+    stream(name) {
+      let fn = streams.get(name);
+      if (!fn) {
+        fn = mulberry32((seed ^ hashName(name)) >>> 0);
+        streams.set(name, fn);
+      }
+      return fn;
+    },
+  };
+}
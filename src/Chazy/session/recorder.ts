@@ -0,0 +1,199 @@
+/**
+ * Session Recorder
+ *
+ * Keeps what is needed to play a Chazy session back: the seed, every input
+ * that came from outside (init, routed events, mode changes, interrupts,
+ * start/stop, interrupt predictions) and every value read from the app
+ * (current mode, state references, saved interrupt calibration), each with
+ * its time. Alongside, the trace of what Chazy did with them: lines shown or
+ * skipped, FSM transitions, watchdog recoveries.
+ *
+ * Always on and bounded. Inputs and reads have one budget: past it the session
+ * is marked truncated and they stop, since a replay needs every input from
+ * the start. The trace has its own and keeps the most recent entries, so a
+ * long session still shows what Chazy did last, e.g. why the watchdog fired.
+ */
+
+import type { ChazyClock } from './clock.js';
+
+// ─── Types ─────────────────────────────────────────────────────────────────
+
+export const SESSION_FORMAT = 'principia-chazy-session';
+export const SESSION_VERSION = 1;
+
+export type InputKind = 'init' | 'event' | 'mode' | 'interrupt' | 'start' | 'stop' | 'prediction';
+
+export type TraceKind = 'line' | 'line_skipped' | 'fsm' | 'watchdog_recovery';
+
+export interface SessionInput {
+  /** Milliseconds since the session started */
+  t: number;
+  kind: InputKind;
+  [field: string]: any;
+}
+
+export interface TraceEntry {
+  /** Milliseconds since the session started */
+  t: number;
+  kind: TraceKind;
+  [field: string]: any;
+}
+
+export interface ChazySession {
+  format: typeof SESSION_FORMAT;
+  version: number;
+  seed: number;
+  /** Epoch milliseconds the session started at */
+  startedAt: number;
+  /** Milliseconds from start to export */
+  duration: number;
+  inputs: SessionInput[];
+  /** Values read from the app, in the order they were read, per source */
+  reads: Record<string, any[]>;
+  trace: TraceEntry[];
+  /** Oldest trace entries dropped to stay within the trace budget */
+  traceDropped: number;
+  truncated: boolean;
+}
+
+interface RecorderOptions {
+  seed: number;
+  clock: ChazyClock;
+  /** Recorded reads to serve instead of asking the app (replay) */
+  supply?: Record<string, any[]>;
+  /** Most inputs and reads kept in total */
+  limit?: number;
+  /** Most trace entries kept; the oldest go first */
+  traceLimit?: number;
+}
+
+const DEFAULT_LIMIT = 50000;
+const DEFAULT_TRACE_LIMIT = 10000;
+
+/**
+ * Plain JSON copy of event data; values that do not survive JSON are dropped
+ */
+function toPlain(value: any): any {
+  if (value === undefined) return undefined;
+  try {
+    return JSON.parse(JSON.stringify(value));
+  } catch {
+    return null;
+  }
+}
+
+// ─── SessionRecorder Class ─────────────────────────────────────────────────
+
+export class SessionRecorder {
+  readonly seed: number;
+  readonly startedAt: number;
+  inputs: SessionInput[];
+  reads: Record<string, any[]>;
+  trace: TraceEntry[];
+  traceDropped: number;
+  truncated: boolean;
+  private clock: ChazyClock;
+  private supply: Record<string, any[]> | null;
+  private supplied: Record<string, number>;
+  private limit: number;
+  private traceLimit: number;
+  private size: number;
+
+  constructor(options: RecorderOptions) {
+    this.seed = options.seed;
+    this.clock = options.clock;
+    this.startedAt = this.clock.now();
+    this.inputs = [];
+    this.reads = {};
+    this.trace = [];
+    this.traceDropped = 0;
+    this.truncated = false;
+    this.supply = options.supply ?? null;
+    this.supplied = {};
+    this.limit = options.limit ?? DEFAULT_LIMIT;
+    this.traceLimit = options.traceLimit ?? DEFAULT_TRACE_LIMIT;
+    this.size = 0;
+  }
+
+  /** Milliseconds since the session started */
+  elapsed(): number {
+    return this.clock.now() - this.startedAt;
+  }
+
+  input(kind: InputKind, fields: Record<string, any> = {}): void {
+    if (!this._reserve()) return;
+    this.inputs.push({ t: this.elapsed(), kind, ...toPlain(fields) });
+  }
+
+  record(kind: TraceKind, fields: Record<string, any> = {}): void {
+    this.trace.push({ t: this.elapsed(), kind, ...toPlain(fields) });
+    if (this.trace.length > this.traceLimit) {
+      this.trace.shift();
+      this.traceDropped++;
+    }
+  }
+
+  /**
+   * Value of an app read: asked from the app and recorded, or during replay
+   * served from the recording in the same order
+   */
+  read<T>(name: string, produce: () => T): T {
+    let value: T;
+    const supplied = this.supply?.[name];
+    const index = this.supplied[name] ?? 0;
+    if (supplied && index < supplied.length) {
+      value = supplied[index];
+      this.supplied[name] = index + 1;
+    } else {
+      if (this.supply) console.warn(`[Session] Recording has no more "${name}" reads; asking the app`);
+      value = produce();
+    }
+    if (this._reserve()) {
+      (this.reads[name] ??= []).push(toPlain(value));
+    }
+    return value;
+  }
+
+  toJSON(): ChazySession {
+    return {
+      format: SESSION_FORMAT,
+      version: SESSION_VERSION,
+      seed: this.seed,
+      startedAt: this.startedAt,
+      duration: this.elapsed(),
+      inputs: this.inputs,
+      reads: this.reads,
+      trace: this.trace,
+      traceDropped: this.traceDropped,
+      truncated: this.truncated,
+    };
+  }
+
+  private _reserve(): boolean {
+    if (this.truncated) return false;
+    if (this.size >= this.limit) {
+      this.truncated = true;
+      console.warn(`[Session] Inputs stopped after ${this.limit} entries; this session can no longer be replayed`);
+      return false;
+    }
+    this.size++;
+    return true;
+  }
+}
+
+/**
+ * Check that `raw` is a recorded session; throws with the reason if not
+ */
+export function readSession(raw: any): ChazySession {
+  if (!raw || typeof raw !== 'object') throw new Error('not an object');
+  if (raw.format !== SESSION_FORMAT) throw new Error(`not a Chazy session (format "${raw.format}")`);
+  if (raw.version !== SESSION_VERSION) throw new Error(`unsupported session version ${raw.version}`);
+  if (!Number.isFinite(raw.seed) || !Number.isFinite(raw.startedAt) || !Number.isFinite(raw.duration)) {
+    throw new Error('missing seed, startedAt or duration');
+  }
+  if (!Array.isArray(raw.inputs) || !Array.isArray(raw.trace) || !raw.reads || typeof raw.reads !== 'object') {
+    throw new Error('missing inputs, reads or trace');
+  }
+  if (raw.truncated) throw new Error('the recording was truncated and cannot be replayed');
+  return raw as ChazySession;
+}
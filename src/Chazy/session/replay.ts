@@ -0,0 +1,157 @@
+/**
+ * Session Replay
+ *
+ * Plays a recorded session back on a headless Chazy: same seed, same options,
+ * a VirtualClock started at the recorded start time, the recorded inputs
+ * injected at their times and the recorded app reads served in order. The
+ * trace it produces is compared with the recorded one.
+ *
+ * A replay of a replay is exact. A replay of a live session can part ways
+ * where real timer jitter reordered a timer and an input that were close
+ * together; the result names the first entry where that happened.
+ */
+
+import { Chazy } from '../ChazyOrchestrator.js';
+import { VirtualClock } from './clock.js';
+import { createRuntime } from './runtime.js';
+import { readSession, type ChazySession, type SessionInput, type TraceEntry } from './recorder.js';
+
+// ─── Types ─────────────────────────────────────────────────────────────────
+
+export interface Divergence {
+  /** Position in the trace */
+  index: number;
+  /** Recorded entry, or null if the replay went on longer */
+  expected: TraceEntry | null;
+  /** Replayed entry, or null if the replay stopped short */
+  actual: TraceEntry | null;
+}
+
+export interface ReplayResult {
+  /** The replay's own recording, itself replayable */
+  replayed: ChazySession;
+  /** First difference from the recorded trace, or null if they agree */
+  divergence: Divergence | null;
+}
+
+// ─── Comparison ────────────────────────────────────────────────────────────
+
+/**
+ * Same entry apart from its time, which jitters in a live recording
+ */
+function sameEntry(a: TraceEntry, b: TraceEntry): boolean {
+  const { t: _ta, ...restA } = a;
+  const { t: _tb, ...restB } = b;
+  return JSON.stringify(restA) === JSON.stringify(restB);
+}
+
+/**
+ * First place where two traces differ, or null
+ */
+export function compareTraces(expected: TraceEntry[], actual: TraceEntry[]): Divergence | null {
+  const n = Math.max(expected.length, actual.length);
+  for (let i = 0; i < n; i++) {
+    const e = expected[i] ?? null;
+    const a = actual[i] ?? null;
+    if (!e || !a || !sameEntry(e, a)) {
+      return { index: i, expected: e, actual: a };
+    }
+  }
+  return null;
+}
+
+// ─── Replay ────────────────────────────────────────────────────────────────
+
+function applyInput(chazy: Chazy, input: SessionInput): void {
+  switch (input.kind) {
+    case 'event':
+      chazy.route(input.type, input.data ?? {});
+      break;
+    case 'mode':
+      chazy.observeMode(input.type, input.data ?? {});
+      break;
+    case 'interrupt':
+      chazy.interrupt();
+      break;
+    case 'start':
+      chazy.start();
+      break;
+    case 'stop':
+      chazy.stop();
+      break;
+    case 'prediction':
+      chazy.view.textStateMachine?.interruptPredictor.onPrediction?.(input.buttonId ?? null, input.confidence ?? 0);
+      break;
+    default:
+      console.warn(`[Replay] Unknown input "${input.kind}" skipped`);
+  }
+}
+
+/**
+ * Play a recorded session back and compare the traces
+ * @throws if `raw` is not a replayable session
+ */
+export async function replaySession(raw: unknown): Promise<ReplayResult> {
+  const session = readSession(raw);
+  const clock = new VirtualClock(session.startedAt);
+  const runtime = createRuntime({ clock, seed: session.seed, supply: session.reads, replaying: true });
+
+  const init = session.inputs.find(i => i.kind === 'init');
+  const chazy = new Chazy({ ...(init?.options ?? {}), runtime });
+  const container = document.createElement('div');
+
+  try {
+    for (const input of session.inputs) {
+      await clock.advanceTo(session.startedAt + input.t);
+      if (input.kind === 'init') {
+        // Loading the lines takes real time but no virtual time
+        await chazy.init(container, () => 'idle');
+      } else {
+        applyInput(chazy, input);
+      }
+    }
+    await clock.advanceTo(session.startedAt + session.duration);
+  } finally {
+    chazy.stop();
+    chazy.view.unmount();
+  }
+
+  return {
+    replayed: runtime.recorder.toJSON(),
+    divergence: compareTraces(session.trace, runtime.recorder.trace),
+  };
+}
+
+// Debug utilities
+if (typeof window !== 'undefined') {
+  const w = window as any;
+  w.chazyDebug = w.chazyDebug || {};
+
+  // Recording of the live session so far, downloaded as JSON for a bug report
+  w.chazyDebug.exportSession = (): ChazySession | null => {
+    const session: ChazySession | undefined = w.chazy?.runtime?.recorder?.toJSON();
+    if (!session) {
+      console.warn('Chazy not available');
+      return null;
+    }
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(new Blob([JSON.stringify(session)], { type: 'application/json' }));
+    a.download = `chazy-session-${new Date(session.startedAt).toISOString().replace(/[:.]/g, '-')}.json`;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(a.href), 1500);
+    console.log(`[Session] Exported ${session.inputs.length} inputs and ${session.trace.length} trace entries`);
+    return session;
+  };
+
+  // Replay a session (object or JSON text; the live one if omitted) and report the first divergence
+  w.chazyDebug.replaySession = async (session?: unknown): Promise<ReplayResult | null> => {
+    const raw = typeof session === 'string' ? JSON.parse(session) : session ?? w.chazy?.runtime?.recorder?.toJSON();
+    const result = await replaySession(raw);
+    if (result.divergence) {
+      console.warn(`[Replay] Diverged at trace entry ${result.divergence.index}:`, result.divergence);
+    } else {
+      console.log(`[Replay] Matches the recording (${result.replayed.trace.length} trace entries)`);
+    }
+    return result;
+  };
+}
@@ -0,0 +1,37 @@
+/**
+ * Chazy runtime: the clock, the seeded randomness and the session recorder
+ * one Chazy instance runs on. The live instance gets the real clock and a
+ * fresh seed; a replay gets a VirtualClock, the recorded seed and the
+ * recorded app reads.
+ */
+
+import { realClock, type ChazyClock } from './clock.js';
+import { createRandomSource, type RandomSource } from './random.js';
+import { SessionRecorder } from './recorder.js';
+
+export interface ChazyRuntime {
+  clock: ChazyClock;
+  random: RandomSource;
+  recorder: SessionRecorder;
+  /** Replaying a recording: nothing is persisted */
+  replaying: boolean;
+}
+
+export interface RuntimeOptions {
+  clock?: ChazyClock;
+  seed?: number;
+  /** Recorded app reads, for replay */
+  supply?: Record<string, any[]>;
+  replaying?: boolean;
+}
+
+export function createRuntime(options: RuntimeOptions = {}): ChazyRuntime {
+  const clock = options.clock ?? realClock;
+  const random = createRandomSource(options.seed);
+  return {
+    clock,
+    random,
+    recorder: new SessionRecorder({ seed: random.seed, clock, supply: options.supply }),
+    replaying: options.replaying ?? false,
+  };
+}
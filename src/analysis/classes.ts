@@ -0,0 +1,121 @@
+/**
+ * Reading outcomes back off rendered pixels
+ *
+ * frag.glsl writes fixed colours for invalid initial conditions and t = 0
+ * collisions in every mode, and encodes the event class (mode 0, mode 6),
+ * shape phase (hue) and diffusion index (lightness) in the others. These
+ * decoders invert that; keep them in sync with the shader and the legend.
+ * The optional data pass writes exact values instead (decodeProbeData).
+ */
+
+import {
+  MODE_TIME_TO_EVENT, COLLISION_RAMP, ESCAPE_RAMP, rampPosition, type RGB,
+} from '../sim/diagnostics.js';
+
+/** Event classes of mode 0 in legend order */
+export const EVENT_CLASSES = ['degenerate', 'coll t₀', 'coll 01', 'coll 02', 'coll 12', 'esc 0', 'esc 1', 'esc 2', 'bounded'] as const;
+/** Event classes of the time-to-event mode */
+export const TIME_TO_EVENT_CLASSES = ['degenerate', 'coll t₀', 'collision', 'escape', 'bounded'] as const;
+
+/** Event pixels darker than this are bounded (late collisions fade towards black too) */
+const DARK = 0.02;
+
+/**
+ * 'degenerate' (white) or 'coll t₀' (orange), which the shader writes before
+ * integrating in any mode; null for every other colour
+ */
+export function specialClass(rgb: RGB): 'degenerate' | 'coll t₀' | null {
+  const [r, g, b] = rgb;
+  if (r > 0.9 && g > 0.9 && b > 0.9) return 'degenerate';
+  if (r > 0.9 && g > 0.45 && g < 0.75 && b < 0.1) return 'coll t₀';
+  return null;
+}
+
+/**
+ * True for the modes whose pixels encode a discrete outcome
+ */
+export function isEventMode(mode: number): boolean {
+  return mode === 0 || mode === MODE_TIME_TO_EVENT;
+}
+
+/**
+ * Class labels of an event mode (empty for other modes)
+ */
+export function eventClasses(mode: number): readonly string[] {
+  if (mode === 0) return EVENT_CLASSES;
+  if (mode === MODE_TIME_TO_EVENT) return TIME_TO_EVENT_CLASSES;
+  return [];
+}
+
+/**
+ * Outcome class of an event-mode pixel, using the legend's labels
+ */
+export function eventClass(mode: number, rgb: RGB): string {
+  const special = specialClass(rgb);
+  if (special) return special;
+  const [r, g, b] = rgb;
+  if (Math.max(r, g, b) < DARK) return 'bounded';
+  if (mode === MODE_TIME_TO_EVENT) {
+    return rampPosition(COLLISION_RAMP, rgb).dist <= rampPosition(ESCAPE_RAMP, rgb).dist ? 'collision' : 'escape';
+  }
+  // Escapes are written at a fixed 0.8 on two channels; collisions on one channel only
+  if (r > 0.5 && g > 0.5) return 'esc 0';
+  if (r > 0.5 && b > 0.5) return 'esc 1';
+  if (g > 0.5 && b > 0.5) return 'esc 2';
+  if (r >= g && r >= b) return 'coll 01';
+  return g >= b ? 'coll 02' : 'coll 12';
+}
+
+/**
+ * Hue angle of a pixel in degrees [0, 360), or null when it is too grey to carry one
+ */
+export function pixelHue(rgb: RGB): number | null {
+  const [r, g, b] = rgb;
+  const max = Math.max(r, g, b), min = Math.min(r, g, b);
+  const c = max - min;
+  if (c < 0.05) return null;
+  const h = max === r ? ((g - b) / c) % 6 : max === g ? (b - r) / c + 2 : (r - g) / c + 4;
+  return (h * 60 + 360) % 360;
+}
+
+/**
+ * Shape phase θ ∈ [−π, π) of a phase-mode pixel (frag.glsl maps θ onto hue 0–360°)
+ */
+export function pixelPhase(rgb: RGB): number | null {
+  const h = pixelHue(rgb);
+  return h === null ? null : h / 360 * 2 * Math.PI - Math.PI;
+}
+
+/**
+ * Diffusion index ∈ [0, 1] (the shader's `diff`) of a mode 1 or mode 3 pixel
+ */
+export function pixelDiffusion(mode: number, rgb: RGB): number {
+  const max = Math.max(...rgb), min = Math.min(...rgb);
+  // Mode 3: grey mix(0.95, 0.05, d); mode 1: HSL lightness mix(0.65, 0.22, d)
+  const d = mode === 3 ? (0.95 - max) / 0.9 : (0.65 - (max + min) / 2) / 0.43;
+  return Math.max(0, Math.min(1, d));
+}
+
+/** Outcome classes of the probe data target, indexed by its class byte */
+export const DATA_CLASSES = ['bounded', 'degenerate', 'coll t₀', 'coll 01', 'coll 02', 'coll 12', 'esc 0', 'esc 1', 'esc 2'] as const;
+
+export interface ProbeData {
+  outcome: (typeof DATA_CLASSES)[number];
+  /** Time of the collision or escape; for bounded orbits the time integrated */
+  time: number;
+  /** Diffusion index ∈ [0, 1], or null where the orbit ended before both windows */
+  diffusion: number | null;
+}
+
+/**
+ * Decode a texel of the data target (encodeData in frag.glsl)
+ */
+export function decodeProbeData(texel: ArrayLike<number>, horizon: number): ProbeData | null {
+  const outcome = DATA_CLASSES[texel[0]];
+  if (!outcome) return null;
+  return {
+    outcome,
+    time: ((texel[1] * 256 + texel[2]) / 65535) * horizon,
+    diffusion: texel[3] === 255 ? null : texel[3] / 254,
+  };
+}
@@ -0,0 +1,273 @@
+/**
+ * View statistics
+ *
+ * Numbers about a rendered view, accumulated from its RGBA pixels in bands
+ * (tiles or rows) so a large frame never has to be read back at once: the
+ * area fraction of each outcome class, a box-counting estimate of the fractal
+ * dimension of the boundaries between event classes, and histograms of the
+ * phase, diffusion and diagnostic values the other modes encode.
+ */
+
+import {
+  MODE_FTLE, MODE_TIME_TO_EVENT, MODE_ENERGY_DRIFT,
+  FTLE_RAMP, COLLISION_RAMP, ESCAPE_RAMP, ENERGY_RAMP, FTLE_MAX, ENERGY_LOG_MIN, ENERGY_LOG_MAX,
+  rampPosition, type RGB,
+} from '../sim/diagnostics.js';
+import {
+  eventClass, eventClasses, isEventMode, specialClass, pixelPhase, pixelDiffusion,
+} from './classes.js';
+
+/** Bins per histogram */
+const HIST_BINS = 32;
+/** Longest edge of the class map used for box counting; larger views are subsampled */
+const LABEL_MAX = 4096;
+/** Box sizes stop once fewer than this many boxes fit along the shorter edge */
+const MIN_BOXES_PER_EDGE = 8;
+/** Box sizes needed for a slope */
+const MIN_SCALES = 3;
+
+/** Classes of the non-event modes: the shader's fixed colours, then everything it integrated */
+const VALUE_MODE_CLASSES = ['degenerate', 'coll t₀', 'integrated'] as const;
+
+export interface ClassCount {
+  label: string;
+  count: number;
+  fraction: number;
+}
+
+export interface Histogram {
+  label: string;
+  min: number;
+  max: number;
+  counts: number[];
+  /** Pixels that carried a value */
+  samples: number;
+}
+
+export interface BoxCount {
+  /** Box edge in pixels of the full view */
+  size: number;
+  /** Boxes containing part of a boundary */
+  boxes: number;
+}
+
+export interface BoundaryDimension {
+  /** Slope of log N(s) against log(1/s) */
+  dimension: number;
+  /** Coefficient of determination of that fit */
+  r2: number;
+  scales: BoxCount[];
+  /** Class map sampled every `stride` pixels */
+  stride: number;
+}
+
+export interface ViewStats {
+  mode: number;
+  width: number;
+  height: number;
+  total: number;
+  classes: ClassCount[];
+  /** Event modes with at least one boundary only */
+  boundary: BoundaryDimension | null;
+  histograms: Histogram[];
+}
+
+export interface ViewAnalyzer {
+  /** Add a block of RGBA pixels at (x0, y0), top-down rows */
+  add(data: Uint8ClampedArray, x0: number, y0: number, w: number, h: number): void;
+  finish(): ViewStats;
+}
+
+interface Quantity {
+  label: string;
+  min: number;
+  max: number;
+  /** Value of a pixel, or null if it carries none */
+  read: (rgb: RGB) => number | null;
+}
+
+/**
+ * Values histogrammed for a render mode
+ */
+function quantities(mode: number): Quantity[] {
+  const phase: Quantity = { label: 'shape phase θ', min: -Math.PI, max: Math.PI, read: pixelPhase };
+  const diffusion: Quantity = { label: 'diffusion', min: 0, max: 1, read: rgb => pixelDiffusion(mode, rgb) };
+  switch (mode) {
+    case 1: return [phase, diffusion];
+    case 2: return [phase];
+    case 3: return [diffusion];
+    case MODE_FTLE:
+      return [{ label: 'FTLE λ', min: 0, max: FTLE_MAX, read: rgb => rampPosition(FTLE_RAMP, rgb).t * FTLE_MAX }];
+    case MODE_TIME_TO_EVENT:
+      return [{
+        label: 't_event / horizon', min: 0, max: 1,
+        read: rgb => {
+          const cls = eventClass(mode, rgb);
+          if (cls === 'collision') return rampPosition(COLLISION_RAMP, rgb).t;
+          if (cls === 'escape') return rampPosition(ESCAPE_RAMP, rgb).t;
+          return null;
+        },
+      }];
+    case MODE_ENERGY_DRIFT:
+      return [{
+        label: 'log₁₀ |ΔE/E₀|', min: ENERGY_LOG_MIN, max: ENERGY_LOG_MAX,
+        read: rgb => ENERGY_LOG_MIN + rampPosition(ENERGY_RAMP, rgb).t * (ENERGY_LOG_MAX - ENERGY_LOG_MIN),
+      }];
+    default: return [];
+  }
+}
+
+/**
+ * Least-squares slope of y against x and its r²
+ */
+function fitLine(xs: number[], ys: number[]): { slope: number; r2: number } {
+  const n = xs.length;
+  const mx = xs.reduce((s, x) => s + x, 0) / n;
+  const my = ys.reduce((s, y) => s + y, 0) / n;
+  let sxy = 0, sxx = 0, syy = 0;
+  for (let i = 0; i < n; i++) {
+    sxy += (xs[i] - mx) * (ys[i] - my);
+    sxx += (xs[i] - mx) ** 2;
+    syy += (ys[i] - my) ** 2;
+  }
+  const slope = sxy / sxx;
+  return { slope, r2: syy > 0 ? (sxy * sxy) / (sxx * syy) : 1 };
+}
+
+/**
+ * Box-counting dimension of the boundaries in a class map. A pixel is on a
+ * boundary if its right or lower neighbour has another class; each larger
+ * box size is a 2×2 max-pool of the previous level.
+ */
+export function boundaryDimension(labels: Uint8Array, w: number, h: number, stride = 1): BoundaryDimension | null {
+  let level = new Uint8Array(w * h);
+  let any = false;
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const i = y * w + x;
+      const l = labels[i];
+      if ((x + 1 < w && labels[i + 1] !== l) || (y + 1 < h && labels[i + w] !== l)) { level[i] = 1; any = true; }
+    }
+  }
+  if (!any) return null;
+
+  const scales: BoxCount[] = [];
+  let lw = w, lh = h, size = 1;
+  while (Math.min(lw, lh) >= MIN_BOXES_PER_EDGE) {
+    scales.push({ size: size * stride, boxes: level.reduce((s, v) => s + v, 0) });
+    const nw = Math.ceil(lw / 2), nh = Math.ceil(lh / 2);
+    const next = new Uint8Array(nw * nh);
+    for (let y = 0; y < lh; y++) {
+      for (let x = 0; x < lw; x++) {
+        if (level[y * lw + x]) next[(y >> 1) * nw + (x >> 1)] = 1;
+      }
+    }
+    level = next; lw = nw; lh = nh; size *= 2;
+  }
+  if (scales.length < MIN_SCALES) return null;
+  const { slope, r2 } = fitLine(scales.map(s => -Math.log(s.size)), scales.map(s => Math.log(s.boxes)));
+  return { dimension: slope, r2, scales, stride };
+}
+
+/**
+ * Start accumulating statistics for a w×h view rendered in `mode`
+ */
+export function createViewAnalyzer(mode: number, width: number, height: number): ViewAnalyzer {
+  const event = isEventMode(mode);
+  const classLabels: readonly string[] = event ? eventClasses(mode) : VALUE_MODE_CLASSES;
+  const classCounts = new Array(classLabels.length).fill(0);
+  const qs = quantities(mode);
+  const hists = qs.map(() => new Array(HIST_BINS).fill(0));
+  const samples = qs.map(() => 0);
+
+  const stride = Math.max(1, Math.ceil(Math.max(width, height) / LABEL_MAX));
+  const lw = Math.ceil(width / stride), lh = Math.ceil(height / stride);
+  const labels = event ? new Uint8Array(lw * lh) : null;
+
+  // Decoding per distinct colour: rendered views use few of them
+  const cache = new Map<number, { cls: number; values: (number | null)[] }>();
+  function decode(r: number, g: number, b: number) {
+    const key = (r << 16) | (g << 8) | b;
+    let hit = cache.get(key);
+    if (!hit) {
+      const rgb: RGB = [r / 255, g / 255, b / 255];
+      const special = specialClass(rgb);
+      const cls = event
+        ? classLabels.indexOf(eventClass(mode, rgb))
+        : special ? classLabels.indexOf(special) : classLabels.length - 1;
+      hit = { cls, values: special ? qs.map(() => null) : qs.map(q => q.read(rgb)) };
+      cache.set(key, hit);
+    }
+    return hit;
+  }
+
+  return {
+    add(data, x0, y0, w, h) {
+      for (let y = 0; y < h; y++) {
+        const gy = y0 + y;
+        const onRow = labels && gy % stride === 0;
+        for (let x = 0; x < w; x++) {
+          const i = (y * w + x) * 4;
+          const { cls, values } = decode(data[i], data[i + 1], data[i + 2]);
+          classCounts[cls]++;
+          for (let k = 0; k < values.length; k++) {
+            const v = values[k];
+            if (v === null) continue;
+            const q = qs[k];
+            const bin = Math.min(HIST_BINS - 1, Math.max(0, Math.floor((v - q.min) / (q.max - q.min) * HIST_BINS)));
+            hists[k][bin]++;
+            samples[k]++;
+          }
+          const gx = x0 + x;
+          if (onRow && gx % stride === 0) labels![(gy / stride) * lw + gx / stride] = cls;
+        }
+      }
+    },
+
+    finish() {
+      const total = classCounts.reduce((s, n) => s + n, 0);
+      return {
+        mode,
+        width,
+        height,
+        total,
+        classes: classLabels.map((label, i) => ({ label, count: classCounts[i], fraction: total ? classCounts[i] / total : 0 })),
+        boundary: labels ? boundaryDimension(labels, lw, lh, stride) : null,
+        histograms: qs.map((q, k) => ({ label: q.label, min: q.min, max: q.max, counts: hists[k], samples: samples[k] })),
+      };
+    },
+  };
+}
+
+/**
+ * Flat rows (section, key, value, fraction) for CSV export; the state comes first
+ */
+export function statsRows(stats: ViewStats, doc: any): (string | number)[][] {
+  const rows: (string | number)[][] = [];
+  const walk = (obj: any, prefix: string) => {
+    for (const [k, v] of Object.entries(obj)) {
+      const path = prefix ? `${prefix}.${k}` : k;
+      if (v && typeof v === 'object' && !Array.isArray(v)) walk(v, path);
+      else if (Array.isArray(v)) rows.push(['state', path, v.every(x => typeof x === 'number') ? v.join(' ') : JSON.stringify(v), '']);
+      else rows.push(['state', path, String(v), '']);
+    }
+  };
+  walk(doc, '');
+  rows.push(['view', 'size', `${stats.width}x${stats.height}`, '']);
+  for (const c of stats.classes) rows.push(['class', c.label, c.count, c.fraction]);
+  if (stats.boundary) {
+    rows.push(['boundary', 'dimension', stats.boundary.dimension, '']);
+    rows.push(['boundary', 'r2', stats.boundary.r2, '']);
+    for (const s of stats.boundary.scales) rows.push(['boxes', s.size, s.boxes, '']);
+  }
+  for (const h of stats.histograms) {
+    const step = (h.max - h.min) / h.counts.length;
+    h.counts.forEach((n, i) => rows.push([
+      `histogram ${h.label}`,
+      `${(h.min + i * step).toPrecision(4)}..${(h.min + (i + 1) * step).toPrecision(4)}`,
+      n,
+      h.samples ? n / h.samples : 0,
+    ]));
+  }
+  return rows;
+}
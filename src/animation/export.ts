@@ -0,0 +1,174 @@
+/**
+ * Animation export
+ *
+ * Renders every frame of a keyframe timeline through ThreeBodyRenderer into
+ * PNGs (each carrying its own embedded state), then packs them as a zip or
+ * replays them into a WebM via MediaRecorder. Rendered frames are kept after
+ * an abort, so exporting the same timeline again resumes where it stopped.
+ */
+
+import type { State } from '../state.js';
+import { stateAtFrame, timelineLength, type Easing, type Keyframe } from './keyframes.js';
+import { exportStatePNG } from '../ui/core/stateFile.js';
+import { createZip } from '../utils/zip.js';
+
+export type AnimationFormat = 'zip' | 'webm';
+
+export interface AnimationOptions {
+  res: number;
+  fps: number;
+  easing: Easing;
+  format: AnimationFormat;
+}
+
+export interface AnimationProgress {
+  phase: 'render' | 'encode';
+  done: number;
+  total: number;
+  resumed: boolean;
+}
+
+export interface AnimationResult {
+  aborted: boolean;
+  blob: Blob | null;
+  done: number;
+  total: number;
+}
+
+export interface AnimationExporter {
+  run(keys: Keyframe[], opts: AnimationOptions, onProgress: (p: AnimationProgress) => void): Promise<AnimationResult>;
+  abort(): void;
+  isRunning(): boolean;
+  /** Frames already rendered for this timeline/options (0 if a run would start fresh) */
+  resumableFrames(keys: Keyframe[], opts: AnimationOptions): number;
+}
+
+const WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+/**
+ * Best WebM MIME type this browser can record, or null if none
+ */
+export function webmMimeType(): string | null {
+  if (typeof MediaRecorder === 'undefined' || !HTMLCanvasElement.prototype.captureStream) return null;
+  return WEBM_TYPES.find(t => MediaRecorder.isTypeSupported(t)) ?? null;
+}
+
+const nextFrame = () => new Promise<void>(resolve => requestAnimationFrame(() => resolve()));
+const sleep = (ms: number) => new Promise<void>(resolve => setTimeout(resolve, ms));
+
+/**
+ * Play frames back in real time into a MediaRecorder. Returns null if aborted.
+ */
+async function encodeWebM(
+  frames: Blob[],
+  fps: number,
+  size: number,
+  aborted: () => boolean,
+  onFrame: (done: number) => void
+): Promise<Blob | null> {
+  const mimeType = webmMimeType();
+  if (!mimeType) throw new Error('WebM recording is not supported in this browser');
+  const canvas = document.createElement('canvas');
+  canvas.width = canvas.height = size;
+  const ctx = canvas.getContext('2d')!;
+  const stream = canvas.captureStream(0);
+  const track = stream.getVideoTracks()[0] as CanvasCaptureMediaStreamTrack;
+  const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: Math.min(40e6, size * size * fps * 0.25) });
+  const chunks: Blob[] = [];
+  recorder.ondataavailable = (e) => { if (e.data.size) chunks.push(e.data); };
+  const stopped = new Promise<void>(resolve => { recorder.onstop = () => resolve(); });
+
+  const frameMs = 1000 / fps;
+  recorder.start();
+  const t0 = performance.now();
+  for (let i = 0; i < frames.length; i++) {
+    if (aborted()) break;
+    const bitmap = await createImageBitmap(frames[i]);
+    ctx.drawImage(bitmap, 0, 0, size, size);
+    bitmap.close();
+    track.requestFrame();
+    onFrame(i + 1);
+    await sleep(Math.max(0, t0 + (i + 1) * frameMs - performance.now()));
+  }
+  recorder.stop();
+  await stopped;
+  stream.getTracks().forEach(t => t.stop());
+  return aborted() ? null : new Blob(chunks, { type: mimeType.split(';')[0] });
+}
+
+/**
+ * @param renderer - ThreeBodyRenderer drawing into glCanvas
+ * @param toState - Turns a canonical document into a standalone State
+ */
+export function createAnimationExporter(
+  renderer: any,
+  glCanvas: HTMLCanvasElement,
+  toState: (doc: any) => State
+): AnimationExporter {
+  let job: { key: string; frames: Blob[] } | null = null;
+  let running = false;
+  let aborting = false;
+
+  // fps and container only matter when packing, so they don't invalidate frames
+  const jobKey = (keys: Keyframe[], opts: AnimationOptions) =>
+    JSON.stringify({ keys, res: opts.res, easing: opts.easing });
+
+  async function run(keys: Keyframe[], opts: AnimationOptions, onProgress: (p: AnimationProgress) => void): Promise<AnimationResult> {
+    if (running) throw new Error('An animation export is already running');
+    if (keys.length < 2) throw new Error('Add at least two keyframes');
+    running = true;
+    aborting = false;
+    try {
+      const key = jobKey(keys, opts);
+      const resumed = job?.key === key && job.frames.length > 0;
+      if (!resumed) job = { key, frames: [] };
+      const frames = job!.frames;
+      const total = timelineLength(keys);
+
+      const frameCanvas = document.createElement('canvas');
+      frameCanvas.width = frameCanvas.height = opts.res;
+      const frame2d = frameCanvas.getContext('2d')!;
+
+      for (let f = frames.length; f < total; f++) {
+        if (aborting) return { aborted: true, blob: null, done: f, total };
+        const doc = stateAtFrame(keys, f, opts.easing);
+        doc.render.res = opts.res;
+        const st = toState(doc);
+        renderer.renderNormal(st, opts.res);
+        frame2d.drawImage(glCanvas, 0, 0);
+        frames.push(await exportStatePNG(frameCanvas, st, 'webgl'));
+        onProgress({ phase: 'render', done: f + 1, total, resumed });
+        await nextFrame();
+      }
+
+      let blob: Blob | null;
+      if (opts.format === 'webm') {
+        blob = await encodeWebM(frames, opts.fps, opts.res, () => aborting,
+          (done) => onProgress({ phase: 'encode', done, total, resumed }));
+      } else {
+        const digits = String(total).length;
+        const entries = [];
+        for (let i = 0; i < frames.length; i++) {
+          if (aborting) break;
+          entries.push({
+            name: `frame_${String(i + 1).padStart(Math.max(4, digits), '0')}.png`,
+            data: new Uint8Array(await frames[i].arrayBuffer()),
+          });
+          onProgress({ phase: 'encode', done: i + 1, total, resumed });
+        }
+        blob = aborting ? null : createZip(entries);
+      }
+      if (!blob) return { aborted: true, blob: null, done: total, total };
+      return { aborted: false, blob, done: total, total };
+    } finally {
+      running = false;
+    }
+  }
+
+  return {
+    run,
+    abort: () => { if (running) aborting = true; },
+    isRunning: () => running,
+    resumableFrames: (keys, opts) => job?.key === jobKey(keys, opts) ? job.frames.length : 0,
+  };
+}
@@ -3,8 +3,9 @@
  * Maps keyboard navigation actions to canvas operations
  */
 
-import { state } from './state.ts';
-import { panByPixels, zoomAt, resetView } from './interaction/gestures.ts';
+import { state, MODE_INFO } from './state.ts';
+import { panByPixels, zoomAt, resetView, rotateGamma, tiltBy } from './interaction/gestures.ts';
+import { attachDynamicBehaviorBatch as refitPickerLabel } from './ui/components/picker/PickerLabel.js';
 
 export interface CanvasActionContext {
   glCanvas: HTMLCanvasElement;
@@ -13,6 +14,10 @@ export interface CanvasActionContext {
   writeHash?: () => void;
   updateStateBox?: () => void;
   drawHUD?: () => void;
+  /** Start a full render of the current state */
+  render?: () => void;
+  /** Stop a running or pending render */
+  abortRender?: () => void;
 }
 
 export interface PanPayload {
@@ -24,7 +29,37 @@ export interface ZoomPayload {
   delta?: number;
 }
 
-export type CanvasActionPayload = PanPayload | ZoomPayload | Record<string, never>;
+export interface GammaPayload {
+  /** Degrees */
+  delta?: number;
+}
+
+export interface TiltPayload {
+  d1?: number;
+  d2?: number;
+}
+
+export interface ModePayload {
+  /** +1 for the next render mode, -1 for the previous */
+  step?: number;
+}
+
+export type CanvasActionPayload = PanPayload | ZoomPayload | GammaPayload | TiltPayload | ModePayload | Record<string, never>;
+
+/**
+ * Render mode `step` places from the current one, wrapping around
+ */
+function cycleMode(step: number): void {
+  const modes = Object.keys(MODE_INFO).map(Number);
+  const i = modes.indexOf(state.mode);
+  state.mode = modes[((i < 0 ? 0 : i + step) % modes.length + modes.length) % modes.length];
+  const select = document.getElementById('mode') as HTMLSelectElement | null;
+  const name = document.getElementById('modeName');
+  const label = document.getElementById('modeLabel');
+  if (select) select.value = String(state.mode);
+  if (name) name.textContent = MODE_INFO[state.mode]?.name || '';
+  if (label) refitPickerLabel([label]);
+}
 
 /**
  * Dispatch canvas action from keyboard navigation
@@ -71,6 +106,46 @@ export function dispatchCanvasAction(
       break;
     }
 
+    case 'gamma': {
+      const { delta = 0 } = payload as GammaPayload;
+      rotateGamma(delta);
+      if (scheduleRender) scheduleRender('γ key');
+      if (writeHash) writeHash();
+      if (updateStateBox) updateStateBox();
+      if (drawHUD) drawHUD();
+      break;
+    }
+
+    case 'tilt': {
+      const { d1 = 0, d2 = 0 } = payload as TiltPayload;
+      tiltBy(d1, d2);
+      if (scheduleRender) scheduleRender('tilt key');
+      if (writeHash) writeHash();
+      if (updateStateBox) updateStateBox();
+      if (drawHUD) drawHUD();
+      break;
+    }
+
+    case 'mode': {
+      const { step = 1 } = payload as ModePayload;
+      cycleMode(step);
+      if (scheduleRender) scheduleRender('mode');
+      if (writeHash) writeHash();
+      if (updateStateBox) updateStateBox();
+      if (drawHUD) drawHUD();
+      break;
+    }
+
+    case 'render': {
+      if (context.render) context.render();
+      break;
+    }
+
+    case 'abort': {
+      if (context.abortRender) context.abortRender();
+      break;
+    }
+
     default:
       console.warn(`[canvas-actions] Unknown action: ${action}`);
   }
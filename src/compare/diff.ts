@@ -0,0 +1,95 @@
+/**
+ * A/B comparison of rendered frames
+ *
+ * Decides, per render mode, whether two pixels of the same view show a
+ * different outcome: event modes compare the decoded class, phase modes the
+ * hue angle and the remaining modes the colour itself (decoders in
+ * analysis/classes.ts).
+ */
+
+import type { RGB } from '../sim/diagnostics.js';
+import { eventClass, isEventMode, pixelHue, pixelPhase } from '../analysis/classes.js';
+
+/** Hue difference (degrees) above which two phase pixels count as different */
+const PHASE_TOL_DEG = 15;
+/** RGB distance (0–1 per channel) above which two value pixels count as different */
+const VALUE_TOL = 0.08;
+
+/** Colour of changed pixels in the difference map */
+const CHANGED_RGB = [235, 40, 110];
+/** Unchanged pixels keep this fraction of their luminance, over a light ground */
+const UNCHANGED_FADE = 0.3;
+
+export type CompareKind = 'class' | 'phase' | 'value';
+
+/**
+ * How pixels of a render mode are compared
+ */
+export function compareKind(mode: number): CompareKind {
+  if (isEventMode(mode)) return 'class';
+  if (mode === 1 || mode === 2) return 'phase';
+  return 'value';
+}
+
+/**
+ * Short description of a pixel for the probe: class, hue or colour
+ */
+export function describePixel(mode: number, rgb: RGB): string {
+  const kind = compareKind(mode);
+  if (kind === 'class') return eventClass(mode, rgb);
+  if (kind === 'phase') {
+    const theta = pixelPhase(rgb);
+    return theta === null ? 'no phase' : `θ ≈ ${theta.toFixed(2)}`;
+  }
+  return `rgb(${rgb.map(x => Math.round(x * 255)).join(', ')})`;
+}
+
+/**
+ * True if the two pixels show a different outcome in this render mode
+ */
+export function pixelsDiffer(mode: number, a: RGB, b: RGB): boolean {
+  const kind = compareKind(mode);
+  if (kind === 'class') return eventClass(mode, a) !== eventClass(mode, b);
+  if (kind === 'phase') {
+    const ha = pixelHue(a), hb = pixelHue(b);
+    if (ha === null || hb === null) return (ha === null) !== (hb === null);
+    const d = Math.abs(ha - hb) % 360;
+    return Math.min(d, 360 - d) > PHASE_TOL_DEG;
+  }
+  return Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]) > VALUE_TOL;
+}
+
+export interface DiffResult {
+  changed: number;
+  total: number;
+  /** Class modes only: counts per "A class → B class", most frequent first */
+  transitions: [string, number][];
+}
+
+/**
+ * Compare two RGBA frames of equal size and write the difference map into `out`:
+ * changed pixels highlighted, unchanged ones as faded greyscale of A.
+ */
+export function diffFrames(mode: number, a: Uint8ClampedArray, b: Uint8ClampedArray, out: Uint8ClampedArray): DiffResult {
+  const kind = compareKind(mode);
+  const counts = new Map<string, number>();
+  const pa: RGB = [0, 0, 0], pb: RGB = [0, 0, 0];
+  let changed = 0;
+  for (let i = 0; i < a.length; i += 4) {
+    for (let k = 0; k < 3; k++) { pa[k] = a[i + k] / 255; pb[k] = b[i + k] / 255; }
+    if (pixelsDiffer(mode, pa, pb)) {
+      changed++;
+      out[i] = CHANGED_RGB[0]; out[i + 1] = CHANGED_RGB[1]; out[i + 2] = CHANGED_RGB[2];
+      if (kind === 'class') {
+        const key = `${eventClass(mode, pa)} → ${eventClass(mode, pb)}`;
+        counts.set(key, (counts.get(key) ?? 0) + 1);
+      }
+    } else {
+      const lum = 0.299 * a[i] + 0.587 * a[i + 1] + 0.114 * a[i + 2];
+      out[i] = out[i + 1] = out[i + 2] = 255 - (255 - lum) * UNCHANGED_FADE;
+    }
+    out[i + 3] = 255;
+  }
+  const transitions = [...counts].sort((x, y) => y[1] - x[1]);
+  return { changed, total: a.length / 4, transitions };
+}
@@ -0,0 +1,111 @@
+/**
+ * Bookmarks
+ *
+ * Named, tagged snapshots of the canonical state with a thumbnail, and the
+ * single-file collection format they are exported and imported as. States
+ * are validated (and migrated) the same way as pasted JSON.
+ */
+
+import { validateCanonical, formatStateIssues, type CanonicalState } from '../state.js';
+
+export interface Bookmark {
+  id: string;
+  name: string;
+  tags: string[];
+  /** Creation time, ms since the epoch */
+  created: number;
+  state: CanonicalState;
+  /** JPEG data URL, or null if none was taken */
+  thumb: string | null;
+}
+
+/** Marks an exported collection file */
+export const COLLECTION_FORMAT = 'three-body-bookmarks';
+const COLLECTION_VERSION = 1;
+
+export function newBookmarkId(): string {
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+}
+
+/**
+ * Tags from free text: split on commas and whitespace, lower-cased, unique
+ */
+export function parseTags(text: string): string[] {
+  return [...new Set(text.split(/[,\s]+/).map(t => t.trim().toLowerCase()).filter(Boolean))];
+}
+
+/**
+ * True if every word of the query appears in the name or starts a tag
+ */
+export function matchesQuery(b: { name: string; tags: string[] }, query: string): boolean {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  const name = b.name.toLowerCase();
+  return words.every(w => name.includes(w) || b.tags.some(t => t.startsWith(w.replace(/^#/, ''))));
+}
+
+/**
+ * Check one bookmark read from storage or a file; throws with the reason if unusable
+ */
+export function readBookmark(raw: any): Bookmark {
+  if (!raw || typeof raw !== 'object') throw new Error('not an object');
+  if (typeof raw.name !== 'string' || !raw.name.trim()) throw new Error('missing name');
+  const { doc, issues } = validateCanonical(raw.state);
+  const message = formatStateIssues(issues);
+  if (message) throw new Error(message);
+  return {
+    id: typeof raw.id === 'string' && raw.id ? raw.id : newBookmarkId(),
+    name: raw.name.trim(),
+    tags: Array.isArray(raw.tags) ? parseTags(raw.tags.filter((t: any) => typeof t === 'string').join(',')) : [],
+    created: Number.isFinite(raw.created) ? raw.created : Date.now(),
+    state: doc,
+    thumb: typeof raw.thumb === 'string' && raw.thumb.startsWith('data:image/') ? raw.thumb : null,
+  };
+}
+
+/**
+ * The whole collection as one JSON file
+ */
+export function serializeCollection(bookmarks: Bookmark[]): string {
+  return JSON.stringify({
+    format: COLLECTION_FORMAT,
+    version: COLLECTION_VERSION,
+    exportedAt: new Date().toISOString(),
+    bookmarks,
+  }, null, 2);
+}
+
+/**
+ * Read a collection file. Throws if it is not one; bookmarks that fail
+ * validation are skipped and counted.
+ */
+export function parseCollection(text: string): { bookmarks: Bookmark[]; skipped: number } {
+  let file: any;
+  try { file = JSON.parse(text); }
+  catch { throw new Error('Not a JSON file'); }
+  if (file?.format !== COLLECTION_FORMAT || !Array.isArray(file.bookmarks)) {
+    throw new Error('Not a bookmark collection');
+  }
+  if (file.version > COLLECTION_VERSION) {
+    throw new Error(`Collection version ${file.version} is newer than this build supports`);
+  }
+  const bookmarks: Bookmark[] = [];
+  let skipped = 0;
+  for (const raw of file.bookmarks) {
+    try { bookmarks.push(readBookmark(raw)); }
+    catch { skipped++; }
+  }
+  return { bookmarks, skipped };
+}
+
+/**
+ * Add imported bookmarks to a collection; an import with an existing id replaces it
+ */
+export function mergeBookmarks(existing: Bookmark[], incoming: Bookmark[]): { bookmarks: Bookmark[]; added: number; replaced: number } {
+  const byId = new Map(existing.map(b => [b.id, b]));
+  let added = 0, replaced = 0;
+  for (const b of incoming) {
+    if (byId.has(b.id)) replaced++; else added++;
+    byId.set(b.id, b);
+  }
+  return { bookmarks: [...byId.values()].sort((a, b) => b.created - a.created), added, replaced };
+}
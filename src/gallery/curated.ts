@@ -0,0 +1,56 @@
+/**
+ * Curated starting states
+ *
+ * Hand-picked views shipped with the app: shown in the gallery next to the
+ * user's bookmarks and, if enabled in Settings, one of them replaces the
+ * default state on load. Views were picked from CPU reference renders
+ * (scripts/render-cpu.ts) of the default simulation settings.
+ */
+
+import { STATE_VERSION, PRESETS, type CanonicalState } from '../state.js';
+
+export interface CuratedState {
+  id: string;
+  name: string;
+  tags: string[];
+  state: CanonicalState;
+}
+
+/**
+ * Full document: the default state (as Reset all leaves it) with a mode, view and slice preset
+ */
+function curatedDoc(mode: number, zoom: number, panX: number, panY: number, preset = 'shape'): CanonicalState {
+  const pr = PRESETS.find(p => p.id === preset)!;
+  return {
+    v: STATE_VERSION,
+    render: { mode, res: 1024 },
+    view: { zoom, panX, panY },
+    slice: {
+      preset,
+      z0: new Array(10).fill(0),
+      gammaDeg: 0,
+      tilt: { dim1: 8, amt1: 0, dim2: 9, amt2: 0, ortho: true },
+      custom: { dimH: 0, dimV: 1, mag: 1 },
+      plane: { q1: pr.q1.slice(), q2: pr.q2.slice() },
+    },
+    sim: { horizon: 50, maxSteps: 20000, dtMacro: 0.002, rColl: 0.02, rEsc: 5, integrator: 'leapfrog' },
+    markers: [],
+  };
+}
+
+export const CURATED_STATES: CuratedState[] = [
+  { id: 'shape-outcomes',   name: 'Outcome map of the shape plane',        tags: ['overview', 'events'],          state: curatedDoc(0, 1, 0, 0) },
+  { id: 'shape-phase',      name: 'Shape phase and diffusion',             tags: ['overview', 'phase'],           state: curatedDoc(1, 1, 0, 0) },
+  { id: 'shape-ftle',       name: 'Three chaotic arms',                    tags: ['lyapunov', 'chaos'],           state: curatedDoc(5, 1, 0, 0) },
+  { id: 'shape-fans',       name: 'Escape fans above the triple point',    tags: ['events', 'zoom'],              state: curatedDoc(0, 0.25, 0.375, 0.495) },
+  { id: 'plambda-cap',      name: 'Outer momentum cap',                    tags: ['events', 'momentum'],          state: curatedDoc(0, 1, 0, 0, 'shape_pl') },
+  { id: 'plambda-tendrils', name: 'Tendrils under the cap, time to event', tags: ['time', 'momentum', 'zoom'],    state: curatedDoc(6, 0.35, 0.33, 0.2, 'shape_pl') },
+  { id: 'prho-disc',        name: 'Inner momentum disc',                   tags: ['events', 'momentum', 'zoom'],  state: curatedDoc(0, 0.25, 0.375, 0.375, 'prho') },
+];
+
+/**
+ * A curated state picked at random
+ */
+export function randomCurated(): CuratedState {
+  return CURATED_STATES[Math.floor(Math.random() * CURATED_STATES.length)];
+}
@@ -0,0 +1,121 @@
+// ─── State History ──────────────────────────────────────────────────────────
+//
+// Bounded undo/redo over canonicalState snapshots. Mutation sites only call
+// note(); a snapshot is committed once changes settle, so a continuous drag
+// or slider scrub becomes a single entry.
+
+import type { CanonicalState } from './state.js';
+
+export interface HistoryEntry {
+  state: CanonicalState;
+  label: string;
+  time: number;
+}
+
+export interface StateHistory {
+  /** A mutation happened; commit it once changes settle */
+  note(): void;
+  /** Commit any pending change immediately */
+  commit(): void;
+  /** Defer commits while a gesture is in progress (e.g. pointer held down) */
+  hold(on: boolean): void;
+  undo(): CanonicalState | null;
+  redo(): CanonicalState | null;
+  /** Move to an arbitrary entry */
+  jump(index: number): CanonicalState | null;
+  entries(): readonly HistoryEntry[];
+  index(): number;
+  canUndo(): boolean;
+  canRedo(): boolean;
+  onChange(cb: () => void): void;
+}
+
+export interface HistoryOptions {
+  limit?: number;
+  settleMs?: number;
+}
+
+const FIELD_LABELS: [string, (s: CanonicalState) => unknown][] = [
+  ['mode',        s => s.render.mode],
+  ['resolution',  s => s.render.res],
+  ['zoom',        s => s.view.zoom],
+  ['pan',         s => [s.view.panX, s.view.panY]],
+  ['preset',      s => [s.slice.preset, s.slice.plane]],
+  ['z₀',          s => s.slice.z0],
+  ['γ',           s => s.slice.gammaDeg],
+  ['tilt',        s => s.slice.tilt],
+  ['custom basis', s => s.slice.custom],
+  ['simulation',  s => s.sim],
+  ['markers',     s => s.markers],
+];
+
+/**
+ * Short description of what changed between two snapshots, e.g. "zoom, pan"
+ */
+export function describeChange(a: CanonicalState, b: CanonicalState): string {
+  const changed = FIELD_LABELS
+    .filter(([, get]) => JSON.stringify(get(a)) !== JSON.stringify(get(b)))
+    .map(([label]) => label);
+  if (changed.length === 0) return 'no change';
+  return changed.length <= 2 ? changed.join(', ') : `${changed.length} changes`;
+}
+
+/**
+ * @param snapshot - Returns the current canonical state
+ */
+export function createStateHistory(snapshot: () => CanonicalState, opts: HistoryOptions = {}): StateHistory {
+  const limit = opts.limit ?? 100;
+  const settleMs = opts.settleMs ?? 400;
+  const list: HistoryEntry[] = [{ state: snapshot(), label: 'initial', time: Date.now() }];
+  const listeners: (() => void)[] = [];
+  let cursor = 0;
+  let timer: ReturnType<typeof setTimeout> | null = null;
+  let held = false;
+  let pending = false;
+
+  const emit = () => listeners.forEach(cb => cb());
+
+  function commit(): void {
+    if (timer) { clearTimeout(timer); timer = null; }
+    if (!pending) return;
+    pending = false;
+    const cur = snapshot();
+    const prev = list[cursor].state;
+    if (JSON.stringify(cur) === JSON.stringify(prev)) { emit(); return; }
+    list.splice(cursor + 1);
+    list.push({ state: cur, label: describeChange(prev, cur), time: Date.now() });
+    if (list.length > limit) list.splice(0, list.length - limit);
+    cursor = list.length - 1;
+    emit();
+  }
+
+  function arm(): void {
+    if (timer) clearTimeout(timer);
+    timer = held ? null : setTimeout(commit, settleMs);
+  }
+
+  function jump(index: number): CanonicalState | null {
+    commit();
+    if (index < 0 || index >= list.length || index === cursor) return null;
+    cursor = index;
+    emit();
+    return structuredClone(list[cursor].state);
+  }
+
+  return {
+    note: () => {
+      if (!pending) { pending = true; emit(); }
+      arm();
+    },
+    commit,
+    hold: (on) => { held = on; if (pending) arm(); },
+    undo: () => { commit(); return jump(cursor - 1); },
+    redo: () => { commit(); return jump(cursor + 1); },
+    jump,
+    entries: () => list,
+    index: () => cursor,
+    canUndo: () => cursor > 0 || pending,
+    canRedo: () => cursor < list.length - 1,
+    onChange: (cb) => { listeners.push(cb); },
+  };
+}
@@ -1,5 +1,6 @@
 import { state, navPrefs } from '../state.js';
 import { clamp } from '../ui/utils.js';
+import { MIN_ZOOM } from '../sim/deepZoom.js';
 
 // ─── Gestures ────────────────────────────────────────────────────────────────
 
@@ -26,7 +27,7 @@ export function zoomAt(px: number, py: number, zoomFactor: number, glCanvas: HTM
   const ux = (px - rect.left) / rect.width;
   const uy = 1.0 - (py - rect.top) / rect.height;
   const oldZ = state.viewZoom;
-  const newZ = clamp(oldZ * zoomFactor, 0.000001, 1000.0);
+  const newZ = clamp(oldZ * zoomFactor, MIN_ZOOM, 1000.0);
   const worldX = state.viewPanX + ux * oldZ;
   const worldY = state.viewPanY + uy * oldZ;
   state.viewZoom = newZ;
@@ -34,6 +35,33 @@ export function zoomAt(px: number, py: number, zoomFactor: number, glCanvas: HTM
   state.viewPanY = worldY - uy * newZ;
 }
 
+/** Slider and its number box, if present */
+function syncSlider(id: string, value: number): void {
+  const input = document.getElementById(id) as HTMLInputElement | null;
+  const val = document.getElementById(id + "Val") as HTMLInputElement | null;
+  if (input) input.value = String(value);
+  if (val) val.value = value.toFixed(2);
+}
+
+/**
+ * Rotate the slice by `deltaDeg` about its normal, wrapping into [0, 360)
+ */
+export function rotateGamma(deltaDeg: number): void {
+  state.gammaDeg = (state.gammaDeg + deltaDeg) % 360;
+  if (state.gammaDeg < 0) state.gammaDeg += 360;
+  syncSlider("gamma", state.gammaDeg);
+}
+
+/**
+ * Tilt the slice towards its two tilt dimensions, each clamped to [-2, 2]
+ */
+export function tiltBy(d1: number, d2: number): void {
+  state.tiltAmt1 = Math.max(-2.0, Math.min(2.0, state.tiltAmt1 + d1));
+  state.tiltAmt2 = Math.max(-2.0, Math.min(2.0, state.tiltAmt2 + d2));
+  syncSlider("tiltAmt1", state.tiltAmt1);
+  syncSlider("tiltAmt2", state.tiltAmt2);
+}
+
 export function resetView(
   scheduleRender: (reason: string) => void,
   writeHash: () => void,
@@ -44,6 +72,43 @@ export function resetView(
   scheduleRender("view-reset"); writeHash(); updateStateBox(); drawOverlayHUD();
 }
 
+/** Hold time (ms) for a still touch to count as a long-press */
+const LONG_PRESS_MS = 500;
+/** Max finger travel (px) during a long-press */
+const LONG_PRESS_SLOP_PX = 8;
+/** Tilt per pixel of three-finger drag, as for ⌥ + drag */
+const TILT_PER_PX = 0.01;
+
+/**
+ * Set when the press in progress became a multi-finger gesture or a
+ * long-press, so that lifting the fingers is not also a click
+ */
+let clickSuppressed = false;
+
+interface TouchFrame {
+  count: number;
+  cx: number; cy: number;     // Centroid
+  dist: number;               // Between the first two fingers
+  angle: number;              // Of the line from the first finger to the second (rad)
+}
+
+function touchFrame(points: Array<{ x: number; y: number }>): TouchFrame {
+  const cx = points.reduce((a, p) => a + p.x, 0) / points.length;
+  const cy = points.reduce((a, p) => a + p.y, 0) / points.length;
+  const [a, b] = points;
+  return {
+    count: points.length, cx, cy,
+    dist: b ? Math.hypot(b.x - a.x, b.y - a.y) : 0,
+    angle: b ? Math.atan2(b.y - a.y, b.x - a.x) : 0,
+  };
+}
+
+/**
+ * Pointer gestures on a canvas. Mouse and single touch: drag pans, ⇧ + drag
+ * rotates γ, ⌥ + drag tilts, the wheel zooms. Touch adds pinch zoom about the
+ * fingers and two-finger twist for γ, three-finger drag for tilt, and
+ * long-press, which calls `onLongPress` (pins a marker).
+ */
 export function attachGestures(
   el: HTMLElement,
   glCanvas: HTMLCanvasElement,
@@ -54,52 +119,140 @@ export function attachGestures(
   updateStateBox: () => void,
   drawOverlayHUD: () => void,
   showProbeAtEvent: (e: PointerEvent) => void,
-  interactionState: any
+  interactionState: any,
+  onLongPress?: (e: PointerEvent) => void
 ): void {
-  const $ = (id: string): HTMLInputElement | null => document.getElementById(id) as HTMLInputElement | null;
+  /** Pointers down on this element, in the order they landed */
+  const pointers = new Map<number, { x: number; y: number }>();
+  /** Last multi-finger frame, null until the next move after the finger count changed */
+  let lastFrame: TouchFrame | null = null;
+  let longPressTimer: number | null = null;
+  let downX = 0, downY = 0;
+  /** A long-press fired: the finger is ignored until lifted */
+  let held = false;
+  /** The press in progress is a touch */
+  let touchDown = false;
+
+  const cancelLongPress = () => {
+    if (longPressTimer !== null) clearTimeout(longPressTimer);
+    longPressTimer = null;
+  };
+
+  const updateViews = () => { writeHash(); updateStateBox(); drawOverlayHUD(); };
 
   el.addEventListener("pointerdown", (e) => {
+    if (pointers.size === 0) {
+      clickSuppressed = false;
+      held = false;
+      touchDown = e.pointerType === "touch";
+    }
+    pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
     dragging = true; lastX = e.clientX; lastY = e.clientY;
     interactionState.isDragging = true;
     probeTooltip.hide();
-    dragMode = e.shiftKey ? "gamma" : e.altKey ? "tilt" : "pan";
     el.setPointerCapture?.(e.pointerId);
+    lastFrame = null;
+
+    if (pointers.size === 1) {
+      dragMode = e.shiftKey ? "gamma" : e.altKey ? "tilt" : "pan";
+      if (e.pointerType === "touch" && onLongPress) {
+        downX = e.clientX; downY = e.clientY;
+        longPressTimer = window.setTimeout(() => {
+          longPressTimer = null;
+          held = true;
+          clickSuppressed = true;
+          onLongPress(e);
+        }, LONG_PRESS_MS);
+      }
+    } else {
+      cancelLongPress();
+      clickSuppressed = true;
+    }
   });
 
-  window.addEventListener("pointerup", () => {
+  const release = (e: PointerEvent) => {
+    if (!pointers.delete(e.pointerId)) return;
+    lastFrame = null;
+    cancelLongPress();
+    if (pointers.size > 0) {
+      // Carry on with the fingers left, from where they are
+      const rest = [...pointers.values()].pop()!;
+      lastX = rest.x; lastY = rest.y;
+      return;
+    }
     dragging = false;
+    touchDown = false;
     interactionState.isDragging = false;
-  });
+    interactionState.isZooming = false;
+  };
+  window.addEventListener("pointerup", release);
+  window.addEventListener("pointercancel", release);
+
+  /** Two fingers pinch-zoom about their centroid, twist γ and pan; three tilt */
+  function moveMulti(): void {
+    const frame = touchFrame([...pointers.values()]);
+    const prev = lastFrame;
+    lastFrame = frame;
+    if (!prev || prev.count !== frame.count) return;
+    const dx = frame.cx - prev.cx, dy = frame.cy - prev.cy;
+
+    if (frame.count === 2) {
+      interactionState.isZooming = true;
+      if (frame.dist > 0 && prev.dist > 0) {
+        const sign = navPrefs.invertScroll ? -1 : 1;
+        const delta = sign * Math.log(prev.dist / frame.dist) * navPrefs.zoomSpeed;
+        zoomAt(frame.cx, frame.cy, Math.exp(delta), glCanvas, outCanvas);
+      }
+      let turn = frame.angle - prev.angle;
+      if (turn > Math.PI) turn -= 2 * Math.PI;
+      if (turn < -Math.PI) turn += 2 * Math.PI;
+      rotateGamma(turn * 180 / Math.PI);
+      panByPixels(dx, dy, glCanvas, outCanvas);
+      scheduleRender("pinch");
+    } else {
+      const sx = navPrefs.invertPanX ? -1 : 1;
+      const sy = navPrefs.invertPanY ? -1 : 1;
+      const rate = TILT_PER_PX * navPrefs.panSpeed;
+      tiltBy(sx * dx * rate, -sy * dy * rate);
+      scheduleRender("tilt drag");
+    }
+    updateViews();
+  }
 
   el.addEventListener("pointermove", (e) => {
-    if (!dragging) return;
+    const p = pointers.get(e.pointerId);
+    if (!p) return;
+    p.x = e.clientX; p.y = e.clientY;
+    if (held) return;
+    if (longPressTimer !== null && Math.hypot(e.clientX - downX, e.clientY - downY) > LONG_PRESS_SLOP_PX) {
+      cancelLongPress();
+    }
+    if (pointers.size > 1) {
+      moveMulti();
+      return;
+    }
+
     const dx = e.clientX - lastX, dy = e.clientY - lastY;
     lastX = e.clientX; lastY = e.clientY;
     if (dragMode === "pan") {
       panByPixels(dx, dy, glCanvas, outCanvas);
       scheduleRender("pan");
     } else if (dragMode === "gamma") {
-      state.gammaDeg = (state.gammaDeg + dx * 0.25) % 360;
-      if (state.gammaDeg < 0) state.gammaDeg += 360;
-      const gammaInput = $("gamma");
-      const gammaVal = $("gammaVal");
-      if (gammaInput) gammaInput.value = String(state.gammaDeg);
-      if (gammaVal) gammaVal.value = state.gammaDeg.toFixed(2);
+      rotateGamma(dx * 0.25);
       scheduleRender("γ drag");
     } else if (dragMode === "tilt") {
-      state.tiltAmt1 = Math.max(-2.0, Math.min(2.0, state.tiltAmt1 + dx * 0.01));
-      state.tiltAmt2 = Math.max(-2.0, Math.min(2.0, state.tiltAmt2 - dy * 0.01));
-      const tiltAmt1 = $("tiltAmt1");
-      const tiltAmt2 = $("tiltAmt2");
-      const tiltAmt1Val = $("tiltAmt1Val");
-      const tiltAmt2Val = $("tiltAmt2Val");
-      if (tiltAmt1) tiltAmt1.value = String(state.tiltAmt1);
-      if (tiltAmt2) tiltAmt2.value = String(state.tiltAmt2);
-      if (tiltAmt1Val) tiltAmt1Val.value = state.tiltAmt1.toFixed(2);
-      if (tiltAmt2Val) tiltAmt2Val.value = state.tiltAmt2.toFixed(2);
+      tiltBy(dx * TILT_PER_PX, -dy * TILT_PER_PX);
       scheduleRender("tilt drag");
     }
-    writeHash(); updateStateBox(); drawOverlayHUD();
+    updateViews();
+  });
+
+  // The browser's own long-press menu would pin a second marker
+  el.addEventListener("contextmenu", (e) => {
+    if (onLongPress && touchDown) {
+      e.preventDefault();
+      e.stopImmediatePropagation();
+    }
   });
 
   el.addEventListener("wheel", (e) => {
@@ -123,7 +276,7 @@ export function attachGestures(
   el.addEventListener("dblclick", () => resetView(scheduleRender, writeHash, updateStateBox, drawOverlayHUD));
 
   el.addEventListener("pointerdown", (e) => {
-    if (e.pointerType === "touch") {
+    if (e.pointerType === "touch" && pointers.size === 1) {
       showProbeAtEvent(e);
       setTimeout(() => { probeTooltip.hide(); }, 2200);
     }
@@ -165,3 +318,38 @@ export function attachProbe(el: HTMLElement, probeTooltip: any, showProbeAtEvent
     }
   });
 }
+
+/** Max pointer travel (px) for a press to count as a click rather than a drag */
+const CLICK_SLOP_PX = 4;
+/** How long a click waits for a second one; a double-click resets the view instead */
+const DBLCLICK_WAIT_MS = 300;
+
+export function attachTrajectoryClick(el: HTMLElement, onInspect: (e: PointerEvent) => void): void {
+  let downX = 0, downY = 0, armed = false;
+  let pending: ReturnType<typeof setTimeout> | null = null;
+  const cancel = () => {
+    if (pending != null) clearTimeout(pending);
+    pending = null;
+  };
+
+  el.addEventListener("pointerdown", (e) => {
+    // A press while a click waits makes it a double-click: nothing to inspect
+    if (pending != null) {
+      cancel();
+      armed = false;
+      return;
+    }
+    armed = e.button === 0 && !e.shiftKey && !e.altKey;
+    downX = e.clientX; downY = e.clientY;
+  });
+  el.addEventListener("pointerup", (e) => {
+    if (!armed || clickSuppressed) return;
+    armed = false;
+    if (Math.hypot(e.clientX - downX, e.clientY - downY) > CLICK_SLOP_PX) return;
+    pending = setTimeout(() => {
+      pending = null;
+      onInspect(e);
+    }, DBLCLICK_WAIT_MS);
+  });
+  el.addEventListener("dblclick", cancel);
+}
@@ -1,13 +1,25 @@
 import { createThreeBodyRenderer } from './renderer.js';
-import { state, encodeStateHash, decodeStateHash, applyPackedHash, MODE_INFO, canonicalState } from './state.js';
+import { state, encodeStateHash, decodeStateHash, applyCanonical, stateFromCanonical, validateCanonical, MODE_INFO, canonicalState, MAX_MARKERS, type ProbeMarker } from './state.js';
 import { GlTooltip } from './ui/components/tooltip.js';
 import {
   buildResolutions, buildPresets, buildAxisSelects, buildZ0Sliders,
   setZ0Range, applyCustomBasis, updateStateBox, getStateBoxValue,
   syncUIFromState, drawOverlayHUD, showProbeAtEvent, setOverlay, setStatus,
-  showGL, showOut, bindUI, setRenderingState,
+  showGL, showOut, bindUI, setRenderingState, uvFromClientXY, zAtUV,
+  probeDataAt, formatProbeData,
 } from './ui.js';
-import { attachGestures, attachProbe } from './interaction/gestures.js';
+import { attachGestures, attachProbe, attachTrajectoryClick } from './interaction/gestures.js';
+import { createTrajectoryInspector } from './ui/panels/trajectory.js';
+import { createAnimationPanel } from './ui/panels/animation.js';
+import { createComparePanel } from './ui/panels/compare.js';
+import { createAnalysisPanel } from './ui/panels/analysis.js';
+import { createGalleryPanel } from './ui/panels/gallery.js';
+import { randomCurated } from './gallery/curated.js';
+import { createStateHistory, type StateHistory } from './history.js';
+import { bindHistorySection } from './ui/sidebar/history.js';
+import { bindMarkersSection, type MarkersSection } from './ui/sidebar/markers.js';
+import { bindPlanePresets, type PlanePresets } from './ui/sidebar/plane-presets.js';
+import { captureFrame, showReprojection, hideReprojection } from './ui/core/reprojection.js';
 import { attachHintTooltips } from './interaction/hints.js';
 import { ButtonTracker } from './interaction/buttonTracking.js';
 import { SliderTracker } from './interaction/sliderTracking.js';
@@ -16,7 +28,13 @@ import { PatternDetector } from './interaction/patternDetector.js';
 import { Chazy } from './Chazy/index.js';
 import { computeTitleBoundingBox } from './ui/core/layout.js';
 import { showWelcomeDialog } from './ui/dialogs/welcome.js';
-import { applySavedSettings, saveCurrentSettings } from './ui/settings-storage.js';
+import { applySavedSettings, saveCurrentSettings, loadSettings } from './ui/settings-storage.js';
+import { bindingFor } from './navigation/keymap.js';
+import { setTheme, setSolidProbe } from './ui/core/theme.js';
+import { bindKeymapEditor } from './ui/panels/keymap.js';
+import { createCommandPalette } from './ui/panels/palette.js';
+import { createScriptingAPI, type RenderInfo } from './scripting/api.js';
+import { exportStatePNG } from './ui/core/stateFile.js';
 import { initAllScrollbars } from './ui/components/scrollbar/init.js';
 import { initAllPickers } from './ui/pickers/init.js';
 import { initAllPanels } from './ui/panels/init.js';
@@ -35,6 +53,12 @@ const outCanvas = document.getElementById('outCanvas') as HTMLCanvasElement;
 const uiCanvas  = document.getElementById('uiCanvas') as HTMLCanvasElement;
 const ui2d      = uiCanvas.getContext('2d');
 
+// ─── Theme ───────────────────────────────────────────────────────────────────
+// Applied before anything is drawn so nothing flashes in the wrong colours
+
+setTheme(loadSettings().theme);
+setSolidProbe(loadSettings().solidProbe);
+
 // ─── Mode mapping and interaction state ──────────────────────────────────────
 
 const MODE_MAP: Record<string, string> = {
@@ -43,6 +67,9 @@ const MODE_MAP: Record<string, string> = {
   'Phase + Diffusion':    'phase+diffusion',
   'Shape sphere phase':   'phase',
   'Shape sphere RGB':     'phase',
+  'Lyapunov exponent':    'diffusion',
+  'Time to event':        'event',
+  'Energy drift':         'diffusion',
 };
 
 interface InteractionState {
@@ -151,11 +178,7 @@ setInterval(() => {
         hasEscape: interactionState.hasEscape,
       };
       
-      chazy.observe(mode, eventData);
-      
-      if (chazy.mind.shouldInterrupt(mode)) {
-        chazy.interrupt();
-      }
+      chazy.observeMode(mode, eventData);
     }
     
     lastObservedMode = mode;
@@ -246,34 +269,76 @@ window.addEventListener('resize', () => resizeUiCanvasToMatch());
 
 function drawHUD(): void {
   drawOverlayHUD(renderer, glCanvas, outCanvas, uiCanvas, ui2d, resizeUiCanvasToMatch);
+  markersSection?.sync();
+  planePresets?.sync();
 }
 
 // ─── Canvas visibility ────────────────────────────────────────────────────────
 
-function showGL_(): void { showGL(glCanvas, outCanvas, resizeUiCanvasToMatch); }
-function showOut_(): void { showOut(glCanvas, outCanvas, resizeUiCanvasToMatch); }
+function showGL_(): void { hideReprojection(); showGL(glCanvas, outCanvas, resizeUiCanvasToMatch); }
+function showOut_(): void { hideReprojection(); showOut(glCanvas, outCanvas, resizeUiCanvasToMatch); }
 
 // ─── Render scheduling ────────────────────────────────────────────────────────
 
+/** Edge of the first, coarse preview pass */
+const PREVIEW_COARSE_RES = 128;
+/** Edge of the refined preview pass */
+const PREVIEW_REFINE_RES = 512;
+/** While a reprojection is on screen, wait this long for the gesture to pause */
+const PREVIEW_SETTLE_MS = 60;
+
 let finalTimer: ReturnType<typeof setTimeout> | null = null;
+let previewTimer: ReturnType<typeof setTimeout> | null = null;
 let previewPending: boolean = false;
+let previewGen: number = 0;
+
+function renderPreview(reason: string): void {
+  const gen = previewGen;
+  const coarseRes = Math.min(PREVIEW_COARSE_RES, renderer.getMaxDrawableSize());
+  try {
+    showGL_();
+    renderer.renderNormal(state, coarseRes);
+    setStatus(`Preview ${coarseRes}x${coarseRes}${reason ? ' · ' + reason : ''}`);
+    drawHUD();
+  } catch(e) { console.error(e); return; }
+  // Refine on the next frame unless the view moved again in between
+  requestAnimationFrame(() => {
+    if (gen !== previewGen) return;
+    const refineRes = Math.min(PREVIEW_REFINE_RES, renderer.getMaxDrawableSize());
+    try {
+      const stateB = comparePanel.stateB(state);
+      if (stateB) {
+        renderer.renderNormal(stateB, refineRes);
+        comparePanel.captureB(glCanvas);
+      }
+      renderer.renderNormal(state, refineRes);
+      captureFrame(glCanvas, state);
+      if (stateB) comparePanel.present(glCanvas);
+      setStatus(`Preview ${refineRes}x${refineRes}${reason ? ' · ' + reason : ''}`);
+    } catch(e) { console.error(e); }
+  });
+}
 
 function scheduleRender(reason: string = ''): void {
   const autoRender = document.getElementById('autoRender') as HTMLInputElement;
   const previewWhileDrag = document.getElementById('previewWhileDrag') as HTMLInputElement;
   if (!autoRender.checked) return;
+  // A parameter changed: finished tiles no longer match, stop the tiled job
+  if (renderer.isTiling()) renderer.setAbort(true);
+  comparePanel.hide();
+  analysisPanel.invalidate();
+  previewGen++;
   if (previewWhileDrag.checked) {
-    if (!previewPending) {
+    const activeCanvas = outCanvas.style.display !== 'none' ? outCanvas : glCanvas;
+    if (showReprojection(state, activeCanvas)) {
+      // Instant feedback from the last frame; compute fresh pixels once the gesture settles
+      clearTimeout(previewTimer);
+      previewTimer = setTimeout(() => renderPreview(reason), PREVIEW_SETTLE_MS);
+    } else if (!previewPending) {
       previewPending = true;
       requestAnimationFrame(() => {
         previewPending = false;
-        const previewRes = Math.min(512, renderer.getMaxDrawableSize());
-        try {
-          showGL_();
-          renderer.renderNormal(state, previewRes);
-          setStatus(`Preview ${previewRes}x${previewRes}${reason ? ' · ' + reason : ''}`);
-          drawHUD();
-        } catch(e) { console.error(e); }
+        renderPreview(reason);
       });
     }
   }
@@ -289,7 +354,22 @@ function scheduleRender(reason: string = ''): void {
   }, 220);
 }
 
-async function doRender(res: number): Promise<void> {
+/**
+ * Full render of the current state; scripts are told when it finishes
+ */
+async function doRender(res: number): Promise<RenderInfo> {
+  const started = performance.now();
+  const { tiled, aborted } = await renderFrame(res);
+  const info: RenderInfo = { res, tiled, aborted, ms: performance.now() - started };
+  scripting.notifyRender(info);
+  return info;
+}
+
+async function renderFrame(res: number): Promise<{ tiled: boolean; aborted: boolean }> {
+  if (renderer.isTiling()) {
+    renderer.setAbort(true);
+    await renderer.waitIdle();
+  }
   const maxGpu = renderer.getMaxDrawableSize();
   interactionState.isRendering = true;
   
@@ -301,48 +381,324 @@ async function doRender(res: number): Promise<void> {
   
   setRenderingState(true);
   renderer.setAbort(false);
+  // Compare: render B first in A's view, then A as usual
+  const stateB = comparePanel.stateB(state);
   if (isLongRender) {
+    setOverlay(true, 'Tiling...', 0);
+    setStatus(`Tiled render ${res}x${res}`);
+    if (stateB) {
+      const resultB = await renderer.renderTiled(stateB, res, ({ done, total, tile, resumed }) => {
+        setOverlay(true, `B · ${resumed ? 'Resumed · ' : ''}${done}/${total} tiles (${tile}px)`, (done / total) * 100);
+      }, { target: comparePanel.frameB() });
+      if (resultB.aborted) {
+        setOverlay(false);
+        interactionState.isRendering = false;
+        interactionState.isLongRender = false;
+        setRenderingState(false);
+        setStatus(`Stopped B at ${resultB.done}/${resultB.total} tiles. Render again to resume.`);
+        drawHUD();
+        return { tiled: true, aborted: true };
+      }
+    }
+    // Stretched under A's tiles; drawn after B, whose tiles pass through glCanvas too
     const preview = Math.min(1024, maxGpu);
     showGL_();
     renderer.renderNormal(state, preview);
     drawHUD();
     showOut_();
-    setOverlay(true, 'Tiling...', 0);
-    setStatus(`Tiled render ${res}x${res}`);
-    const result = await renderer.renderTiled(state, res, ({ done, total, w, h }) => {
-      setOverlay(true, `${done}/${total} tiles (${w}x${h})`, (done / total) * 100);
-    });
+    const result = await renderer.renderTiled(state, res, ({ done, total, tile, resumed }) => {
+      setOverlay(true, `${resumed ? 'Resumed · ' : ''}${done}/${total} tiles (${tile}px)`, (done / total) * 100);
+    }, { backdrop: glCanvas });
     setOverlay(false);
     interactionState.isRendering = false;
     interactionState.isLongRender = false;
     setRenderingState(false);
-    if (result.aborted) { setStatus('Stopped.'); drawHUD(); return; }
-    setStatus(`Done: ${res}x${res} (tiled)`);
+    if (result.aborted) {
+      setStatus(`Stopped at ${result.done}/${result.total} tiles. Render again to resume.`);
+      drawHUD();
+      return { tiled: true, aborted: true };
+    }
+    captureFrame(outCanvas, state);
+    if (stateB) comparePanel.present(outCanvas);
+    analysisPanel.update(outCanvas, state);
+    renderProbeData(res);
+    setStatus(`Done: ${res}x${res} (tiled${result.resumed ? ', resumed' : ''})${stateB ? ' · A/B' : ''}`);
     drawHUD();
-    return;
+    return { tiled: true, aborted: false };
   }
   showGL_();
   setOverlay(true, `Rendering ${res}x${res}...`, 40);
+  if (stateB) {
+    renderer.renderNormal(stateB, res);
+    comparePanel.captureB(glCanvas);
+  }
   renderer.renderNormal(state, res);
+  captureFrame(glCanvas, state);
+  if (stateB) comparePanel.present(glCanvas);
+  analysisPanel.update(glCanvas, state);
+  renderProbeData(res);
   setOverlay(false);
   interactionState.isRendering = false;
   setRenderingState(false);
-  setStatus(`Done: ${res}x${res}`);
+  setStatus(`Done: ${res}x${res}${stateB ? ' · A/B' : ''}`);
   drawHUD();
+  return { tiled: false, aborted: false };
+}
+
+/**
+ * Full render now, as the Render button does when idle
+ */
+function renderNow(): void {
+  clearTimeout(finalTimer);
+  doRender(state.res).catch(err => {
+    setOverlay(false);
+    setRenderingState(false);
+    setStatus(String(err?.message || err));
+    console.error(err);
+    drawHUD();
+  });
+}
+
+/**
+ * Full render for a script: previews still queued from its last change are
+ * dropped first, so none can paint over the finished image
+ */
+async function renderForScript(res: number): Promise<RenderInfo> {
+  if (previewPending) await new Promise(requestAnimationFrame);
+  clearTimeout(previewTimer);
+  previewGen++;
+  clearTimeout(finalTimer);
+  try {
+    return await doRender(res);
+  } catch (err: any) {
+    setOverlay(false);
+    setRenderingState(false);
+    setStatus(String(err?.message || err));
+    drawHUD();
+    throw err;
+  }
+}
+
+/**
+ * Drop a pending render and stop a tiled one at the next tile
+ */
+function abortRender(): void {
+  clearTimeout(finalTimer);
+  if (renderer.isTiling()) {
+    renderer.setAbort(true);
+    setStatus('Stopping...');
+  }
+}
+
+/**
+ * Exact values for the probe and markers: the data target for the frame just
+ * rendered, if enabled in Settings. It fills in over several frames; until
+ * then the markers show no exact values.
+ */
+function renderProbeData(res: number): void {
+  markersSection?.refresh();
+  if (!(document.getElementById('probeData') as HTMLInputElement | null)?.checked) return;
+  renderer.renderData(state, res).then(
+    (done: boolean) => { if (done) markersSection?.refresh(); },
+    (e: unknown) => console.warn('[Probe] No data target:', e),
+  );
+}
+
+// ─── Undo / redo ─────────────────────────────────────────────────────────────
+
+// Created at the end of boot, once the URL state has been applied
+let stateHistory: StateHistory | null = null;
+
+function applyHistoryDoc(doc: any): void {
+  applyStateDoc(doc, 'history');
+  // Applying the entry re-noted it; it matches the entry, so this adds nothing
+  stateHistory?.commit();
+}
+
+function undo(): void {
+  const doc = stateHistory?.undo();
+  if (doc) applyHistoryDoc(doc);
+}
+
+function redo(): void {
+  const doc = stateHistory?.redo();
+  if (doc) applyHistoryDoc(doc);
 }
 
 // ─── URL hash ────────────────────────────────────────────────────────────────
 
 function writeHash(): void {
   history.replaceState(null, '', '#' + encodeStateHash(state));
+  stateHistory?.note();
+  scripting.notifyState();
 }
 
 // ─── Probe ───────────────────────────────────────────────────────────────────
 
 function showProbe(e: PointerEvent): void {
-  showProbeAtEvent(e, probeTooltip, glCanvas, outCanvas, renderer, interactionState);
+  showProbeAtEvent(e, probeTooltip, glCanvas, outCanvas, renderer, interactionState, comparePanel);
 }
 
+// ─── Markers ─────────────────────────────────────────────────────────────────
+
+/** Created at the end of boot, with the sidebar */
+let markersSection: MarkersSection | null = null;
+/** Last pointer position over the image, for pinning from the keyboard */
+let lastPointer: { clientX: number; clientY: number } | null = null;
+
+function setMarkers(markers: ProbeMarker[]): void {
+  state.markers = markers;
+  writeHash();
+  updateStateBox();
+  drawHUD();
+}
+
+/**
+ * Pin a marker at view position (u, v), kept in slice coordinates
+ */
+function pinMarker(u: number, v: number): void {
+  if (state.markers.length >= MAX_MARKERS) {
+    setStatus(`At most ${MAX_MARKERS} markers; remove one first.`);
+    return;
+  }
+  const view = renderer.fullViewTile(state);
+  setMarkers([...state.markers, { x: view.offX + u * view.scX, y: view.offY + v * view.scY, note: '' }]);
+  setStatus(`Pinned marker ${state.markers.length}.`);
+}
+
+function pinAtPointer(): void {
+  if (!lastPointer) { pinMarker(0.5, 0.5); return; }
+  pinAtEvent(lastPointer);
+}
+
+/** Pin a marker under a pointer: right-click, long-press */
+function pinAtEvent(e: { clientX: number; clientY: number }): void {
+  const { u, v } = uvFromClientXY(e.clientX, e.clientY, glCanvas, outCanvas);
+  pinMarker(u, v);
+}
+
+function markerValue(m: ProbeMarker): string | null {
+  const u = (m.x - state.viewPanX) / state.viewZoom;
+  const v = (m.y - state.viewPanY) / state.viewZoom;
+  const d = probeDataAt(renderer, u, v);
+  if (!d) return null;
+  return formatProbeData(d) + (d.diffusion === null ? '' : ` · diffusion ${d.diffusion.toFixed(3)}`);
+}
+
+function goToMarker(m: ProbeMarker): void {
+  state.viewPanX = m.x - state.viewZoom / 2;
+  state.viewPanY = m.y - state.viewZoom / 2;
+  scheduleRender('marker');
+  writeHash();
+  updateStateBox();
+  drawHUD();
+}
+
+function attachMarkerPinning(el: HTMLCanvasElement): void {
+  el.addEventListener('pointermove', (e) => { lastPointer = { clientX: e.clientX, clientY: e.clientY }; });
+  el.addEventListener('pointerleave', () => { lastPointer = null; });
+  el.addEventListener('contextmenu', (e) => {
+    e.preventDefault();
+    pinAtEvent(e);
+  });
+}
+
+// ─── User presets ────────────────────────────────────────────────────────────
+
+/** Created at the end of boot, with the sidebar */
+let planePresets: PlanePresets | null = null;
+
+// ─── Trajectory inspector ────────────────────────────────────────────────────
+
+const trajectoryInspector = createTrajectoryInspector();
+
+function inspectTrajectory(e: PointerEvent): void {
+  const { u, v } = uvFromClientXY(e.clientX, e.clientY, glCanvas, outCanvas);
+  // While building a plane from points, clicks pick points instead
+  if (planePresets?.pickPoint(zAtUV(u, v, renderer))) return;
+  const view = renderer.fullViewTile(state);
+  trajectoryInspector.inspect(zAtUV(u, v, renderer), {
+    x: view.offX + u * view.scX,
+    y: view.offY + v * view.scY,
+  });
+}
+
+// ─── State documents ─────────────────────────────────────────────────────────
+
+/**
+ * Replace the current state with a canonical document and bring the UI, URL
+ * and state box along. Throws, leaving `state` untouched, if the document is invalid.
+ */
+function applyStateDoc(doc: any, reason: string): void {
+  applyCanonical(doc, applyCustomBasis);
+  syncUIFromState(renderer, scheduleRender, writeHash, drawHUD, uiTree);
+  writeHash();
+  updateStateBox();
+  scheduleRender(reason);
+}
+
+// ─── Animation ───────────────────────────────────────────────────────────────
+
+const animationPanel = createAnimationPanel({
+  renderer,
+  glCanvas,
+  applyDoc: applyStateDoc,
+  toState: (doc) => stateFromCanonical(doc, applyCustomBasis),
+  scheduleRender,
+  setStatus,
+});
+
+// ─── A/B comparison ──────────────────────────────────────────────────────────
+
+const comparePanel = createComparePanel({
+  viewer: document.getElementById('viewer')!,
+  toState: (doc) => stateFromCanonical(doc, applyCustomBasis),
+  getStateBoxText: getStateBoxValue,
+  applyDoc: applyStateDoc,
+  scheduleRender,
+  setStatus,
+});
+
+// ─── View statistics ─────────────────────────────────────────────────────────
+
+const analysisPanel = createAnalysisPanel({ setStatus });
+
+// ─── Bookmarks ───────────────────────────────────────────────────────────────
+
+const galleryPanel = createGalleryPanel({
+  renderer,
+  getFrameCanvas: () => outCanvas.style.display !== 'none' ? outCanvas : glCanvas,
+  toState: (doc) => stateFromCanonical(doc, applyCustomBasis),
+  applyDoc: applyStateDoc,
+  setStatus,
+});
+
+// ─── Scripting API ───────────────────────────────────────────────────────────
+
+const scripting = createScriptingAPI({
+  getState: () => canonicalState(state),
+  applyDoc: applyStateDoc,
+  validate: (doc) => validateCanonical(doc).issues,
+  render: renderForScript,
+  frameCanvas: () => outCanvas.style.display !== 'none' ? outCanvas : glCanvas,
+  exportPNG: () => {
+    const tiled = outCanvas.style.display !== 'none';
+    return exportStatePNG(tiled ? outCanvas : glCanvas, state, tiled ? 'tiled' : 'webgl');
+  },
+  zAt: (u, v) => zAtUV(u, v, renderer),
+  probeData: async (u, v) => {
+    // The data pass is optional in Settings; run it on demand for scripts
+    if (!probeDataAt(renderer, u, v)) {
+      try {
+        await renderer.renderData(state, state.res);
+      } catch (e) {
+        console.warn('[Probe] No data target:', e);
+      }
+    }
+    return probeDataAt(renderer, u, v);
+  },
+});
+
 // ─── Interrupt Prediction Setup ─────────────────────────────────────────────
 
 /**
@@ -467,9 +823,9 @@ async function boot(): Promise<void> {
   
   // Setup settings change listeners to auto-save
   const settingsInputs = [
-    'autoRender', 'previewWhileDrag', 'showHud', 
+    'autoRender', 'previewWhileDrag', 'showHud', 'probeData', 'randomStart',
     'stgInvertScroll', 'stgZoomSpeed', 
-    'stgInvertPanX', 'stgInvertPanY', 'stgPanSpeed'
+    'stgInvertPanX', 'stgInvertPanY', 'stgPanSpeed', 'stgSolidProbe'
   ];
   
   settingsInputs.forEach(id => {
@@ -499,10 +855,13 @@ async function boot(): Promise<void> {
   const { EditorRegistry } = await import('./ui/editors/EditorRegistry.ts');
   const { createJSONEditor } = await import('./ui/editors/JSONEditor.ts');
   const { createWGSLEditor } = await import('./ui/editors/WGSLEditor.ts');
+  const { createScriptEditor } = await import('./ui/editors/ScriptEditor.js');
+  const { createScriptConsole } = await import('./ui/panels/console.js');
   
   const editorRegistry = new EditorRegistry();
   editorRegistry.register('json', createJSONEditor);
   editorRegistry.register('wgsl', createWGSLEditor);
+  editorRegistry.register('javascript', createScriptEditor);
   console.log('[Boot] ✓ Editor registry initialized');
   
   // Editor instance map (shared across behaviors)
@@ -586,22 +945,52 @@ async function boot(): Promise<void> {
     scheduleRender,
     writeHash,
     updateStateBox,
-    drawHUD
+    drawHUD,
+    render: renderNow,
+    abortRender
   });
   
   // Setup behavior dependencies
   const behaviorDeps = {
     uiTree,
-    dispatchCanvasAction,
     editorRegistry,
-    editors,
-    PAN_STEP: 20,
-    ZOOM_STEP: 0.1
+    editors
   };
   
   const navManager = new KeyboardNavigationManager({ effects, visualizer, uiTree, behaviorRegistry, behaviorDeps });
   console.log('[Boot] ✓ Keyboard navigation initialized');
   
+  // Keyboard actions, with the keys saved in Settings
+  const keymap = loadSettings().keymap;
+  const bindAction = (id: string, run: () => void, repeat: boolean = false) =>
+    navManager.actions.register({ ...bindingFor(id, keymap), run, repeat });
+  const PAN_STEP = 20, ZOOM_STEP = 0.1, GAMMA_STEP = 2, TILT_STEP = 0.05;
+  bindAction('canvas.pan-up',     () => dispatchCanvasAction('pan', { x: 0, y: PAN_STEP }), true);
+  bindAction('canvas.pan-down',   () => dispatchCanvasAction('pan', { x: 0, y: -PAN_STEP }), true);
+  bindAction('canvas.pan-left',   () => dispatchCanvasAction('pan', { x: PAN_STEP, y: 0 }), true);
+  bindAction('canvas.pan-right',  () => dispatchCanvasAction('pan', { x: -PAN_STEP, y: 0 }), true);
+  bindAction('canvas.zoom-in',    () => dispatchCanvasAction('zoom', { delta: ZOOM_STEP }), true);
+  bindAction('canvas.zoom-out',   () => dispatchCanvasAction('zoom', { delta: -ZOOM_STEP }), true);
+  bindAction('canvas.reset',      () => dispatchCanvasAction('reset'));
+  bindAction('canvas.gamma-ccw',  () => dispatchCanvasAction('gamma', { delta: -GAMMA_STEP }), true);
+  bindAction('canvas.gamma-cw',   () => dispatchCanvasAction('gamma', { delta: GAMMA_STEP }), true);
+  bindAction('canvas.tilt1-down', () => dispatchCanvasAction('tilt', { d1: -TILT_STEP }), true);
+  bindAction('canvas.tilt1-up',   () => dispatchCanvasAction('tilt', { d1: TILT_STEP }), true);
+  bindAction('canvas.tilt2-down', () => dispatchCanvasAction('tilt', { d2: -TILT_STEP }), true);
+  bindAction('canvas.tilt2-up',   () => dispatchCanvasAction('tilt', { d2: TILT_STEP }), true);
+  bindAction('mode.next',         () => dispatchCanvasAction('mode', { step: 1 }));
+  bindAction('mode.prev',         () => dispatchCanvasAction('mode', { step: -1 }));
+  bindAction('render.start',      () => dispatchCanvasAction('render'));
+  bindAction('render.abort',      () => dispatchCanvasAction('abort'));
+  
+  const palette = createCommandPalette({ uiTree, nav: navManager, setStatus });
+  bindAction('palette.open',      () => palette.toggle());
+  const scriptConsole = createScriptConsole({
+    api: scripting.api,
+    createEditor: () => editorRegistry.create('javascript', { autocompletion: true })!,
+  });
+  bindAction('console.toggle',    () => scriptConsole.toggle());
+  
   buildResolutions(renderer);
   await buildPresets(scheduleRender, writeHash, updateStateBox, drawHUD, uiTree, navManager);
   buildAxisSelects();
@@ -609,7 +998,20 @@ async function boot(): Promise<void> {
   setZ0Range(+(document.getElementById('z0Range') as HTMLInputElement).value);
 
   if (location.hash && location.hash.length > 2) {
-    applyPackedHash(decodeStateHash(location.hash.slice(1)), applyCustomBasis);
+    const doc = decodeStateHash(location.hash.slice(1));
+    try {
+      if (doc) applyCanonical(doc, applyCustomBasis);
+    } catch (e: any) {
+      console.warn('[Boot] Ignoring invalid URL state:', e?.message || e);
+    }
+  } else if (loadSettings().randomStart) {
+    const pick = randomCurated();
+    try {
+      applyCanonical(pick.state, applyCustomBasis);
+      console.log('[Boot] Starting from curated view:', pick.id);
+    } catch (e: any) {
+      console.warn('[Boot] Ignoring curated view', pick.id, e?.message || e);
+    }
   }
 
   const resOptions = [...(document.getElementById('resolution') as HTMLSelectElement).options].map(o => +o.value);
@@ -618,6 +1020,10 @@ async function boot(): Promise<void> {
   syncUIFromState(renderer, scheduleRender, writeHash, drawHUD, uiTree);
 
   bindUI(renderer, glCanvas, outCanvas, uiCanvas, ui2d, probeTooltip, doRender, scheduleRender, writeHash, resizeUiCanvasToMatch, uiTree);
+  document.getElementById('animateBtn')!.addEventListener('click', () => animationPanel.toggle());
+  document.getElementById('compareBtn')!.addEventListener('click', () => comparePanel.toggle());
+  document.getElementById('analysisBtn')!.addEventListener('click', () => analysisPanel.toggle());
+  document.getElementById('galleryBtn')!.addEventListener('click', () => galleryPanel.toggle());
   
   // ─── Element Binding (Phase 2) ─────────────────────────────────────────────
   console.log('[Boot] Binding elements to semantic tree...');
@@ -633,11 +1039,11 @@ async function boot(): Promise<void> {
   if (editorContainer) {
     console.log('[Boot] Creating JSON editor...');
     const jsonEditor = editorRegistry.create('json', {
-      theme: 'light',  // Use 'light' for Atom One Light
       lineNumbers: true,
       linting: true,
       autoFormat: true,
-      autocompletion: true
+      autocompletion: true,
+      validator: (doc) => validateCanonical(doc).issues
     });
     
     console.log('[Boot] Editor created:', jsonEditor);
@@ -756,10 +1162,14 @@ async function boot(): Promise<void> {
   // NEW: Setup interrupt prediction system
   setupInterruptPrediction();
 
-  attachGestures(glCanvas,  glCanvas, outCanvas, probeTooltip, scheduleRender, writeHash, updateStateBox, drawHUD, showProbe, interactionState);
-  attachGestures(outCanvas, glCanvas, outCanvas, probeTooltip, scheduleRender, writeHash, updateStateBox, drawHUD, showProbe, interactionState);
+  attachGestures(glCanvas,  glCanvas, outCanvas, probeTooltip, scheduleRender, writeHash, updateStateBox, drawHUD, showProbe, interactionState, pinAtEvent);
+  attachGestures(outCanvas, glCanvas, outCanvas, probeTooltip, scheduleRender, writeHash, updateStateBox, drawHUD, showProbe, interactionState, pinAtEvent);
   attachProbe(glCanvas,  probeTooltip, showProbe, interactionState);
   attachProbe(outCanvas, probeTooltip, showProbe, interactionState);
+  attachTrajectoryClick(glCanvas, inspectTrajectory);
+  attachTrajectoryClick(outCanvas, inspectTrajectory);
+  attachMarkerPinning(glCanvas);
+  attachMarkerPinning(outCanvas);
   attachHintTooltips(hintTooltip);
   
   // Initialize custom scrollbars
@@ -772,12 +1182,35 @@ async function boot(): Promise<void> {
   writeHash();
   updateStateBox();
   updateChazyLayout();
+
+  // Undo/redo: one entry per settled change, held open while a pointer is down
+  // so a drag or slider scrub is recorded once
+  stateHistory = createStateHistory(() => canonicalState(state));
+  window.addEventListener('pointerdown', () => stateHistory!.hold(true), true);
+  window.addEventListener('pointerup', () => stateHistory!.hold(false), true);
+  window.addEventListener('pointercancel', () => stateHistory!.hold(false), true);
+  bindHistorySection(stateHistory, applyHistoryDoc);
+  bindAction('history.undo', undo);
+  bindAction('history.redo', redo);
+  markersSection = bindMarkersSection({ setMarkers, pinCentre: () => pinMarker(0.5, 0.5), goTo: goToMarker, readValue: markerValue });
+  bindAction('probe.pin', pinAtPointer);
+  bindKeymapEditor({ actions: navManager.actions, setStatus });
+  planePresets = bindPlanePresets({
+    applyDoc: applyStateDoc,
+    currentDirs: () => renderer.computeSliceDirs(state),
+    setStatus,
+    uiTree,
+  });
   
   // Expose global event emitter for Mind autonomy
   (window as any).chazyEvent = (eventType: string, data: any) => chazy.route(eventType, data);
   
   // Expose chazy instance for debugging (timing tests, etc.)
   (window as any).chazy = chazy;
+
+  // Public scripting API (docs/SCRIPTING.md); set once everything is wired,
+  // so harnesses can wait for it to appear
+  (window as any).principia = scripting.api;
   
   requestAnimationFrame(() => resizeUiCanvasToMatch());
   
@@ -0,0 +1,128 @@
+/**
+ * ActionRegistry - Global keyboard actions (undo, redo, ...)
+ * Maps key chords such as "Mod+Shift+Z" to named app actions
+ */
+
+import { keysFor, type ActionScope, type Keymap } from './keymap.js';
+
+/**
+ * A named action reachable from anywhere outside text inputs
+ */
+export interface GlobalAction {
+  id: string;                 // e.g. 'history.undo'
+  label: string;              // Human-readable name
+  keys: string[];             // Chords; "Mod" is Ctrl or ⌘
+  scope?: ActionScope;        // Default 'global'
+  repeat?: boolean;           // Repeats while held, like navigation keys
+  run: () => void;
+}
+
+/**
+ * Normalise a keyboard event to a chord string ("Mod+Shift+Z", "Alt+ArrowUp", "G")
+ * Shift is left out for symbols, whose key already says it ("+", not "Shift+=")
+ */
+export function chordFromEvent(event: KeyboardEvent): string {
+  const { key } = event;
+  const symbol = key.length === 1 && key.toLowerCase() === key.toUpperCase() && key !== ' ';
+  const parts: string[] = [];
+  if (event.ctrlKey || event.metaKey) parts.push('Mod');
+  if (event.altKey) parts.push('Alt');
+  if (event.shiftKey && !symbol) parts.push('Shift');
+  parts.push(key === ' ' ? 'Space' : key.length === 1 ? key.toUpperCase() : key);
+  return parts.join('+');
+}
+
+/**
+ * True if the event target accepts text, where chords belong to the input
+ */
+function isTextTarget(target: EventTarget | null): boolean {
+  const el = target as HTMLElement | null;
+  if (!el || !el.closest) return false;
+  if (el.isContentEditable || el.closest('.cm-editor')) return true;
+  if (el.tagName === 'TEXTAREA' || el.tagName === 'SELECT') return true;
+  return el.tagName === 'INPUT' && !['checkbox', 'radio', 'range', 'button'].includes((el as HTMLInputElement).type);
+}
+
+/**
+ * Registry for global keyboard actions
+ */
+export class ActionRegistry {
+  private _actions: Map<string, GlobalAction>;
+
+  constructor() {
+    this._actions = new Map();
+  }
+
+  /**
+   * Register (or replace) an action
+   */
+  register(action: GlobalAction): void {
+    if (typeof action.run !== 'function') {
+      throw new Error(`ActionRegistry: action "${action.id}" needs a run() function`);
+    }
+    this._actions.set(action.id, { ...action, keys: action.keys.slice() });
+  }
+
+  /**
+   * Rebind an action's chords
+   */
+  setKeys(id: string, keys: string[]): void {
+    const action = this._actions.get(id);
+    if (action) action.keys = keys.slice();
+  }
+
+  get(id: string): GlobalAction | undefined {
+    return this._actions.get(id);
+  }
+
+  getAll(): GlobalAction[] {
+    return Array.from(this._actions.values());
+  }
+
+  /**
+   * Rebind every registered action from a keymap (defaults where it has none)
+   */
+  applyKeymap(keymap: Keymap): void {
+    for (const action of this._actions.values()) {
+      const keys = keysFor(action.id, keymap);
+      if (keys.length || action.id in keymap) action.keys = keys;
+    }
+  }
+
+  /**
+   * The action bound to this event's chord in `scope`, if any; actions of
+   * that scope win over global ones
+   */
+  match(event: KeyboardEvent, scope: ActionScope = 'global'): GlobalAction | null {
+    if (isTextTarget(event.target)) return null;
+    const chord = chordFromEvent(event);
+    let fallback: GlobalAction | null = null;
+    for (const action of this._actions.values()) {
+      if (!action.keys.includes(chord)) continue;
+      const actionScope = action.scope ?? 'global';
+      if (actionScope === scope) return action;
+      if (actionScope === 'global') fallback ??= action;
+    }
+    return fallback;
+  }
+
+  /**
+   * Run the action bound to this event's chord, if any
+   * @returns true if an action ran (event is then consumed)
+   */
+  handle(event: KeyboardEvent, scope: ActionScope = 'global'): boolean {
+    const action = this.match(event, scope);
+    if (!action) return false;
+    event.preventDefault();
+    action.run();
+    return true;
+  }
+
+  unregister(id: string): void {
+    this._actions.delete(id);
+  }
+
+  clear(): void {
+    this._actions.clear();
+  }
+}
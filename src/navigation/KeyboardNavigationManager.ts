@@ -8,6 +8,8 @@ import type { RepeatProfile } from './KeyRepeatManager.js';
 import { NavigationStack, type NavigationFrame, type OverlayKind } from './NavigationStack.js';
 import { StackRenderer } from './StackRenderer.js';
 import { ZIndex } from '../ui/core/z-index.js';
+import { ActionRegistry } from './ActionRegistry.js';
+import type { ActionScope } from './keymap.js';
 
 // ─── Types ─────────────────────────────────────────────────────────────────
 
@@ -46,6 +48,7 @@ export class KeyboardNavigationManager {
   navStack: NavigationStack;
   stackRenderer: StackRenderer;
   gridMemory: Map<string, [number, number]>;
+  actions: ActionRegistry;
   sessionState: SessionState;
   _boundKeyHandler: ((e: KeyboardEvent) => void) | null;
   _boundKeyUpHandler: ((e: KeyboardEvent) => void) | null;
@@ -84,6 +87,7 @@ export class KeyboardNavigationManager {
     });
     
     this.gridMemory = new Map();
+    this.actions = new ActionRegistry();
     
     this.sessionState = {
       active: false,
@@ -219,6 +223,20 @@ export class KeyboardNavigationManager {
       }
     }
     
+    // Bound actions (undo/redo, canvas keys, ...) take precedence over grid navigation
+    const action = this.actions.match(event, this._actionScope());
+    if (action) {
+      event.preventDefault();
+      if (action.repeat) {
+        if (event.repeat) return;
+        action.run();
+        this.repeatManager.startRepeat(event.key, action.run, this._getRepeatProfile());
+      } else {
+        action.run();
+      }
+      return;
+    }
+    
     const navEvent = this._mapKeyToNavEvent(key);
     if (!navEvent) return;
     
@@ -570,6 +588,15 @@ export class KeyboardNavigationManager {
     this.repeatManager.stopRepeat(event.key);
   }
   
+  /**
+   * Keymap scope of the current keypress: the canvas while it is in interaction mode
+   */
+  private _actionScope(): ActionScope {
+    const interactingId = this.interactingNodeId;
+    const node = interactingId ? this.uiTree.getNode(interactingId) : null;
+    return node && (node.kind === 'canvas' || node.role === 'canvas') ? 'canvas' : 'global';
+  }
+  
   private _getRepeatProfile(): string {
     const interactingId = this.interactingNodeId;
     if (!interactingId) {
@@ -1030,6 +1057,44 @@ export class KeyboardNavigationManager {
     return null;
   }
   
+  /**
+   * Jump straight to a node of the main tree: the stack is rebuilt with every
+   * grid from the root down to the one holding the node, and keyboard
+   * navigation is switched on. Nodes in hidden grids (collapsed sections)
+   * and anything while an overlay is open cannot be reached.
+   * @returns Whether the node got focus
+   */
+  focusNode(nodeId: string): boolean {
+    if (!this.uiTree.getNode(nodeId) || this.navStack.isInsideOverlay()) return false;
+    
+    // Grid and cell at each level, root first
+    const path: Array<{ gridId: string; cellId: string; coords: [number, number] }> = [];
+    let cellId = nodeId;
+    for (let grid = this.uiTree.findContainingGrid(cellId); grid; grid = this.uiTree.findContainingGrid(cellId)) {
+      const coords = this.uiTree.getCellCoords(grid.id, cellId);
+      if (grid.hidden || !coords) return false;
+      path.unshift({ gridId: grid.id, cellId, coords });
+      cellId = grid.id;
+    }
+    if (path.length === 0 || path[0].gridId !== this.uiTree.getRoot()?.id) {
+      console.warn('[KNM] Not reachable from the root:', nodeId);
+      return false;
+    }
+    
+    if (this.interactingNodeId) this._exitInteractionMode();
+    this.repeatManager.stopAll();
+    this.navStack.clearTo(0);
+    for (const { gridId, cellId, coords } of path) {
+      this.navStack.push({ type: 'grid', gridId, cellId, coords, readonly: false });
+      this.gridMemory.set(gridId, coords);
+    }
+    
+    this.sessionState.active = true;
+    document.body.classList.add('nav-active');
+    this._setFocus(nodeId);
+    return true;
+  }
+  
   validateCurrentFocus(preferredTargetId: string | null = null): void {
     if (!this.sessionState.currentFocusId) return;
     
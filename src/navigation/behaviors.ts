@@ -36,12 +36,6 @@ interface BaseDeps {
   navManager?: any;
 }
 
-interface CanvasDeps extends BaseDeps {
-  dispatchCanvasAction?: (action: string, data: any) => void;
-  PAN_STEP?: number;
-  ZOOM_STEP?: number;
-}
-
 // ── Section Header Behavior ────────────────────────────────────────────────
 
 export function sectionHeaderBehavior(node: UINode, element: HTMLElement | null, deps: BaseDeps = {}): Behavior {
@@ -407,8 +401,7 @@ export function paramTriggerBehavior(node: UINode, element: HTMLElement | null,
 
 // ── Canvas Behavior ────────────────────────────────────────────────────────
 
-export function canvasBehavior(node: UINode, element: HTMLElement | null, deps: CanvasDeps = {}): Behavior {
-  const { dispatchCanvasAction, PAN_STEP = 20, ZOOM_STEP = 0.1 } = deps;
+export function canvasBehavior(node: UINode, element: HTMLElement | null, deps: BaseDeps = {}): Behavior {
   let isInteracting = false;
 
   return {
@@ -419,49 +412,18 @@ export function canvasBehavior(node: UINode, element: HTMLElement | null, deps:
       return BEHAVIOR_RESULT.HANDLED;
     },
 
+    // Pan, zoom, γ and tilt are canvas-scoped keymap actions, run by the
+    // navigation manager before these; unbound keys stay on the canvas
     onArrowKey(direction: string) {
-      console.log('[canvasBehavior] onArrowKey called:', direction, 'isInteracting:', isInteracting, 'hasDispatcher:', !!dispatchCanvasAction);
-      if (!isInteracting || !dispatchCanvasAction) {
-        return BEHAVIOR_RESULT.IGNORED;
-      }
-
-      const panMap: Record<string, { x: number; y: number }> = {
-        ArrowUp: { x: 0, y: PAN_STEP },
-        ArrowDown: { x: 0, y: -PAN_STEP },
-        ArrowLeft: { x: PAN_STEP, y: 0 },
-        ArrowRight: { x: -PAN_STEP, y: 0 }
-      };
-
-      const pan = panMap[direction];
-      if (pan) {
-        console.log('[canvasBehavior] Panning:', pan);
-        dispatchCanvasAction('pan', pan);
-        return BEHAVIOR_RESULT.HANDLED;
-      }
-
-      return BEHAVIOR_RESULT.IGNORED;
+      return isInteracting ? BEHAVIOR_RESULT.HANDLED : BEHAVIOR_RESULT.IGNORED;
     },
     
     onIncrement() {
-      console.log('[canvasBehavior] onIncrement called, isInteracting:', isInteracting, 'hasDispatcher:', !!dispatchCanvasAction);
-      if (!isInteracting || !dispatchCanvasAction) {
-        return BEHAVIOR_RESULT.IGNORED;
-      }
-      
-      dispatchCanvasAction('zoom', { delta: ZOOM_STEP });
-      console.log('[canvasBehavior] Zoom in:', ZOOM_STEP);
-      return BEHAVIOR_RESULT.HANDLED;
+      return isInteracting ? BEHAVIOR_RESULT.HANDLED : BEHAVIOR_RESULT.IGNORED;
     },
     
     onDecrement() {
-      console.log('[canvasBehavior] onDecrement called, isInteracting:', isInteracting, 'hasDispatcher:', !!dispatchCanvasAction);
-      if (!isInteracting || !dispatchCanvasAction) {
-        return BEHAVIOR_RESULT.IGNORED;
-      }
-      
-      dispatchCanvasAction('zoom', { delta: -ZOOM_STEP });
-      console.log('[canvasBehavior] Zoom out:', -ZOOM_STEP);
-      return BEHAVIOR_RESULT.HANDLED;
+      return isInteracting ? BEHAVIOR_RESULT.HANDLED : BEHAVIOR_RESULT.IGNORED;
     },
 
     onEscape() {
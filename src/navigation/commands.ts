@@ -0,0 +1,166 @@
+/**
+ * Commands - Searchable entries for the command palette
+ * Every control and action node of the semantic tree, found by a fuzzy
+ * match on its label; recently used commands rank first
+ */
+
+import type { UITreeStore, UINode } from '../ui/semantic-tree/store.js';
+
+// ─── Types ─────────────────────────────────────────────────────────────────
+
+export interface Command {
+  /** Node id in the semantic tree */
+  id: string;
+  label: string;
+  /** Section or panel the control lives in, '' at top level */
+  context: string;
+  /** Buttons can be run directly; other controls are only focused */
+  runnable: boolean;
+}
+
+export interface CommandMatch {
+  command: Command;
+  score: number;
+  /** Indices of the matched characters in the label */
+  hits: number[];
+}
+
+/** Node kinds that are controls in their own right */
+const CONTROL_KINDS = ['button', 'checkbox', 'param-trigger', 'section-header'];
+
+/**
+ * Least score per query character for a match to count: scattered
+ * single letters with no run or word start among them are noise
+ */
+const MIN_SCORE_PER_CHAR = 2;
+
+/** Most recent commands shown for an empty query */
+const MAX_RECENT_SHOWN = 8;
+
+// ─── Collection ────────────────────────────────────────────────────────────
+
+function isControl(node: UINode): boolean {
+  if (node.transient || node.id.endsWith(':close')) return false;
+  return CONTROL_KINDS.includes(node.kind) || node.role === 'slider';
+}
+
+function labelOf(node: UINode): string {
+  return String(node.meta?.label || node.meta?.ariaLabel || '').trim();
+}
+
+/**
+ * Title of the nearest section or panel above a node
+ */
+function contextOf(uiTree: UITreeStore, node: UINode): string {
+  if (node.kind === 'section-header') return '';
+  for (let cur = uiTree.getParent(node.id); cur; cur = uiTree.getParent(cur.id)) {
+    if (cur.kind === 'section') return labelOf(cur);
+    if (cur.kind === 'panel') return String(cur.meta?.title ?? '');
+  }
+  return '';
+}
+
+/**
+ * Commands for every labelled, visible control in the tree, in tree order
+ */
+export function collectCommands(uiTree: UITreeStore): Command[] {
+  const commands: Command[] = [];
+  for (const { id } of uiTree.toJSON().nodes) {
+    const node = id ? uiTree.getNode(id) : null;
+    if (!node || !isControl(node) || node.hidden) continue;
+    const label = labelOf(node);
+    if (!label) continue;
+    commands.push({
+      id: node.id,
+      label: node.kind === 'section-header' ? `${label} section` : label,
+      context: contextOf(uiTree, node),
+      runnable: node.kind === 'button' && !node.meta?.opensOverlay,
+    });
+  }
+  return commands;
+}
+
+// ─── Matching ──────────────────────────────────────────────────────────────
+
+const isWordStart = (text: string, i: number) => i === 0 || /[\s\-_/(·.,:]/.test(text[i - 1]);
+
+/**
+ * Fuzzy match: the query's characters in order, anywhere in the text.
+ * Consecutive characters and word starts score higher.
+ * @returns Score and matched indices, or null if the text does not match
+ */
+export function fuzzyMatch(query: string, text: string): { score: number; hits: number[] } | null {
+  const q = query.toLowerCase().replace(/\s+/g, '');
+  if (!q) return { score: 0, hits: [] };
+  // Jumping ahead to word starts can leave too little text for the rest
+  return matchFrom(q, text, true) ?? matchFrom(q, text, false);
+}
+
+function matchFrom(q: string, text: string, preferWordStarts: boolean): { score: number; hits: number[] } | null {
+  const t = text.toLowerCase();
+  const hits: number[] = [];
+  let score = 0;
+  let from = 0;
+  for (const ch of q) {
+    // Prefer the next word start holding this character over the first occurrence
+    let at = t.indexOf(ch, from);
+    if (at < 0) return null;
+    const prev = hits[hits.length - 1];
+    if (preferWordStarts && (prev === undefined || at !== prev + 1)) {
+      for (let i = at; i >= 0 && i < t.length; i = t.indexOf(ch, i + 1)) {
+        if (isWordStart(text, i)) { at = i; break; }
+      }
+    }
+    score += 1;
+    if (prev !== undefined && at === prev + 1) score += 3;
+    if (isWordStart(text, at)) score += 2;
+    hits.push(at);
+    from = at + 1;
+  }
+  // Shorter labels and earlier matches win ties
+  return { score: score - hits[0] * 0.1 - t.length * 0.01, hits };
+}
+
+/**
+ * Commands matching a query, best first. The label is searched, then the
+ * context with it ("sim horizon"), then the node id ("gamma" for γ); recent
+ * commands get a boost. With an empty query the recent ones come first,
+ * followed by everything else in tree order.
+ * @param recent - Command ids, most recent first
+ */
+export function searchCommands(commands: Command[], query: string, recent: string[]): CommandMatch[] {
+  const recency = (id: string) => {
+    const i = recent.indexOf(id);
+    return i < 0 ? 0 : (recent.length - i) / recent.length;
+  };
+
+  if (!query.trim()) {
+    const byId = new Map(commands.map(c => [c.id, c]));
+    const first = recent.slice(0, MAX_RECENT_SHOWN).map(id => byId.get(id)).filter((c): c is Command => !!c);
+    const rest = commands.filter(c => !first.includes(c));
+    return [...first, ...rest].map(command => ({ command, score: 0, hits: [] }));
+  }
+
+  const minScore = MIN_SCORE_PER_CHAR * query.replace(/\s+/g, '').length;
+  const matches: CommandMatch[] = [];
+  for (const command of commands) {
+    // Matches that need more than the label rank below label matches
+    const tries: Array<[string, number]> = [
+      [command.label, 0],
+      [`${command.context} ${command.label}`, 5],
+      [`${command.label} ${command.context}`, 5],
+      [command.id.replace(/[-:]/g, ' '), 8],
+    ];
+    for (const [text, penalty] of tries) {
+      const m = fuzzyMatch(query, text);
+      if (!m || m.score < minScore) continue;
+      matches.push({
+        command,
+        score: m.score - penalty + 4 * recency(command.id),
+        hits: penalty === 0 ? m.hits : [],
+      });
+      break;
+    }
+  }
+  return matches.sort((a, b) => b.score - a.score);
+}
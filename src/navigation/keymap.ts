@@ -0,0 +1,161 @@
+/**
+ * Keymap - Bindable actions and their default chords
+ * The user's rebindings are kept with the Settings; an action without one
+ * keeps its default keys
+ */
+
+// ─── Types ─────────────────────────────────────────────────────────────────
+
+/**
+ * Where a binding applies: anywhere, or only while the canvas is in
+ * interaction mode (where it takes precedence over grid navigation)
+ */
+export type ActionScope = 'global' | 'canvas';
+
+export interface KeyBinding {
+  id: string;                 // e.g. 'canvas.gamma-cw'
+  label: string;              // Human-readable name
+  group: string;              // Heading in the keymap editor
+  scope: ActionScope;
+  keys: string[];             // Default chords (see chordFromEvent)
+}
+
+/** Chords per action id, for the actions the user has rebound */
+export type Keymap = Record<string, string[]>;
+
+export interface KeyConflict {
+  chord: string;
+  /** The other action on this chord, or null if it is a navigation key */
+  other: KeyBinding | null;
+  /** Who owns the chord, for display */
+  owner: string;
+}
+
+// ─── Defaults ──────────────────────────────────────────────────────────────
+
+export const DEFAULT_BINDINGS: KeyBinding[] = [
+  { id: 'palette.open',       label: 'Command palette',         group: 'General', scope: 'global', keys: ['Mod+K'] },
+  { id: 'console.toggle',     label: 'Script console',          group: 'General', scope: 'global', keys: ['`'] },
+
+  { id: 'history.undo',       label: 'Undo',                    group: 'History', scope: 'global', keys: ['Mod+Z'] },
+  { id: 'history.redo',       label: 'Redo',                    group: 'History', scope: 'global', keys: ['Mod+Shift+Z', 'Mod+Y'] },
+
+  { id: 'render.start',       label: 'Render',                  group: 'Render',  scope: 'global', keys: ['Mod+Enter'] },
+  { id: 'render.abort',       label: 'Stop render',             group: 'Render',  scope: 'global', keys: ['Mod+.'] },
+  { id: 'mode.next',          label: 'Next render mode',        group: 'Render',  scope: 'global', keys: ['M'] },
+  { id: 'mode.prev',          label: 'Previous render mode',    group: 'Render',  scope: 'global', keys: ['Shift+M'] },
+
+  { id: 'probe.pin',          label: 'Pin marker under cursor', group: 'Probe',   scope: 'global', keys: ['P'] },
+
+  { id: 'canvas.pan-up',      label: 'Pan up',                  group: 'Canvas',  scope: 'canvas', keys: ['ArrowUp', 'W'] },
+  { id: 'canvas.pan-down',    label: 'Pan down',                group: 'Canvas',  scope: 'canvas', keys: ['ArrowDown', 'S'] },
+  { id: 'canvas.pan-left',    label: 'Pan left',                group: 'Canvas',  scope: 'canvas', keys: ['ArrowLeft', 'A'] },
+  { id: 'canvas.pan-right',   label: 'Pan right',               group: 'Canvas',  scope: 'canvas', keys: ['ArrowRight', 'D'] },
+  { id: 'canvas.zoom-in',     label: 'Zoom in',                 group: 'Canvas',  scope: 'canvas', keys: ['+', '=', 'E'] },
+  { id: 'canvas.zoom-out',    label: 'Zoom out',                group: 'Canvas',  scope: 'canvas', keys: ['-', '_', 'Q'] },
+  { id: 'canvas.reset',       label: 'Reset view',              group: 'Canvas',  scope: 'canvas', keys: ['0'] },
+  { id: 'canvas.gamma-ccw',   label: 'Rotate γ −',              group: 'Canvas',  scope: 'canvas', keys: ['Shift+ArrowLeft'] },
+  { id: 'canvas.gamma-cw',    label: 'Rotate γ +',              group: 'Canvas',  scope: 'canvas', keys: ['Shift+ArrowRight'] },
+  { id: 'canvas.tilt1-down',  label: 'Tilt q₁ −',               group: 'Canvas',  scope: 'canvas', keys: ['Alt+ArrowLeft'] },
+  { id: 'canvas.tilt1-up',    label: 'Tilt q₁ +',               group: 'Canvas',  scope: 'canvas', keys: ['Alt+ArrowRight'] },
+  { id: 'canvas.tilt2-down',  label: 'Tilt q₂ −',               group: 'Canvas',  scope: 'canvas', keys: ['Alt+ArrowDown'] },
+  { id: 'canvas.tilt2-up',    label: 'Tilt q₂ +',               group: 'Canvas',  scope: 'canvas', keys: ['Alt+ArrowUp'] },
+];
+
+/**
+ * Keys the navigation manager keeps for itself: everywhere outside the canvas
+ * (moving focus), and inside it the ones that leave interaction mode
+ */
+const NAVIGATION_KEYS: Record<ActionScope, string[]> = {
+  global: ['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'W', 'A', 'S', 'D', 'E', 'Q', 'R',
+           '+', '=', '-', '_', 'Enter', 'Space', 'Escape', 'Tab'],
+  canvas: ['Enter', 'Space', 'Escape', 'R', 'Tab'],
+};
+
+const BY_ID = new Map(DEFAULT_BINDINGS.map(b => [b.id, b]));
+
+// ─── Lookup ────────────────────────────────────────────────────────────────
+
+/**
+ * The binding for an action with the user's chords applied
+ * @throws if `id` is not a bindable action
+ */
+export function bindingFor(id: string, keymap: Keymap): KeyBinding {
+  const binding = BY_ID.get(id);
+  if (!binding) throw new Error(`Keymap: unknown action "${id}"`);
+  return { ...binding, keys: keysFor(id, keymap) };
+}
+
+export function keysFor(id: string, keymap: Keymap): string[] {
+  const keys = keymap[id];
+  if (Array.isArray(keys) && keys.every(k => typeof k === 'string')) return keys.slice();
+  return BY_ID.get(id)?.keys.slice() ?? [];
+}
+
+/**
+ * Keymap with an action's chords replaced; an action put back to its
+ * defaults is dropped, so later changes to the defaults reach it
+ */
+export function withKeys(keymap: Keymap, id: string, keys: string[]): Keymap {
+  const next = { ...keymap };
+  const defaults = BY_ID.get(id)?.keys ?? [];
+  if (keys.length === defaults.length && keys.every((k, i) => k === defaults[i])) {
+    delete next[id];
+  } else {
+    next[id] = keys.slice();
+  }
+  return next;
+}
+
+// ─── Conflicts ─────────────────────────────────────────────────────────────
+
+/** Two scopes can see the same keypress */
+function overlaps(a: ActionScope, b: ActionScope): boolean {
+  return a === 'global' || b === 'global' || a === b;
+}
+
+/**
+ * Chords of an action that another action, or navigation, already uses
+ */
+export function conflictsFor(id: string, keymap: Keymap): KeyConflict[] {
+  const binding = bindingFor(id, keymap);
+  const conflicts: KeyConflict[] = [];
+  for (const chord of binding.keys) {
+    if (NAVIGATION_KEYS[binding.scope].includes(chord)) {
+      conflicts.push({ chord, other: null, owner: 'keyboard navigation' });
+      continue;
+    }
+    for (const other of DEFAULT_BINDINGS) {
+      if (other.id === id || !overlaps(binding.scope, other.scope)) continue;
+      if (keysFor(other.id, keymap).includes(chord)) {
+        conflicts.push({ chord, other, owner: other.label });
+      }
+    }
+  }
+  return conflicts;
+}
+
+// ─── Display ───────────────────────────────────────────────────────────────
+
+const IS_MAC = typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform);
+
+const KEY_NAMES: Record<string, string> = {
+  Mod: IS_MAC ? '⌘' : 'Ctrl',
+  Alt: IS_MAC ? '⌥' : 'Alt',
+  Shift: '⇧',
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  ArrowLeft: '←',
+  ArrowRight: '→',
+};
+
+/**
+ * Chord as shown to the user ("Mod+Shift+Z" → "Ctrl + ⇧ + Z")
+ */
+export function formatChord(chord: string): string {
+  // A trailing "+" is the key itself ("Mod++")
+  const parts = chord === '+' ? ['+']
+    : chord.endsWith('++') ? [...chord.slice(0, -2).split('+'), '+']
+    : chord.split('+');
+  return parts.map(p => KEY_NAMES[p] ?? p).join(' + ');
+}
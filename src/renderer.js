@@ -1,4 +1,16 @@
-import { dot10, add10, sub10, scale10, norm10, normalize10, basis10 } from './math.ts';
+import { computeSliceDirs } from './sim/slice.ts';
+import { precisionInfo, tileIC } from './sim/deepZoom.ts';
+
+/** Smallest tile edge the adaptive tiler will use */
+const TILE_MIN = 128;
+/** Edge of the throwaway tile used to measure per-pixel GPU cost */
+const TILE_PROBE = 128;
+/** Per-tile GPU budget; keeps each draw well under browser watchdog limits */
+const TILE_TARGET_MS = 60;
+/** Largest edge of the probe data target; the probe reads the nearest texel */
+const DATA_MAX = 2048;
+/** uIntegrator values in frag.glsl */
+const INTEGRATOR_IDS = { leapfrog: 0, yoshida4: 1, logh: 2 };
 
 async function fetchShader(url) {
   const res = await fetch(url);
@@ -31,16 +43,25 @@ class ThreeBodyRenderer {
     gl.vertexAttribPointer(pos, 2, gl.FLOAT, false, 0, 0);
     this.U = {};
     [
-      "uHorizon","uDtMacro","uRColl","uREsc","uMaxSteps","uRenderMode","uTile",
+      "uHorizon","uDtMacro","uRColl","uREsc","uMaxSteps","uRenderMode","uIntegrator","uTile","uDataPass",
       "uZ0_012","uZ0_345","uZ0_6789",
       "uQ1_012","uQ1_345","uQ1_6789",
-      "uQ2_012","uQ2_345","uQ2_6789"
+      "uQ2_012","uQ2_345","uQ2_6789",
+      "uDeep","uOne","uIcHi","uIcLo","uIcDu","uIcDv",
+      "uMassHi","uMassLo","uMassDu","uMassDv"
     ].forEach(n => this.U[n] = gl.getUniformLocation(this.program, n));
     this.tilePixels = null;
     this.tileFlipped = null;
     this.abort = false;
+    this._jobs = new WeakMap();   // unfinished tiled job per target canvas
+    this._tiling = null;
     this._maxDrawable = null;
     this._max2D = null;
+    this._deep = false;
+    this._slice = null;
+    this._targets = {};           // offscreen framebuffers by use: { fbo, tex, size }
+    this._dataKey = null;         // state the "data" target was rendered for
+    this._dataGen = 0;            // bumped to stop a data pass in progress
   }
 
   setAbort(flag) { this.abort = flag; }
@@ -98,22 +119,15 @@ class ThreeBodyRenderer {
   }
 
   computeSliceDirs(st) {
-    const gamma = (st.gammaDeg * Math.PI) / 180.0;
-    let q1 = add10(st.dir1Base, scale10(basis10(st.tiltDim1), st.tiltAmt1));
-    let q2 = add10(st.dir2Base, scale10(basis10(st.tiltDim2), st.tiltAmt2));
-    q1 = normalize10(q1);
-    if (st.doOrtho) {
-      const proj = dot10(q2, q1);
-      q2 = sub10(q2, scale10(q1, proj));
-    }
-    q2 = normalize10(q2);
-    const c = Math.cos(gamma), s = Math.sin(gamma);
-    const q1r = add10(scale10(q1, c),  scale10(q2, s));
-    const q2r = add10(scale10(q1, -s), scale10(q2, c));
-    return { q1: q1r, q2: q2r };
+    return computeSliceDirs(st);
   }
 
-  _setUniforms(st, tile) {
+  /**
+   * @param {object} st - Render state
+   * @param {object} tile - View-space rectangle of the first draw
+   * @param {number} res - Output edge in pixels; decides float vs double-float path
+   */
+  _setUniforms(st, tile, res) {
     const gl = this.gl;
     const U = this.U;
     gl.uniform1f(U.uHorizon, st.horizon);
@@ -122,7 +136,8 @@ class ThreeBodyRenderer {
     gl.uniform1f(U.uREsc,  st.rEsc);
     gl.uniform1i(U.uMaxSteps, Math.max(1, Math.min(20000, st.maxSteps | 0)));
     gl.uniform1i(U.uRenderMode, st.mode | 0);
-    gl.uniform4f(U.uTile, tile.offX, tile.offY, tile.scX, tile.scY);
+    gl.uniform1i(U.uIntegrator, INTEGRATOR_IDS[st.integrator] ?? 0);
+    gl.uniform1i(U.uDataPass, 0);
     gl.uniform3fv(U.uZ0_012, [st.z0[0], st.z0[1], st.z0[2]]);
     gl.uniform3fv(U.uZ0_345, [st.z0[3], st.z0[4], st.z0[5]]);
     gl.uniform4fv(U.uZ0_6789, [st.z0[6], st.z0[7], st.z0[8], st.z0[9]]);
@@ -133,77 +148,381 @@ class ThreeBodyRenderer {
     gl.uniform3fv(U.uQ2_012, q2.slice(0, 3));
     gl.uniform3fv(U.uQ2_345, q2.slice(3, 6));
     gl.uniform4fv(U.uQ2_6789, q2.slice(6, 10));
+    this._slice = { z0: st.z0, q1, q2 };
+    this._deep = precisionInfo(st, res).level !== 'float';
+    gl.uniform1i(U.uDeep, this._deep ? 1 : 0);
+    gl.uniform1f(U.uOne, 1.0);
+    this._setTile(tile);
+  }
+
+  /**
+   * Point the next draw at a view-space rectangle. On the deep path this also
+   * uploads the initial conditions decoded at the rectangle's centre.
+   */
+  _setTile(tile) {
+    const gl = this.gl;
+    const U = this.U;
+    gl.uniform4f(U.uTile, tile.offX, tile.offY, tile.scX, tile.scY);
+    if (!this._deep) return;
+    const ic = tileIC(this._slice.z0, this._slice.q1, this._slice.q2, tile);
+    gl.uniform4fv(U.uIcHi, ic.hi);
+    gl.uniform4fv(U.uIcLo, ic.lo);
+    gl.uniform4fv(U.uIcDu, ic.du);
+    gl.uniform4fv(U.uIcDv, ic.dv);
+    gl.uniform3fv(U.uMassHi, ic.massHi);
+    gl.uniform3fv(U.uMassLo, ic.massLo);
+    gl.uniform3fv(U.uMassDu, ic.massDu);
+    gl.uniform3fv(U.uMassDv, ic.massDv);
   }
 
+  /** True if the last render used the double-float deep-zoom path */
+  isDeep() { return this._deep; }
+
   fullViewTile(st) {
     return { offX: st.viewPanX, offY: st.viewPanY, scX: st.viewZoom, scY: st.viewZoom };
   }
 
   renderNormal(st, res) {
     const gl = this.gl;
+    this._dataGen++;
     this.canvas.width = res;
     this.canvas.height = res;
     gl.viewport(0, 0, res, res);
     gl.useProgram(this.program);
-    this._setUniforms(st, this.fullViewTile(st));
+    this._setUniforms(st, this.fullViewTile(st), res);
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+  }
+
+  /**
+   * Offscreen RGBA8 framebuffer for one use, (re)allocated at `size`
+   */
+  _target(name, size) {
+    const gl = this.gl;
+    let t = this._targets[name];
+    if (t && t.size === size) return t;
+    if (t) { gl.deleteFramebuffer(t.fbo); gl.deleteTexture(t.tex); }
+    const tex = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, tex);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, size, size, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    const fbo = gl.createFramebuffer();
+    gl.bindFramebuffer(gl.FRAMEBUFFER, fbo);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, tex, 0);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    t = this._targets[name] = { fbo, tex, size };
+    return t;
+  }
+
+  /**
+   * Draw the full view of `st` into an offscreen target, leaving glCanvas untouched
+   */
+  _drawOffscreen(t, st, res) {
+    const gl = this.gl;
+    gl.bindFramebuffer(gl.FRAMEBUFFER, t.fbo);
+    try {
+      if (gl.checkFramebufferStatus(gl.FRAMEBUFFER) !== gl.FRAMEBUFFER_COMPLETE) {
+        throw new Error("Offscreen render target unavailable");
+      }
+      gl.viewport(0, 0, t.size, t.size);
+      gl.useProgram(this.program);
+      this._setUniforms(st, this.fullViewTile(st), res);
+      gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    } finally {
+      gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    }
+  }
+
+  /**
+   * Render the probe data target for the view of `st`: per texel the outcome
+   * class, event time and diffusion index (see encodeData in frag.glsl).
+   * Drawn in pieces sized like those of a tiled render, yielding to the
+   * browser between them; any on-screen render or later call supersedes it.
+   * @param {object} st - Render state
+   * @param {number} res - Edge of the image it accompanies; capped at DATA_MAX
+   * @returns {Promise<boolean>} - False if superseded before it finished
+   */
+  async renderData(st, res) {
+    const size = Math.min(res, DATA_MAX, this.getMaxDrawableSize());
+    const t = this._target("data", size);
+    const gen = ++this._dataGen;
+    const key = this._jobKey(st, "data");
+    this._dataKey = null;
+    let cell = TILE_MIN;
+    while (cell * 2 <= size) cell *= 2;
+    // Unknown until the first piece is timed, so that one is the smallest
+    let msPerPixel = Infinity;
+    for (let y0 = 0; y0 < size; y0 += cell) {
+      for (let x0 = 0; x0 < size; x0 += cell) {
+        const w = Math.min(cell, size - x0);
+        const h = Math.min(cell, size - y0);
+        const piece = this._pieceSize(cell, msPerPixel);
+        let worst = 0;
+        for (let py = 0; py < h; py += piece) {
+          for (let px = 0; px < w; px += piece) {
+            if (gen !== this._dataGen) return false;
+            const pw = Math.min(piece, w - px);
+            const ph = Math.min(piece, h - py);
+            const ms = this._drawDataPiece(t, st, res, x0 + px, y0 + py, pw, ph);
+            worst = Math.max(worst, ms / (pw * ph));
+            await new Promise(requestAnimationFrame);
+          }
+        }
+        msPerPixel = Math.max(1e-7, worst);
+      }
+    }
+    if (gen !== this._dataGen) return false;
+    this._dataKey = key;
+    return true;
+  }
+
+  /**
+   * Draw one rectangle (texels, origin bottom left) of the data target
+   * @returns {number} - Wall time of the draw in ms
+   */
+  _drawDataPiece(t, st, res, x, y, w, h) {
+    const gl = this.gl;
+    gl.bindFramebuffer(gl.FRAMEBUFFER, t.fbo);
+    try {
+      if (gl.checkFramebufferStatus(gl.FRAMEBUFFER) !== gl.FRAMEBUFFER_COMPLETE) {
+        throw new Error("Offscreen render target unavailable");
+      }
+      const view = this.fullViewTile(st);
+      gl.viewport(x, y, w, h);
+      gl.useProgram(this.program);
+      this._setUniforms(st, {
+        offX: view.offX + (x / t.size) * view.scX,
+        offY: view.offY + (y / t.size) * view.scY,
+        scX: (w / t.size) * view.scX,
+        scY: (h / t.size) * view.scY,
+      }, res);
+      gl.uniform1i(this.U.uDataPass, 1);
+      const px = new Uint8Array(4);
+      const t0 = performance.now();
+      gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+      gl.readPixels(x, y, 1, 1, gl.RGBA, gl.UNSIGNED_BYTE, px);
+      return performance.now() - t0;
+    } finally {
+      gl.uniform1i(this.U.uDataPass, 0);
+      gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    }
+  }
+
+  /**
+   * Raw data texel under view position (u, v) (0–1, v up), or null if no
+   * data target matches the view and parameters of `st`
+   * @returns {Uint8Array | null} - RGBA bytes as written by encodeData
+   */
+  readData(st, u, v) {
+    const t = this._targets.data;
+    if (!t || this._dataKey !== this._jobKey(st, "data")) return null;
+    if (!(u >= 0 && u <= 1 && v >= 0 && v <= 1)) return null;
+    const gl = this.gl;
+    const x = Math.min(t.size - 1, Math.floor(u * t.size));
+    const y = Math.min(t.size - 1, Math.floor(v * t.size));
+    const px = new Uint8Array(4);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, t.fbo);
+    gl.readPixels(x, y, 1, 1, gl.RGBA, gl.UNSIGNED_BYTE, px);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    return px;
+  }
+
+  /**
+   * Small image of `st` rendered offscreen, e.g. a thumbnail of a state that
+   * is not on screen
+   * @returns {ImageData} - size×size, top row first
+   */
+  renderImage(st, size) {
+    const gl = this.gl;
+    const t = this._target("image", size);
+    this._drawOffscreen(t, st, size);
+    const px = new Uint8Array(size * size * 4);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, t.fbo);
+    gl.readPixels(0, 0, size, size, gl.RGBA, gl.UNSIGNED_BYTE, px);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    const img = new ImageData(size, size);
+    const row = size * 4;
+    for (let y = 0; y < size; y++) img.data.set(px.subarray((size - 1 - y) * row, (size - y) * row), y * row);
+    return img;
+  }
+
+  /**
+   * Pick a tile edge so one tile takes roughly TILE_TARGET_MS on this GPU.
+   * Renders a small throwaway probe tile at the centre of the view and
+   * scales from its measured per-pixel cost. The cost varies across the
+   * view, so the edge is only the grid and the largest draw; each tile is
+   * split further from the cost of the tiles before it (_pieceSize).
+   * @returns {{ tile: number, msPerPixel: number }}
+   */
+  _calibrateTileSize(st, targetSize, maxTile) {
+    const gl = this.gl;
+    const probe = Math.min(TILE_PROBE, targetSize, maxTile);
+    const view = this.fullViewTile(st);
+    const frac = probe / targetSize;
+    this.canvas.width = probe; this.canvas.height = probe;
+    gl.viewport(0, 0, probe, probe);
+    this._setTile({
+      offX: view.offX + (0.5 - frac / 2) * view.scX,
+      offY: view.offY + (0.5 - frac / 2) * view.scY,
+      scX: frac * view.scX, scY: frac * view.scY,
+    });
+    const px = new Uint8Array(4);
+    const t0 = performance.now();
     gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    gl.readPixels(0, 0, 1, 1, gl.RGBA, gl.UNSIGNED_BYTE, px);
+    const msPerPixel = Math.max(1e-7, (performance.now() - t0) / (probe * probe));
+    let tile = TILE_MIN;
+    while (tile * 2 <= maxTile && (tile * 2) * (tile * 2) * msPerPixel <= TILE_TARGET_MS) tile *= 2;
+    return { tile, msPerPixel };
+  }
+
+  /**
+   * Edge of the square pieces a tile is drawn in: the largest of TILE,
+   * TILE/2, TILE/4, ... (not below TILE_MIN) that fits TILE_TARGET_MS at
+   * the given per-pixel cost
+   */
+  _pieceSize(TILE, msPerPixel) {
+    let piece = TILE;
+    while (piece > TILE_MIN && piece * piece * msPerPixel > TILE_TARGET_MS) piece /= 2;
+    return piece;
+  }
+
+  /**
+   * Tile indices ordered centre-out in square rings, clockwise within a ring
+   */
+  _spiralOrder(tilesX, tilesY) {
+    const cx = (tilesX - 1) / 2, cy = (tilesY - 1) / 2;
+    const order = [];
+    for (let ty = 0; ty < tilesY; ty++) {
+      for (let tx = 0; tx < tilesX; tx++) {
+        const dx = tx - cx, dy = ty - cy;
+        order.push({ tx, ty, ring: Math.max(Math.abs(dx), Math.abs(dy)), ang: Math.atan2(dy, dx) });
+      }
+    }
+    order.sort((a, b) => (a.ring - b.ring) || (a.ang - b.ang));
+    return order;
+  }
+
+  _jobKey(st, targetSize) {
+    // Markers are annotations; they do not change a single pixel
+    const { res, markers, ...rest } = st;
+    return JSON.stringify(rest) + "@" + targetSize;
+  }
+
+  /** True while a tiled render is in flight */
+  isTiling() { return this._tiling != null; }
+
+  /** Resolves once any in-flight tiled render has returned */
+  async waitIdle() { if (this._tiling) await this._tiling.catch(() => {}); }
+
+  /**
+   * Progressive tiled render into outCanvas (or opts.target).
+   * Tiles are rendered centre-out and yielded to the browser between draws so
+   * the partial image stays visible. A tile is drawn in smaller pieces when
+   * the tiles before it ran over TILE_TARGET_MS. If the previous tiled render of the same
+   * state and size into the same target was aborted, finished tiles are kept
+   * and skipped.
+   * @param {object} st - Render state
+   * @param {number} targetSize - Output edge in pixels
+   * @param {(p: object) => void} [onProgress]
+   * @param {{ backdrop?: CanvasImageSource, target?: HTMLCanvasElement }} [opts] - backdrop is
+   *   stretched under the tiles on a fresh start; target defaults to outCanvas
+   */
+  renderTiled(st, targetSize, onProgress, opts = {}) {
+    const run = this._renderTiled(st, targetSize, onProgress, opts);
+    this._tiling = run;
+    const clear = () => { if (this._tiling === run) this._tiling = null; };
+    run.then(clear, clear);
+    return run;
   }
 
-  async renderTiled(st, targetSize, onProgress) {
+  async _renderTiled(st, targetSize, onProgress, opts) {
     const gl = this.gl;
     this.abort = false;
     const max2D = this.getMax2DCanvasSize();
     if (targetSize > max2D) throw new Error(`2D canvas limit ~${max2D}px`);
-    const maxGpu = this.getMaxDrawableSize();
-    const TILE = Math.min(4096, maxGpu);
-    const out = this.outCanvas;
-    out.width = targetSize;
-    out.height = targetSize;
+    const maxTile = Math.min(4096, this.getMaxDrawableSize(), targetSize);
+    const out = opts.target ?? this.outCanvas;
+    const key = this._jobKey(st, targetSize);
+    this._dataGen++;
+
+    gl.useProgram(this.program);
+    this._setUniforms(st, this.fullViewTile(st), targetSize);
+
+    let job = this._jobs.get(out);
+    const resumed = !!job && job.key === key && job.done.size < job.order.length &&
+      out.width === targetSize && out.height === targetSize;
+    if (!resumed) {
+      out.width = targetSize;
+      out.height = targetSize;
+      if (opts.backdrop) {
+        const ctx = out.getContext("2d");
+        ctx.imageSmoothingEnabled = false;
+        ctx.drawImage(opts.backdrop, 0, 0, targetSize, targetSize);
+      }
+      const { tile: TILE, msPerPixel } = this._calibrateTileSize(st, targetSize, maxTile);
+      const tilesX = Math.ceil(targetSize / TILE);
+      const tilesY = Math.ceil(targetSize / TILE);
+      job = { key, TILE, tilesX, tilesY, order: this._spiralOrder(tilesX, tilesY), done: new Set(), msPerPixel };
+      this._jobs.set(out, job);
+    }
     const out2d = out.getContext("2d", { willReadFrequently: false });
-    const maxTile = TILE;
-    if (!this.tilePixels || this.tilePixels.length !== maxTile * maxTile * 4) {
-      this.tilePixels = new Uint8Array(maxTile * maxTile * 4);
-      this.tileFlipped = new Uint8ClampedArray(maxTile * maxTile * 4);
+    const { TILE, order } = job;
+    if (!this.tilePixels || this.tilePixels.length < TILE * TILE * 4) {
+      this.tilePixels = new Uint8Array(TILE * TILE * 4);
+      this.tileFlipped = new Uint8ClampedArray(TILE * TILE * 4);
     }
-    const tilesX = Math.ceil(targetSize / TILE);
-    const tilesY = Math.ceil(targetSize / TILE);
-    const total = tilesX * tilesY;
-    let done = 0;
-    gl.useProgram(this.program);
-    this._setUniforms(st, this.fullViewTile(st));
     const view = this.fullViewTile(st);
-    for (let ty = 0; ty < tilesY; ty++) {
-      for (let tx = 0; tx < tilesX; tx++) {
-        if (this.abort) return { aborted: true };
-        const x0 = tx * TILE, y0 = ty * TILE;
-        const w = Math.min(TILE, targetSize - x0);
-        const h = Math.min(TILE, targetSize - y0);
-        this.canvas.width = w; this.canvas.height = h;
-        gl.viewport(0, 0, w, h);
-        const u0 = x0 / targetSize, us = w / targetSize;
-        const v0 = 1.0 - (y0 + h) / targetSize, vs = h / targetSize;
-        const tile = {
-          offX: view.offX + u0 * view.scX,
-          offY: view.offY + v0 * view.scY,
-          scX:  us * view.scX,
-          scY:  vs * view.scY,
-        };
-        gl.uniform4f(this.U.uTile, tile.offX, tile.offY, tile.scX, tile.scY);
-        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
-        gl.readPixels(0, 0, w, h, gl.RGBA, gl.UNSIGNED_BYTE, this.tilePixels);
-        for (let row = 0; row < h; row++) {
-          const srcRow = (h - 1 - row);
-          this.tileFlipped.set(
-            this.tilePixels.subarray(srcRow * w * 4, srcRow * w * 4 + w * 4),
-            row * w * 4
-          );
+    const total = order.length;
+    for (let i = 0; i < total; i++) {
+      if (job.done.has(i)) continue;
+      const { tx, ty } = order[i];
+      const x0 = tx * TILE, y0 = ty * TILE;
+      const w = Math.min(TILE, targetSize - x0);
+      const h = Math.min(TILE, targetSize - y0);
+      // Worst per-pixel cost of this tile's pieces sizes the next tile's
+      const piece = this._pieceSize(TILE, job.msPerPixel);
+      let msPerPixel = 0;
+      for (let py = 0; py < h; py += piece) {
+        for (let px = 0; px < w; px += piece) {
+          if (this.abort) return { aborted: true, resumed, done: job.done.size, total };
+          const pw = Math.min(piece, w - px);
+          const ph = Math.min(piece, h - py);
+          const x = x0 + px, y = y0 + py;
+          this.canvas.width = pw; this.canvas.height = ph;
+          gl.viewport(0, 0, pw, ph);
+          const u0 = x / targetSize, us = pw / targetSize;
+          const v0 = 1.0 - (y + ph) / targetSize, vs = ph / targetSize;
+          // All uniforms, not just the tile: other draws may run between pieces
+          this._setUniforms(st, {
+            offX: view.offX + u0 * view.scX,
+            offY: view.offY + v0 * view.scY,
+            scX: us * view.scX,
+            scY: vs * view.scY,
+          }, targetSize);
+          const t0 = performance.now();
+          gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+          gl.readPixels(0, 0, pw, ph, gl.RGBA, gl.UNSIGNED_BYTE, this.tilePixels);
+          msPerPixel = Math.max(msPerPixel, (performance.now() - t0) / (pw * ph));
+          for (let row = 0; row < ph; row++) {
+            const srcRow = (ph - 1 - row);
+            this.tileFlipped.set(
+              this.tilePixels.subarray(srcRow * pw * 4, srcRow * pw * 4 + pw * 4),
+              row * pw * 4
+            );
+          }
+          out2d.putImageData(new ImageData(this.tileFlipped.subarray(0, pw * ph * 4), pw, ph), x, y);
+          if (px + pw < w || py + ph < h) await new Promise(requestAnimationFrame);
         }
-        out2d.putImageData(new ImageData(this.tileFlipped.subarray(0, w * h * 4), w, h), x0, y0);
-        done++;
-        if (onProgress) onProgress({ done, total, w, h, tx, ty });
-        await new Promise(requestAnimationFrame);
       }
+      job.msPerPixel = Math.max(1e-7, msPerPixel);
+      job.done.add(i);
+      if (onProgress) onProgress({ done: job.done.size, total, w, h, tx, ty, tile: piece, resumed });
+      await new Promise(requestAnimationFrame);
     }
-    return { aborted: false };
+    this._jobs.delete(out);
+    return { aborted: false, resumed, done: total, total };
   }
 }
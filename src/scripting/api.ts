@@ -0,0 +1,233 @@
+/**
+ * Scripting API
+ *
+ * The programmatic surface of the app, exposed on the page as
+ * `window.principia` for automation scripts, test harnesses and the in-app
+ * script console. State goes in and out as canonical documents (the same
+ * JSON as the state box, URL hash and PNG metadata), so anything a script
+ * produces can be pasted, linked or dropped back in.
+ *
+ * Usage:
+ *   const p = window.principia;
+ *   for (const z8 of [0.1, 0.2, 0.3]) {
+ *     const z0 = p.getState().slice.z0;
+ *     z0[8] = z8;
+ *     p.setState({ slice: { z0 } });
+ *     await p.render();
+ *     await p.downloadPNG(`sweep-z8-${z8}.png`);
+ *   }
+ */
+
+import { MODE_INFO, STATE_VERSION, type CanonicalState, type StateIssue } from '../state.js';
+import type { ProbeData } from '../analysis/classes.js';
+
+// ─── Types ──────────────────────────────────────────────────────────────────
+
+/** Bumped when a method changes incompatibly */
+export const API_VERSION = 1;
+
+/** A finished full render */
+export interface RenderInfo {
+  /** Edge in pixels */
+  res: number;
+  /** Rendered in tiles (larger than the GPU allows in one pass) */
+  tiled: boolean;
+  /** Stopped before completion; the canvas holds a partial image */
+  aborted: boolean;
+  /** Wall time */
+  ms: number;
+}
+
+/** Everything the probe knows about a view position */
+export interface ProbeReading {
+  u: number;
+  v: number;
+  /** Initial condition: the slice point in the 10-D z space */
+  z: number[];
+  /** Exact outcome from the data pass (run on demand), null if unavailable */
+  data: ProbeData | null;
+}
+
+export type APIEvent = 'render' | 'state';
+
+export interface ScriptingDeps {
+  getState(): CanonicalState;
+  /** Apply a canonical document (state, UI, URL); throws if invalid */
+  applyDoc(doc: any, reason: string): void;
+  validate(doc: any): StateIssue[];
+  /** Full render now, superseding any pending one */
+  render(res: number): Promise<RenderInfo>;
+  /** Canvas holding the last image (GL or tiled output) */
+  frameCanvas(): HTMLCanvasElement;
+  /** PNG of the last image with the state embedded */
+  exportPNG(): Promise<Blob>;
+  zAt(u: number, v: number): number[];
+  /** Exact outcome, running the data pass first if it is off or stale */
+  probeData(u: number, v: number): Promise<ProbeData | null>;
+}
+
+/**
+ * Public API. View positions (u, v) run from 0 to 1, left to right and
+ * bottom to top, like the probe and markers.
+ */
+export interface PrincipiaAPI {
+  readonly version: number;
+  /** Render modes by index, as used in `render.mode` */
+  readonly modes: ReadonlyArray<{ mode: number; name: string }>;
+
+  /** Canonical document of the current state (a copy) */
+  getState(): CanonicalState;
+  /**
+   * Apply a canonical document; fields it omits keep their value, and a
+   * missing `v` means the current version.
+   * Schedules a render like any other change; await `render()` for the image.
+   * @throws with the first validation error, leaving the state unchanged
+   */
+  setState(doc: any): void;
+  /** Issues a document would raise in setState, without applying it */
+  validateState(doc: any): StateIssue[];
+
+  /**
+   * Render now and resolve once the image is complete
+   * @param res - Edge in pixels (default: the state's resolution)
+   */
+  render(res?: number): Promise<RenderInfo>;
+  /** Resolve with the next full render to finish, however it was started */
+  nextRender(): Promise<RenderInfo>;
+
+  /** RGBA (0–255) of the last image at a view position */
+  readPixel(u: number, v: number): [number, number, number, number];
+  /**
+   * Initial condition and exact outcome at a view position; resolves once
+   * the data pass, which fills in over several frames, has the value
+   */
+  probe(u: number, v: number): Promise<ProbeReading>;
+
+  /** PNG of the last image, with the state embedded */
+  exportPNG(): Promise<Blob>;
+  /** Save the last image as a PNG download */
+  downloadPNG(filename?: string): Promise<void>;
+
+  /**
+   * 'render' fires with a RenderInfo after each full render; 'state' with
+   * the canonical document after each change
+   * @returns Unsubscribe function
+   */
+  on(event: 'render', fn: (info: RenderInfo) => void): () => void;
+  on(event: 'state', fn: (doc: CanonicalState) => void): () => void;
+}
+
+/** The API plus the hooks the app calls to feed its events */
+export interface ScriptingHost {
+  api: PrincipiaAPI;
+  notifyRender(info: RenderInfo): void;
+  /** The state changed; cheap when nobody listens */
+  notifyState(): void;
+}
+
+// ─── Factory ────────────────────────────────────────────────────────────────
+
+/**
+ * A script's document without `v` is taken to be in the current layout,
+ * so partial updates need not name a version
+ */
+function withVersion(doc: any): any {
+  return doc && typeof doc === 'object' && !Array.isArray(doc) && !('v' in doc) ? { v: STATE_VERSION, ...doc } : doc;
+}
+
+function checkUV(u: number, v: number): void {
+  if (!(u >= 0 && u <= 1 && v >= 0 && v <= 1)) {
+    throw new RangeError(`principia: view position (${u}, ${v}) is outside [0, 1]`);
+  }
+}
+
+export function createScriptingAPI(deps: ScriptingDeps): ScriptingHost {
+  const listeners: Record<APIEvent, Set<(arg: any) => void>> = { render: new Set(), state: new Set() };
+  /** 1×1 scratch canvas for pixel reads */
+  let scratch: CanvasRenderingContext2D | null = null;
+
+  function emit(event: APIEvent, arg: unknown): void {
+    for (const fn of listeners[event]) {
+      try {
+        fn(arg);
+      } catch (e) {
+        console.error(`[principia] ${event} listener failed:`, e);
+      }
+    }
+  }
+
+  function once(event: APIEvent): Promise<any> {
+    return new Promise(resolve => {
+      const off = api.on(event as any, (arg: any) => { off(); resolve(arg); });
+    });
+  }
+
+  const api: PrincipiaAPI = {
+    version: API_VERSION,
+    modes: Object.freeze(Object.entries(MODE_INFO).map(([mode, m]) => ({ mode: +mode, name: m.name }))),
+
+    getState: () => deps.getState(),
+
+    setState(doc) {
+      deps.applyDoc(withVersion(doc), 'script');
+    },
+
+    validateState: (doc) => deps.validate(withVersion(doc)),
+
+    render(res) {
+      if (res !== undefined && !(Number.isInteger(res) && res > 0)) {
+        return Promise.reject(new RangeError(`principia: render size must be a positive integer, got ${res}`));
+      }
+      return deps.render(res ?? deps.getState().render.res);
+    },
+
+    nextRender: () => once('render'),
+
+    readPixel(u, v) {
+      checkUV(u, v);
+      const source = deps.frameCanvas();
+      if (!scratch) {
+        const c = document.createElement('canvas');
+        c.width = c.height = 1;
+        scratch = c.getContext('2d', { willReadFrequently: true })!;
+      }
+      const x = Math.min(source.width - 1, Math.floor(u * source.width));
+      const y = Math.min(source.height - 1, Math.floor((1 - v) * source.height));
+      scratch.clearRect(0, 0, 1, 1);
+      scratch.drawImage(source, x, y, 1, 1, 0, 0, 1, 1);
+      const [r, g, b, a] = scratch.getImageData(0, 0, 1, 1).data;
+      return [r, g, b, a];
+    },
+
+    async probe(u, v) {
+      checkUV(u, v);
+      return { u, v, z: deps.zAt(u, v), data: await deps.probeData(u, v) };
+    },
+
+    exportPNG: () => deps.exportPNG(),
+
+    async downloadPNG(filename = 'three-body.png') {
+      const blob = await deps.exportPNG();
+      const a = document.createElement('a');
+      a.href = URL.createObjectURL(blob);
+      a.download = filename;
+      a.click();
+      setTimeout(() => URL.revokeObjectURL(a.href), 2500);
+    },
+
+    on(event: APIEvent, fn: (arg: any) => void) {
+      const set = listeners[event];
+      if (!set) throw new Error(`principia: unknown event "${event}"`);
+      set.add(fn);
+      return () => { set.delete(fn); };
+    },
+  };
+
+  return {
+    api,
+    notifyRender: (info) => emit('render', info),
+    notifyState: () => {
+      if (listeners.state.size) emit('state', deps.getState());
+    },
+  };
+}
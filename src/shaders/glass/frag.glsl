@@ -5,6 +5,10 @@ uniform sampler2D u_text;
 uniform vec2      u_res;
 uniform int       u_horizontal;
 uniform float     u_blur;
+uniform vec2      u_tone;   // darkest, lightest glass (theme)
+uniform int       u_solid;  // 1 = plain panel: paper with ink text, no blur
+uniform vec3      u_paper;
+uniform vec3      u_ink;
 
 vec3 blurPass(sampler2D tex, vec2 uv, vec2 dir) {
   vec2 px = dir * u_blur / u_res;
@@ -25,11 +29,16 @@ void main() {
     vec2 uv = vec2(v_uv.x, 1.0 - v_uv.y);
     gl_FragColor = vec4(blurPass(u_scene, uv, vec2(1.0, 0.0)), 1.0);
   } 
+  else if (u_solid == 1) {
+    vec2 textUV  = vec2(v_uv.x, 1.0 - v_uv.y);
+    float textA  = texture2D(u_text, textUV).a;
+    gl_FragColor = vec4(mix(u_paper, u_ink, textA), 1.0);
+  }
   else {
     vec2 uv = v_uv;
     vec3 bgRaw  = blurPass(u_scene, uv, vec2(0.0, 1.0));
     vec3 bgInv  = vec3(1.0) - bgRaw;
-    float bgOut = smoothstep(0.1, 0.9, luma(bgInv));
+    float bgOut = mix(u_tone.x, u_tone.y, smoothstep(0.1, 0.9, luma(bgInv)));
     
     vec2 textUV    = vec2(v_uv.x, 1.0 - v_uv.y);
     float textA    = texture2D(u_text, textUV).a;
@@ -6,7 +6,10 @@ uniform float uRColl;
 uniform float uREsc;
 uniform int uMaxSteps;
 uniform int uRenderMode;
+uniform int uIntegrator;
 uniform vec4 uTile;
+// Data pass: write exact probe values instead of colours (see encodeData)
+uniform bool uDataPass;
 uniform vec3 uZ0_012;
 uniform vec3 uZ0_345;
 uniform vec4 uZ0_6789;
@@ -16,6 +19,18 @@ uniform vec4 uQ1_6789;
 uniform vec3 uQ2_012;
 uniform vec3 uQ2_345;
 uniform vec4 uQ2_6789;
+// Deep zoom: initial conditions at the tile centre as hi + lo float pairs with
+// d/du, d/dv (src/sim/deepZoom.ts); rows are (r0, r1), (r2, p0), (p1, p2)
+uniform bool uDeep;
+uniform float uOne;
+uniform vec4 uIcHi[3];
+uniform vec4 uIcLo[3];
+uniform vec4 uIcDu[3];
+uniform vec4 uIcDv[3];
+uniform vec3 uMassHi;
+uniform vec3 uMassLo;
+uniform vec3 uMassDu;
+uniform vec3 uMassDv;
 const float PI = 3.14159265359;
 const float G = 1.0;
 const float ALPHA_MIN = 0.05;
@@ -24,6 +39,16 @@ const float Q_MAX = 2.0;
 const float K_ESC = 4.0;
 const float D0 = 0.01;
 const float D_MAX = 0.1;
+// Diagnostic modes 5-7; scales and ramps mirror src/sim/diagnostics.ts
+const float FTLE_D0 = 1e-4;
+const float FTLE_MAX = 2.0;
+const float ENERGY_LOG_MIN = -6.0;
+const float ENERGY_LOG_MAX = -1.0;
+const float LN10 = 2.302585093;
+// Integrators (uIntegrator): 0 leapfrog, 1 Yoshida 4th order, 2 log-Hamiltonian
+// leapfrog; mirrors integrateSubsteps() in src/sim/threeBody.ts
+const float YOSHIDA_W1 = 1.3512071919596578;
+const float YOSHIDA_W0 = -1.7024143839193153;
 float sigmoid(float x) { return 1.0 / (1.0 + exp(-x)); }
 vec3 softmax(vec3 logits) {
   float maxv = max(max(logits.x, logits.y), logits.z);
@@ -133,30 +158,251 @@ float shape_theta(vec2 rho, vec2 lambda, vec3 m) {
   vec3 n = shape_n(rho, lambda, m);
   return atan(n.y, n.x);
 }
+void forces(vec2 r0, vec2 r1, vec2 r2, vec3 m, out vec2 f0, out vec2 f1, out vec2 f2) {
+  f0 = vec2(0.0); f1 = vec2(0.0); f2 = vec2(0.0);
+  vec2 dr = r1 - r0; float d = length(dr);
+  if (d > 1e-10) { float fmag = G * m.x * m.y / (d*d*d); f0 += fmag * dr; f1 -= fmag * dr; }
+  dr = r2 - r0; d = length(dr);
+  if (d > 1e-10) { float fmag = G * m.x * m.z / (d*d*d); f0 += fmag * dr; f2 -= fmag * dr; }
+  dr = r2 - r1; d = length(dr);
+  if (d > 1e-10) { float fmag = G * m.y * m.z / (d*d*d); f1 += fmag * dr; f2 -= fmag * dr; }
+}
+// Force function U = -(potential energy), positive
+float forceFunction(vec2 r0, vec2 r1, vec2 r2, vec3 m) {
+  return G * m.x * m.y / max(1e-10, length(r0 - r1))
+       + G * m.x * m.z / max(1e-10, length(r0 - r2))
+       + G * m.y * m.z / max(1e-10, length(r1 - r2));
+}
+float kineticEnergy(vec2 p0, vec2 p1, vec2 p2, vec3 m) {
+  return dot(p0, p0) / (2.0 * m.x) + dot(p1, p1) / (2.0 * m.y) + dot(p2, p2) / (2.0 * m.z);
+}
+// One KDK leapfrog substep
+void kdk(inout vec2 r0, inout vec2 r1, inout vec2 r2, inout vec2 p0, inout vec2 p1, inout vec2 p2, vec3 m, float dt) {
+  vec2 f0, f1, f2;
+  forces(r0, r1, r2, m, f0, f1, f2);
+  p0 += f0 * dt * 0.5; p1 += f1 * dt * 0.5; p2 += f2 * dt * 0.5;
+  r0 += p0 / m.x * dt; r1 += p1 / m.y * dt; r2 += p2 / m.z * dt;
+  forces(r0, r1, r2, m, f0, f1, f2);
+  p0 += f0 * dt * 0.5; p1 += f1 * dt * 0.5; p2 += f2 * dt * 0.5;
+}
+// Drift time h / (T + B) of the log-Hamiltonian step; T + B = U on the exact orbit
+float loghDriftTime(vec2 r0, vec2 r1, vec2 r2, vec2 p0, vec2 p1, vec2 p2, vec3 m, float h, float bind) {
+  float w = kineticEnergy(p0, p1, p2, m) + bind;
+  return 0.5 * h / (w > 0.0 ? w : forceFunction(r0, r1, r2, m));
+}
+// One log-Hamiltonian leapfrog step of fictitious time h; returns the physical time
+float loghStep(inout vec2 r0, inout vec2 r1, inout vec2 r2, inout vec2 p0, inout vec2 p1, inout vec2 p2,
+               vec3 m, float h, float bind) {
+  float dt1 = loghDriftTime(r0, r1, r2, p0, p1, p2, m, h, bind);
+  r0 += p0 / m.x * dt1; r1 += p1 / m.y * dt1; r2 += p2 / m.z * dt1;
+  vec2 f0, f1, f2;
+  forces(r0, r1, r2, m, f0, f1, f2);
+  float dk = h / forceFunction(r0, r1, r2, m);
+  p0 += f0 * dk; p1 += f1 * dk; p2 += f2 * dk;
+  float dt2 = loghDriftTime(r0, r1, r2, p0, p1, p2, m, h, bind);
+  r0 += p0 / m.x * dt2; r1 += p1 / m.y * dt2; r2 += p2 / m.z * dt2;
+  return dt1 + dt2;
+}
+// nSub substeps of length dt with the selected integrator; returns the elapsed time
+float integrate(inout vec2 r0, inout vec2 r1, inout vec2 r2, inout vec2 p0, inout vec2 p1, inout vec2 p2,
+                vec3 m, int nSub, float dt, float bind) {
+  float h = dt * forceFunction(r0, r1, r2, m);
+  float t = 0.0;
+  for (int s = 0; s < 32; s++) {
+    if (s >= nSub) break;
+    if (uIntegrator == 2) {
+      t += loghStep(r0, r1, r2, p0, p1, p2, m, h, bind);
+    } else if (uIntegrator == 1) {
+      kdk(r0, r1, r2, p0, p1, p2, m, YOSHIDA_W1 * dt);
+      kdk(r0, r1, r2, p0, p1, p2, m, YOSHIDA_W0 * dt);
+      kdk(r0, r1, r2, p0, p1, p2, m, YOSHIDA_W1 * dt);
+    } else {
+      kdk(r0, r1, r2, p0, p1, p2, m, dt);
+    }
+  }
+  return (uIntegrator == 2) ? t : float(nSub) * dt;
+}
+// Double-float arithmetic: vec2(hi, lo) carries ~44 bits, a 2-vector is
+// vec4(x.hi, x.lo, y.hi, y.lo). uOne is 1.0 but opaque to the compiler, which
+// would otherwise be free to fold the rounding-error terms away.
+vec2 dfTwoSum(float a, float b) {
+  float s = a + b;
+  float bb = (s - a) * uOne;
+  return vec2(s, (a - (s - bb)) + (b - bb));
+}
+vec2 dfQuickTwoSum(float a, float b) {
+  float s = a + b;
+  return vec2(s, b - (s - a) * uOne);
+}
+vec2 dfSplit(float a) {
+  float t = a * 4097.0 * uOne;
+  float hi = t - (t - a);
+  return vec2(hi, a - hi);
+}
+vec2 dfTwoProd(float a, float b) {
+  float p = a * b;
+  vec2 A = dfSplit(a), B = dfSplit(b);
+  return vec2(p, ((A.x * B.x - p) + A.x * B.y + A.y * B.x) + A.y * B.y);
+}
+vec2 dfAdd(vec2 a, vec2 b) {
+  vec2 s = dfTwoSum(a.x, b.x);
+  return dfQuickTwoSum(s.x, s.y + a.y + b.y);
+}
+vec2 dfMul(vec2 a, vec2 b) {
+  vec2 p = dfTwoProd(a.x, b.x);
+  return dfQuickTwoSum(p.x, p.y + a.x * b.y + a.y * b.x);
+}
+vec2 dfDiv(vec2 a, vec2 b) {
+  float q = a.x / b.x;
+  vec2 r = dfAdd(a, -dfMul(b, vec2(q, 0.0)));
+  return dfQuickTwoSum(q, r.x / b.x);
+}
+vec2 dfSqrt(vec2 a) {
+  if (a.x <= 0.0) return vec2(0.0);
+  float x = sqrt(a.x);
+  vec2 xx = dfTwoProd(x, x);
+  return dfQuickTwoSum(x, ((a.x - xx.x) - xx.y + a.y) * 0.5 / x);
+}
+vec4 dvAdd(vec4 a, vec4 b) { return vec4(dfAdd(a.xy, b.xy), dfAdd(a.zw, b.zw)); }
+vec4 dvScale(vec4 a, vec2 k) { return vec4(dfMul(a.xy, k), dfMul(a.zw, k)); }
+vec4 dvFromTile(vec2 hi, vec2 offset) { return vec4(dfTwoSum(hi.x, offset.x), dfTwoSum(hi.y, offset.y)); }
+vec4 dfPairForce(vec4 ri, vec4 rj, vec2 mm) {
+  vec4 dr = dvAdd(rj, -ri);
+  vec2 d2 = dfAdd(dfMul(dr.xy, dr.xy), dfMul(dr.zw, dr.zw));
+  if (d2.x <= 1e-20) return vec4(0.0);
+  return dvScale(dr, dfDiv(G * mm, dfMul(d2, dfSqrt(d2))));
+}
+void dfForces(vec4 r0, vec4 r1, vec4 r2, vec2 m01, vec2 m02, vec2 m12, out vec4 f0, out vec4 f1, out vec4 f2) {
+  vec4 f01 = dfPairForce(r0, r1, m01);
+  vec4 f02 = dfPairForce(r0, r2, m02);
+  vec4 f12 = dfPairForce(r1, r2, m12);
+  f0 = dvAdd(f01, f02);
+  f1 = dvAdd(f12, -f01);
+  f2 = dvAdd(-f02, -f12);
+}
+void kickDeep(vec4 r0, vec4 r1, vec4 r2, inout vec4 p0, inout vec4 p1, inout vec4 p2,
+              vec2 m0, vec2 m1, vec2 m2, float dt) {
+  vec4 f0, f1, f2;
+  dfForces(r0, r1, r2, dfMul(m0, m1), dfMul(m0, m2), dfMul(m1, m2), f0, f1, f2);
+  vec2 k = vec2(dt, 0.0);
+  p0 = dvAdd(p0, dvScale(f0, k)); p1 = dvAdd(p1, dvScale(f1, k)); p2 = dvAdd(p2, dvScale(f2, k));
+}
+void driftDeep(inout vec4 r0, inout vec4 r1, inout vec4 r2, vec4 p0, vec4 p1, vec4 p2,
+               vec2 m0, vec2 m1, vec2 m2, float dt) {
+  r0 = dvAdd(r0, dvScale(p0, dfDiv(vec2(dt, 0.0), m0)));
+  r1 = dvAdd(r1, dvScale(p1, dfDiv(vec2(dt, 0.0), m1)));
+  r2 = dvAdd(r2, dvScale(p2, dfDiv(vec2(dt, 0.0), m2)));
+}
+// One KDK leapfrog substep in double-float (same scheme as kdk)
+void kdkDeep(inout vec4 r0, inout vec4 r1, inout vec4 r2, inout vec4 p0, inout vec4 p1, inout vec4 p2,
+             vec2 m0, vec2 m1, vec2 m2, float dt) {
+  kickDeep(r0, r1, r2, p0, p1, p2, m0, m1, m2, 0.5 * dt);
+  driftDeep(r0, r1, r2, p0, p1, p2, m0, m1, m2, dt);
+  kickDeep(r0, r1, r2, p0, p1, p2, m0, m1, m2, 0.5 * dt);
+}
+// Log-Hamiltonian step in double-float. Step lengths come from the hi parts:
+// they only choose the step, the positions and momenta advance in double-float.
+float loghStepDeep(inout vec4 r0, inout vec4 r1, inout vec4 r2, inout vec4 p0, inout vec4 p1, inout vec4 p2,
+                   vec2 m0, vec2 m1, vec2 m2, float h, float bind) {
+  vec3 m = vec3(m0.x, m1.x, m2.x);
+  float dt1 = loghDriftTime(r0.xz, r1.xz, r2.xz, p0.xz, p1.xz, p2.xz, m, h, bind);
+  driftDeep(r0, r1, r2, p0, p1, p2, m0, m1, m2, dt1);
+  kickDeep(r0, r1, r2, p0, p1, p2, m0, m1, m2, h / forceFunction(r0.xz, r1.xz, r2.xz, m));
+  float dt2 = loghDriftTime(r0.xz, r1.xz, r2.xz, p0.xz, p1.xz, p2.xz, m, h, bind);
+  driftDeep(r0, r1, r2, p0, p1, p2, m0, m1, m2, dt2);
+  return dt1 + dt2;
+}
+// Double-float counterpart of integrate()
+float integrateDeep(inout vec4 r0, inout vec4 r1, inout vec4 r2, inout vec4 p0, inout vec4 p1, inout vec4 p2,
+                    vec2 m0, vec2 m1, vec2 m2, int nSub, float dt, float bind) {
+  float h = dt * forceFunction(r0.xz, r1.xz, r2.xz, vec3(m0.x, m1.x, m2.x));
+  float t = 0.0;
+  for (int s = 0; s < 32; s++) {
+    if (s >= nSub) break;
+    if (uIntegrator == 2) {
+      t += loghStepDeep(r0, r1, r2, p0, p1, p2, m0, m1, m2, h, bind);
+    } else if (uIntegrator == 1) {
+      kdkDeep(r0, r1, r2, p0, p1, p2, m0, m1, m2, YOSHIDA_W1 * dt);
+      kdkDeep(r0, r1, r2, p0, p1, p2, m0, m1, m2, YOSHIDA_W0 * dt);
+      kdkDeep(r0, r1, r2, p0, p1, p2, m0, m1, m2, YOSHIDA_W1 * dt);
+    } else {
+      kdkDeep(r0, r1, r2, p0, p1, p2, m0, m1, m2, dt);
+    }
+  }
+  return (uIntegrator == 2) ? t : float(nSub) * dt;
+}
+float totalEnergy(vec2 r0, vec2 r1, vec2 r2, vec2 p0, vec2 p1, vec2 p2, vec3 m) {
+  return kineticEnergy(p0, p1, p2, m) - forceFunction(r0, r1, r2, m);
+}
+vec3 ramp2(vec3 a, vec3 b, float t) { return mix(a, b, clamp(t, 0.0, 1.0)); }
+vec3 ramp3(vec3 a, vec3 b, vec3 c, float t) {
+  float x = clamp(t, 0.0, 1.0) * 2.0;
+  return x < 1.0 ? mix(a, b, x) : mix(b, c, x - 1.0);
+}
 float angDiff(float a, float b) {
   float d = a - b;
   return atan(sin(d), cos(d));
 }
+// Diffusion index from the shape phase θ sampled at the edges of two time
+// windows (x, y = first window, z, w = second); -1 if a window was not reached
+float diffusionIndex(vec4 theta, vec4 tw, vec4 sampled) {
+  if (min(min(sampled.x, sampled.y), min(sampled.z, sampled.w)) < 0.5) return -1.0;
+  float dt1 = max(1e-6, tw.y - tw.x);
+  float dt2 = max(1e-6, tw.w - tw.z);
+  float omega1 = angDiff(theta.y, theta.x) / dt1;
+  float omega2 = angDiff(theta.w, theta.z) / dt2;
+  float D = abs(omega2 - omega1);
+  return clamp(log(1.0 + D / D0) / log(1.0 + D_MAX / D0), 0.0, 1.0);
+}
+// Data pass texel, decoded by decodeProbeData() in src/analysis/classes.ts:
+// R = outcome class (0 bounded, 1 degenerate, 2 collision at t = 0,
+// 3-5 collision of pair 01/02/12, 6-8 escape of body 0/1/2),
+// G, B = time of the event (or time reached) / horizon as 16 bits,
+// A = diffusion index in 0-254, 255 = not sampled
+vec4 encodeData(float cls, float tFrac, float diffusion) {
+  float t16 = floor(clamp(tFrac, 0.0, 1.0) * 65535.0 + 0.5);
+  float hi = floor(t16 / 256.0);
+  float a = diffusion < 0.0 ? 255.0 : floor(diffusion * 254.0 + 0.5);
+  return vec4(cls, hi, t16 - hi * 256.0, a) / 255.0;
+}
 void main() {
-  vec2 uv = uTile.xy + vUV * uTile.zw;
-  float u = uv.x;
-  float v = uv.y;
-  float z0 = uZ0_012.x + (2.0*u - 1.0)*uQ1_012.x + (2.0*v - 1.0)*uQ2_012.x;
-  float z1 = uZ0_012.y + (2.0*u - 1.0)*uQ1_012.y + (2.0*v - 1.0)*uQ2_012.y;
-  float z2 = uZ0_012.z + (2.0*u - 1.0)*uQ1_012.z + (2.0*v - 1.0)*uQ2_012.z;
-  float z3 = uZ0_345.x + (2.0*u - 1.0)*uQ1_345.x + (2.0*v - 1.0)*uQ2_345.x;
-  float z4 = uZ0_345.y + (2.0*u - 1.0)*uQ1_345.y + (2.0*v - 1.0)*uQ2_345.y;
-  float z5 = uZ0_345.z + (2.0*u - 1.0)*uQ1_345.z + (2.0*v - 1.0)*uQ2_345.z;
-  float z6 = uZ0_6789.x + (2.0*u - 1.0)*uQ1_6789.x + (2.0*v - 1.0)*uQ2_6789.x;
-  float z7 = uZ0_6789.y + (2.0*u - 1.0)*uQ1_6789.y + (2.0*v - 1.0)*uQ2_6789.y;
-  float z8 = uZ0_6789.z + (2.0*u - 1.0)*uQ1_6789.z + (2.0*v - 1.0)*uQ2_6789.z;
-  float z9 = uZ0_6789.w + (2.0*u - 1.0)*uQ1_6789.w + (2.0*v - 1.0)*uQ2_6789.w;
   vec2 r0, r1, r2, p0, p1, p2;
   vec3 m;
   float valid = 0.0;
-  decodeIC(r0, r1, r2, p0, p1, p2, m, valid, z0, z1, z2, z3, z4, z5, z6, z7, z8, z9);
-  if (valid < 0.5) { gl_FragColor = vec4(1.0, 1.0, 1.0, 1.0); return; }
-  if (checkCollisionT0(r0, r1, r2) > 0.5) { gl_FragColor = vec4(1.0, 0.6, 0.0, 1.0); return; }
+  vec4 R0 = vec4(0.0), R1 = vec4(0.0), R2 = vec4(0.0), P0 = vec4(0.0), P1 = vec4(0.0), P2 = vec4(0.0);
+  vec2 M0 = vec2(0.0), M1 = vec2(0.0), M2 = vec2(0.0);
+  if (uDeep) {
+    vec2 d = (vUV - 0.5) * uTile.zw;
+    vec4 off0 = uIcLo[0] + d.x * uIcDu[0] + d.y * uIcDv[0];
+    vec4 off1 = uIcLo[1] + d.x * uIcDu[1] + d.y * uIcDv[1];
+    vec4 off2 = uIcLo[2] + d.x * uIcDu[2] + d.y * uIcDv[2];
+    vec3 offM = uMassLo + d.x * uMassDu + d.y * uMassDv;
+    R0 = dvFromTile(uIcHi[0].xy, off0.xy); R1 = dvFromTile(uIcHi[0].zw, off0.zw);
+    R2 = dvFromTile(uIcHi[1].xy, off1.xy); P0 = dvFromTile(uIcHi[1].zw, off1.zw);
+    P1 = dvFromTile(uIcHi[2].xy, off2.xy); P2 = dvFromTile(uIcHi[2].zw, off2.zw);
+    M0 = dfTwoSum(uMassHi.x, offM.x); M1 = dfTwoSum(uMassHi.y, offM.y); M2 = dfTwoSum(uMassHi.z, offM.z);
+    r0 = R0.xz; r1 = R1.xz; r2 = R2.xz;
+    p0 = P0.xz; p1 = P1.xz; p2 = P2.xz;
+    m = vec3(M0.x, M1.x, M2.x);
+    valid = (m.x + m.y < 1e-6) ? 0.0 : 1.0;
+  } else {
+    vec2 uv = uTile.xy + vUV * uTile.zw;
+    float u = uv.x;
+    float v = uv.y;
+    float z0 = uZ0_012.x + (2.0*u - 1.0)*uQ1_012.x + (2.0*v - 1.0)*uQ2_012.x;
+    float z1 = uZ0_012.y + (2.0*u - 1.0)*uQ1_012.y + (2.0*v - 1.0)*uQ2_012.y;
+    float z2 = uZ0_012.z + (2.0*u - 1.0)*uQ1_012.z + (2.0*v - 1.0)*uQ2_012.z;
+    float z3 = uZ0_345.x + (2.0*u - 1.0)*uQ1_345.x + (2.0*v - 1.0)*uQ2_345.x;
+    float z4 = uZ0_345.y + (2.0*u - 1.0)*uQ1_345.y + (2.0*v - 1.0)*uQ2_345.y;
+    float z5 = uZ0_345.z + (2.0*u - 1.0)*uQ1_345.z + (2.0*v - 1.0)*uQ2_345.z;
+    float z6 = uZ0_6789.x + (2.0*u - 1.0)*uQ1_6789.x + (2.0*v - 1.0)*uQ2_6789.x;
+    float z7 = uZ0_6789.y + (2.0*u - 1.0)*uQ1_6789.y + (2.0*v - 1.0)*uQ2_6789.y;
+    float z8 = uZ0_6789.z + (2.0*u - 1.0)*uQ1_6789.z + (2.0*v - 1.0)*uQ2_6789.z;
+    float z9 = uZ0_6789.w + (2.0*u - 1.0)*uQ1_6789.w + (2.0*v - 1.0)*uQ2_6789.w;
+    decodeIC(r0, r1, r2, p0, p1, p2, m, valid, z0, z1, z2, z3, z4, z5, z6, z7, z8, z9);
+  }
+  if (valid < 0.5) { gl_FragColor = uDataPass ? encodeData(1.0, 0.0, -1.0) : vec4(1.0, 1.0, 1.0, 1.0); return; }
+  if (checkCollisionT0(r0, r1, r2) > 0.5) { gl_FragColor = uDataPass ? encodeData(2.0, 0.0, -1.0) : vec4(1.0, 0.6, 0.0, 1.0); return; }
   vec2 cr0 = r0, cr1 = r1, cr2 = r2;
   vec2 cp0 = p0, cp1 = p1, cp2 = p2;
   float ct = 0.0;
@@ -166,7 +412,18 @@ void main() {
   float theta_w1a = 0.0, theta_w1b = 0.0, theta_w2a = 0.0, theta_w2b = 0.0;
   float t_w1a = 0.0,     t_w1b = 0.0,     t_w2a = 0.0,     t_w2b = 0.0;
   float sampled_w1a = 0.0, sampled_w1b = 0.0, sampled_w2a = 0.0, sampled_w2b = 0.0;
-  bool wantDiff = (uRenderMode == 1 || uRenderMode == 3);
+  bool wantDiff = (uRenderMode == 1 || uRenderMode == 3 || uDataPass);
+  bool wantEscape = (uRenderMode == 0 || uRenderMode == 6 || uDataPass);
+  float escaped = 0.0;
+  float escBody = 0.0;
+  float tEsc = 0.0;
+  // FTLE: shadow trajectory FTLE_D0 away along a fixed direction
+  float kD0 = FTLE_D0 / sqrt(6.0);
+  vec2 sr0 = r0 + kD0 * vec2(1.0, -1.0), sr1 = r1 + kD0 * vec2(-1.0, 1.0), sr2 = r2 + kD0 * vec2(1.0, 1.0);
+  vec2 sp0 = p0, sp1 = p1, sp2 = p2;
+  float ftleSum = 0.0;
+  float energy0 = totalEnergy(r0, r1, r2, p0, p1, p2, m);
+  float eDrift = 0.0;
   for (int step = 0; step < 20000; step++) {
     if (step >= uMaxSteps || ct >= uHorizon) break;
     float minD = min(min(length(cr0-cr1), length(cr0-cr2)), length(cr1-cr2));
@@ -175,27 +432,29 @@ void main() {
     if (nSub < 1) nSub = 1;
     if (nSub > 32) nSub = 32;
     float dt = uDtMacro / nSubF;
-    for (int s = 0; s < 32; s++) {
-      if (s >= nSub) break;
-      vec2 f0 = vec2(0.0), f1 = vec2(0.0), f2 = vec2(0.0);
-      vec2 dr = cr1 - cr0; float d = length(dr);
-      if (d > 1e-10) { float fmag = G * m.x * m.y / (d*d*d); f0 += fmag * dr; f1 -= fmag * dr; }
-      dr = cr2 - cr0; d = length(dr);
-      if (d > 1e-10) { float fmag = G * m.x * m.z / (d*d*d); f0 += fmag * dr; f2 -= fmag * dr; }
-      dr = cr2 - cr1; d = length(dr);
-      if (d > 1e-10) { float fmag = G * m.y * m.z / (d*d*d); f1 += fmag * dr; f2 -= fmag * dr; }
-      cp0 += f0 * dt * 0.5; cp1 += f1 * dt * 0.5; cp2 += f2 * dt * 0.5;
-      cr0 += cp0 / m.x * dt; cr1 += cp1 / m.y * dt; cr2 += cp2 / m.z * dt;
-      f0 = vec2(0.0); f1 = vec2(0.0); f2 = vec2(0.0);
-      dr = cr1 - cr0; d = length(dr);
-      if (d > 1e-10) { float fmag = G * m.x * m.y / (d*d*d); f0 += fmag * dr; f1 -= fmag * dr; }
-      dr = cr2 - cr0; d = length(dr);
-      if (d > 1e-10) { float fmag = G * m.x * m.z / (d*d*d); f0 += fmag * dr; f2 -= fmag * dr; }
-      dr = cr2 - cr1; d = length(dr);
-      if (d > 1e-10) { float fmag = G * m.y * m.z / (d*d*d); f1 += fmag * dr; f2 -= fmag * dr; }
-      cp0 += f0 * dt * 0.5; cp1 += f1 * dt * 0.5; cp2 += f2 * dt * 0.5;
+    float dtStep;
+    if (uDeep) {
+      dtStep = integrateDeep(R0, R1, R2, P0, P1, P2, M0, M1, M2, nSub, dt, -energy0);
+      cr0 = R0.xz; cr1 = R1.xz; cr2 = R2.xz;
+      cp0 = P0.xz; cp1 = P1.xz; cp2 = P2.xz;
+    } else {
+      dtStep = integrate(cr0, cr1, cr2, cp0, cp1, cp2, m, nSub, dt, -energy0);
+    }
+    ct += dtStep;
+    if (uRenderMode == 5) {
+      // The shadow has its own energy (renormalising changes it), so under
+      // logh its fictitious time maps to a slightly different physical time:
+      // a leapfrog step of the difference brings it level with the orbit
+      float sBind = -totalEnergy(sr0, sr1, sr2, sp0, sp1, sp2, m);
+      float sdt = integrate(sr0, sr1, sr2, sp0, sp1, sp2, m, nSub, dt, sBind);
+      if (uIntegrator == 2) kdk(sr0, sr1, sr2, sp0, sp1, sp2, m, dtStep - sdt);
+      vec2 a0 = sr0 - cr0, a1 = sr1 - cr1, a2 = sr2 - cr2, b0 = sp0 - cp0, b1 = sp1 - cp1, b2 = sp2 - cp2;
+      float sep = max(sqrt(dot(a0,a0) + dot(a1,a1) + dot(a2,a2) + dot(b0,b0) + dot(b1,b1) + dot(b2,b2)), 1e-30);
+      ftleSum += log(sep / FTLE_D0);
+      float k = FTLE_D0 / sep;
+      sr0 = cr0 + a0 * k; sr1 = cr1 + a1 * k; sr2 = cr2 + a2 * k;
+      sp0 = cp0 + b0 * k; sp1 = cp1 + b1 * k; sp2 = cp2 + b2 * k;
     }
-    ct += float(nSub) * dt;
     minD = min(min(length(cr0-cr1), length(cr0-cr2)), length(cr1-cr2));
     if (minD < uRColl) {
       collision = 1.0;
@@ -207,16 +466,33 @@ void main() {
       else collPair = 3.0;
       break;
     }
-    if (uRenderMode == 0) {
+    if (uRenderMode == 7) {
+      float e = totalEnergy(cr0, cr1, cr2, cp0, cp1, cp2, m);
+      eDrift = max(eDrift, abs(e - energy0) / max(1e-12, abs(energy0)));
+    }
+    if (wantEscape) {
       float e0 = check_escape(0.0, cr0, cr1, cr2, cp0, cp1, cp2, m, uREsc);
       float e1 = check_escape(1.0, cr0, cr1, cr2, cp0, cp1, cp2, m, uREsc);
       float e2 = check_escape(2.0, cr0, cr1, cr2, cp0, cp1, cp2, m, uREsc);
       c_esc0 = (e0 > 0.5) ? (c_esc0 + 1.0) : 0.0;
       c_esc1 = (e1 > 0.5) ? (c_esc1 + 1.0) : 0.0;
       c_esc2 = (e2 > 0.5) ? (c_esc2 + 1.0) : 0.0;
-      if (c_esc0 >= K_ESC) { gl_FragColor = vec4(0.8, 0.8, 0.0, 1.0); return; }
-      if (c_esc1 >= K_ESC) { gl_FragColor = vec4(0.8, 0.0, 0.8, 1.0); return; }
-      if (c_esc2 >= K_ESC) { gl_FragColor = vec4(0.0, 0.8, 0.8, 1.0); return; }
+      if (uDataPass) {
+        // Record the first escape but keep integrating: the image modes that
+        // show diffusion do not stop at escapes either
+        if (escaped < 0.5 && (c_esc0 >= K_ESC || c_esc1 >= K_ESC || c_esc2 >= K_ESC)) {
+          escaped = 1.0;
+          escBody = c_esc0 >= K_ESC ? 0.0 : (c_esc1 >= K_ESC ? 1.0 : 2.0);
+          tEsc = ct;
+        }
+      } else if (uRenderMode == 0) {
+        if (c_esc0 >= K_ESC) { gl_FragColor = vec4(0.8, 0.8, 0.0, 1.0); return; }
+        if (c_esc1 >= K_ESC) { gl_FragColor = vec4(0.8, 0.0, 0.8, 1.0); return; }
+        if (c_esc2 >= K_ESC) { gl_FragColor = vec4(0.0, 0.8, 0.8, 1.0); return; }
+      } else if (c_esc0 >= K_ESC || c_esc1 >= K_ESC || c_esc2 >= K_ESC) {
+        escaped = 1.0;
+        break;
+      }
     }
     if (wantDiff) {
       float frac = ct / uHorizon;
@@ -229,6 +505,16 @@ void main() {
       if (frac > 0.625 && sampled_w2b < 0.5) { theta_w2b = shape_theta(rho, lambda, m); t_w2b = ct; sampled_w2b = 1.0; }
     }
   }
+  float diffusion = diffusionIndex(vec4(theta_w1a, theta_w1b, theta_w2a, theta_w2b),
+                                   vec4(t_w1a, t_w1b, t_w2a, t_w2b),
+                                   vec4(sampled_w1a, sampled_w1b, sampled_w2a, sampled_w2b));
+  if (uDataPass) {
+    // An escape recorded before a later collision is the outcome, as in mode 0
+    if (escaped > 0.5) gl_FragColor = encodeData(6.0 + escBody, tEsc / uHorizon, diffusion);
+    else if (collision > 0.5) gl_FragColor = encodeData(2.0 + collPair, ct / uHorizon, diffusion);
+    else gl_FragColor = encodeData(0.0, ct / uHorizon, diffusion);
+    return;
+  }
   if (uRenderMode == 0) {
     if (collision > 0.5) {
       float b = pow(max(0.0, 1.0 - ct / uHorizon), 0.4);
@@ -240,21 +526,30 @@ void main() {
     }
     return;
   }
+  if (uRenderMode == 5) {
+    float lambda = (ct > 0.0) ? ftleSum / ct : 0.0;
+    gl_FragColor = vec4(ramp3(vec3(0.05, 0.05, 0.15), vec3(0.8, 0.2, 0.2), vec3(1.0, 0.95, 0.6), lambda / FTLE_MAX), 1.0);
+    return;
+  }
+  if (uRenderMode == 6) {
+    float f = ct / uHorizon;
+    if (collision > 0.5) gl_FragColor = vec4(ramp2(vec3(1.0, 0.9, 0.3), vec3(0.45, 0.05, 0.05), f), 1.0);
+    else if (escaped > 0.5) gl_FragColor = vec4(ramp2(vec3(0.6, 0.95, 1.0), vec3(0.05, 0.15, 0.45), f), 1.0);
+    else gl_FragColor = vec4(0.0, 0.0, 0.0, 1.0);
+    return;
+  }
+  if (uRenderMode == 7) {
+    float lg = log(max(eDrift, 1e-12)) / LN10;
+    float t = (lg - ENERGY_LOG_MIN) / (ENERGY_LOG_MAX - ENERGY_LOG_MIN);
+    gl_FragColor = vec4(ramp3(vec3(0.95, 0.95, 0.93), vec3(0.95, 0.65, 0.15), vec3(0.55, 0.0, 0.0), t), 1.0);
+    return;
+  }
   vec2 rhoF = cr1 - cr0;
   vec2 com01F = (m.x * cr0 + m.y * cr1) / (m.x + m.y);
   vec2 lambdaF = cr2 - com01F;
   vec3 nF = shape_n(rhoF, lambdaF, m);
   float theta = atan(nF.y, nF.x);
-  float diff = 0.0;
-  if (sampled_w1b > 0.5 && sampled_w2b > 0.5 && sampled_w1a > 0.5 && sampled_w2a > 0.5) {
-    float dt1 = max(1e-6, t_w1b - t_w1a);
-    float dt2 = max(1e-6, t_w2b - t_w2a);
-    float omega1 = angDiff(theta_w1b, theta_w1a) / dt1;
-    float omega2 = angDiff(theta_w2b, theta_w2a) / dt2;
-    float D = abs(omega2 - omega1);
-    diff = clamp(log(1.0 + D / D0) / log(1.0 + D_MAX / D0), 0.0, 1.0);
-  }
-  float stability = diff;
+  float stability = max(diffusion, 0.0);
   if (uRenderMode == 4) {
     vec3 rgb = 0.5 + 0.5 * clamp(nF, vec3(-1.0), vec3(1.0));
     gl_FragColor = vec4(rgb, 1.0);
@@ -0,0 +1,242 @@
+/**
+ * CPU reference renderer
+ *
+ * Reproduces main() of shaders/principia/frag.glsl for every render mode,
+ * one pixel at a time, on top of the integrator in threeBody.ts. Used by the
+ * headless CLI (scripts/render-cpu.ts) and as the regression reference for
+ * the shader output.
+ */
+
+import {
+  decodeIC, substepPlan, integrateSubsteps, minPairDistance, checkEscape, shapeN, totalEnergy,
+  SHADER_STEP_CAP, type BodyState, type SimParams,
+} from './threeBody.js';
+import { computeSliceDirs, zAtWorld, type SliceSource } from './slice.js';
+import {
+  MODE_FTLE, MODE_TIME_TO_EVENT, MODE_ENERGY_DRIFT, FTLE_D0, FTLE_MAX,
+  FTLE_RAMP, COLLISION_RAMP, ESCAPE_RAMP, ENERGY_RAMP, rampColor, energyDriftT,
+} from './diagnostics.js';
+
+const PI = Math.PI;
+const K_ESC = 4;
+const D0 = 0.01;
+const D_MAX = 0.1;
+
+export type RGB = [number, number, number];
+
+export interface RenderSource extends SliceSource, SimParams {
+  mode: number;
+  viewZoom: number;
+  viewPanX: number;
+  viewPanY: number;
+  z0: number[];
+}
+
+/**
+ * Pixel rectangle of a res×res image (y grows downwards, like the PNG)
+ */
+export interface PixelRegion {
+  x: number;
+  y: number;
+  w: number;
+  h: number;
+}
+
+function hsl2rgb(h: number, s: number, l: number): RGB {
+  const c = (1 - Math.abs(2 * l - 1)) * s;
+  const hm = h / 60 - 2 * Math.floor(h / 120);
+  const x = c * (1 - Math.abs(hm - 1));
+  const m = l - c * 0.5;
+  let rgb: RGB;
+  if (h < 60) rgb = [c, x, 0];
+  else if (h < 120) rgb = [x, c, 0];
+  else if (h < 180) rgb = [0, c, x];
+  else if (h < 240) rgb = [0, x, c];
+  else if (h < 300) rgb = [x, 0, c];
+  else rgb = [c, 0, x];
+  return [rgb[0] + m, rgb[1] + m, rgb[2] + m];
+}
+
+function angDiff(a: number, b: number): number {
+  const d = a - b;
+  return Math.atan2(Math.sin(d), Math.cos(d));
+}
+
+function clamp01(x: number): number {
+  return Math.max(0, Math.min(1, x));
+}
+
+/**
+ * FTLE shadow: the same state moved FTLE_D0 along a fixed position direction
+ */
+function ftleShadow(s: BodyState): BodyState {
+  const k = FTLE_D0 / Math.sqrt(6);
+  const dir = [[1, -1], [-1, 1], [1, 1]];
+  return {
+    r: s.r.map((r, i) => [r[0] + k * dir[i][0], r[1] + k * dir[i][1]]) as BodyState['r'],
+    p: s.p.map(p => [p[0], p[1]]) as BodyState['p'],
+  };
+}
+
+/**
+ * Pull the shadow back to distance FTLE_D0 from `s` along their separation
+ * @returns The phase-space separation before renormalising
+ */
+function renormaliseShadow(s: BodyState, shadow: BodyState): number {
+  let d2 = 0;
+  for (let i = 0; i < 3; i++) {
+    for (let k = 0; k < 2; k++) {
+      d2 += (shadow.r[i][k] - s.r[i][k]) ** 2 + (shadow.p[i][k] - s.p[i][k]) ** 2;
+    }
+  }
+  const d = Math.max(Math.sqrt(d2), 1e-30);
+  const scale = FTLE_D0 / d;
+  for (let i = 0; i < 3; i++) {
+    for (let k = 0; k < 2; k++) {
+      shadow.r[i][k] = s.r[i][k] + (shadow.r[i][k] - s.r[i][k]) * scale;
+      shadow.p[i][k] = s.p[i][k] + (shadow.p[i][k] - s.p[i][k]) * scale;
+    }
+  }
+  return d;
+}
+
+function shapeTheta(s: BodyState, m: [number, number, number]): number {
+  const n = shapeN(s.r, m);
+  return Math.atan2(n[1], n[0]);
+}
+
+/**
+ * Colour of one pixel for the given 10D point, in [0,1] per channel
+ */
+export function shadePixel(z: ArrayLike<number>, sim: SimParams, mode: number): RGB {
+  const ic = decodeIC(z);
+  if (!ic.valid) return [1, 1, 1];
+  const m = ic.m;
+  const s: BodyState = { r: ic.r, p: ic.p };
+  if (minPairDistance(s.r) < sim.rColl) return [1, 0.6, 0];
+
+  const maxSteps = Math.max(1, Math.min(SHADER_STEP_CAP, sim.maxSteps | 0));
+  const wantDiff = mode === 1 || mode === 3;
+  const wantEscape = mode === 0 || mode === MODE_TIME_TO_EVENT;
+  const shadow = mode === MODE_FTLE ? ftleShadow(s) : null;
+  const e0 = totalEnergy(s, m);
+  let ftleSum = 0;
+  let drift = 0;
+  let escaped = false;
+  const esc = [0, 0, 0];
+  const win = [0.25, 0.375, 0.5, 0.625];
+  const thetaW = [0, 0, 0, 0];
+  const tW = [0, 0, 0, 0];
+  const sampled = [false, false, false, false];
+  let ct = 0;
+  let collPair = 0;
+
+  for (let step = 0; step < maxSteps && ct < sim.horizon; step++) {
+    const { nSub, dt } = substepPlan(s, sim.dtMacro);
+    const dtStep = integrateSubsteps(s, m, nSub, dt, sim.integrator, e0);
+    ct += dtStep;
+    if (shadow) {
+      // Own energy, then a leapfrog step to the orbit's physical time (see frag.glsl)
+      const sdt = integrateSubsteps(shadow, m, nSub, dt, sim.integrator, totalEnergy(shadow, m));
+      if (sim.integrator === 'logh') integrateSubsteps(shadow, m, 1, dtStep - sdt, 'leapfrog', 0);
+      ftleSum += Math.log(renormaliseShadow(s, shadow) / FTLE_D0);
+    }
+    const d01 = Math.hypot(s.r[0][0] - s.r[1][0], s.r[0][1] - s.r[1][1]);
+    const d02 = Math.hypot(s.r[0][0] - s.r[2][0], s.r[0][1] - s.r[2][1]);
+    const d12 = Math.hypot(s.r[1][0] - s.r[2][0], s.r[1][1] - s.r[2][1]);
+    if (Math.min(d01, d02, d12) < sim.rColl) {
+      collPair = (d01 <= d02 && d01 <= d12) ? 1 : (d02 <= d12 ? 2 : 3);
+      break;
+    }
+    if (mode === MODE_ENERGY_DRIFT) {
+      drift = Math.max(drift, Math.abs(totalEnergy(s, m) - e0) / Math.max(1e-12, Math.abs(e0)));
+    }
+    if (wantEscape) {
+      for (let k = 0; k < 3; k++) esc[k] = checkEscape(k, s, m, sim.rEsc) ? esc[k] + 1 : 0;
+      if (mode === 0) {
+        if (esc[0] >= K_ESC) return [0.8, 0.8, 0];
+        if (esc[1] >= K_ESC) return [0.8, 0, 0.8];
+        if (esc[2] >= K_ESC) return [0, 0.8, 0.8];
+      } else if (esc.some(c => c >= K_ESC)) {
+        escaped = true;
+        break;
+      }
+    }
+    if (wantDiff) {
+      const frac = ct / sim.horizon;
+      for (let w = 0; w < 4; w++) {
+        if (frac > win[w] && !sampled[w]) { thetaW[w] = shapeTheta(s, m); tW[w] = ct; sampled[w] = true; }
+      }
+    }
+  }
+
+  if (mode === MODE_FTLE) {
+    const lambda = ct > 0 ? ftleSum / ct : 0;
+    return rampColor(FTLE_RAMP, lambda / FTLE_MAX);
+  }
+  if (mode === MODE_TIME_TO_EVENT) {
+    const f = ct / sim.horizon;
+    if (collPair !== 0) return rampColor(COLLISION_RAMP, f);
+    if (escaped) return rampColor(ESCAPE_RAMP, f);
+    return [0, 0, 0];
+  }
+  if (mode === MODE_ENERGY_DRIFT) {
+    return rampColor(ENERGY_RAMP, energyDriftT(drift));
+  }
+  if (mode === 0) {
+    if (collPair === 0) return [0, 0, 0];
+    const b = Math.pow(Math.max(0, 1 - ct / sim.horizon), 0.4);
+    return collPair === 1 ? [b, 0, 0] : collPair === 2 ? [0, b, 0] : [0, 0, b];
+  }
+
+  const nF = shapeN(s.r, m);
+  const theta = Math.atan2(nF[1], nF[0]);
+  let diff = 0;
+  if (sampled.every(Boolean)) {
+    const dt1 = Math.max(1e-6, tW[1] - tW[0]);
+    const dt2 = Math.max(1e-6, tW[3] - tW[2]);
+    const omega1 = angDiff(thetaW[1], thetaW[0]) / dt1;
+    const omega2 = angDiff(thetaW[3], thetaW[2]) / dt2;
+    const D = Math.abs(omega2 - omega1);
+    diff = clamp01(Math.log(1 + D / D0) / Math.log(1 + D_MAX / D0));
+  }
+  if (mode === 4) {
+    return [0.5 + 0.5 * Math.max(-1, Math.min(1, nF[0])),
+            0.5 + 0.5 * Math.max(-1, Math.min(1, nF[1])),
+            0.5 + 0.5 * Math.max(-1, Math.min(1, nF[2]))];
+  }
+  if (mode === 3) {
+    const b = 0.95 + (0.05 - 0.95) * diff;
+    return [b, b, b];
+  }
+  const hue = (((theta + PI) / (2 * PI) * 360) % 360 + 360) % 360;
+  const light = mode === 1 ? 0.65 + (0.22 - 0.65) * diff : 0.5;
+  return hsl2rgb(hue, 1, light);
+}
+
+/**
+ * Render a pixel region of a res×res image into RGBA bytes (row-major, top row first)
+ */
+export function renderRegion(st: RenderSource, res: number, region: PixelRegion): Uint8ClampedArray {
+  const { q1, q2 } = computeSliceDirs(st);
+  const sim: SimParams = {
+    horizon: st.horizon, maxSteps: st.maxSteps, dtMacro: st.dtMacro, rColl: st.rColl, rEsc: st.rEsc, integrator: st.integrator,
+  };
+  const out = new Uint8ClampedArray(region.w * region.h * 4);
+  for (let row = 0; row < region.h; row++) {
+    const py = region.y + row;
+    const v = 1 - (py + 0.5) / res;
+    const vw = st.viewPanY + v * st.viewZoom;
+    for (let col = 0; col < region.w; col++) {
+      const px = region.x + col;
+      const uw = st.viewPanX + ((px + 0.5) / res) * st.viewZoom;
+      const rgb = shadePixel(zAtWorld(st.z0, q1, q2, uw, vw), sim, st.mode | 0);
+      const o = (row * region.w + col) * 4;
+      out[o] = Math.round(clamp01(rgb[0]) * 255);
+      out[o + 1] = Math.round(clamp01(rgb[1]) * 255);
+      out[o + 2] = Math.round(clamp01(rgb[2]) * 255);
+      out[o + 3] = 255;
+    }
+  }
+  return out;
+}
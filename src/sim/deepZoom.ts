@@ -0,0 +1,131 @@
+/**
+ * Extended precision for deep zoom
+ *
+ * frag.glsl reconstructs z = z0 + (2u-1)·q1 + (2v-1)·q2 in float32, so once a
+ * pixel spans only a few float32 ulps of |z| (zoom ≲ 1e-4 at 1024 px)
+ * neighbouring pixels decode to the same initial conditions and boundaries
+ * turn into blocky bands. The deep path decodes the initial conditions at
+ * each tile's centre here in double precision, splits them into float pairs
+ * (hi + lo) with their derivatives along the view axes, and the shader
+ * integrates from there in double-float arithmetic.
+ */
+
+import { decodeIC, type DecodedIC } from './threeBody.js';
+import { computeSliceDirs, zAtWorld, type SliceSource } from './slice.js';
+import type { Vec10 } from '../math.js';
+
+/** float32 unit roundoff */
+const EPS_FLOAT = 2 ** -24;
+/** Effective unit roundoff of the shader's double-float arithmetic */
+const EPS_DOUBLE_FLOAT = 2 ** -44;
+/** Neighbouring pixels must differ by at least this many ulps of |z| */
+const ULPS_PER_PIXEL = 16;
+/** Step for the central differences of the IC decode (view units) */
+const DIFF_STEP = 1e-6;
+
+/** Smallest zoom the view gestures allow */
+export const MIN_ZOOM = 1e-12;
+
+export interface ViewSource extends SliceSource {
+  viewZoom: number;
+  viewPanX: number;
+  viewPanY: number;
+  z0: number[];
+}
+
+/** View-space rectangle drawn by one draw call (renderer uTile) */
+export interface ViewTile {
+  offX: number;
+  offY: number;
+  scX: number;
+  scY: number;
+}
+
+/**
+ * - float: float32 path resolves every pixel
+ * - deep: needs the double-float path
+ * - limit: pixels are finer than even double-float resolves
+ */
+export type PrecisionLevel = 'float' | 'deep' | 'limit';
+
+export interface PrecisionInfo {
+  level: PrecisionLevel;
+  /** Change in z between neighbouring pixels */
+  pixelStep: number;
+  /** Largest |z| component in view, which sets the ulp size */
+  zScale: number;
+}
+
+/**
+ * Which shader path a res×res render of this view needs
+ */
+export function precisionInfo(st: ViewSource, res: number): PrecisionInfo {
+  const { q1, q2 } = computeSliceDirs(st);
+  const zc = zAtWorld(st.z0, q1, q2, st.viewPanX + st.viewZoom / 2, st.viewPanY + st.viewZoom / 2);
+  const zScale = Math.max(1, ...zc.map(Math.abs));
+  // q1, q2 are unit vectors and z moves by 2·q per view unit
+  const pixelStep = 2 * st.viewZoom / res;
+  const resolves = (eps: number) => pixelStep >= ULPS_PER_PIXEL * eps * zScale;
+  const level = resolves(EPS_FLOAT) ? 'float' : resolves(EPS_DOUBLE_FLOAT) ? 'deep' : 'limit';
+  return { level, pixelStep, zScale };
+}
+
+/**
+ * Split a double into float32 hi + lo with hi + lo ≈ x to ~48 bits
+ */
+export function splitDouble(x: number): [number, number] {
+  const hi = Math.fround(x);
+  return [hi, Math.fround(x - hi)];
+}
+
+/**
+ * Shader uniforms for one tile of the deep path.
+ * Body state layout matches frag.glsl: (r0, r1), (r2, p0), (p1, p2).
+ */
+export interface TileIC {
+  valid: boolean;
+  hi: Float32Array;        // 12
+  lo: Float32Array;        // 12
+  du: Float32Array;        // 12, d/du in view units
+  dv: Float32Array;        // 12
+  massHi: Float32Array;    // 3
+  massLo: Float32Array;    // 3
+  massDu: Float32Array;    // 3
+  massDv: Float32Array;    // 3
+}
+
+function flattenIC(ic: DecodedIC): number[] {
+  const [r0, r1, r2] = ic.r, [p0, p1, p2] = ic.p;
+  return [...r0, ...r1, ...r2, ...p0, ...p1, ...p2];
+}
+
+/**
+ * Initial conditions at the centre of a tile plus their first derivatives
+ * along the view axes. Across one tile the second-order term is orders of
+ * magnitude below a pixel's step, so the shader can reconstruct each pixel's
+ * initial conditions as centre + du·∂u + dv·∂v without losing precision.
+ */
+export function tileIC(z0: number[], q1: Vec10, q2: Vec10, tile: ViewTile): TileIC {
+  const uc = tile.offX + tile.scX / 2;
+  const vc = tile.offY + tile.scY / 2;
+  const at = (u: number, v: number) => decodeIC(zAtWorld(z0, q1, q2, u, v));
+  const c = at(uc, vc);
+  const uP = at(uc + DIFF_STEP, vc), uM = at(uc - DIFF_STEP, vc);
+  const vP = at(uc, vc + DIFF_STEP), vM = at(uc, vc - DIFF_STEP);
+  const diff = (a: number[], b: number[]) => Float32Array.from(a, (x, i) => (x - b[i]) / (2 * DIFF_STEP));
+
+  const state = flattenIC(c);
+  const split = state.map(splitDouble);
+  const massSplit = c.m.map(splitDouble);
+  return {
+    valid: c.valid,
+    hi: Float32Array.from(split, s => s[0]),
+    lo: Float32Array.from(split, s => s[1]),
+    du: diff(flattenIC(uP), flattenIC(uM)),
+    dv: diff(flattenIC(vP), flattenIC(vM)),
+    massHi: Float32Array.from(massSplit, s => s[0]),
+    massLo: Float32Array.from(massSplit, s => s[1]),
+    massDu: diff(uP.m, uM.m),
+    massDv: diff(vP.m, vM.m),
+  };
+}
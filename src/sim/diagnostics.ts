@@ -0,0 +1,71 @@
+/**
+ * Diagnostic render modes (FTLE, time to event, energy drift)
+ *
+ * Scales and colour ramps shared by frag.glsl, the CPU reference renderer,
+ * the legend and the probe, which reads values back off rendered pixels.
+ * The shader hard-codes the same numbers; keep them in sync.
+ */
+
+export type RGB = [number, number, number];
+
+/** Render mode ids (see MODE_INFO) */
+export const MODE_FTLE = 5;
+export const MODE_TIME_TO_EVENT = 6;
+export const MODE_ENERGY_DRIFT = 7;
+
+/** Initial phase-space distance of the FTLE shadow trajectory (renormalised every macro step) */
+export const FTLE_D0 = 1e-4;
+/** FTLE at the top of the colour scale */
+export const FTLE_MAX = 2.0;
+
+/** log10 of the relative energy drift at the ends of the colour scale */
+export const ENERGY_LOG_MIN = -6;
+export const ENERGY_LOG_MAX = -1;
+
+/** Ramps as colour stops, low → high */
+export const FTLE_RAMP: RGB[] = [[0.05, 0.05, 0.15], [0.8, 0.2, 0.2], [1.0, 0.95, 0.6]];
+/** Time to event: early → late (bounded orbits are black) */
+export const COLLISION_RAMP: RGB[] = [[1.0, 0.9, 0.3], [0.45, 0.05, 0.05]];
+export const ESCAPE_RAMP: RGB[] = [[0.6, 0.95, 1.0], [0.05, 0.15, 0.45]];
+export const ENERGY_RAMP: RGB[] = [[0.95, 0.95, 0.93], [0.95, 0.65, 0.15], [0.55, 0.0, 0.0]];
+
+/**
+ * Colour at t ∈ [0,1] along evenly spaced stops
+ */
+export function rampColor(stops: RGB[], t: number): RGB {
+  const x = Math.max(0, Math.min(1, t)) * (stops.length - 1);
+  const i = Math.min(stops.length - 2, Math.floor(x));
+  const f = x - i;
+  return stops[i].map((a, k) => a + (stops[i + 1][k] - a) * f) as RGB;
+}
+
+/**
+ * Inverse of rampColor: position of the closest point on the ramp to `rgb`
+ * @returns t ∈ [0,1] and the distance to the ramp (large = not on this ramp)
+ */
+export function rampPosition(stops: RGB[], rgb: RGB): { t: number; dist: number } {
+  let best = { t: 0, dist: Infinity };
+  for (let i = 0; i < stops.length - 1; i++) {
+    const a = stops[i], b = stops[i + 1];
+    const ab = b.map((x, k) => x - a[k]);
+    const len2 = ab.reduce((s, x) => s + x * x, 0);
+    const f = Math.max(0, Math.min(1, ab.reduce((s, x, k) => s + x * (rgb[k] - a[k]), 0) / len2));
+    const dist = Math.hypot(...rgb.map((x, k) => x - (a[k] + ab[k] * f)));
+    if (dist < best.dist) best = { t: (i + f) / (stops.length - 1), dist };
+  }
+  return best;
+}
+
+/**
+ * CSS linear-gradient for a ramp (legend bars)
+ */
+export function rampCss(stops: RGB[]): string {
+  const css = stops.map(c => `rgb(${c.map(x => Math.round(x * 255)).join(',')})`);
+  return `linear-gradient(to right, ${css.join(', ')})`;
+}
+
+/** Energy-drift colour scale position for a relative drift */
+export function energyDriftT(drift: number): number {
+  const lg = Math.log10(Math.max(drift, 1e-12));
+  return Math.max(0, Math.min(1, (lg - ENERGY_LOG_MIN) / (ENERGY_LOG_MAX - ENERGY_LOG_MIN)));
+}
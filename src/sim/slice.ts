@@ -0,0 +1,71 @@
+/**
+ * Slice-plane geometry shared by the GPU renderer, the CPU reference renderer and the probe
+ */
+
+import { dot10, add10, sub10, scale10, norm10, normalize10, basis10, type Vec10 } from '../math.js';
+
+export interface SliceSource {
+  dir1Base: number[];
+  dir2Base: number[];
+  gammaDeg: number;
+  tiltDim1: number;
+  tiltDim2: number;
+  tiltAmt1: number;
+  tiltAmt2: number;
+  doOrtho: boolean;
+}
+
+/**
+ * Orthonormal slice directions (q1, q2) after tilt, optional Gram–Schmidt and γ rotation
+ */
+export function computeSliceDirs(st: SliceSource): { q1: Vec10; q2: Vec10 } {
+  const gamma = (st.gammaDeg * Math.PI) / 180.0;
+  let q1 = add10(st.dir1Base as Vec10, scale10(basis10(st.tiltDim1), st.tiltAmt1));
+  let q2 = add10(st.dir2Base as Vec10, scale10(basis10(st.tiltDim2), st.tiltAmt2));
+  q1 = normalize10(q1);
+  if (st.doOrtho) {
+    const proj = dot10(q2, q1);
+    q2 = sub10(q2, scale10(q1, proj));
+  }
+  q2 = normalize10(q2);
+  const c = Math.cos(gamma), s = Math.sin(gamma);
+  const q1r = add10(scale10(q1, c),  scale10(q2, s));
+  const q2r = add10(scale10(q1, -s), scale10(q2, c));
+  return { q1: q1r, q2: q2r };
+}
+
+/**
+ * 10D point for slice coordinates (uw, vw) in view space ([0,1]² at zoom 1)
+ */
+export function zAtWorld(z0: number[], q1: Vec10, q2: Vec10, uw: number, vw: number): number[] {
+  const uu = 2 * uw - 1, vv = 2 * vw - 1;
+  return z0.map((z0i, i) => z0i + uu * q1[i] + vv * q2[i]);
+}
+
+/** Smallest out-of-line part, relative to the spread of the points, that still spans a plane */
+const COLLINEAR_TOL = 1e-6;
+
+/**
+ * Plane through three 10D points: origin at their centroid, q1 from the first
+ * point towards the second, q2 the part of first→third orthogonal to q1.
+ * Also returns each point's coordinates (along q1, q2) about the origin.
+ * Throws if the points do not span a plane.
+ */
+export function planeThroughPoints(points: number[][]): { z0: Vec10; q1: Vec10; q2: Vec10; coords: [number, number][] } {
+  if (points.length !== 3) throw new Error(`A plane needs three points, got ${points.length}`);
+  const [a, b, c] = points as Vec10[];
+  const ab = sub10(b, a), ac = sub10(c, a);
+  const spread = Math.max(norm10(ab), norm10(ac));
+  if (spread < COLLINEAR_TOL) throw new Error('The three points coincide');
+  if (norm10(ab) < COLLINEAR_TOL * spread) throw new Error('The first two points coincide');
+  const q1 = normalize10(ab);
+  const rest = sub10(ac, scale10(q1, dot10(ac, q1)));
+  if (norm10(rest) < COLLINEAR_TOL * spread) throw new Error('The three points lie on one line');
+  const q2 = normalize10(rest);
+  const z0 = scale10(add10(add10(a, b), c), 1 / 3);
+  const coords = points.map(p => {
+    const d = sub10(p as Vec10, z0);
+    return [dot10(d, q1), dot10(d, q2)] as [number, number];
+  });
+  return { z0, q1, q2, coords };
+}
@@ -0,0 +1,357 @@
+/**
+ * CPU port of the planar three-body integrator in shaders/principia/frag.glsl
+ *
+ * Mirrors the shader step for step (IC decode, adaptive sub-stepping, the
+ * selectable integrators, collision / escape rules) so a single pixel can be
+ * reproduced exactly in JS. Keep the two in sync when either changes.
+ */
+
+import { sigmoid, softmax3, type Vec10 } from '../math.js';
+import type { IntegratorId } from '../state.js';
+
+// ─── Constants (must match frag.glsl) ───────────────────────────────────────
+
+const PI = Math.PI;
+const G = 1.0;
+const ALPHA_MIN = 0.05;
+const MU_MAX = 5.0;
+const Q_MAX = 2.0;
+const K_ESC = 4;
+const MAX_SUB = 32;
+export const SHADER_STEP_CAP = 20000;
+/** Yoshida (1990) weights: three leapfrog steps of w1, w0, w1 give 4th order */
+const YOSHIDA_W1 = 1 / (2 - Math.cbrt(2));
+const YOSHIDA_W0 = -Math.cbrt(2) / (2 - Math.cbrt(2));
+
+// ─── Types ──────────────────────────────────────────────────────────────────
+
+export type Vec2 = [number, number];
+
+/**
+ * Phase-space state of the three bodies
+ */
+export interface BodyState {
+  r: [Vec2, Vec2, Vec2];
+  p: [Vec2, Vec2, Vec2];
+}
+
+export interface DecodedIC extends BodyState {
+  m: [number, number, number];
+  valid: boolean;
+}
+
+export interface SimParams {
+  horizon: number;
+  maxSteps: number;
+  dtMacro: number;
+  rColl: number;
+  rEsc: number;
+  integrator: IntegratorId;
+}
+
+/**
+ * Outcome of an integration, using the same classes as render mode 0
+ * - pair: 1 = (0,1), 2 = (0,2), 3 = (1,2)
+ */
+export type Outcome =
+  | { kind: 'invalid' }
+  | { kind: 'collision-t0' }
+  | { kind: 'collision'; pair: 1 | 2 | 3 }
+  | { kind: 'escape'; body: 0 | 1 | 2 }
+  | { kind: 'bounded' };
+
+/**
+ * One recorded macro step of a trajectory
+ */
+export interface TrajectorySample {
+  t: number;
+  r: [Vec2, Vec2, Vec2];
+  energy: number;
+  n: [number, number, number];
+}
+
+export interface IntegrationResult {
+  outcome: Outcome;
+  t: number;
+  steps: number;
+  m: [number, number, number];
+  e0: number;
+  energyDrift: number;
+  samples: TrajectorySample[];
+}
+
+export interface IntegrateOptions {
+  /** Record a sample every N macro steps (0 = do not record) */
+  recordEvery?: number;
+  /** Keep checking escape after one is found (the shader stops at escapes only in the event modes) */
+  checkEscape?: boolean;
+}
+
+// ─── IC decode ──────────────────────────────────────────────────────────────
+
+export function decodeIC(z: ArrayLike<number>): DecodedIC {
+  const mu1 = MU_MAX * (2 * sigmoid(z[8]) - 1);
+  const mu2 = MU_MAX * (2 * sigmoid(z[9]) - 1);
+  const m = softmax3(0.0, mu1, mu2);
+  const M01 = m[0] + m[1];
+  const empty: Vec2 = [0, 0];
+  if (M01 < 1e-6) {
+    return { m, valid: false, r: [empty, empty, empty], p: [empty, empty, empty] };
+  }
+  const alpha = ALPHA_MIN + (PI / 2 - 2 * ALPHA_MIN) * sigmoid(z[1]);
+  const beta = PI * sigmoid(z[0]);
+  const muRho = m[0] * m[1] / M01;
+  const muLambda = m[2] * M01;
+  const sRho = 1 / Math.sqrt(muRho), sLam = 1 / Math.sqrt(muLambda);
+  const rho: Vec2 = [Math.cos(alpha) * sRho, 0];
+  const lambda: Vec2 = [Math.sin(alpha) * Math.cos(beta) * sLam, Math.sin(alpha) * Math.sin(beta) * sLam];
+  const r01: Vec2 = [-m[2] * lambda[0], -m[2] * lambda[1]];
+  const r2: Vec2 = [M01 * lambda[0], M01 * lambda[1]];
+  const r0: Vec2 = [r01[0] - (m[1] / M01) * rho[0], r01[1] - (m[1] / M01) * rho[1]];
+  const r1: Vec2 = [r01[0] + (m[0] / M01) * rho[0], r01[1] + (m[0] / M01) * rho[1]];
+  const pRho: Vec2 = [Q_MAX * (2 * sigmoid(z[4]) - 1), Q_MAX * (2 * sigmoid(z[5]) - 1)];
+  const pLam: Vec2 = [Q_MAX * (2 * sigmoid(z[6]) - 1), Q_MAX * (2 * sigmoid(z[7]) - 1)];
+  const p0: Vec2 = [-pRho[0] - (m[0] / M01) * pLam[0], -pRho[1] - (m[0] / M01) * pLam[1]];
+  const p1: Vec2 = [pRho[0] - (m[1] / M01) * pLam[0], pRho[1] - (m[1] / M01) * pLam[1]];
+  const p2: Vec2 = [pLam[0], pLam[1]];
+  return { m, valid: true, r: [r0, r1, r2], p: [p0, p1, p2] };
+}
+
+// ─── Diagnostics ────────────────────────────────────────────────────────────
+
+function dist(a: Vec2, b: Vec2): number {
+  return Math.hypot(a[0] - b[0], a[1] - b[1]);
+}
+
+export function minPairDistance(r: [Vec2, Vec2, Vec2]): number {
+  return Math.min(dist(r[0], r[1]), dist(r[0], r[2]), dist(r[1], r[2]));
+}
+
+export function totalEnergy(s: BodyState, m: [number, number, number]): number {
+  return kineticEnergy(s, m) - forceFunction(s.r, m);
+}
+
+/**
+ * Shape-sphere unit vector n for Jacobi vectors ρ = r1 − r0, λ = r2 − com01
+ */
+export function shapeN(r: [Vec2, Vec2, Vec2], m: [number, number, number]): [number, number, number] {
+  const M01 = m[0] + m[1];
+  const muRho = m[0] * m[1] / M01;
+  const muLambda = m[2] * M01;
+  const com: Vec2 = [(m[0] * r[0][0] + m[1] * r[1][0]) / M01, (m[0] * r[0][1] + m[1] * r[1][1]) / M01];
+  const sr = Math.sqrt(muRho), sl = Math.sqrt(muLambda);
+  const rx = (r[1][0] - r[0][0]) * sr, ry = (r[1][1] - r[0][1]) * sr;
+  const lx = (r[2][0] - com[0]) * sl, ly = (r[2][1] - com[1]) * sl;
+  const norm = rx * rx + ry * ry + lx * lx + ly * ly;
+  if (norm < 1e-10) return [0, 0, 1];
+  return [
+    2 * (rx * lx + ry * ly) / norm,
+    2 * (rx * ly - ry * lx) / norm,
+    (rx * rx + ry * ry - lx * lx - ly * ly) / norm,
+  ];
+}
+
+/**
+ * Escape test for body k, identical to check_escape() in the shader
+ */
+export function checkEscape(k: number, s: BodyState, m: [number, number, number], rEsc: number): boolean {
+  const i = (k + 1) % 3, j = (k + 2) % 3;
+  const M12 = m[i] + m[j];
+  if (M12 < 1e-6) return false;
+  const com: Vec2 = [(m[i] * s.r[i][0] + m[j] * s.r[j][0]) / M12, (m[i] * s.r[i][1] + m[j] * s.r[j][1]) / M12];
+  const lam: Vec2 = [s.r[k][0] - com[0], s.r[k][1] - com[1]];
+  const vk: Vec2 = [s.p[k][0] / m[k], s.p[k][1] / m[k]];
+  const v12: Vec2 = [(s.p[i][0] + s.p[j][0]) / M12, (s.p[i][1] + s.p[j][1]) / M12];
+  const vl: Vec2 = [vk[0] - v12[0], vk[1] - v12[1]];
+  const d = Math.hypot(lam[0], lam[1]);
+  const muOut = m[k] * M12;
+  const eOut = (vl[0] * vl[0] + vl[1] * vl[1]) * muOut / 2 - G * m[k] * M12 / (d + 1e-10);
+  const outward = lam[0] * vl[0] + lam[1] * vl[1];
+  return d > rEsc && outward > 0 && eOut > 0;
+}
+
+// ─── Integrator ─────────────────────────────────────────────────────────────
+
+function forces(r: [Vec2, Vec2, Vec2], m: [number, number, number], f: number[]): void {
+  f.fill(0);
+  const pairs: Array<[number, number]> = [[0, 1], [0, 2], [1, 2]];
+  for (const [a, b] of pairs) {
+    const dx = r[b][0] - r[a][0], dy = r[b][1] - r[a][1];
+    const d = Math.hypot(dx, dy);
+    if (d > 1e-10) {
+      const fmag = G * m[a] * m[b] / (d * d * d);
+      f[2 * a] += fmag * dx; f[2 * a + 1] += fmag * dy;
+      f[2 * b] -= fmag * dx; f[2 * b + 1] -= fmag * dy;
+    }
+  }
+}
+
+/**
+ * Substep count and length the adaptive scheme picks for the current state
+ */
+export function substepPlan(s: BodyState, dtMacro: number): { nSub: number; dt: number } {
+  const minD = minPairDistance(s.r);
+  const nSubF = Math.min(MAX_SUB, Math.max(1, Math.pow(0.05 / (minD + 1e-10), 1.5)));
+  const nSub = Math.max(1, Math.min(MAX_SUB, Math.trunc(nSubF)));
+  return { nSub, dt: dtMacro / nSubF };
+}
+
+function kick(s: BodyState, f: number[], dt: number): void {
+  for (let i = 0; i < 3; i++) { s.p[i][0] += f[2 * i] * dt; s.p[i][1] += f[2 * i + 1] * dt; }
+}
+
+function drift(s: BodyState, m: [number, number, number], dt: number): void {
+  for (let i = 0; i < 3; i++) { s.r[i][0] += s.p[i][0] / m[i] * dt; s.r[i][1] += s.p[i][1] / m[i] * dt; }
+}
+
+function kdk(s: BodyState, m: [number, number, number], f: number[], dt: number): void {
+  forces(s.r, m, f);
+  kick(s, f, dt * 0.5);
+  drift(s, m, dt);
+  forces(s.r, m, f);
+  kick(s, f, dt * 0.5);
+}
+
+/** Force function U = −(potential energy), positive */
+function forceFunction(r: [Vec2, Vec2, Vec2], m: [number, number, number]): number {
+  return G * m[0] * m[1] / Math.max(1e-10, dist(r[0], r[1]))
+       + G * m[0] * m[2] / Math.max(1e-10, dist(r[0], r[2]))
+       + G * m[1] * m[2] / Math.max(1e-10, dist(r[1], r[2]));
+}
+
+function kineticEnergy(s: BodyState, m: [number, number, number]): number {
+  let kin = 0;
+  for (let i = 0; i < 3; i++) kin += (s.p[i][0] ** 2 + s.p[i][1] ** 2) / (2 * m[i]);
+  return kin;
+}
+
+/**
+ * One logarithmic-Hamiltonian leapfrog step (Mikkola & Tanikawa 1999) of
+ * fictitious time h. Drifts last h / (T + B) and kicks h / U, with B = −E₀
+ * so T + B = U on the exact orbit: the step shrinks as 1/U through a close
+ * approach and an isolated pair is integrated exactly up to a phase error,
+ * which regularises near-collisions without a change of coordinates.
+ * @returns Elapsed physical time
+ */
+function loghStep(s: BodyState, m: [number, number, number], f: number[], h: number, bind: number): number {
+  // T + B can only go non-positive through roundoff; U is what it should equal
+  const driftTime = () => {
+    const w = kineticEnergy(s, m) + bind;
+    return 0.5 * h / (w > 0 ? w : forceFunction(s.r, m));
+  };
+  const dt1 = driftTime();
+  drift(s, m, dt1);
+  forces(s.r, m, f);
+  kick(s, f, h / forceFunction(s.r, m));
+  const dt2 = driftTime();
+  drift(s, m, dt2);
+  return dt1 + dt2;
+}
+
+/**
+ * Run nSub substeps of length dt with the chosen integrator, mutating `s`.
+ * The regularised scheme steps in fictitious time, scaled so one substep
+ * lasts about dt at the current separation.
+ * @param e0 - Initial total energy (used by 'logh')
+ * @returns Elapsed physical time
+ */
+export function integrateSubsteps(
+  s: BodyState, m: [number, number, number], nSub: number, dt: number, integrator: IntegratorId, e0: number
+): number {
+  const f = [0, 0, 0, 0, 0, 0];
+  if (integrator === 'logh') {
+    const h = dt * forceFunction(s.r, m);
+    let t = 0;
+    for (let sub = 0; sub < nSub; sub++) t += loghStep(s, m, f, h, -e0);
+    return t;
+  }
+  for (let sub = 0; sub < nSub; sub++) {
+    if (integrator === 'yoshida4') {
+      kdk(s, m, f, YOSHIDA_W1 * dt);
+      kdk(s, m, f, YOSHIDA_W0 * dt);
+      kdk(s, m, f, YOSHIDA_W1 * dt);
+    } else {
+      kdk(s, m, f, dt);
+    }
+  }
+  return nSub * dt;
+}
+
+/**
+ * Advance one macro step with adaptive sub-stepping, mutating `s`.
+ * @returns Elapsed simulated time
+ */
+export function macroStep(
+  s: BodyState, m: [number, number, number], dtMacro: number,
+  integrator: IntegratorId = 'leapfrog', e0: number = totalEnergy(s, m)
+): number {
+  const { nSub, dt } = substepPlan(s, dtMacro);
+  return integrateSubsteps(s, m, nSub, dt, integrator, e0);
+}
+
+function snapshot(s: BodyState): [Vec2, Vec2, Vec2] {
+  return [[s.r[0][0], s.r[0][1]], [s.r[1][0], s.r[1][1]], [s.r[2][0], s.r[2][1]]];
+}
+
+/**
+ * Integrate the initial condition at 10D point z until an event or the horizon.
+ * Applies the shader's step cap so results match the rendered pixel.
+ */
+export function integrateZ(z: Vec10 | number[], sim: SimParams, opts: IntegrateOptions = {}): IntegrationResult {
+  const { recordEvery = 0, checkEscape: wantEscape = true } = opts;
+  const ic = decodeIC(z);
+  const m = ic.m;
+  const samples: TrajectorySample[] = [];
+  if (!ic.valid) {
+    return { outcome: { kind: 'invalid' }, t: 0, steps: 0, m, e0: 0, energyDrift: 0, samples };
+  }
+  const s: BodyState = { r: ic.r, p: ic.p };
+  const e0 = totalEnergy(s, m);
+  const record = (t: number) => samples.push({ t, r: snapshot(s), energy: totalEnergy(s, m), n: shapeN(s.r, m) });
+  const drift = () => Math.abs(totalEnergy(s, m) - e0) / Math.max(1e-12, Math.abs(e0));
+  if (recordEvery > 0) record(0);
+  if (minPairDistance(s.r) < sim.rColl) {
+    return { outcome: { kind: 'collision-t0' }, t: 0, steps: 0, m, e0, energyDrift: 0, samples };
+  }
+
+  const maxSteps = Math.max(1, Math.min(SHADER_STEP_CAP, sim.maxSteps | 0));
+  const escCount = [0, 0, 0];
+  let t = 0;
+  let step = 0;
+  for (; step < maxSteps && t < sim.horizon; step++) {
+    t += macroStep(s, m, sim.dtMacro, sim.integrator, e0);
+    if (recordEvery > 0 && (step + 1) % recordEvery === 0) record(t);
+    const d01 = dist(s.r[0], s.r[1]), d02 = dist(s.r[0], s.r[2]), d12 = dist(s.r[1], s.r[2]);
+    if (Math.min(d01, d02, d12) < sim.rColl) {
+      const pair = (d01 <= d02 && d01 <= d12) ? 1 : (d02 <= d12 ? 2 : 3);
+      if (recordEvery > 0) record(t);
+      return { outcome: { kind: 'collision', pair }, t, steps: step + 1, m, e0, energyDrift: drift(), samples };
+    }
+    if (wantEscape) {
+      for (let k = 0; k < 3; k++) {
+        escCount[k] = checkEscape(k, s, m, sim.rEsc) ? escCount[k] + 1 : 0;
+      }
+      for (let k = 0; k < 3; k++) {
+        if (escCount[k] >= K_ESC) {
+          if (recordEvery > 0) record(t);
+          return { outcome: { kind: 'escape', body: k as 0 | 1 | 2 }, t, steps: step + 1, m, e0, energyDrift: drift(), samples };
+        }
+      }
+    }
+  }
+  if (recordEvery > 0) record(t);
+  return { outcome: { kind: 'bounded' }, t, steps: step, m, e0, energyDrift: drift(), samples };
+}
+
+/**
+ * Human-readable outcome label (matches the legend wording)
+ */
+export function describeOutcome(o: Outcome): string {
+  switch (o.kind) {
+    case 'invalid': return 'degenerate';
+    case 'collision-t0': return 'coll t₀';
+    case 'collision': return `coll ${['01', '02', '12'][o.pair - 1]}`;
+    case 'escape': return `esc ${o.body}`;
+    case 'bounded': return 'bounded';
+  }
+}
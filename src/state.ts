@@ -12,7 +12,16 @@ export interface ModeInfo {
   desc: string;
 }
 
+export type IntegratorId = 'leapfrog' | 'yoshida4' | 'logh';
+
+export interface IntegratorInfo {
+  name: string;
+  desc: string;
+}
+
 export interface QualityPreset {
+  name: string;
+  integrator: IntegratorId;
   dtMacro: number;
   maxSteps: number;
 }
@@ -25,6 +34,13 @@ export interface NavPrefs {
   panSpeed: number;
 }
 
+/** Pinned probe point in slice (view) coordinates, with the user's note */
+export interface ProbeMarker {
+  x: number;
+  y: number;
+  note: string;
+}
+
 export interface State {
   mode: number;
   res: number;
@@ -49,6 +65,8 @@ export interface State {
   dtMacro: number;
   rColl: number;
   rEsc: number;
+  integrator: IntegratorId;
+  markers: ProbeMarker[];
 }
 
 export interface CanonicalState {
@@ -61,8 +79,11 @@ export interface CanonicalState {
     gammaDeg: number;
     tilt: { dim1: number; amt1: number; dim2: number; amt2: number; ortho: boolean };
     custom: { dimH: number; dimV: number; mag: number };
+    /** Base directions before tilt and γ; set by the preset unless it is "plane" */
+    plane: { q1: number[]; q2: number[] };
   };
-  sim: { horizon: number; maxSteps: number; dtMacro: number; rColl: number; rEsc: number };
+  sim: { horizon: number; maxSteps: number; dtMacro: number; rColl: number; rEsc: number; integrator: IntegratorId };
+  markers: ProbeMarker[];
 }
 
 // ─── Constants ──────────────────────────────────────────────────────────────
@@ -75,6 +96,9 @@ export const PRESETS: Preset[] = [
   { id: "custom",   name: "Custom",         q1: [1,0,0,0,0,0,0,0,0,0], q2: [0,1,0,0,0,0,0,0,0,0] },
 ];
 
+/** Preset of a plane carried by the state itself (slice.plane), e.g. a user preset */
+export const PLANE_PRESET_ID = "plane";
+
 export const AXIS_NAMES: string[] = [
   "z₀ (β)", "z₁ (α)", "z₂", "z₃",
   "z₄ (pρ.x)", "z₅ (pρ.y)", "z₆ (pλ.x)", "z₇ (pλ.y)",
@@ -89,12 +113,22 @@ export const MODE_INFO: Record<number, ModeInfo> = {
   2: { name: "Shape sphere phase",   desc: "Hue = shape phase θ at constant lightness." },
   3: { name: "Diffusion",            desc: "Greyscale = diffusion proxy; dark = stable." },
   4: { name: "Shape sphere RGB",     desc: "RGB ← n = (nₓ,nᵧ,n_z) mapped from [−1,1] to [0,1]." },
+  5: { name: "Lyapunov exponent",    desc: "Finite-time Lyapunov exponent λ from a renormalised shadow orbit; dark = regular, bright = chaotic." },
+  6: { name: "Time to event",        desc: "Time until collision (yellow → red) or escape (cyan → blue); black = bounded to the horizon." },
+  7: { name: "Energy drift",         desc: "Integrator error: max |ΔE/E₀| on a log scale from 10⁻⁶ (white) to 10⁻¹ (dark red)." },
+};
+
+export const INTEGRATOR_INFO: Record<IntegratorId, IntegratorInfo> = {
+  leapfrog: { name: "Leapfrog",          desc: "Kick-drift-kick leapfrog, 2nd order, with adaptive substeps near close approaches." },
+  yoshida4: { name: "Yoshida 4th order", desc: "Symplectic 4th-order composition of three leapfrog steps (Yoshida / Forest–Ruth); 3× the cost." },
+  logh:     { name: "Regularised",       desc: "Logarithmic-Hamiltonian leapfrog: time steps shrink with the potential, so close pairs pass pericentre without the 1/r blow-up." },
 };
 
 export const QUALITY_PRESETS: Record<string, QualityPreset> = {
-  fast:     { dtMacro: 0.0040, maxSteps:  8000 },
-  balanced: { dtMacro: 0.0020, maxSteps: 20000 },
-  accurate: { dtMacro: 0.0010, maxSteps: 20000 },
+  fast:       { name: "Fast",             integrator: 'leapfrog', dtMacro: 0.0040, maxSteps:  8000 },
+  balanced:   { name: "Balanced",         integrator: 'leapfrog', dtMacro: 0.0020, maxSteps: 20000 },
+  accurate:   { name: "Accurate",         integrator: 'yoshida4', dtMacro: 0.0020, maxSteps: 20000 },
+  encounters: { name: "Close encounters", integrator: 'logh',     dtMacro: 0.0020, maxSteps: 20000 },
 };
 
 export const navPrefs: NavPrefs = {
@@ -118,13 +152,15 @@ export const state: State = {
   customDimH: 0, customDimV: 1, customMag: 1.0,
   doOrtho: true,
   horizon: 50, maxSteps: 20000, dtMacro: 0.002, rColl: 0.02, rEsc: 5.0,
+  integrator: 'leapfrog',
+  markers: [],
 };
 
 // ─── Functions ──────────────────────────────────────────────────────────────
 
 export function canonicalState(st: State): CanonicalState {
   return {
-    v: 1,
+    v: STATE_VERSION,
     render: { mode: st.mode, res: st.res },
     view: { zoom: st.viewZoom, panX: st.viewPanX, panY: st.viewPanY },
     slice: {
@@ -133,106 +169,337 @@ export function canonicalState(st: State): CanonicalState {
       gammaDeg: st.gammaDeg,
       tilt: { dim1: st.tiltDim1, amt1: st.tiltAmt1, dim2: st.tiltDim2, amt2: st.tiltAmt2, ortho: !!st.doOrtho },
       custom: { dimH: st.customDimH, dimV: st.customDimV, mag: st.customMag },
+      plane: { q1: st.dir1Base.slice(), q2: st.dir2Base.slice() },
     },
-    sim: { horizon: st.horizon, maxSteps: st.maxSteps, dtMacro: st.dtMacro, rColl: st.rColl, rEsc: st.rEsc }
+    sim: { horizon: st.horizon, maxSteps: st.maxSteps, dtMacro: st.dtMacro, rColl: st.rColl, rEsc: st.rEsc, integrator: st.integrator },
+    markers: st.markers.map(m => ({ ...m })),
   };
 }
 
-export function applyCanonical(obj: any, applyCustomBasisFn: () => void): void {
-  if (!obj || obj.v !== 1) throw new Error("Unsupported state JSON (expected v=1).");
-  const r = obj.render || {}, v = obj.view || {}, sl = obj.slice || {}, sim = obj.sim || {};
-  if (typeof r.mode === "number") state.mode = r.mode | 0;
-  if (typeof r.res === "number") state.res = r.res | 0;
-  if (typeof v.zoom === "number") state.viewZoom = v.zoom;
-  if (typeof v.panX === "number") state.viewPanX = v.panX;
-  if (typeof v.panY === "number") state.viewPanY = v.panY;
-  if (typeof sl.preset === "string" && PRESETS.some(x => x.id === sl.preset)) {
-    state.presetId = sl.preset;
-    if (sl.preset === "custom") {
-      applyCustomBasisFn();
-    } else {
-      const pr = PRESETS.find(x => x.id === sl.preset);
-      if (pr) {
-        state.dir1Base = pr.q1.slice();
-        state.dir2Base = pr.q2.slice();
+// ─── Schema ─────────────────────────────────────────────────────────────────
+
+/**
+ * Current canonical state version. Bump together with a MIGRATIONS entry.
+ */
+export const STATE_VERSION = 4;
+
+/** Most markers a state can hold */
+export const MAX_MARKERS = 64;
+
+export interface StateIssue {
+  /** Field path into the canonical document, e.g. "slice.tilt.dim1" or "slice.z0[3]" */
+  path: string;
+  message: string;
+  severity: 'error' | 'warning';
+}
+
+type FieldKind = 'int' | 'number' | 'boolean' | 'string' | 'vec10' | 'markers';
+
+interface FieldSpec {
+  path: string;                 // dot path into CanonicalState
+  key: string;                  // key in the packed URL hash
+  prop: keyof State;            // target field in `state`
+  kind: FieldKind;
+  min?: number;
+  max?: number;                 // for 'markers': most entries
+  minExclusive?: boolean;
+  oneOf?: () => (string | number)[];
+  digits?: number | ((doc: CanonicalState) => number);  // rounding applied in the packed hash
+}
+
+/**
+ * Decimals the packed hash keeps for the view: six significant digits of the
+ * zoom, and pan to well below one pixel at that zoom, however deep
+ */
+function viewDigits(doc: CanonicalState): number {
+  return Math.max(5, Math.ceil(-Math.log10(doc.view.zoom)) + 5);
+}
+
+/**
+ * Decimals for the slice origin and plane directions. User presets and
+ * planes through points make them arbitrary reals, and an error in either
+ * moves the view by about as much, so they need the view's precision too.
+ */
+function sliceDigits(min: number): (doc: CanonicalState) => number {
+  return (doc) => Math.max(min, viewDigits(doc));
+}
+
+/**
+ * Single source of truth for canonical JSON and the packed hash: every field,
+ * its allowed range, its short hash key and where it lands in `state`.
+ */
+const STATE_FIELDS: FieldSpec[] = [
+  { path: 'render.mode',       key: 'm',  prop: 'mode',       kind: 'int', oneOf: () => Object.keys(MODE_INFO).map(Number) },
+  { path: 'render.res',        key: 'r',  prop: 'res',        kind: 'int', min: 16, max: 32768 },
+  { path: 'view.zoom',         key: 'vz', prop: 'viewZoom',   kind: 'number', min: 0, minExclusive: true, digits: viewDigits },
+  { path: 'view.panX',         key: 'vx', prop: 'viewPanX',   kind: 'number', digits: viewDigits },
+  { path: 'view.panY',         key: 'vy', prop: 'viewPanY',   kind: 'number', digits: viewDigits },
+  { path: 'slice.preset',      key: 'p',  prop: 'presetId',   kind: 'string', oneOf: () => [...PRESETS.map(p => p.id), PLANE_PRESET_ID] },
+  { path: 'slice.z0',          key: 'z',  prop: 'z0',         kind: 'vec10', digits: sliceDigits(3) },
+  { path: 'slice.gammaDeg',    key: 'g',  prop: 'gammaDeg',   kind: 'number', digits: 2 },
+  { path: 'slice.tilt.dim1',   key: 'd1', prop: 'tiltDim1',   kind: 'int', min: 0, max: 9 },
+  { path: 'slice.tilt.amt1',   key: 'a1', prop: 'tiltAmt1',   kind: 'number', digits: 3 },
+  { path: 'slice.tilt.dim2',   key: 'd2', prop: 'tiltDim2',   kind: 'int', min: 0, max: 9 },
+  { path: 'slice.tilt.amt2',   key: 'a2', prop: 'tiltAmt2',   kind: 'number', digits: 3 },
+  { path: 'slice.tilt.ortho',  key: 'o',  prop: 'doOrtho',    kind: 'boolean' },
+  { path: 'slice.custom.dimH', key: 'ch', prop: 'customDimH', kind: 'int', min: 0, max: 9 },
+  { path: 'slice.custom.dimV', key: 'cv', prop: 'customDimV', kind: 'int', min: 0, max: 9 },
+  { path: 'slice.custom.mag',  key: 'cm', prop: 'customMag',  kind: 'number', min: 0, minExclusive: true, digits: 3 },
+  { path: 'slice.plane.q1',    key: 'q1', prop: 'dir1Base',   kind: 'vec10', digits: sliceDigits(6) },
+  { path: 'slice.plane.q2',    key: 'q2', prop: 'dir2Base',   kind: 'vec10', digits: sliceDigits(6) },
+  { path: 'sim.horizon',       key: 'h',  prop: 'horizon',    kind: 'number', min: 0, minExclusive: true },
+  { path: 'sim.maxSteps',      key: 'ms', prop: 'maxSteps',   kind: 'int', min: 1, max: 40000 },
+  { path: 'sim.dtMacro',       key: 'dt', prop: 'dtMacro',    kind: 'number', min: 0, minExclusive: true, digits: 5 },
+  { path: 'sim.rColl',         key: 'rc', prop: 'rColl',      kind: 'number', min: 0, minExclusive: true, digits: 4 },
+  { path: 'sim.rEsc',          key: 're', prop: 'rEsc',       kind: 'number', min: 0, minExclusive: true, digits: 3 },
+  { path: 'sim.integrator',    key: 'in', prop: 'integrator', kind: 'string', oneOf: () => Object.keys(INTEGRATOR_INFO) },
+  { path: 'markers',           key: 'mk', prop: 'markers',    kind: 'markers', max: MAX_MARKERS },
+];
+
+/**
+ * MIGRATIONS[n] upgrades a v=n document to v=n+1 (canonical layout only;
+ * the packed hash is derived from STATE_FIELDS and never needs its own).
+ */
+const MIGRATIONS: Record<number, (doc: any) => any> = {
+  // v2 adds sim.integrator; everything before it was integrated with leapfrog
+  1: (doc) => doc.sim && typeof doc.sim === 'object' ? { ...doc, sim: { ...doc.sim, integrator: 'leapfrog' } } : doc,
+  // v3 adds markers. Nothing to rewrite: an old document has none, and
+  // omitting them keeps the current ones (stateFromCanonical starts from none)
+  2: (doc) => doc,
+  // v4 adds slice.plane; before it the plane followed from the preset
+  3: (doc) => {
+    const plane = doc.slice && typeof doc.slice === 'object' && !('plane' in doc.slice) ? presetPlane(doc.slice) : null;
+    return plane ? { ...doc, slice: { ...doc.slice, plane } } : doc;
+  },
+};
+
+/**
+ * Base directions a preset implies, or null for "plane" and anything unusable
+ */
+function presetPlane(slice: any): { q1: number[]; q2: number[] } | null {
+  if (slice.preset === "custom") {
+    const { dimH, dimV, mag } = slice.custom ?? {};
+    const isDim = (d: any) => Number.isInteger(d) && d >= 0 && d <= 9;
+    if (!isDim(dimH) || !isDim(dimV) || typeof mag !== 'number') return null;
+    const q1 = new Array(10).fill(0); q1[dimH] = mag;
+    const q2 = new Array(10).fill(0); q2[dimV] = mag;
+    return { q1, q2 };
+  }
+  const pr = PRESETS.find(p => p.id === slice.preset);
+  return pr ? { q1: pr.q1.slice(), q2: pr.q2.slice() } : null;
+}
+
+function getPath(obj: any, path: string): any {
+  return path.split('.').reduce((o, k) => (o != null && typeof o === 'object') ? o[k] : undefined, obj);
+}
+
+function setPath(obj: any, path: string, value: any): void {
+  const keys = path.split('.');
+  const last = keys.pop()!;
+  let o = obj;
+  for (const k of keys) o = (o[k] ??= {});
+  o[last] = value;
+}
+
+function rangeText(f: FieldSpec): string {
+  if (f.oneOf) return `one of ${f.oneOf().map(x => JSON.stringify(x)).join(', ')}`;
+  if (f.min != null && f.max != null && !f.minExclusive) return `[${f.min}, ${f.max}]`;
+  const lo = f.min == null ? null : `${f.minExclusive ? '>' : '≥'} ${f.min}`;
+  const hi = f.max == null ? null : `≤ ${f.max}`;
+  return [lo, hi].filter(Boolean).join(' and ');
+}
+
+function checkField(f: FieldSpec, value: any): StateIssue[] {
+  const err = (message: string, path = f.path): StateIssue => ({ path, message, severity: 'error' });
+  switch (f.kind) {
+    case 'boolean':
+      return typeof value === 'boolean' ? [] : [err(`${f.path}: expected true or false, got ${JSON.stringify(value)}`)];
+    case 'string':
+      if (typeof value !== 'string') return [err(`${f.path}: expected a string, got ${JSON.stringify(value)}`)];
+      return f.oneOf && !f.oneOf().includes(value) ? [err(`${f.path}: unknown value "${value}"; expected ${rangeText(f)}`)] : [];
+    case 'vec10': {
+      if (!Array.isArray(value)) return [err(`${f.path}: expected an array of 10 numbers`)];
+      if (value.length !== 10) return [err(`${f.path}: expected 10 components, got ${value.length}`)];
+      return value.flatMap((x, i) => typeof x === 'number' && Number.isFinite(x)
+        ? [] : [err(`${f.path}[${i}]: expected a finite number, got ${JSON.stringify(x)}`, `${f.path}[${i}]`)]);
+    }
+    case 'markers': {
+      if (!Array.isArray(value)) return [err(`${f.path}: expected an array of {x, y, note}`)];
+      if (f.max != null && value.length > f.max) return [err(`${f.path}: ${value.length} markers; expected at most ${f.max}`)];
+      return value.flatMap((m, i) => {
+        const at = `${f.path}[${i}]`;
+        if (!m || typeof m !== 'object' || Array.isArray(m)) return [err(`${at}: expected {x, y, note}`, at)];
+        const issues = (['x', 'y'] as const).flatMap(k => typeof m[k] === 'number' && Number.isFinite(m[k])
+          ? [] : [err(`${at}.${k}: expected a finite number, got ${JSON.stringify(m[k])}`, `${at}.${k}`)]);
+        if (m.note !== undefined && typeof m.note !== 'string') issues.push(err(`${at}.note: expected a string`, `${at}.note`));
+        return issues;
+      });
+    }
+    default: {
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return [err(`${f.path}: expected a finite number, got ${JSON.stringify(value)}`)];
+      }
+      if (f.kind === 'int' && !Number.isInteger(value)) return [err(`${f.path}: expected an integer, got ${value}`)];
+      const tooLow = f.min != null && (f.minExclusive ? value <= f.min : value < f.min);
+      const tooHigh = f.max != null && value > f.max;
+      const notAllowed = f.oneOf && !f.oneOf().includes(value);
+      return (tooLow || tooHigh || notAllowed) ? [err(`${f.path}: ${value} out of range; expected ${rangeText(f)}`)] : [];
+    }
+  }
+}
+
+function unknownFields(doc: any): StateIssue[] {
+  const known = new Set<string>(['v']);
+  for (const f of STATE_FIELDS) {
+    const parts = f.path.split('.');
+    for (let i = 1; i <= parts.length; i++) known.add(parts.slice(0, i).join('.'));
+  }
+  const leaves = new Set(STATE_FIELDS.map(f => f.path));
+  const issues: StateIssue[] = [];
+  const walk = (o: any, prefix: string) => {
+    for (const k of Object.keys(o)) {
+      const path = prefix ? `${prefix}.${k}` : k;
+      if (!known.has(path)) {
+        issues.push({ path, message: `${path}: unknown field (ignored)`, severity: 'warning' });
+      } else if (!leaves.has(path) && o[k] !== null && typeof o[k] === 'object' && !Array.isArray(o[k])) {
+        walk(o[k], path);
+      } else if (!leaves.has(path) && path !== 'v') {
+        issues.push({ path, message: `${path}: expected an object`, severity: 'error' });
       }
     }
+  };
+  walk(doc, '');
+  return issues;
+}
+
+/**
+ * Bring a canonical document up to STATE_VERSION.
+ * Documents from a newer build, or without a usable `v`, are rejected.
+ */
+export function migrateState(doc: any): { doc: any; issues: StateIssue[] } {
+  const fail = (message: string) => ({ doc, issues: [{ path: 'v', message, severity: 'error' as const }] });
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+    return { doc, issues: [{ path: '', message: 'State must be a JSON object', severity: 'error' }] };
   }
-  if (Array.isArray(sl.z0) && sl.z0.length === 10) for (let i = 0; i < 10; i++) state.z0[i] = +sl.z0[i];
-  if (typeof sl.gammaDeg === "number") state.gammaDeg = sl.gammaDeg;
-  if (sl.custom) {
-    if (typeof sl.custom.dimH === "number") state.customDimH = sl.custom.dimH | 0;
-    if (typeof sl.custom.dimV === "number") state.customDimV = sl.custom.dimV | 0;
-    if (typeof sl.custom.mag  === "number") state.customMag  = sl.custom.mag;
+  if (!Number.isInteger(doc.v)) return fail(`v: expected an integer version (current is ${STATE_VERSION})`);
+  if (doc.v > STATE_VERSION) return fail(`v: version ${doc.v} is newer than this build supports (max ${STATE_VERSION})`);
+  let out = doc;
+  for (let v = doc.v; v < STATE_VERSION; v++) {
+    const step = MIGRATIONS[v];
+    if (!step) return fail(`v: no migration from version ${v}`);
+    out = { ...step(out), v: v + 1 };
   }
-  if (sl.tilt) {
-    if (typeof sl.tilt.dim1 === "number") state.tiltDim1 = sl.tilt.dim1 | 0;
-    if (typeof sl.tilt.dim2 === "number") state.tiltDim2 = sl.tilt.dim2 | 0;
-    if (typeof sl.tilt.amt1 === "number") state.tiltAmt1 = sl.tilt.amt1;
-    if (typeof sl.tilt.amt2 === "number") state.tiltAmt2 = sl.tilt.amt2;
-    if (typeof sl.tilt.ortho === "boolean") state.doOrtho = sl.tilt.ortho;
+  return { doc: out, issues: [] };
+}
+
+/**
+ * Migrate and validate a canonical document without touching `state`.
+ * Missing fields are allowed (they keep their current value); present ones
+ * must satisfy STATE_FIELDS.
+ */
+export function validateCanonical(doc: any): { doc: any; issues: StateIssue[] } {
+  const migrated = migrateState(doc);
+  if (migrated.issues.length) return migrated;
+  const issues = unknownFields(migrated.doc);
+  for (const f of STATE_FIELDS) {
+    const value = getPath(migrated.doc, f.path);
+    if (value !== undefined) issues.push(...checkField(f, value));
   }
-  if (typeof sim.horizon === "number") state.horizon = sim.horizon;
-  if (typeof sim.maxSteps === "number") state.maxSteps = sim.maxSteps | 0;
-  if (typeof sim.dtMacro === "number") state.dtMacro = sim.dtMacro;
-  if (typeof sim.rColl === "number") state.rColl = sim.rColl;
-  if (typeof sim.rEsc === "number") state.rEsc = sim.rEsc;
+  return { doc: migrated.doc, issues };
 }
 
-export function encodeStateHash(st: State): string {
-  const packed = {
-    m: st.mode, r: st.res,
-    vz: +st.viewZoom.toFixed(5), vx: +st.viewPanX.toFixed(5), vy: +st.viewPanY.toFixed(5),
-    p: st.presetId,
-    z: st.z0.map(x => +x.toFixed(3)),
-    g: +st.gammaDeg.toFixed(2),
-    d1: st.tiltDim1, d2: st.tiltDim2,
-    a1: +st.tiltAmt1.toFixed(3), a2: +st.tiltAmt2.toFixed(3),
-    o: st.doOrtho ? 1 : 0,
-    h: st.horizon, ms: st.maxSteps,
-    dt: +st.dtMacro.toFixed(5), rc: +st.rColl.toFixed(4), re: +st.rEsc.toFixed(3),
-    ch: st.customDimH, cv: st.customDimV, cm: +st.customMag.toFixed(3),
+export function formatStateIssues(issues: StateIssue[]): string {
+  const errors = issues.filter(i => i.severity === 'error');
+  if (!errors.length) return '';
+  return errors.length === 1 ? errors[0].message : `${errors[0].message} (+${errors.length - 1} more)`;
+}
+
+function writeCanonical(target: State, doc: any): void {
+  for (const f of STATE_FIELDS) {
+    const value = getPath(doc, f.path);
+    if (value === undefined) continue;
+    (target as any)[f.prop] = f.kind === 'vec10' ? value.slice()
+      : f.kind === 'markers' ? value.map((m: any) => ({ x: m.x, y: m.y, note: m.note ?? '' }))
+      : value;
+  }
+  const preset = getPath(doc, 'slice.preset');
+  if (preset !== undefined && preset !== "custom" && preset !== PLANE_PRESET_ID) {
+    const pr = PRESETS.find(x => x.id === preset)!;
+    target.dir1Base = pr.q1.slice();
+    target.dir2Base = pr.q2.slice();
+  }
+}
+
+export function applyCanonical(obj: any, applyCustomBasisFn: () => void): void {
+  const { doc, issues } = validateCanonical(obj);
+  const message = formatStateIssues(issues);
+  if (message) throw new Error(message);
+  writeCanonical(state, doc);
+  if (getPath(doc, 'slice.preset') === "custom") applyCustomBasisFn();
+}
+
+/**
+ * Build a standalone State from a canonical document without touching
+ * `state`; fields the document omits are taken from `base`, except markers,
+ * which belong to the document's own view and default to none.
+ */
+export function stateFromCanonical(obj: any, applyCustomBasisFn: (st: State) => void, base: State = state): State {
+  const { doc, issues } = validateCanonical(obj);
+  const message = formatStateIssues(issues);
+  if (message) throw new Error(message);
+  const st: State = {
+    ...base, dir1Base: base.dir1Base.slice(), dir2Base: base.dir2Base.slice(), z0: base.z0.slice(), markers: [],
   };
+  writeCanonical(st, doc);
+  if (st.presetId === "custom") applyCustomBasisFn(st);
+  return st;
+}
+
+// ─── URL Hash ───────────────────────────────────────────────────────────────
+
+function round(x: number, digits?: number): number {
+  return digits == null ? x : +x.toFixed(digits);
+}
+
+/**
+ * Pack the canonical state into the short-keyed form stored in the URL hash
+ */
+export function encodeStateHash(st: State): string {
+  const doc = canonicalState(st);
+  const packed: Record<string, any> = { v: doc.v };
+  for (const f of STATE_FIELDS) {
+    const value = getPath(doc, f.path);
+    const digits = typeof f.digits === 'function' ? f.digits(doc) : f.digits;
+    if (f.kind === 'vec10') packed[f.key] = value.map((x: number) => round(x, digits));
+    else if (f.kind === 'markers') {
+      // [x, y] or [x, y, note]; unrounded, as a marker may come from a deeper view than this one
+      packed[f.key] = value.map((m: ProbeMarker) => [round(m.x, digits), round(m.y, digits), ...(m.note ? [m.note] : [])]);
+    }
+    else if (f.kind === 'boolean') packed[f.key] = value ? 1 : 0;
+    else if (f.kind === 'number') packed[f.key] = round(value, digits);
+    else packed[f.key] = value;
+  }
   return btoa(unescape(encodeURIComponent(JSON.stringify(packed))));
 }
 
+/**
+ * Unpack a URL hash into a canonical document (to be passed to applyCanonical).
+ * Hashes written before versioning carry no `v` and are read as version 1.
+ */
 export function decodeStateHash(hash: string): any {
-  try { return JSON.parse(decodeURIComponent(escape(atob(hash)))); }
+  let packed: any;
+  try { packed = JSON.parse(decodeURIComponent(escape(atob(hash)))); }
   catch { return null; }
-}
-
-export function applyPackedHash(p: any, applyCustomBasisFn: () => void): void {
-  if (!p) return;
-  if (typeof p.m === "number") state.mode = p.m | 0;
-  if (typeof p.r === "number") state.res = p.r | 0;
-  if (typeof p.vz === "number") state.viewZoom = p.vz;
-  if (typeof p.vx === "number") state.viewPanX = p.vx;
-  if (typeof p.vy === "number") state.viewPanY = p.vy;
-  if (typeof p.p === "string" && PRESETS.some(x => x.id === p.p)) {
-    state.presetId = p.p;
-    if (p.p === "custom") {
-      applyCustomBasisFn();
-    } else {
-      const pr = PRESETS.find(x => x.id === p.p);
-      if (pr) {
-        state.dir1Base = pr.q1.slice();
-        state.dir2Base = pr.q2.slice();
-      }
+  if (!packed || typeof packed !== 'object') return null;
+  const doc: any = { v: packed.v ?? 1 };
+  for (const f of STATE_FIELDS) {
+    if (!(f.key in packed)) continue;
+    const value = packed[f.key];
+    if (f.kind === 'markers' && Array.isArray(value)) {
+      setPath(doc, f.path, value.map(m => Array.isArray(m) ? { x: m[0], y: m[1], note: m[2] ?? '' } : m));
+      continue;
     }
+    setPath(doc, f.path, f.kind === 'boolean' && typeof value === 'number' ? !!value : value);
   }
-  if (Array.isArray(p.z) && p.z.length === 10) for (let i = 0; i < 10; i++) state.z0[i] = +p.z[i];
-  if (typeof p.g === "number") state.gammaDeg = p.g;
-  if (typeof p.d1 === "number") state.tiltDim1 = p.d1 | 0;
-  if (typeof p.d2 === "number") state.tiltDim2 = p.d2 | 0;
-  if (typeof p.a1 === "number") state.tiltAmt1 = p.a1;
-  if (typeof p.a2 === "number") state.tiltAmt2 = p.a2;
-  if (typeof p.o === "number") state.doOrtho = !!p.o;
-  if (typeof p.h === "number") state.horizon = p.h;
-  if (typeof p.ms === "number") state.maxSteps = p.ms | 0;
-  if (typeof p.dt === "number") state.dtMacro = p.dt;
-  if (typeof p.rc === "number") state.rColl = p.rc;
-  if (typeof p.re === "number") state.rEsc = p.re;
-  if (typeof p.ch === "number") state.customDimH = p.ch | 0;
-  if (typeof p.cv === "number") state.customDimV = p.cv | 0;
-  if (typeof p.cm === "number") state.customMag  = p.cm;
+  return doc;
 }
@@ -11,7 +11,7 @@ export { updateLegendPanel } from './ui/panels/legend.js';
 export { drawOverlayHUD } from './ui/panels/hud.js';
 
 // Components
-export { uvFromClientXY, zAtUV, showProbeAtEvent } from './ui/components/probe.js';
+export { uvFromClientXY, zAtUV, showProbeAtEvent, probeDataAt, formatProbeData } from './ui/components/probe.js';
 
 // Dialogs
 export { bindValEditDialog } from './ui/dialogs/value-edit.js';
@@ -37,7 +37,10 @@ export { getStateBoxValue } from './ui/editors/stateBoxEditor.js';
 import { state, navPrefs, canonicalState, applyCanonical, PRESETS, AXIS_NAMES, MODE_INFO } from './state.js';
 import { $ } from './ui/utils.js';
 import { setStatus, setOverlay } from './ui/panels/overlay.js';
-import { setRenderingState } from './ui/core/state.js';
+import { setRenderingState, isRendering } from './ui/core/state.js';
+import { setTheme, themeChoice, setSolidProbe, type ThemeChoice } from './ui/core/theme.js';
+import { saveTheme } from './ui/settings-storage.js';
+import { setSectionOpen } from './ui/semantic-tree/attach.js';
 import { drawOverlayHUD } from './ui/panels/hud.js';
 import { updateStateBox, syncUIFromState } from './ui/sync.ts';
 import { getStateBoxValue } from './ui/editors/stateBoxEditor.ts';
@@ -46,10 +49,14 @@ import { bindModePicker } from './ui/pickers/mode.js';
 import { bindTiltPicker, syncTiltDimLabels } from './ui/pickers/tilt.js';
 import { bindCustomDimPicker } from './ui/pickers/custom-dim.js';
 import { bindResPicker } from './ui/pickers/resolution.js';
+import { bindIntegratorPicker, syncIntegratorLabel } from './ui/pickers/integrator.js';
+import { bindQualityPicker, syncQualityLabel } from './ui/pickers/quality.js';
+import { applyQualityPreset } from './ui/builders/sliders.js';
 import { applyCustomBasis } from './ui/builders/presets.js';
 import { buildPresets } from './ui/builders/presets.js';
 import { setZ0Range, zeroZ0, smallRandomZ0, enhanceAllSliders } from './ui/components/slider/slider.js';
 import { buildCustomDimSelects } from './ui/builders/selects.js';
+import { exportStatePNG, attachStateDrop } from './ui/core/stateFile.js';
 import { initializePickerLabels, attachDynamicBehaviorBatch as refitPickerLabel } from './ui/components/picker/PickerLabel.js';
 
 export function bindUI(
@@ -59,7 +66,7 @@ export function bindUI(
   uiCanvas: HTMLCanvasElement,
   ui2d: CanvasRenderingContext2D | null,
   probeTooltip: any,
-  doRender: (res: number) => Promise<void>,
+  doRender: (res: number) => Promise<unknown>,
   scheduleRender: (reason: string) => void,
   writeHash: () => void,
   resizeUiCanvasToMatch: () => void,
@@ -114,6 +121,18 @@ export function bindUI(
     });
   });
 
+  bindIntegratorPicker((id) => {
+    state.integrator = id;
+    syncIntegratorLabel(); syncQualityLabel();
+    refitPickerLabel([$("integratorLabel")!, $("qualityLabel")!]);
+    scheduleRender("integrator"); writeHash(); updateStateBox_(); drawHUD();
+  });
+
+  bindQualityPicker((name) => {
+    applyQualityPreset(name, scheduleRender, writeHash, updateStateBox_, drawHUD);
+    refitPickerLabel([$("integratorLabel")!, $("qualityLabel")!]);
+  });
+
   async function copyJson() {
     const txt = getStateBoxValue() || JSON.stringify(canonicalState(state), null, 2);
     try { await navigator.clipboard.writeText(txt); setStatus("JSON copied."); }
@@ -123,13 +142,20 @@ export function bindUI(
   async function pasteJsonApply() {
     const txt = getStateBoxValue().trim();
     if (!txt) { setStatus("Paste JSON into the box first."); return; }
+    let doc: any;
+    try { doc = JSON.parse(txt); }
+    catch (e: any) { setStatus("Invalid JSON: " + (e?.message || e)); return; }
+    applyStateDoc(doc, "json apply", "State applied.");
+  }
+
+  function applyStateDoc(doc: any, reason: string, okMessage: string) {
     try {
-      applyCanonical(JSON.parse(txt), applyCustomBasis);
+      applyCanonical(doc, applyCustomBasis);
       buildPresets_(); syncUIFromState(renderer, scheduleRender, writeHash, drawHUD, uiTree); writeHash(); updateStateBox_();
-      scheduleRender("json apply");
-      setStatus("State applied.");
+      scheduleRender(reason);
+      setStatus(okMessage);
     } catch (e: any) {
-      setStatus("Invalid JSON: " + (e?.message || e));
+      setStatus("Invalid state: " + (e?.message || e));
     }
   }
 
@@ -145,6 +171,11 @@ export function bindUI(
   }
 
   $("renderBtn")!.addEventListener("click", () => {
+    if (isRendering() && renderer.isTiling()) {
+      renderer.setAbort(true);
+      setStatus("Stopping...");
+      return;
+    }
     doRender(state.res).catch(err => {
       setOverlay(false);
       setRenderingState(false);
@@ -161,7 +192,8 @@ export function bindUI(
     state.gammaDeg = 0.0; state.tiltDim1 = 8; state.tiltDim2 = 9;
     state.tiltAmt1 = 0.0; state.tiltAmt2 = 0.0; state.doOrtho = true;
     state.horizon = 50; state.maxSteps = 20000; state.dtMacro = 0.002;
-    state.rColl = 0.02; state.rEsc = 5.0;
+    state.rColl = 0.02; state.rEsc = 5.0; state.integrator = 'leapfrog';
+    state.markers = [];
     state.customMag = 1.0; state.customDimH = 0; state.customDimV = 1;
     const resNameEl = $("resName"); if (resNameEl) resNameEl.textContent = "1024 × 1024";
     setZ0Range(2.0); ($("z0Range") as HTMLInputElement).value = "2.0"; ($("z0RangeVal") as HTMLInputElement).value = "2.0";
@@ -178,19 +210,27 @@ export function bindUI(
   $("pasteJsonBtn")!.addEventListener("click", () => pasteJsonApply());
   $("downloadJsonBtn")!.addEventListener("click", () => downloadJson());
 
-  $("savePngBtn")!.addEventListener("click", () => {
-    const c = (outCanvas.style.display !== "none") ? outCanvas : glCanvas;
-    c.toBlob((blob) => {
-      if (!blob) { setStatus("Export failed."); return; }
+  $("savePngBtn")!.addEventListener("click", async () => {
+    const tiled = outCanvas.style.display !== "none";
+    try {
+      const blob = await exportStatePNG(tiled ? outCanvas : glCanvas, state, tiled ? "tiled" : "webgl");
       const a = document.createElement("a");
       a.href = URL.createObjectURL(blob);
       a.download = "three-body.png";
       a.click();
       setTimeout(() => URL.revokeObjectURL(a.href), 2500);
-      setStatus("PNG saved.");
-    }, "image/png");
+      setStatus("PNG saved (state embedded).");
+    } catch (e: any) {
+      setStatus("Export failed: " + (e?.message || e));
+    }
   });
 
+  attachStateDrop(
+    [$("canvas-col"), $("sidebar")],
+    (doc, file) => applyStateDoc(doc, "file drop", `Loaded ${file.name}.`),
+    (msg) => setStatus("Import failed: " + msg)
+  );
+
   ($("showHud") as HTMLInputElement).addEventListener("change", () => { drawHUD(); if (!($("showHud") as HTMLInputElement).checked) probeTooltip.hide(); });
 
   buildCustomDimSelects();
@@ -287,23 +327,23 @@ export function bindUI(
     state.maxSteps = +(e.target as HTMLInputElement).value;
     const ni = $("maxStepsVal") as HTMLInputElement;
     if (document.activeElement !== ni) ni.value = String(state.maxSteps);
-    scheduleRender("steps"); writeHash(); updateStateBox_(); drawHUD();
+    syncQualityLabel(); scheduleRender("steps"); writeHash(); updateStateBox_(); drawHUD();
   });
   ($("maxStepsVal") as HTMLInputElement).addEventListener("change", (e) => {
     const v = Math.max(1000, Math.min(40000, Math.round(+(e.target as HTMLInputElement).value / 1000) * 1000));
     state.maxSteps = v; ($("maxSteps") as HTMLInputElement).value = String(v); (e.target as HTMLInputElement).value = String(v);
-    scheduleRender("steps"); writeHash(); updateStateBox_(); drawHUD();
+    syncQualityLabel(); scheduleRender("steps"); writeHash(); updateStateBox_(); drawHUD();
   });
   ($("dtMacro") as HTMLInputElement).addEventListener("input", (e) => {
     state.dtMacro = +(e.target as HTMLInputElement).value;
     const ni = $("dtMacroVal") as HTMLInputElement;
     if (document.activeElement !== ni) ni.value = state.dtMacro.toFixed(4);
-    scheduleRender("dt"); writeHash(); updateStateBox_(); drawHUD();
+    syncQualityLabel(); scheduleRender("dt"); writeHash(); updateStateBox_(); drawHUD();
   });
   ($("dtMacroVal") as HTMLInputElement).addEventListener("change", (e) => {
     const v = Math.max(0.0005, Math.min(0.01, +(e.target as HTMLInputElement).value));
     state.dtMacro = v; ($("dtMacro") as HTMLInputElement).value = String(v); (e.target as HTMLInputElement).value = v.toFixed(4);
-    scheduleRender("dt"); writeHash(); updateStateBox_(); drawHUD();
+    syncQualityLabel(); scheduleRender("dt"); writeHash(); updateStateBox_(); drawHUD();
   });
   ($("rColl") as HTMLInputElement).addEventListener("input", (e) => {
     state.rColl = +(e.target as HTMLInputElement).value;
@@ -376,6 +416,22 @@ export function bindUI(
   ($("stgPanSpeed") as HTMLInputElement).addEventListener("input",      (e) => { navPrefs.panSpeed     = +(e.target as HTMLInputElement).value; ($("stgPanSpeedVal") as HTMLInputElement).value  = navPrefs.panSpeed.toFixed(1); });
   ($("stgPanSpeedVal") as HTMLInputElement).addEventListener("change",  (e) => { navPrefs.panSpeed     = Math.min(4.0, Math.max(0.2, +(e.target as HTMLInputElement).value || 1.0)); ($("stgPanSpeed") as HTMLInputElement).value  = String(navPrefs.panSpeed);  ($("stgPanSpeedVal") as HTMLInputElement).value  = navPrefs.panSpeed.toFixed(1); });
 
+  // Appearance: the theme is saved as soon as it is picked
+  const themeBtns = Array.from(document.querySelectorAll<HTMLButtonElement>("[data-theme-choice]"));
+  function syncThemeButtons() {
+    for (const btn of themeBtns) btn.classList.toggle("active", btn.dataset.themeChoice === themeChoice());
+  }
+  for (const btn of themeBtns) {
+    btn.addEventListener("click", () => {
+      const choice = btn.dataset.themeChoice as ThemeChoice;
+      setTheme(choice);
+      saveTheme(choice);
+      syncThemeButtons();
+    });
+  }
+  syncThemeButtons();
+  ($("stgSolidProbe") as HTMLInputElement).addEventListener("change", (e) => { setSolidProbe((e.target as HTMLInputElement).checked); });
+
   function openInfoPanel() {
     // Use KNM to open overlay with stack-based rendering
     if ((window as any).navManager) {
@@ -413,29 +469,10 @@ export function bindUI(
       if (!target) return;
       const body = $(target);
       if (!body) return;
-      const isOpen = body.classList.contains('open');
-      body.classList.toggle('open', !isOpen);
-      head.classList.toggle('open', !isOpen);
-      
-      if ((window as any).uiTree) {
-        try {
-          const bodyGridId = `${target}-body`;
-          const bodyGrid = (window as any).uiTree.getNode(bodyGridId);
-          
-          if (bodyGrid && bodyGrid.kind === 'grid') {
-            (window as any).uiTree.updateNode(bodyGridId, {
-              hidden: isOpen
-            });
-            console.log('[UI] Section', target, isOpen ? 'collapsed' : 'expanded', '- body grid', bodyGridId, 'hidden:', isOpen);
-            
-            const { rebuildSidebarGrid } = await import('./ui/semantic-tree/grid-rebuilder.js');
-            rebuildSidebarGrid((window as any).uiTree);
-          } else {
-            console.warn('[UI] Body grid not found:', bodyGridId);
-          }
-        } catch (err) {
-          console.warn('[UI] Failed to update section collapse state:', err);
-        }
+      try {
+        await setSectionOpen(target, !body.classList.contains('open'), (window as any).uiTree ?? null);
+      } catch (err) {
+        console.warn('[UI] Failed to update section collapse state:', err);
       }
     });
     const target = (head as HTMLElement).dataset.target;
@@ -0,0 +1,37 @@
+import { readBookmark, type Bookmark } from '../gallery/bookmarks.js';
+
+const BOOKMARKS_KEY = 'principia_bookmarks';
+
+/**
+ * Saved bookmarks, newest first; entries that no longer validate are dropped
+ */
+export function loadBookmarks(): Bookmark[] {
+  try {
+    const stored = localStorage.getItem(BOOKMARKS_KEY);
+    const raw = stored ? JSON.parse(stored) : [];
+    if (!Array.isArray(raw)) return [];
+    const bookmarks: Bookmark[] = [];
+    for (const entry of raw) {
+      try { bookmarks.push(readBookmark(entry)); }
+      catch (e: any) { console.warn('[Bookmarks] Dropping unreadable bookmark:', e?.message || e); }
+    }
+    return bookmarks.sort((a, b) => b.created - a.created);
+  } catch (e) {
+    console.error('[Bookmarks] Failed to load:', e);
+    return [];
+  }
+}
+
+/**
+ * Persist the collection
+ * @returns false if storage refused it (typically the quota, thumbnails included)
+ */
+export function saveBookmarks(bookmarks: Bookmark[]): boolean {
+  try {
+    localStorage.setItem(BOOKMARKS_KEY, JSON.stringify(bookmarks));
+    return true;
+  } catch (e) {
+    console.error('[Bookmarks] Failed to save:', e);
+    return false;
+  }
+}
@@ -1,14 +1,14 @@
-import { state, PRESETS } from '../../state.js';
+import { state, PRESETS, type State } from '../../state.js';
 import { $ } from '../utils.js';
 import type { UITreeStore } from '../semantic-tree/store.js';
 
 // ─── Preset builder ──────────────────────────────────────────────────────────
 
-export function applyCustomBasis(): void {
-  const q1 = new Array(10).fill(0); q1[state.customDimH] = state.customMag;
-  const q2 = new Array(10).fill(0); q2[state.customDimV] = state.customMag;
-  state.dir1Base = q1;
-  state.dir2Base = q2;
+export function applyCustomBasis(st: State = state): void {
+  const q1 = new Array(10).fill(0); q1[st.customDimH] = st.customMag;
+  const q2 = new Array(10).fill(0); q2[st.customDimV] = st.customMag;
+  st.dir1Base = q1;
+  st.dir2Base = q2;
 }
 
 export async function updateCustomPanelVisibility(
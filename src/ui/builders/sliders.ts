@@ -1,5 +1,7 @@
 import { state, AXIS_NAMES, QUALITY_PRESETS } from '../../state.js';
 import { $ } from '../utils.js';
+import { syncIntegratorLabel } from '../pickers/integrator.js';
+import { syncQualityLabel } from '../pickers/quality.js';
 import type { UITreeStore } from '../semantic-tree/store.js';
 
 // ─── Slider enhancement utility ──────────────────────────────────────────────
@@ -475,8 +477,11 @@ export function applyQualityPreset(
   drawOverlayHUD: () => void
 ): void {
   const q = QUALITY_PRESETS[name] || QUALITY_PRESETS.balanced;
+  state.integrator = q.integrator;
   state.dtMacro = q.dtMacro;
   state.maxSteps = q.maxSteps;
+  syncIntegratorLabel();
+  syncQualityLabel();
   const dtMacroInput = $("dtMacro") as HTMLInputElement | null;
   const dtMacroVal = $("dtMacroVal") as HTMLInputElement | null;
   const maxStepsInput = $("maxSteps") as HTMLInputElement | null;
@@ -485,5 +490,8 @@ export function applyQualityPreset(
   if (dtMacroVal) dtMacroVal.value = state.dtMacro.toFixed(4);
   if (maxStepsInput) maxStepsInput.value = String(state.maxSteps);
   if (maxStepsVal) maxStepsVal.value = String(state.maxSteps);
+  [dtMacroInput, maxStepsInput].forEach(input => {
+    if (input && (input as any)._updateTrackFill) (input as any)._updateTrackFill();
+  });
   scheduleRender("quality"); writeHash(); updateStateBox(); drawOverlayHUD();
 }
@@ -1,6 +1,6 @@
 /**
  * @fileoverview Canvas Controls Initialization
- * Creates the Info & Settings buttons overlay
+ * Creates the Info, Settings, Animate, Compare, Analysis & Gallery buttons overlay
  */
 
 // SVG icon constants
@@ -14,8 +14,33 @@ const ICON_SETTINGS = `<svg width="15" height="15" viewBox="0 0 16 16" fill="cur
   <path fill-rule="evenodd" d="M6.5 1a.5.5 0 0 0-.493.42l-.24 1.47a5.1 5.1 0 0 0-.99.578l-1.394-.557a.5.5 0 0 0-.612.213l-1.5 2.598a.5.5 0 0 0 .12.645l1.187.918a5.17 5.17 0 0 0 0 1.43L1.39 9.213a.5.5 0 0 0-.12.645l1.5 2.598a.5.5 0 0 0 .612.213l1.394-.557c.31.22.641.41.99.578l.24 1.47A.5.5 0 0 0 6.5 14.58h3a.5.5 0 0 0 .493-.42l.24-1.47c.349-.168.68-.358.99-.578l1.394.557a.5.5 0 0 0 .612-.213l1.5-2.598a.5.5 0 0 0-.12-.645l-1.187-.918a5.17 5.17 0 0 0 0-1.43l1.187-.918a.5.5 0 0 0 .12-.645l-1.5-2.598a.5.5 0 0 0-.612-.213l-1.394.557a5.1 5.1 0 0 0-.99-.578l-.24-1.47A.5.5 0 0 0 9.5 1h-3zm1.5 4.5a2.5 2.5 0 1 0 0 5 2.5 2.5 0 0 0 0-5z"/>
 </svg>`;
 
+const ICON_ANIMATE = `<svg width="15" height="15" viewBox="0 0 16 16" fill="none" stroke="currentColor" stroke-width="1.6" stroke-linecap="round" stroke-linejoin="round">
+  <rect x="1.5" y="3" width="13" height="10" rx="1"/>
+  <path d="M6.5 6v4l3.5-2z" fill="currentColor"/>
+</svg>`;
+
+const ICON_COMPARE = `<svg width="15" height="15" viewBox="0 0 16 16" fill="none" stroke="currentColor" stroke-width="1.6" stroke-linecap="round" stroke-linejoin="round">
+  <rect x="1.5" y="2.5" width="13" height="11" rx="1"/>
+  <line x1="8" y1="1" x2="8" y2="15"/>
+  <path d="M8 2.5h5.5a1 1 0 0 1 1 1v9a1 1 0 0 1-1 1H8z" fill="currentColor" stroke="none"/>
+</svg>`;
+
+const ICON_ANALYSIS = `<svg width="15" height="15" viewBox="0 0 16 16" fill="none" stroke="currentColor" stroke-width="1.6" stroke-linecap="round" stroke-linejoin="round">
+  <line x1="1.5" y1="14.5" x2="14.5" y2="14.5"/>
+  <rect x="3" y="8" width="2.5" height="6.5"/>
+  <rect x="7" y="3" width="2.5" height="11.5"/>
+  <rect x="11" y="6" width="2.5" height="8.5"/>
+</svg>`;
+
+const ICON_GALLERY = `<svg width="15" height="15" viewBox="0 0 16 16" fill="none" stroke="currentColor" stroke-width="1.6" stroke-linecap="round" stroke-linejoin="round">
+  <rect x="1.5" y="1.5" width="5.5" height="5.5"/>
+  <rect x="9" y="1.5" width="5.5" height="5.5"/>
+  <rect x="1.5" y="9" width="5.5" height="5.5"/>
+  <path d="M9 9h5.5v5.5l-2.75-2-2.75 2z"/>
+</svg>`;
+
 /**
- * Creates canvas control buttons (Info & Settings)
+ * Creates canvas control buttons (Info, Settings, Animate, Compare, Analysis & Gallery)
  */
 export function createCanvasControls(): HTMLElement {
   const container = document.createElement('div');
@@ -35,8 +60,40 @@ export function createCanvasControls(): HTMLElement {
   settingsBtn.setAttribute('data-tip', 'Navigation and rendering settings.');
   settingsBtn.innerHTML = ICON_SETTINGS + '<span>Settings</span>';
   
+  // Animate button
+  const animateBtn = document.createElement('button');
+  animateBtn.id = 'animateBtn';
+  animateBtn.className = 'btn canvas-ctrl-btn';
+  animateBtn.setAttribute('data-tip', 'Keyframe animation and frame export.');
+  animateBtn.innerHTML = ICON_ANIMATE + '<span>Animate</span>';
+  
+  // Compare button
+  const compareBtn = document.createElement('button');
+  compareBtn.id = 'compareBtn';
+  compareBtn.className = 'btn canvas-ctrl-btn';
+  compareBtn.setAttribute('data-tip', 'Compare two states: split, side by side or difference map.');
+  compareBtn.innerHTML = ICON_COMPARE + '<span>Compare</span>';
+  
+  // Analysis button
+  const analysisBtn = document.createElement('button');
+  analysisBtn.id = 'analysisBtn';
+  analysisBtn.className = 'btn canvas-ctrl-btn';
+  analysisBtn.setAttribute('data-tip', 'Outcome fractions, boundary dimension and histograms of the view.');
+  analysisBtn.innerHTML = ICON_ANALYSIS + '<span>Analysis</span>';
+  
+  // Gallery button
+  const galleryBtn = document.createElement('button');
+  galleryBtn.id = 'galleryBtn';
+  galleryBtn.className = 'btn canvas-ctrl-btn';
+  galleryBtn.setAttribute('data-tip', 'Bookmarked views and curated starting states.');
+  galleryBtn.innerHTML = ICON_GALLERY + '<span>Gallery</span>';
+  
   container.appendChild(infoBtn);
   container.appendChild(settingsBtn);
+  container.appendChild(animateBtn);
+  container.appendChild(compareBtn);
+  container.appendChild(analysisBtn);
+  container.appendChild(galleryBtn);
   
   // Insert at the beginning of body (before main content)
   document.body.insertBefore(container, document.body.firstChild);
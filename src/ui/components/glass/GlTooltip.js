@@ -7,6 +7,23 @@ import { GlassPanel } from './GlassPanel.js';
 // DEPRECATED: This file uses WebGL/GLSL and will be rewritten for WebGPU.
 // DO NOT CONVERT TO TYPESCRIPT - will be completely rewritten.
 
+// CSS colour → [r, g, b] in 0..1, via a 1×1 canvas (cached per colour string)
+const _rgbCache = new Map();
+function cssRgb(color) {
+  let rgb = _rgbCache.get(color);
+  if (!rgb) {
+    const c = document.createElement('canvas');
+    c.width = c.height = 1;
+    const ctx = c.getContext('2d');
+    ctx.fillStyle = color;
+    ctx.fillRect(0, 0, 1, 1);
+    const d = ctx.getImageData(0, 0, 1, 1).data;
+    rgb = [d[0] / 255, d[1] / 255, d[2] / 255];
+    _rgbCache.set(color, rgb);
+  }
+  return rgb;
+}
+
 export class GlTooltip {
   constructor() {
     this.canvas = document.createElement('canvas');
@@ -81,6 +98,13 @@ export class GlTooltip {
     const cs   = getComputedStyle(this.canvas);
     const glass = parseFloat(cs.getPropertyValue('--glass').trim() || '1');
     const blur  = parseFloat(cs.getPropertyValue('--glass-blur').trim() || '1.0');
+    const look  = {
+      tone:  [parseFloat(cs.getPropertyValue('--glass-lo').trim() || '0'),
+              parseFloat(cs.getPropertyValue('--glass-hi').trim() || '1')],
+      solid: !glass,
+      paper: cssRgb(cs.getPropertyValue('--panel').trim() || '#efede8'),
+      ink:   cssRgb(cs.getPropertyValue('--text').trim() || '#1a1916'),
+    };
 
     const dpr = window.devicePixelRatio || 1;
 
@@ -88,11 +112,10 @@ export class GlTooltip {
     if (glass && sceneEl) {
       sceneC = this._cropElement(sceneEl, screenX, screenY, W, H);
     } else {
+      // Solid panel: the scene is not sampled
       sceneC = document.createElement('canvas');
       sceneC.width = W; sceneC.height = H;
-      const ctx = sceneC.getContext('2d');
-      ctx.fillStyle = getComputedStyle(document.documentElement).getPropertyValue('--panel').trim() || '#efede8';
-      ctx.fillRect(0, 0, W, H);
+      look.solid = true;
     }
 
     const textC_hi = this._buildTextCanvas(lines, W * dpr, H * dpr, dpr);
@@ -100,7 +123,7 @@ export class GlTooltip {
     textScaled.width = W; textScaled.height = H;
     textScaled.getContext('2d').drawImage(textC_hi, 0, 0, W, H);
 
-    GlassPanel.create(this.canvas).then(panel => panel.draw(sceneC, textScaled, blur));
+    GlassPanel.create(this.canvas).then(panel => panel.draw(sceneC, textScaled, blur, look));
   }
 
   hide() {
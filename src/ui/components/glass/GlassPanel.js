@@ -7,9 +7,14 @@ import { getGlassSrcs } from './shaders.js';
 // Pass 1: horizontal blur  → intermediate FBO texture
 // Pass 2: vertical blur + text composite → canvas
 //
+// The look (optional) fits the panel to the theme:
+//   tone:  [darkest, lightest] the inverted glass may get, 0..1
+//   solid: skip the glass and draw ink text on plain paper (rgb 0..1)
+//
 // Usage:
 //   const panel = await GlassPanel.create(canvas);
 //   panel.draw(sceneImageSource, textImageSource);
+//   panel.draw(scene, text, 1.0, { solid: true, paper: [1, 1, 1], ink: [0, 0, 0] });
 
 export class GlassPanel {
   constructor(canvas, gl, prog, buf) {
@@ -22,6 +27,10 @@ export class GlassPanel {
     this.uRes        = gl.getUniformLocation(prog, 'u_res');
     this.uHorizontal = gl.getUniformLocation(prog, 'u_horizontal');
     this.uBlur       = gl.getUniformLocation(prog, 'u_blur');
+    this.uTone       = gl.getUniformLocation(prog, 'u_tone');
+    this.uSolid      = gl.getUniformLocation(prog, 'u_solid');
+    this.uPaper      = gl.getUniformLocation(prog, 'u_paper');
+    this.uInk        = gl.getUniformLocation(prog, 'u_ink');
   }
 
   static _buildProgram(gl, vertSrc, fragSrc) {
@@ -64,6 +73,10 @@ export class GlassPanel {
     this.uRes        = gl.getUniformLocation(this.prog, 'u_res');
     this.uHorizontal = gl.getUniformLocation(this.prog, 'u_horizontal');
     this.uBlur       = gl.getUniformLocation(this.prog, 'u_blur');
+    this.uTone       = gl.getUniformLocation(this.prog, 'u_tone');
+    this.uSolid      = gl.getUniformLocation(this.prog, 'u_solid');
+    this.uPaper      = gl.getUniformLocation(this.prog, 'u_paper');
+    this.uInk        = gl.getUniformLocation(this.prog, 'u_ink');
     return true;
   }
 
@@ -101,7 +114,7 @@ export class GlassPanel {
     gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
   }
 
-  async draw(sceneSource, textSource, blur = 1.0) {
+  async draw(sceneSource, textSource, blur = 1.0, look = {}) {
     const W = this.canvas.width;
     const H = this.canvas.height;
     const freshGl = this.canvas.getContext('webgl', { premultipliedAlpha: false, alpha: true });
@@ -113,6 +126,13 @@ export class GlassPanel {
     gl.disable(gl.BLEND);
     gl.uniform2f(this.uRes, W, H);
     gl.uniform1f(this.uBlur, blur);
+    const [lo, hi] = look.tone  ?? [0, 1];
+    const paper    = look.paper ?? [1, 1, 1];
+    const ink      = look.ink   ?? [0, 0, 0];
+    gl.uniform2f(this.uTone, lo, hi);
+    gl.uniform1i(this.uSolid, look.solid ? 1 : 0);
+    gl.uniform3f(this.uPaper, paper[0], paper[1], paper[2]);
+    gl.uniform3f(this.uInk, ink[0], ink[1], ink[2]);
 
     const sceneTex = this._makeTex(gl, sceneSource);
     const textTex  = this._makeTex(gl, textSource);
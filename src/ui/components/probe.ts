@@ -1,9 +1,96 @@
 import { state, AXIS_NAMES } from '../../state.js';
 import { decodeICParamsFromZ } from '../../math.js';
 import { $ } from '../utils.js';
+import {
+  MODE_FTLE, MODE_TIME_TO_EVENT, MODE_ENERGY_DRIFT,
+  FTLE_RAMP, COLLISION_RAMP, ESCAPE_RAMP, ENERGY_RAMP, FTLE_MAX, ENERGY_LOG_MIN, ENERGY_LOG_MAX,
+  rampPosition, type RGB,
+} from '../../sim/diagnostics.js';
+import { describePixel, pixelsDiffer } from '../../compare/diff.js';
+import { decodeProbeData, type ProbeData } from '../../analysis/classes.js';
+import type { CompareSample } from '../panels/compare.js';
 
 // ─── Probe ───────────────────────────────────────────────────────────────────
 
+interface DiagnosticReading {
+  mode: number;
+  row: { label: string; val: string };
+  hasCollision: boolean;
+  hasEscape: boolean;
+  stabilityValue: number;
+}
+
+/** Last reading of a diagnostic mode pixel (pixel sampling is throttled) */
+let lastReading: DiagnosticReading | null = null;
+/** Last exact reading from the renderer's data target, if it matched the view */
+let lastData: ProbeData | null = null;
+
+/**
+ * Exact values under view position (u, v), or null without a data target for the current state
+ */
+export function probeDataAt(renderer: any, u: number, v: number): ProbeData | null {
+  const texel = renderer.readData(state, u, v);
+  return texel ? decodeProbeData(texel, state.horizon) : null;
+}
+
+/**
+ * One-line summary of exact probe values, e.g. "coll 01 at t = 12.31"
+ */
+export function formatProbeData(d: ProbeData): string {
+  if (d.outcome === 'degenerate' || d.outcome === 'coll t₀') return d.outcome;
+  return `${d.outcome} ${d.outcome === 'bounded' ? 'to' : 'at'} t = ${d.time.toFixed(2)}`;
+}
+
+function probeDataRows(d: ProbeData): { type: string; label: string; val: string }[] {
+  return [
+    { type: "row", label: "outcome", val: formatProbeData(d) },
+    { type: "row", label: "diffusion", val: d.diffusion === null ? "not sampled" : d.diffusion.toFixed(3) },
+  ];
+}
+
+/**
+ * Read the value a diagnostic render mode encoded into a pixel colour
+ */
+function readDiagnosticPixel(mode: number, rgb: RGB): DiagnosticReading | null {
+  if (mode === MODE_FTLE) {
+    const { t } = rampPosition(FTLE_RAMP, rgb);
+    const lambda = t * FTLE_MAX;
+    return {
+      mode,
+      row: { label: "λ", val: t >= 0.995 ? `≥ ${FTLE_MAX.toFixed(2)}` : `≈ ${lambda.toFixed(3)}` },
+      hasCollision: false, hasEscape: false, stabilityValue: t,
+    };
+  }
+  if (mode === MODE_TIME_TO_EVENT) {
+    if (Math.max(...rgb) < 0.02) {
+      return { mode, row: { label: "event", val: "bounded" }, hasCollision: false, hasEscape: false, stabilityValue: 0 };
+    }
+    const coll = rampPosition(COLLISION_RAMP, rgb);
+    const esc = rampPosition(ESCAPE_RAMP, rgb);
+    const isCollision = coll.dist <= esc.dist;
+    const t = isCollision ? coll.t : esc.t;
+    return {
+      mode,
+      row: { label: "t_event", val: `≈ ${(t * state.horizon).toFixed(1)} (${isCollision ? "collision" : "escape"})` },
+      hasCollision: isCollision, hasEscape: !isCollision, stabilityValue: 1,
+    };
+  }
+  if (mode === MODE_ENERGY_DRIFT) {
+    const { t } = rampPosition(ENERGY_RAMP, rgb);
+    const lg = ENERGY_LOG_MIN + t * (ENERGY_LOG_MAX - ENERGY_LOG_MIN);
+    const val = t <= 0.005 ? `≤ 1e${ENERGY_LOG_MIN}` : t >= 0.995 ? `≥ 1e${ENERGY_LOG_MAX}` : `≈ ${(10 ** lg).toExponential(1)}`;
+    return { mode, row: { label: "|ΔE/E₀|", val }, hasCollision: false, hasEscape: false, stabilityValue: t };
+  }
+  return null;
+}
+
+/**
+ * Value of a pixel for the A/B probe rows: the diagnostic reading where the mode has one
+ */
+function comparedValue(mode: number, rgb: RGB): string {
+  return readDiagnosticPixel(mode, rgb)?.row.val ?? describePixel(mode, rgb);
+}
+
 export function uvFromClientXY(
   clientX: number,
   clientY: number,
@@ -33,7 +120,8 @@ export function showProbeAtEvent(
   glCanvas: HTMLCanvasElement,
   outCanvas: HTMLCanvasElement,
   renderer: any,
-  interactionState: any
+  interactionState: any,
+  compare?: { sample(clientX: number, clientY: number): CompareSample | null }
 ): void {
   const showHudCheckbox = $("showHud") as HTMLInputElement | null;
   if (!showHudCheckbox?.checked) {
@@ -43,7 +131,10 @@ export function showProbeAtEvent(
     return;
   }
   
-  const { u, v, rect } = uvFromClientXY(e.clientX, e.clientY, glCanvas, outCanvas);
+  let { u, v, rect } = uvFromClientXY(e.clientX, e.clientY, glCanvas, outCanvas);
+  // While comparing, A and B come from the compare layer, which may not map 1:1 onto the canvas
+  const pair = compare?.sample(e.clientX, e.clientY) ?? null;
+  if (pair) ({ u, v } = pair);
   const z = zAtUV(u, v, renderer);
   const p = decodeICParamsFromZ(z as any);
   const topZ = z.map((val, i) => ({ i, val, a: Math.abs(val) })).sort((a, b) => b.a - a.a).slice(0, 4);
@@ -95,10 +186,11 @@ export function showProbeAtEvent(
             interactionState.hasEscape = false;
             interactionState.stabilityValue = intensity;
           } else {
+            lastReading = readDiagnosticPixel(state.mode, [pixel[0] / 255, pixel[1] / 255, pixel[2] / 255]);
             interactionState.probeActive = true;
-            interactionState.hasCollision = false;
-            interactionState.hasEscape = false;
-            interactionState.stabilityValue = 0;
+            interactionState.hasCollision = lastReading?.hasCollision ?? false;
+            interactionState.hasEscape = lastReading?.hasEscape ?? false;
+            interactionState.stabilityValue = lastReading?.stabilityValue ?? 0;
           }
         } else {
           interactionState.probeActive = false;
@@ -108,10 +200,26 @@ export function showProbeAtEvent(
         interactionState.probeActive = false;
       }
     }
+    // Exact values replace the colour thresholds where the data target matches
+    lastData = pair ? null : probeDataAt(renderer, u, v);
+    if (interactionState && lastData) {
+      interactionState.probeActive = true;
+      interactionState.hasCollision = lastData.outcome.startsWith("coll");
+      interactionState.hasEscape = lastData.outcome.startsWith("esc");
+      interactionState.stabilityValue = lastData.diffusion ?? 0;
+    }
   }
   
   const lines = [
     { type: "row", label: "world", val: `(${wx.toFixed(5)}, ${wy.toFixed(5)})` },
+    ...(pair ? [
+      { type: "row", label: "A", val: comparedValue(state.mode, pair.a) },
+      { type: "row", label: "B", val: comparedValue(state.mode, pair.b) + (pixelsDiffer(state.mode, pair.a, pair.b) ? "  ≠ A" : "") },
+    ] : [
+      ...(lastData ? probeDataRows(lastData) : []),
+      // The data target has the event time already; keep the diagnostic modes' own value
+      ...(lastReading?.mode === state.mode && !(lastData && state.mode === MODE_TIME_TO_EVENT) ? [{ type: "row", ...lastReading.row }] : []),
+    ]),
     { type: "row", label: "m",     val: `[${p.m.map((x: number) => x.toFixed(5)).join(", ")}]` },
     { type: "row", label: "α, β",  val: `${p.alpha.toFixed(5)}, ${p.beta.toFixed(5)}` },
     { type: "row", label: "pρ",    val: `[${p.pRho.map((x: number) => x.toFixed(5)).join(", ")}]` },
@@ -25,8 +25,8 @@ export function initAllScrollbars(): void {
     initScrollbar(stateBox, stateBoxSb, stateBoxTrack, stateBoxThumb, stateBoxUp, stateBoxDown, 60);
   }
 
-  // Picker scrollbars (all 4 pickers)
-  ['modePicker', 'customDimPicker', 'resPicker', 'tiltPicker'].forEach(id => {
+  // Picker scrollbars (all pickers)
+  ['modePicker', 'customDimPicker', 'resPicker', 'tiltPicker', 'integratorPicker', 'qualityPicker'].forEach(id => {
     const list = document.getElementById(id + 'List');
     if (!list) return;
     
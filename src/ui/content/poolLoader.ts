@@ -3,6 +3,18 @@
  * Loads button label pools from JSON files
  */
 
+/** Label pool files preloaded at startup, relative to pools/labels/ */
+export const LABEL_POOL_FILES = [
+  'welcomeBtn.json',
+  'dialogRenderCancelBtn.json',
+  'dialogRenderAcceptBtn.json',
+  'dialogRenderBtnPairs.json'
+  // Add more JSON files here as you create them:
+  // 'resolutionWarning.json',
+  // 'controlPanel.json',
+  // etc.
+];
+
 /**
  * Load button label pools from JSON files
  */
@@ -39,16 +51,7 @@ export async function loadButtonPools(poolFiles: string[]): Promise<Record<strin
 export async function preloadButtonPools(): Promise<Record<string, any>> {
   console.log('[PoolLoader] Preloading button label pools...');
   
-  const pools = await loadButtonPools([
-    'welcomeBtn.json',
-    'dialogRenderCancelBtn.json',
-    'dialogRenderAcceptBtn.json',
-    'dialogRenderBtnPairs.json'
-    // Add more JSON files here as you create them:
-    // 'resolutionWarning.json',
-    // 'controlPanel.json',
-    // etc.
-  ]);
+  const pools = await loadButtonPools(LABEL_POOL_FILES);
   
   console.log(`[PoolLoader] Preload complete: ${Object.keys(pools).length} total pool(s)`);
   return pools;
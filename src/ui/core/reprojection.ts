@@ -0,0 +1,109 @@
+/**
+ * View reprojection
+ *
+ * Keeps the last finished frame together with the view it was rendered for,
+ * and redraws it warped into the current view while a fresh render is pending.
+ * Areas the old frame does not cover are hatched as stale.
+ */
+
+import type { State } from '../../state.js';
+import { onThemeChange } from './theme.js';
+
+/** Longest edge of the stored snapshot; larger frames are downscaled */
+const SNAPSHOT_MAX = 1024;
+
+interface Snapshot {
+  canvas: HTMLCanvasElement;
+  zoom: number;
+  panX: number;
+  panY: number;
+  key: string;
+}
+
+let snapshot: Snapshot | null = null;
+let stalePattern: CanvasPattern | null = null;
+
+// The hatching is drawn in theme colours
+onThemeChange(() => { stalePattern = null; });
+
+/**
+ * Everything that affects pixel colour except the view window and output size
+ */
+function compatKey(st: State): string {
+  // Markers are annotations; they do not change a single pixel
+  const { viewZoom, viewPanX, viewPanY, res, markers, ...rest } = st;
+  return JSON.stringify(rest);
+}
+
+function getLayer(): HTMLCanvasElement | null {
+  return document.getElementById('reprojCanvas') as HTMLCanvasElement | null;
+}
+
+function getStalePattern(ctx: CanvasRenderingContext2D): CanvasPattern | null {
+  if (stalePattern) return stalePattern;
+  const tile = document.createElement('canvas');
+  tile.width = tile.height = 12;
+  const t = tile.getContext('2d')!;
+  const css = getComputedStyle(document.documentElement);
+  t.fillStyle = css.getPropertyValue('--highlight').trim() || '#e8e4dc';
+  t.fillRect(0, 0, 12, 12);
+  t.strokeStyle = css.getPropertyValue('--border').trim() || '#c8c4bc';
+  t.lineWidth = 2;
+  t.beginPath();
+  t.moveTo(-3, 15); t.lineTo(15, -3);
+  t.moveTo(-3, 3); t.lineTo(3, -3);
+  t.moveTo(9, 15); t.lineTo(15, 9);
+  t.stroke();
+  stalePattern = ctx.createPattern(tile, 'repeat');
+  return stalePattern;
+}
+
+/**
+ * Store a finished frame as the reprojection source
+ * @param source - Canvas holding the finished image (GL or tiled output)
+ * @param st - State the frame was rendered with
+ */
+export function captureFrame(source: HTMLCanvasElement, st: State): void {
+  if (!source.width || !source.height) return;
+  const scale = Math.min(1, SNAPSHOT_MAX / Math.max(source.width, source.height));
+  const canvas = snapshot?.canvas ?? document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(source.width * scale));
+  canvas.height = Math.max(1, Math.round(source.height * scale));
+  canvas.getContext('2d')!.drawImage(source, 0, 0, canvas.width, canvas.height);
+  snapshot = { canvas, zoom: st.viewZoom, panX: st.viewPanX, panY: st.viewPanY, key: compatKey(st) };
+}
+
+/**
+ * Draw the stored frame warped into the current view over the active canvas.
+ * @returns false when there is no compatible frame (caller should render instead)
+ */
+export function showReprojection(st: State, activeCanvas: HTMLCanvasElement): boolean {
+  const layer = getLayer();
+  if (!layer || !snapshot || snapshot.key !== compatKey(st)) return false;
+  const rect = activeCanvas.getBoundingClientRect();
+  if (rect.width <= 0) return false;
+  const dpr = window.devicePixelRatio || 1;
+  const w = Math.max(1, Math.round(rect.width * dpr));
+  const h = Math.max(1, Math.round(rect.height * dpr));
+  if (layer.width !== w || layer.height !== h) { layer.width = w; layer.height = h; }
+  layer.style.width = rect.width + 'px';
+  layer.style.height = rect.height + 'px';
+
+  const ctx = layer.getContext('2d')!;
+  ctx.fillStyle = getStalePattern(ctx) ?? '#e8e4dc';
+  ctx.fillRect(0, 0, w, h);
+
+  // Old frame's world window expressed in new-view UV (v is bottom-up)
+  const s = snapshot.zoom / st.viewZoom;
+  const u0 = (snapshot.panX - st.viewPanX) / st.viewZoom;
+  const vTop = (snapshot.panY + snapshot.zoom - st.viewPanY) / st.viewZoom;
+  ctx.imageSmoothingEnabled = s < 1;
+  ctx.drawImage(snapshot.canvas, u0 * w, (1 - vTop) * h, s * w, s * h);
+  layer.style.display = 'block';
+  return true;
+}
+
+export function hideReprojection(): void {
+  const layer = getLayer();
+  if (layer) layer.style.display = 'none';
+}
@@ -0,0 +1,110 @@
+/**
+ * State files
+ *
+ * PNG export with the canonical state embedded in a tEXt chunk, and reading
+ * state back from dropped PNG or JSON files.
+ */
+
+import { canonicalState, MODE_INFO, type State } from '../../state.js';
+import { insertTextChunks, isPNG, readTextChunks } from '../../utils/png.js';
+
+/** tEXt keyword holding the canonical state JSON */
+export const STATE_PNG_KEYWORD = 'principia:state';
+/** tEXt keyword holding renderer metadata JSON */
+export const RENDER_PNG_KEYWORD = 'principia:render';
+
+export interface RenderMeta {
+  /** What produced the image: live GL canvas, tiled output, or the headless CLI */
+  source: 'webgl' | 'tiled' | 'cpu';
+  width: number;
+  height: number;
+}
+
+// tEXt is Latin-1; carry UTF-8 through it the same way the URL hash does
+const toLatin1 = (s: string) => unescape(encodeURIComponent(s));
+const fromLatin1 = (s: string) => decodeURIComponent(escape(s));
+
+/**
+ * Encode a canvas as PNG with the state and renderer metadata embedded
+ */
+export async function exportStatePNG(canvas: HTMLCanvasElement, st: State, source: 'webgl' | 'tiled'): Promise<Blob> {
+  const blob = await new Promise<Blob | null>(resolve => canvas.toBlob(resolve, 'image/png'));
+  if (!blob) throw new Error('Canvas could not be encoded');
+  const meta: RenderMeta & { res: number; mode: number; modeName: string } = {
+    source, width: canvas.width, height: canvas.height,
+    res: st.res, mode: st.mode, modeName: MODE_INFO[st.mode]?.name ?? '',
+  };
+  const png = insertTextChunks(new Uint8Array(await blob.arrayBuffer()), {
+    'Software': 'Principia',
+    'Creation Time': new Date().toISOString(),
+    'Description': `${meta.modeName} · ${canvas.width}×${canvas.height}`,
+    [STATE_PNG_KEYWORD]: toLatin1(JSON.stringify(canonicalState(st))),
+    [RENDER_PNG_KEYWORD]: JSON.stringify(meta),
+  });
+  return new Blob([png as Uint8Array<ArrayBuffer>], { type: 'image/png' });
+}
+
+/**
+ * Extract the state document from a PNG or JSON file.
+ * Throws with a user-facing message when the file carries no usable state.
+ */
+export async function readStateFile(file: File): Promise<any> {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  if (isPNG(bytes)) {
+    const text = readTextChunks(bytes)[STATE_PNG_KEYWORD];
+    if (text == null) throw new Error(`${file.name} has no embedded Principia state`);
+    try { return JSON.parse(fromLatin1(text)); }
+    catch { throw new Error(`${file.name}: embedded state is corrupt`); }
+  }
+  const looksJson = /\.json$/i.test(file.name) || file.type === 'application/json';
+  const text = new TextDecoder().decode(bytes);
+  if (!looksJson && !/^\s*\{/.test(text)) throw new Error(`${file.name}: expected a PNG or .json state file`);
+  try { return JSON.parse(text); }
+  catch (e: any) { throw new Error(`${file.name}: invalid JSON (${e?.message || e})`); }
+}
+
+/**
+ * Accept state files dropped anywhere on the given elements
+ * @param onState - Receives the parsed document (not yet validated)
+ * @param onError - Receives a user-facing message
+ */
+export function attachStateDrop(
+  targets: (HTMLElement | null)[],
+  onState: (doc: any, file: File) => void,
+  onError: (message: string) => void
+): void {
+  let depth = 0;
+  const hasFiles = (e: DragEvent) => !!e.dataTransfer && [...e.dataTransfer.types].includes('Files');
+  const setActive = (on: boolean) => document.body.classList.toggle('state-drop-active', on);
+
+  for (const el of targets) {
+    if (!el) continue;
+    el.addEventListener('dragenter', (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      depth++;
+      setActive(true);
+    });
+    el.addEventListener('dragover', (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      e.dataTransfer!.dropEffect = 'copy';
+    });
+    el.addEventListener('dragleave', (e) => {
+      if (!hasFiles(e)) return;
+      depth = Math.max(0, depth - 1);
+      if (depth === 0) setActive(false);
+    });
+    el.addEventListener('drop', async (e) => {
+      if (!hasFiles(e)) return;
+      depth = 0;
+      setActive(false);
+      if (e.defaultPrevented) return;   // handled by an inner target (e.g. the JSON editor)
+      e.preventDefault();
+      const file = e.dataTransfer!.files[0];
+      if (!file) return;
+      try { onState(await readStateFile(file), file); }
+      catch (err: any) { onError(err?.message || String(err)); }
+    });
+  }
+}
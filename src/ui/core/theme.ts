@@ -0,0 +1,83 @@
+/**
+ * Theme
+ *
+ * Light, dark, or following the OS. The theme is a `data-theme` attribute on
+ * the root element that style.css keys its colour tokens on; code that draws
+ * with those tokens (canvases, shaders, editors) subscribes to changes.
+ *
+ * Usage:
+ *   import { setTheme, onThemeChange } from './ui/core/theme.js';
+ *   setTheme('system');
+ *   const off = onThemeChange(theme => redraw(theme));
+ */
+
+// ─── Types ──────────────────────────────────────────────────────────────────
+
+/** Theme as chosen in Settings */
+export type ThemeChoice = 'light' | 'dark' | 'system';
+
+/** Theme in effect */
+export type Theme = 'light' | 'dark';
+
+export const THEME_CHOICES: ThemeChoice[] = ['light', 'dark', 'system'];
+
+// ─── State ──────────────────────────────────────────────────────────────────
+
+const listeners = new Set<(theme: Theme) => void>();
+let choice: ThemeChoice = 'light';
+
+const osDark = typeof window !== 'undefined' && window.matchMedia
+  ? window.matchMedia('(prefers-color-scheme: dark)')
+  : null;
+
+function resolve(c: ThemeChoice): Theme {
+  if (c === 'system') return osDark?.matches ? 'dark' : 'light';
+  return c;
+}
+
+function apply(): void {
+  const theme = resolve(choice);
+  const root = document.documentElement;
+  if (root.dataset.theme === theme) return;
+  root.dataset.theme = theme;
+  for (const fn of listeners) fn(theme);
+}
+
+osDark?.addEventListener('change', () => {
+  if (choice === 'system') apply();
+});
+
+// ─── API ────────────────────────────────────────────────────────────────────
+
+/**
+ * Switch theme; 'system' keeps following the OS setting
+ */
+export function setTheme(next: ThemeChoice): void {
+  choice = THEME_CHOICES.includes(next) ? next : 'light';
+  apply();
+}
+
+export function themeChoice(): ThemeChoice {
+  return choice;
+}
+
+export function currentTheme(): Theme {
+  return document.documentElement.dataset.theme === 'dark' ? 'dark' : 'light';
+}
+
+/**
+ * Call `fn` whenever the theme in effect changes
+ * @returns Unsubscribe function
+ */
+export function onThemeChange(fn: (theme: Theme) => void): () => void {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+/**
+ * Solid probe background: the probe tooltip is drawn on the panel colour
+ * instead of the frosted glass
+ */
+export function setSolidProbe(on: boolean): void {
+  document.documentElement.toggleAttribute('data-solid-probe', on);
+}
@@ -0,0 +1,89 @@
+import { showDialog } from './dialog.js';
+
+// ─── Plane preset dialog ─────────────────────────────────────────────────────
+
+export interface PlaneDraft {
+  name: string;
+  q1: number[];
+  q2: number[];
+  z0: number[];
+}
+
+export type PlaneDialogResult =
+  | { action: 'save'; draft: PlaneDraft }
+  | { action: 'delete' }
+  | null;
+
+const fmtVec = (v: number[]) => v.map(x => +x.toFixed(6)).join(', ');
+
+/**
+ * Ten numbers separated by commas and/or spaces, or null
+ */
+function parseVec10(text: string): number[] | null {
+  const parts = text.trim().split(/[\s,]+/).filter(Boolean);
+  if (parts.length !== 10) return null;
+  const v = parts.map(Number);
+  return v.every(Number.isFinite) ? v : null;
+}
+
+/**
+ * Reason the fields do not make a plane, or '' if they do
+ */
+function draftProblem(values: Record<string, string>): string {
+  if (!values.name?.trim()) return 'Please enter a name';
+  const q1 = parseVec10(values.q1 ?? ''), q2 = parseVec10(values.q2 ?? ''), z0 = parseVec10(values.z0 ?? '');
+  if (!q1 || !q2 || !z0) return 'q1, q2 and z0 each need 10 numbers';
+  const n1 = Math.hypot(...q1), n2 = Math.hypot(...q2);
+  if (n1 === 0 || n2 === 0) return 'q1 and q2 must not be zero';
+  const cos = q1.reduce((s, x, i) => s + x * q2[i], 0) / (n1 * n2);
+  if (Math.abs(cos) > 1 - 1e-9) return 'q1 and q2 must not be parallel';
+  return '';
+}
+
+/**
+ * Edit a plane preset: name, base directions q1/q2 and origin z0.
+ * Resolves to the saved draft, a delete request, or null if cancelled.
+ */
+export async function editPlanePreset(draft: PlaneDraft, opts: { title: string; canDelete: boolean }): Promise<PlaneDialogResult> {
+  const result = await (showDialog as any)({
+    id: 'plane-preset',
+    title: opts.title,
+    content: { text: 'Directions are normalised, and q2 made orthogonal to q1 when Orthonormalize is on. z0 is the centre of the view.' },
+    fields: [
+      { id: 'name', type: 'text', label: 'Name', value: draft.name, selectOnFocus: true },
+      { id: 'q1', type: 'text', label: 'q1 (→)', value: fmtVec(draft.q1) },
+      { id: 'q2', type: 'text', label: 'q2 (↑)', value: fmtVec(draft.q2) },
+      { id: 'z0', type: 'text', label: 'z0', value: fmtVec(draft.z0) },
+    ],
+    buttons: [
+      { id: 'cancel', label: 'Cancel', role: 'secondary', intent: 'cancel', hotkey: 'Escape' },
+      ...(opts.canDelete ? [{ id: 'delete', label: 'Delete', role: 'danger', intent: 'other' }] : []),
+      { id: 'save', label: 'Save', role: 'primary', intent: 'confirm', hotkey: 'Enter' },
+    ],
+    closeOnEscape: true,
+    closeOnBackdrop: true,
+    beforeClose: (attempt: any) => {
+      if (attempt.action === 'save') {
+        const problem = draftProblem(attempt.values);
+        if (problem) {
+          alert(problem);
+          return false;
+        }
+      }
+      if (attempt.action === 'delete') return confirm(`Delete preset "${draft.name}"?`);
+      return true;
+    }
+  });
+
+  if (result.action === 'delete') return { action: 'delete' };
+  if (result.action !== 'save') return null;
+  return {
+    action: 'save',
+    draft: {
+      name: result.values.name.trim(),
+      q1: parseVec10(result.values.q1)!,
+      q2: parseVec10(result.values.q2)!,
+      z0: parseVec10(result.values.z0)!,
+    },
+  };
+}
@@ -4,9 +4,10 @@
  */
 
 import { EditorView, basicSetup } from 'codemirror';
-import { EditorState, Compartment } from '@codemirror/state';
+import { EditorState, Compartment, type Extension } from '@codemirror/state';
 import { lintGutter } from '@codemirror/lint';
 import { atomOneLight, oneDark } from './themes.ts';
+import { currentTheme, onThemeChange, type Theme } from '../core/theme.js';
 import type { CodeEditor, EditorConfig, ValidationResult } from './EditorRegistry.ts';
 
 
@@ -18,6 +19,8 @@ export abstract class CodeMirrorEditor implements CodeEditor {
   protected config: EditorConfig;
   protected themeCompartment: Compartment;
   protected languageCompartment: Compartment;
+  /** Stops following the app theme */
+  private unfollowTheme: (() => void) | null = null;
 
   constructor(config: EditorConfig) {
     this.config = config;
@@ -53,12 +56,13 @@ export abstract class CodeMirrorEditor implements CodeEditor {
     // Build extensions - use basicSetup which includes everything
     console.log('[CodeMirrorEditor] Building editor extensions...');
     
-    // Select theme: light (Atom One Light) or dark (One Dark)
-    const theme = this.config.theme === 'dark' ? oneDark : atomOneLight;
+    // Select theme: light (Atom One Light) or dark (One Dark); without one
+    // in the config, follow the app theme
+    const theme = this.config.theme ?? currentTheme();
     
     const extensions = [
       basicSetup,
-      theme,
+      this.themeCompartment.of(this.themeExtension(theme)),
       lintGutter(),
       this.languageCompartment.of(langExtensions),
       // Hide CodeMirror's scrollbar
@@ -90,6 +94,12 @@ export abstract class CodeMirrorEditor implements CodeEditor {
     });
     
     console.log('[CodeMirrorEditor] EditorView created!');
+
+    if (!this.config.theme) {
+      this.unfollowTheme = onThemeChange(next => {
+        this.view?.dispatch({ effects: this.themeCompartment.reconfigure(this.themeExtension(next)) });
+      });
+    }
     console.log('[CodeMirrorEditor] View DOM:', this.view.dom);
     console.log('[CodeMirrorEditor] View DOM classes:', this.view.dom.className);
     
@@ -330,6 +340,8 @@ export abstract class CodeMirrorEditor implements CodeEditor {
    * Unmount editor from DOM
    */
   unmount(): void {
+    this.unfollowTheme?.();
+    this.unfollowTheme = null;
     if (this.view) {
       this.view.destroy();
       this.view = null;
@@ -486,6 +498,13 @@ export abstract class CodeMirrorEditor implements CodeEditor {
     this.unmount();
   }
 
+  /**
+   * Editor theme for a light or dark UI
+   */
+  private themeExtension(theme: Theme): Extension {
+    return theme === 'dark' ? oneDark : atomOneLight;
+  }
+
   /**
    * Get theme extensions based on config
    */
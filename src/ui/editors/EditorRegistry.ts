@@ -10,6 +10,16 @@ export interface ValidationError {
   severity: 'error' | 'warning' | 'info';
 }
 
+/**
+ * Semantic issue addressed by a path into the parsed document
+ * (e.g. "slice.z0[3]") instead of a line/column
+ */
+export interface PathIssue {
+  path: string;
+  message: string;
+  severity: 'error' | 'warning';
+}
+
 export interface ValidationResult {
   valid: boolean;
   errors: ValidationError[];
@@ -56,12 +66,13 @@ export type EditorFactory = (config?: EditorConfig) => CodeEditor;
 
 export interface EditorConfig {
   language: string;
-  theme?: 'light' | 'dark';
+  theme?: 'light' | 'dark';                      // Omitted: follows the app theme
   readOnly?: boolean;
   lineNumbers?: boolean;
   autoFormat?: boolean;
   linting?: boolean;
   autocompletion?: boolean;
+  validator?: (value: unknown) => PathIssue[];  // Schema checks run once the document parses
 }
 
 /**
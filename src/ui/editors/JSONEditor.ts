@@ -4,12 +4,70 @@
  */
 
 import { json, jsonParseLinter } from '@codemirror/lang-json';
-import { linter } from '@codemirror/lint';
+import { ensureSyntaxTree } from '@codemirror/language';
+import { linter, type Diagnostic } from '@codemirror/lint';
 import { keymap } from '@codemirror/view';
+import type { EditorState } from '@codemirror/state';
+import type { SyntaxNode } from '@lezer/common';
 import { defaultKeymap, indentWithTab } from '@codemirror/commands';
 import { autocompletion } from '@codemirror/autocomplete';
 import { CodeMirrorEditor } from './CodeMirrorEditor.ts';
-import type { ValidationResult, EditorConfig } from './EditorRegistry.ts';
+import type { ValidationResult, ValidationError, EditorConfig, PathIssue } from './EditorRegistry.ts';
+
+/**
+ * Split "slice.z0[3]" into ["slice", "z0", 3]
+ */
+function parsePath(path: string): (string | number)[] {
+  const out: (string | number)[] = [];
+  for (const part of path.split('.')) {
+    if (!part) continue;
+    const m = part.match(/^([^[]*)((?:\[\d+\])*)$/);
+    if (!m) { out.push(part); continue; }
+    if (m[1]) out.push(m[1]);
+    for (const idx of m[2].matchAll(/\[(\d+)\]/g)) out.push(+idx[1]);
+  }
+  return out;
+}
+
+function valueChildren(node: SyntaxNode): SyntaxNode[] {
+  const out: SyntaxNode[] = [];
+  for (let c = node.firstChild; c; c = c.nextSibling) {
+    if (!['[', ']', '{', '}', ',', '⚠'].includes(c.name)) out.push(c);
+  }
+  return out;
+}
+
+/**
+ * Source range for a document path; falls back to the deepest node that exists
+ */
+function locatePath(st: EditorState, path: string): { from: number; to: number } {
+  const tree = ensureSyntaxTree(st, st.doc.length, 200);
+  let node: SyntaxNode | null = tree?.topNode.firstChild ?? null;
+  let range = { from: 0, to: Math.min(1, st.doc.length) };
+  if (node) range = { from: node.from, to: Math.min(node.to, st.doc.lineAt(node.from).to) };
+  for (const seg of parsePath(path)) {
+    if (!node) break;
+    let next: SyntaxNode | null = null;
+    if (typeof seg === 'number' && node.name === 'Array') {
+      next = valueChildren(node)[seg] ?? null;
+      if (next) range = { from: next.from, to: next.to };
+    } else if (node.name === 'Object') {
+      for (const prop of node.getChildren('Property')) {
+        const name = prop.getChild('PropertyName');
+        if (!name) continue;
+        let key: string;
+        try { key = JSON.parse(st.doc.sliceString(name.from, name.to)); } catch { continue; }
+        if (key !== String(seg)) continue;
+        next = prop.lastChild && prop.lastChild.name !== ':' ? prop.lastChild : null;
+        range = { from: name.from, to: next && next.name !== 'Object' && next.name !== 'Array' ? next.to : name.to };
+        break;
+      }
+    }
+    if (!next) break;
+    node = next;
+  }
+  return range;
+}
 
 /**
  * JSON editor with validation and formatting
@@ -30,7 +88,7 @@ export class JSONEditor extends CodeMirrorEditor {
     console.log('[JSONEditor] json() type:', typeof jsonLang);
     console.log('[JSONEditor] json() constructor:', jsonLang?.constructor?.name);
     
-    const extensions = [jsonLang];
+    const extensions: any[] = [jsonLang];
     console.log('[JSONEditor] Added JSON language support');
 
     if (this.config.autocompletion) {
@@ -45,6 +103,11 @@ export class JSONEditor extends CodeMirrorEditor {
       console.log('[JSONEditor] Linter created:', jsonLinter);
       extensions.push(jsonLinter);
       console.log('[JSONEditor] Added built-in JSON linter');
+
+      if (this.config.validator) {
+        extensions.push(linter((view) => this.schemaDiagnostics(view.state)));
+        console.log('[JSONEditor] Added schema linter');
+      }
     }
 
     const km = keymap.of([
@@ -120,11 +183,33 @@ export class JSONEditor extends CodeMirrorEditor {
     });
   }
 
+  /**
+   * Run the configured validator over the parsed document and anchor each
+   * issue at its field path. Parse errors are left to jsonParseLinter.
+   */
+  private schemaIssues(st: EditorState): { issue: PathIssue; from: number; to: number }[] {
+    if (!this.config.validator) return [];
+    let doc: unknown;
+    try { doc = JSON.parse(st.doc.toString()); } catch { return []; }
+    return this.config.validator(doc).map(issue => ({ issue, ...locatePath(st, issue.path) }));
+  }
+
+  private schemaDiagnostics(st: EditorState): Diagnostic[] {
+    return this.schemaIssues(st).map(({ issue, from, to }) => ({
+      from, to, severity: issue.severity, source: 'schema', message: issue.message
+    }));
+  }
+
   validate(): ValidationResult {
     const content = this.getValue();
     try {
       JSON.parse(content);
-      return { valid: true, errors: [] };
+      if (!this.view) return { valid: true, errors: [] };
+      const errors: ValidationError[] = this.schemaIssues(this.view.state).map(({ issue, from }) => {
+        const line = this.view!.state.doc.lineAt(from);
+        return { message: issue.message, line: line.number, column: from - line.from + 1, severity: issue.severity };
+      });
+      return { valid: !errors.some(e => e.severity === 'error'), errors };
     } catch (e: any) {
       return {
         valid: false,
@@ -0,0 +1,59 @@
+/**
+ * ScriptEditor - CodeMirror 6 wrapper for JavaScript automation scripts
+ * Used by the script console; scripts run as the body of an async function
+ */
+
+import { StreamLanguage } from '@codemirror/language';
+import { javascript } from '@codemirror/legacy-modes/mode/javascript';
+import { autocompletion } from '@codemirror/autocomplete';
+import { indentWithTab } from '@codemirror/commands';
+import { keymap } from '@codemirror/view';
+import { CodeMirrorEditor } from './CodeMirrorEditor.js';
+import type { EditorConfig, ValidationResult } from './EditorRegistry.js';
+
+/** Constructor of `async function` bodies; compiling one checks the syntax */
+export const AsyncFunction = Object.getPrototypeOf(async function () {}).constructor as
+  new (...args: string[]) => (...args: any[]) => Promise<any>;
+
+export class ScriptEditor extends CodeMirrorEditor {
+  constructor(config: EditorConfig) {
+    super(config);
+  }
+
+  protected getLanguageExtensions(): any[] {
+    const extensions: any[] = [StreamLanguage.define(javascript)];
+    if (this.config.autocompletion) {
+      extensions.push(autocompletion());
+    }
+    extensions.push(keymap.of([indentWithTab]));
+    return extensions;
+  }
+
+  /**
+   * Syntax check: compile the script without running it
+   */
+  validate(): ValidationResult {
+    try {
+      new AsyncFunction(this.getValue());
+      return { valid: true, errors: [] };
+    } catch (e: any) {
+      return { valid: false, errors: [{ line: 1, column: 1, message: String(e?.message || e), severity: 'error' }] };
+    }
+  }
+
+  /**
+   * No formatter for scripts; left as typed
+   */
+  format(): void {}
+
+  getLanguage(): string {
+    return 'javascript';
+  }
+}
+
+/**
+ * Factory function for ScriptEditor
+ */
+export function createScriptEditor(config?: EditorConfig): ScriptEditor {
+  return new ScriptEditor({ language: 'javascript', ...config });
+}
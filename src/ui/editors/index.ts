@@ -7,6 +7,7 @@ export { EditorRegistry } from './EditorRegistry.ts';
 export { CodeMirrorEditor } from './CodeMirrorEditor.ts';
 export { JSONEditor, createJSONEditor } from './JSONEditor.ts';
 export { WGSLEditor, createWGSLEditor } from './WGSLEditor.ts';
+export { ScriptEditor, createScriptEditor } from './ScriptEditor.js';
 export { initStateBoxEditor, getStateBoxEditor, setStateBoxValue, getStateBoxValue } from './stateBoxEditor.ts';
 export { initTooltipZIndexFixer, fixAllTooltips } from './tooltip-z-index-fixer.ts';
 
@@ -15,5 +16,6 @@ export type {
   EditorConfig,
   EditorFactory,
   ValidationResult,
-  ValidationError
+  ValidationError,
+  PathIssue
 } from './EditorRegistry.ts';
@@ -0,0 +1,32 @@
+const RECENT_COMMANDS_KEY = 'principia_recent_commands';
+
+/** Most commands remembered */
+const MAX_RECENT = 20;
+
+/**
+ * Ids of the commands used lately, most recent first
+ */
+export function loadRecentCommands(): string[] {
+  try {
+    const stored = localStorage.getItem(RECENT_COMMANDS_KEY);
+    const raw = stored ? JSON.parse(stored) : [];
+    return Array.isArray(raw) ? raw.filter(id => typeof id === 'string').slice(0, MAX_RECENT) : [];
+  } catch (e) {
+    console.error('[Palette] Failed to load recent commands:', e);
+    return [];
+  }
+}
+
+/**
+ * Move a command to the front of the recent list and save it
+ * @returns The updated list
+ */
+export function pushRecentCommand(id: string): string[] {
+  const recent = [id, ...loadRecentCommands().filter(r => r !== id)].slice(0, MAX_RECENT);
+  try {
+    localStorage.setItem(RECENT_COMMANDS_KEY, JSON.stringify(recent));
+  } catch (e) {
+    console.error('[Palette] Failed to save recent commands:', e);
+  }
+  return recent;
+}
@@ -0,0 +1,217 @@
+/**
+ * @fileoverview Analysis Panel
+ * Numbers about the current view, recomputed from the rendered pixels after
+ * each final render while the panel is open: outcome class fractions, the
+ * box-counting dimension of class boundaries and value histograms, with
+ * CSV/JSON export alongside the state they were measured on.
+ */
+
+import { canonicalState, MODE_INFO, type CanonicalState, type State } from '../../state.js';
+import { createViewAnalyzer, statsRows, type Histogram, type ViewStats } from '../../analysis/stats.js';
+import { isEventMode } from '../../analysis/classes.js';
+
+const ICON_CLOSE = '&#x2715;';
+
+/** Rows read back per step; the browser gets a frame between steps */
+const BAND_ROWS = 256;
+
+const HIST_WIDTH = 270;
+const HIST_HEIGHT = 48;
+
+export interface AnalysisPanelDeps {
+  setStatus: (msg: string) => void;
+}
+
+export interface AnalysisPanel {
+  open(): void;
+  close(): void;
+  toggle(): void;
+  isOpen(): boolean;
+  /** A final frame of `st` is on `source`; analyse it if the panel is open */
+  update(source: HTMLCanvasElement, st: State): void;
+  /** The frame on screen is about to change; drop any pending analysis */
+  invalidate(): void;
+}
+
+function download(blob: Blob, name: string): void {
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = name;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(a.href), 1500);
+}
+
+function csvCell(v: string | number): string {
+  const s = String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function formatPct(f: number): string {
+  return f > 0 && f < 0.0001 ? '< 0.01 %' : `${(f * 100).toFixed(2)} %`;
+}
+
+function drawHistogram(canvas: HTMLCanvasElement, h: Histogram): void {
+  const dpr = window.devicePixelRatio || 1;
+  canvas.width = Math.round(HIST_WIDTH * dpr);
+  canvas.height = Math.round(HIST_HEIGHT * dpr);
+  const ctx = canvas.getContext('2d')!;
+  ctx.fillStyle = getComputedStyle(document.documentElement).getPropertyValue('--text').trim() || '#1a1816';
+  const peak = Math.max(1, ...h.counts);
+  const bw = canvas.width / h.counts.length;
+  h.counts.forEach((n, i) => {
+    const bh = (n / peak) * canvas.height;
+    ctx.fillRect(i * bw, canvas.height - bh, Math.max(1, bw - dpr), bh);
+  });
+}
+
+/**
+ * Creates the analysis panel and appends it to the document
+ */
+export function createAnalysisPanel(deps: AnalysisPanelDeps): AnalysisPanel {
+  const panel = document.createElement('div');
+  panel.id = 'analysis-panel';
+  panel.innerHTML = `
+    <div id="analysis-panel-header">
+      <span id="analysis-panel-title">Analysis</span>
+      <button id="analysis-panel-close">${ICON_CLOSE}</button>
+    </div>
+    <div id="analysis-panel-body">
+      <div id="analysis-status">Waiting for a final render.</div>
+      <div id="analysis-classes"></div>
+      <div id="analysis-boundary"></div>
+      <div id="analysis-hists"></div>
+      <div class="ana-row">
+        <button id="analysis-csv" class="btn" data-tip="Download the numbers and the state as CSV.">CSV</button>
+        <button id="analysis-json" class="btn" data-tip="Download the numbers and the state as JSON.">JSON</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(panel);
+
+  const q = <T extends HTMLElement>(sel: string) => panel.querySelector(sel) as T;
+  const statusEl = q<HTMLElement>('#analysis-status');
+  const classesEl = q<HTMLElement>('#analysis-classes');
+  const boundaryEl = q<HTMLElement>('#analysis-boundary');
+  const histsEl = q<HTMLElement>('#analysis-hists');
+  const csvBtn = q<HTMLButtonElement>('#analysis-csv');
+  const jsonBtn = q<HTMLButtonElement>('#analysis-json');
+
+  const band = document.createElement('canvas');
+  /** Frame waiting to be analysed (set by update, cleared by invalidate) */
+  let pending: { source: HTMLCanvasElement; doc: CanonicalState } | null = null;
+  let result: { stats: ViewStats; doc: CanonicalState; time: number } | null = null;
+  let gen = 0;
+
+  const isOpen = () => panel.classList.contains('open');
+
+  function renderResult(): void {
+    csvBtn.disabled = jsonBtn.disabled = !result;
+    classesEl.innerHTML = '';
+    boundaryEl.textContent = '';
+    histsEl.innerHTML = '';
+    if (!result) return;
+    const { stats, time } = result;
+    const mode = MODE_INFO[stats.mode]?.name ?? `mode ${stats.mode}`;
+    statusEl.textContent = `${stats.width}×${stats.height} · ${mode} · ${new Date(time).toLocaleTimeString()}`;
+
+    for (const c of stats.classes) {
+      const row = document.createElement('div');
+      row.className = 'ana-class';
+      row.innerHTML = `<span class="ana-class-label"></span><span class="ana-class-bar"><span></span></span><span class="ana-class-pct"></span>`;
+      row.querySelector('.ana-class-label')!.textContent = c.label;
+      (row.querySelector('.ana-class-bar span') as HTMLElement).style.width = `${c.fraction * 100}%`;
+      row.querySelector('.ana-class-pct')!.textContent = formatPct(c.fraction);
+      row.title = `${c.count.toLocaleString()} pixels`;
+      classesEl.appendChild(row);
+    }
+
+    const b = stats.boundary;
+    if (b) {
+      const sizes = b.scales.map(s => s.size);
+      boundaryEl.textContent = `Boundary dimension D ≈ ${b.dimension.toFixed(3)} (r² ${b.r2.toFixed(3)}, boxes ${sizes[0]}–${sizes[sizes.length - 1]} px${b.stride > 1 ? `, every ${b.stride}th pixel` : ''})`;
+    } else if (isEventMode(stats.mode)) {
+      boundaryEl.textContent = 'No boundary between classes in view.';
+    }
+
+    for (const h of stats.histograms) {
+      const wrap = document.createElement('div');
+      wrap.className = 'ana-hist';
+      wrap.innerHTML = `<span class="ana-hist-title"></span><canvas></canvas><span class="ana-hist-labels"><span>${h.min.toFixed(2)}</span><span>${h.max.toFixed(2)}</span></span>`;
+      wrap.querySelector('.ana-hist-title')!.textContent = `${h.label} · ${h.samples.toLocaleString()} px`;
+      histsEl.appendChild(wrap);
+      drawHistogram(wrap.querySelector('canvas')!, h);
+    }
+  }
+
+  async function analyse(): Promise<void> {
+    if (!pending) return;
+    const { source, doc } = pending;
+    const my = ++gen;
+    const w = source.width, h = source.height;
+    const analyzer = createViewAnalyzer(doc.render.mode, w, h);
+    band.width = w;
+    const ctx = band.getContext('2d', { willReadFrequently: true })!;
+    statusEl.textContent = 'Analysing...';
+    for (let y0 = 0; y0 < h; y0 += BAND_ROWS) {
+      const bh = Math.min(BAND_ROWS, h - y0);
+      band.height = bh;
+      ctx.drawImage(source, 0, y0, w, bh, 0, 0, w, bh);
+      analyzer.add(ctx.getImageData(0, 0, w, bh).data, 0, y0, w, bh);
+      await new Promise(requestAnimationFrame);
+      // A new frame or a newer analysis took over
+      if (my !== gen) return;
+    }
+    pending = null;
+    result = { stats: analyzer.finish(), doc, time: Date.now() };
+    renderResult();
+  }
+
+  function run(): void {
+    analyse().catch((e: any) => {
+      statusEl.textContent = 'Analysis failed.';
+      deps.setStatus('Analysis failed: ' + (e?.message || e));
+    });
+  }
+
+  csvBtn.addEventListener('click', () => {
+    if (!result) return;
+    const lines = [['section', 'key', 'value', 'fraction'], ...statsRows(result.stats, result.doc)];
+    download(new Blob([lines.map(r => r.map(csvCell).join(',')).join('\n') + '\n'], { type: 'text/csv' }), 'three-body-analysis.csv');
+    deps.setStatus('Downloaded analysis CSV.');
+  });
+
+  jsonBtn.addEventListener('click', () => {
+    if (!result) return;
+    const body = { state: result.doc, analysedAt: new Date(result.time).toISOString(), stats: result.stats };
+    download(new Blob([JSON.stringify(body, null, 2)], { type: 'application/json' }), 'three-body-analysis.json');
+    deps.setStatus('Downloaded analysis JSON.');
+  });
+
+  function open(): void {
+    panel.classList.add('open');
+    if (pending) run();
+  }
+
+  function close(): void {
+    panel.classList.remove('open');
+  }
+
+  q<HTMLButtonElement>('#analysis-panel-close').addEventListener('click', close);
+  renderResult();
+
+  return {
+    open,
+    close,
+    toggle: () => (isOpen() ? close() : open()),
+    isOpen,
+    update(source, st) {
+      pending = { source, doc: canonicalState(st) };
+      if (isOpen()) run();
+    },
+    invalidate() {
+      gen++;
+      pending = null;
+      if (isOpen() && result) statusEl.textContent = 'Waiting for the final render...';
+    },
+  };
+}
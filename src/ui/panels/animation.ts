@@ -0,0 +1,220 @@
+/**
+ * @fileoverview Animation Panel
+ * Floating keyframe timeline: capture the current view as keyframes, scrub
+ * the interpolated path, and export it as a PNG sequence (zip) or WebM
+ */
+
+import { canonicalState, state, MODE_INFO, type State } from '../../state.js';
+import { stateAtFrame, timelineLength, type Easing, type Keyframe } from '../../animation/keyframes.js';
+import { createAnimationExporter, webmMimeType, type AnimationOptions } from '../../animation/export.js';
+
+const ICON_CLOSE = '&#x2715;';
+
+/** Default frames between consecutive keyframes */
+const DEFAULT_SEGMENT_FRAMES = 60;
+
+const FRAME_SIZES = [256, 512, 720, 1024, 2048];
+
+export interface AnimationPanelDeps {
+  renderer: any;
+  glCanvas: HTMLCanvasElement;
+  /** Apply a canonical document to the app (state, UI, URL) and re-render */
+  applyDoc: (doc: any, reason: string) => void;
+  /** Build a standalone State from a canonical document */
+  toState: (doc: any) => State;
+  scheduleRender: (reason: string) => void;
+  setStatus: (msg: string) => void;
+}
+
+export interface AnimationPanel {
+  open(): void;
+  close(): void;
+  toggle(): void;
+  isOpen(): boolean;
+}
+
+function describeKey(k: Keyframe): string {
+  const s = k.state;
+  const mode = MODE_INFO[s.render.mode]?.name ?? `mode ${s.render.mode}`;
+  return `${mode} · zoom ${s.view.zoom.toPrecision(3)} · γ ${s.slice.gammaDeg.toFixed(1)}°`;
+}
+
+/**
+ * Creates the animation panel and appends it to the document
+ */
+export function createAnimationPanel(deps: AnimationPanelDeps): AnimationPanel {
+  const exporter = createAnimationExporter(deps.renderer, deps.glCanvas, deps.toState);
+  const webm = webmMimeType();
+  const maxSize = deps.renderer.getMaxDrawableSize();
+
+  const panel = document.createElement('div');
+  panel.id = 'animation-panel';
+  panel.innerHTML = `
+    <div id="animation-panel-header">
+      <span id="animation-panel-title">Animation</span>
+      <button id="animation-panel-close">${ICON_CLOSE}</button>
+    </div>
+    <div id="animation-panel-body">
+      <div id="animation-keys"></div>
+      <button id="animation-add" class="btn" data-tip="Capture the current state as the next keyframe.">+ Add keyframe</button>
+      <div class="anim-row">
+        <label for="animation-scrub">Frame</label>
+        <input id="animation-scrub" type="range" min="0" max="0" step="1" value="0" />
+        <span id="animation-frame">0 / 0</span>
+      </div>
+      <div class="anim-grid">
+        <label for="animation-size">Size</label>
+        <select id="animation-size">${FRAME_SIZES.filter(s => s <= maxSize)
+          .map(s => `<option value="${s}"${s === 512 ? ' selected' : ''}>${s} × ${s}</option>`).join('')}</select>
+        <label for="animation-fps">FPS</label>
+        <input id="animation-fps" type="number" min="1" max="120" step="1" value="30" />
+        <label for="animation-easing">Easing</label>
+        <select id="animation-easing">
+          <option value="smooth">Ease in/out</option>
+          <option value="linear">Linear</option>
+        </select>
+        <label for="animation-format">Output</label>
+        <select id="animation-format">
+          <option value="zip">PNG sequence (.zip)</option>
+          <option value="webm"${webm ? '' : ' disabled'}>WebM video${webm ? '' : ' (unsupported)'}</option>
+        </select>
+      </div>
+      <div id="animation-progress"><div id="animation-progress-fill"></div></div>
+      <div id="animation-status">Add two or more keyframes.</div>
+      <button id="animation-export" class="btn primary">Export</button>
+    </div>
+  `;
+  document.body.appendChild(panel);
+
+  const q = <T extends HTMLElement>(sel: string) => panel.querySelector(sel) as T;
+  const keysEl = q<HTMLElement>('#animation-keys');
+  const scrub = q<HTMLInputElement>('#animation-scrub');
+  const frameLabel = q<HTMLElement>('#animation-frame');
+  const sizeSel = q<HTMLSelectElement>('#animation-size');
+  const fpsInput = q<HTMLInputElement>('#animation-fps');
+  const easingSel = q<HTMLSelectElement>('#animation-easing');
+  const formatSel = q<HTMLSelectElement>('#animation-format');
+  const progressFill = q<HTMLElement>('#animation-progress-fill');
+  const statusEl = q<HTMLElement>('#animation-status');
+  const exportBtn = q<HTMLButtonElement>('#animation-export');
+
+  const keys: Keyframe[] = [];
+
+  function options(): AnimationOptions {
+    return {
+      res: +sizeSel.value,
+      fps: Math.max(1, Math.min(120, Math.round(+fpsInput.value) || 30)),
+      easing: easingSel.value as Easing,
+      format: formatSel.value as AnimationOptions['format'],
+    };
+  }
+
+  function setProgress(frac: number): void {
+    progressFill.style.width = `${Math.round(Math.max(0, Math.min(1, frac)) * 100)}%`;
+  }
+
+  function refreshStatus(): void {
+    if (exporter.isRunning()) return;
+    const total = timelineLength(keys);
+    const ready = exporter.resumableFrames(keys, options());
+    if (keys.length < 2) statusEl.textContent = 'Add two or more keyframes.';
+    else if (ready >= total) statusEl.textContent = `${total} frames rendered · export repacks them.`;
+    else if (ready > 0) statusEl.textContent = `${ready}/${total} frames rendered · export resumes.`;
+    else statusEl.textContent = `${total} frames · ${(total / options().fps).toFixed(1)} s`;
+    exportBtn.textContent = ready > 0 && ready < total ? 'Resume export' : 'Export';
+    setProgress(total ? ready / total : 0);
+  }
+
+  function refreshScrub(): void {
+    const total = timelineLength(keys);
+    scrub.max = String(Math.max(0, total - 1));
+    scrub.disabled = keys.length < 2;
+    frameLabel.textContent = `${Math.min(+scrub.value, Math.max(0, total - 1))} / ${Math.max(0, total - 1)}`;
+  }
+
+  function renderKeys(): void {
+    keysEl.innerHTML = '';
+    keys.forEach((k, i) => {
+      const row = document.createElement('div');
+      row.className = 'anim-key';
+      row.innerHTML = `
+        <span class="anim-key-idx">${i + 1}</span>
+        <span class="anim-key-desc">${describeKey(k)}</span>
+        <button class="anim-key-btn" data-act="go" data-tip="Jump to this keyframe.">Go</button>
+        <button class="anim-key-btn" data-act="set" data-tip="Replace with the current state.">Set</button>
+        <button class="anim-key-btn" data-act="del" data-tip="Remove keyframe.">${ICON_CLOSE}</button>
+        ${i < keys.length - 1 ? `<label class="anim-key-frames">→ <input type="number" min="1" max="10000" step="1" value="${k.frames}" /> frames</label>` : ''}
+      `;
+      row.querySelector('[data-act="go"]')!.addEventListener('click', () => deps.applyDoc(structuredClone(k.state), 'keyframe'));
+      row.querySelector('[data-act="set"]')!.addEventListener('click', () => { k.state = canonicalState(state); renderKeys(); });
+      row.querySelector('[data-act="del"]')!.addEventListener('click', () => { keys.splice(i, 1); renderKeys(); });
+      row.querySelector('input')?.addEventListener('change', (e) => {
+        k.frames = Math.max(1, Math.min(10000, Math.round(+(e.target as HTMLInputElement).value) || DEFAULT_SEGMENT_FRAMES));
+        (e.target as HTMLInputElement).value = String(k.frames);
+        refreshScrub(); refreshStatus();
+      });
+      keysEl.appendChild(row);
+    });
+    refreshScrub();
+    refreshStatus();
+  }
+
+  q<HTMLButtonElement>('#animation-add').addEventListener('click', () => {
+    keys.push({ state: canonicalState(state), frames: DEFAULT_SEGMENT_FRAMES });
+    renderKeys();
+  });
+
+  scrub.addEventListener('input', () => {
+    refreshScrub();
+    if (keys.length < 2 || exporter.isRunning()) return;
+    deps.applyDoc(stateAtFrame(keys, +scrub.value, options().easing), 'scrub');
+  });
+
+  [sizeSel, fpsInput, easingSel, formatSel].forEach(el => el.addEventListener('change', refreshStatus));
+
+  exportBtn.addEventListener('click', async () => {
+    if (exporter.isRunning()) { exporter.abort(); statusEl.textContent = 'Stopping...'; return; }
+    const opts = options();
+    exportBtn.textContent = 'Stop';
+    exportBtn.classList.replace('primary', 'danger');
+    try {
+      const result = await exporter.run(keys, opts, ({ phase, done, total, resumed }) => {
+        setProgress(done / total);
+        statusEl.textContent = phase === 'render'
+          ? `${resumed ? 'Resumed · ' : ''}Rendering ${done}/${total}`
+          : `${opts.format === 'webm' ? 'Encoding' : 'Packing'} ${done}/${total}`;
+      });
+      if (result.blob) {
+        const a = document.createElement('a');
+        a.href = URL.createObjectURL(result.blob);
+        a.download = `three-body-animation.${opts.format}`;
+        a.click();
+        setTimeout(() => URL.revokeObjectURL(a.href), 2500);
+        deps.setStatus(`Animation exported (${result.total} frames).`);
+      } else {
+        deps.setStatus(`Animation stopped at ${result.done}/${result.total} frames.`);
+      }
+    } catch (e: any) {
+      deps.setStatus('Animation export failed: ' + (e?.message || e));
+    } finally {
+      exportBtn.classList.replace('danger', 'primary');
+      refreshStatus();
+      // The renderer was left on the last exported frame; show the live state again
+      deps.scheduleRender('animation done');
+    }
+  });
+
+  function close(): void {
+    panel.classList.remove('open');
+  }
+
+  q<HTMLButtonElement>('#animation-panel-close').addEventListener('click', close);
+  renderKeys();
+
+  return {
+    open: () => panel.classList.add('open'),
+    close,
+    toggle: () => panel.classList.toggle('open'),
+    isOpen: () => panel.classList.contains('open'),
+  };
+}
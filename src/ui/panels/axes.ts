@@ -41,7 +41,8 @@ export function buildDOMAxes(rect: DOMRect, renderer: any): void {
 
   function fmtZ(v: number): string {
     const range = Math.abs(view.scX);
-    const decimals = range < 0.2 ? 3 : range < 1.0 ? 2 : 1;
+    // Deep views need enough decimals for the five ticks to differ
+    const decimals = range < 0.2 ? Math.min(16, Math.max(3, Math.ceil(-Math.log10(range)) + 2)) : range < 1.0 ? 2 : 1;
     return v.toFixed(decimals);
   }
 
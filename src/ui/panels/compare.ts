@@ -0,0 +1,324 @@
+/**
+ * @fileoverview Compare Panel
+ * Pins a second canonical state B and shows it against the live state A:
+ * split with a draggable line, side by side, or a difference map of the
+ * pixels whose outcome differs. B is always rendered with A's view, size and
+ * render mode, so pan and zoom stay locked between the two.
+ */
+
+import { canonicalState, state, type State } from '../../state.js';
+import { compareKind, diffFrames, type DiffResult } from '../../compare/diff.js';
+import type { RGB } from '../../sim/diagnostics.js';
+
+const ICON_CLOSE = '&#x2715;';
+
+/** Transitions listed under the statistics (class modes) */
+const MAX_TRANSITIONS = 4;
+
+export type CompareLayout = 'off' | 'split' | 'side' | 'diff';
+
+export interface ComparePanelDeps {
+  /** Element the compare layer is stacked into (over the canvases) */
+  viewer: HTMLElement;
+  /** Build a standalone State from a canonical document (throws if invalid) */
+  toState: (doc: any) => State;
+  /** Current text of the state box */
+  getStateBoxText: () => string;
+  /** Apply a canonical document to the app (state, UI, URL) and re-render */
+  applyDoc: (doc: any, reason: string) => void;
+  scheduleRender: (reason: string) => void;
+  setStatus: (msg: string) => void;
+}
+
+/** A and B pixels under a point of the compare layer, with the view uv they show */
+export interface CompareSample {
+  u: number;
+  v: number;
+  a: RGB;
+  b: RGB;
+}
+
+export interface ComparePanel {
+  open(): void;
+  close(): void;
+  toggle(): void;
+  isOpen(): boolean;
+  /** State to render as B for the live state `a`, or null when comparison is off */
+  stateB(a: State): State | null;
+  /** Canvas holding B's frame; tiled renders of B draw straight into it */
+  frameB(): HTMLCanvasElement;
+  /** Copy a finished B frame off the renderer's canvas */
+  captureB(source: HTMLCanvasElement): void;
+  /** Show A (the canvas just rendered) against the stored B frame */
+  present(source: HTMLCanvasElement): void;
+  /** Hide the layer while fresh frames are pending */
+  hide(): void;
+  /** Pixels under a client position, or null when the layer is not showing */
+  sample(clientX: number, clientY: number): CompareSample | null;
+}
+
+/**
+ * Leaf values of a document keyed by dotted path
+ */
+function flatten(obj: any, prefix = '', out: Record<string, string> = {}): Record<string, string> {
+  for (const [k, v] of Object.entries(obj)) {
+    const path = prefix ? `${prefix}.${k}` : k;
+    if (v && typeof v === 'object' && !Array.isArray(v)) flatten(v, path, out);
+    else out[path] = JSON.stringify(v);
+  }
+  return out;
+}
+
+/**
+ * Fields in which B differs from A, ignoring what compare locks to A and
+ * markers, which do not change the image
+ */
+function changedFields(a: any, b: any): string[] {
+  const fa = flatten(a), fb = flatten(b);
+  return Object.keys({ ...fa, ...fb })
+    .filter(k => k !== 'v' && k !== 'markers' && !k.startsWith('view.') && !k.startsWith('render.') && fa[k] !== fb[k])
+    .map(k => `${k}: ${fa[k] ?? '–'} → ${fb[k] ?? '–'}`);
+}
+
+/**
+ * Creates the compare panel and its canvas layer
+ */
+export function createComparePanel(deps: ComparePanelDeps): ComparePanel {
+  const panel = document.createElement('div');
+  panel.id = 'compare-panel';
+  panel.innerHTML = `
+    <div id="compare-panel-header">
+      <span id="compare-panel-title">Compare</span>
+      <button id="compare-panel-close">${ICON_CLOSE}</button>
+    </div>
+    <div id="compare-panel-body">
+      <div class="cmp-row">
+        <button id="compare-set-current" class="btn" data-tip="Pin the current state as B.">B ← current</button>
+        <button id="compare-set-box" class="btn" data-tip="Pin the JSON in the state box as B.">B ← state box</button>
+        <button id="compare-swap" class="btn" data-tip="Make B the live state and pin the current one as B.">Swap</button>
+      </div>
+      <div id="compare-b">No state B pinned.</div>
+      <div class="cmp-row">
+        <label for="compare-layout">Layout</label>
+        <select id="compare-layout">
+          <option value="off">Off</option>
+          <option value="split">Split</option>
+          <option value="side">Side by side</option>
+          <option value="diff">Difference</option>
+        </select>
+      </div>
+      <div id="compare-stats"></div>
+    </div>
+  `;
+  document.body.appendChild(panel);
+
+  const layer = document.createElement('canvas');
+  layer.id = 'compareCanvas';
+  const handle = document.createElement('div');
+  handle.id = 'compareHandle';
+  handle.innerHTML = '<span>A</span><span>B</span>';
+  deps.viewer.append(layer, handle);
+
+  const q = <T extends HTMLElement>(sel: string) => panel.querySelector(sel) as T;
+  const bInfo = q<HTMLElement>('#compare-b');
+  const layoutSel = q<HTMLSelectElement>('#compare-layout');
+  const statsEl = q<HTMLElement>('#compare-stats');
+
+  const frameA = document.createElement('canvas');
+  const frameB = document.createElement('canvas');
+  let docB: any = null;
+  let baseB: State | null = null;
+  let layout: CompareLayout = 'off';
+  let split = 0.5;
+  let pixelsA: ImageData | null = null;
+  let pixelsB: ImageData | null = null;
+  let diffImage: ImageData | null = null;
+  let diff: DiffResult | null = null;
+  /** Render mode the stored frames were made with */
+  let frameMode = 0;
+
+  const showing = () => layer.style.display === 'block';
+
+  function refreshInfo(): void {
+    if (!docB) { bInfo.textContent = 'No state B pinned.'; return; }
+    const changes = changedFields(canonicalState(state), docB);
+    bInfo.innerHTML = '';
+    const head = document.createElement('div');
+    head.textContent = changes.length ? `B differs from A in ${changes.length} field${changes.length > 1 ? 's' : ''}:` : 'B matches A.';
+    bInfo.appendChild(head);
+    for (const c of changes) {
+      const row = document.createElement('div');
+      row.className = 'cmp-change';
+      row.textContent = c;
+      bInfo.appendChild(row);
+    }
+  }
+
+  function refreshStats(): void {
+    if (!diff || layout === 'off') { statsEl.textContent = ''; return; }
+    const pct = 100 * diff.changed / Math.max(1, diff.total);
+    const lines = [`${diff.changed.toLocaleString()} of ${diff.total.toLocaleString()} pixels change ${compareKind(frameMode)} (${pct.toFixed(2)} %)`];
+    for (const [t, n] of diff.transitions.slice(0, MAX_TRANSITIONS)) lines.push(`${t}: ${n.toLocaleString()}`);
+    statsEl.textContent = lines.join('\n');
+  }
+
+  function draw(): void {
+    if (!pixelsA || !pixelsB || layout === 'off') { hide(); return; }
+    const w = frameA.width, h = frameA.height;
+    if (layer.width !== w || layer.height !== h) { layer.width = w; layer.height = h; }
+    const ctx = layer.getContext('2d')!;
+    ctx.imageSmoothingEnabled = false;
+    if (layout === 'split') {
+      ctx.drawImage(frameA, 0, 0);
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(split * w, 0, w - split * w, h);
+      ctx.clip();
+      ctx.drawImage(frameB, 0, 0);
+      ctx.restore();
+    } else if (layout === 'side') {
+      // Both frames at half size, centred vertically
+      const css = getComputedStyle(document.documentElement);
+      ctx.fillStyle = css.getPropertyValue('--bg').trim() || '#f4f2ec';
+      ctx.fillRect(0, 0, w, h);
+      ctx.drawImage(frameA, 0, h / 4, w / 2, h / 2);
+      ctx.drawImage(frameB, w / 2, h / 4, w / 2, h / 2);
+      ctx.fillStyle = css.getPropertyValue('--faint').trim() || '#888';
+      ctx.font = `${Math.max(10, Math.round(w / 40))}px 'IBM Plex Mono', monospace`;
+      ctx.fillText('A', 4, h / 4 - 6);
+      ctx.fillText('B', w / 2 + 4, h / 4 - 6);
+    } else if (diffImage) {
+      ctx.putImageData(diffImage, 0, 0);
+    }
+    layer.style.display = 'block';
+    handle.style.display = layout === 'split' ? 'flex' : 'none';
+    handle.style.left = `${split * 100}%`;
+  }
+
+  function hide(): void {
+    layer.style.display = 'none';
+    handle.style.display = 'none';
+  }
+
+  function setLayout(next: CompareLayout): void {
+    const wasOff = layout === 'off';
+    layout = next;
+    layoutSel.value = next;
+    refreshStats();
+    if (next === 'off') { hide(); deps.scheduleRender('compare off'); return; }
+    // Frames from an earlier comparison may be stale; render both again
+    if (wasOff || !pixelsA || !pixelsB) deps.scheduleRender('compare');
+    else draw();
+  }
+
+  function pinB(doc: any, reason: string): void {
+    try {
+      baseB = deps.toState(doc);
+    } catch (e: any) {
+      deps.setStatus('Invalid state B: ' + (e?.message || e));
+      return;
+    }
+    docB = canonicalState(baseB);
+    pixelsB = null;
+    refreshInfo();
+    deps.setStatus(`State B pinned (${reason}).`);
+    if (layout === 'off') setLayout('split');
+    else deps.scheduleRender('compare B');
+  }
+
+  q<HTMLButtonElement>('#compare-set-current').addEventListener('click', () => pinB(canonicalState(state), 'current'));
+
+  q<HTMLButtonElement>('#compare-set-box').addEventListener('click', () => {
+    const txt = deps.getStateBoxText().trim();
+    if (!txt) { deps.setStatus('Paste JSON into the state box first.'); return; }
+    let doc: any;
+    try { doc = JSON.parse(txt); }
+    catch (e: any) { deps.setStatus('Invalid JSON: ' + (e?.message || e)); return; }
+    pinB(doc, 'state box');
+  });
+
+  q<HTMLButtonElement>('#compare-swap').addEventListener('click', () => {
+    if (!docB) { deps.setStatus('Pin a state B first.'); return; }
+    const a = canonicalState(state);
+    // B takes over as A in the current view
+    deps.applyDoc({ ...structuredClone(docB), view: a.view, render: a.render }, 'compare swap');
+    baseB = deps.toState(a);
+    docB = a;
+    refreshInfo();
+  });
+
+  layoutSel.addEventListener('change', () => setLayout(layoutSel.value as CompareLayout));
+
+  // Split line
+  handle.addEventListener('pointerdown', (e) => {
+    e.preventDefault();
+    handle.setPointerCapture(e.pointerId);
+  });
+  handle.addEventListener('pointermove', (e) => {
+    if (!handle.hasPointerCapture(e.pointerId)) return;
+    const rect = layer.getBoundingClientRect();
+    split = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+    draw();
+  });
+
+  function close(): void {
+    panel.classList.remove('open');
+  }
+
+  q<HTMLButtonElement>('#compare-panel-close').addEventListener('click', close);
+
+  return {
+    open: () => { refreshInfo(); panel.classList.add('open'); },
+    close,
+    toggle: () => { refreshInfo(); panel.classList.toggle('open'); },
+    isOpen: () => panel.classList.contains('open'),
+
+    stateB(a) {
+      if (!baseB || layout === 'off') return null;
+      return { ...baseB, viewZoom: a.viewZoom, viewPanX: a.viewPanX, viewPanY: a.viewPanY, res: a.res, mode: a.mode };
+    },
+
+    frameB: () => frameB,
+
+    captureB(source) {
+      frameB.width = source.width;
+      frameB.height = source.height;
+      frameB.getContext('2d')!.drawImage(source, 0, 0);
+    },
+
+    present(source) {
+      if (!baseB || layout === 'off') return;
+      frameA.width = source.width;
+      frameA.height = source.height;
+      const ctxA = frameA.getContext('2d', { willReadFrequently: true })!;
+      ctxA.drawImage(source, 0, 0);
+      if (frameB.width !== frameA.width || frameB.height !== frameA.height) { hide(); return; }
+      const w = frameA.width, h = frameA.height;
+      pixelsA = ctxA.getImageData(0, 0, w, h);
+      pixelsB = frameB.getContext('2d', { willReadFrequently: true })!.getImageData(0, 0, w, h);
+      frameMode = state.mode;
+      diffImage = new ImageData(w, h);
+      diff = diffFrames(frameMode, pixelsA.data, pixelsB.data, diffImage.data);
+      refreshInfo();
+      refreshStats();
+      draw();
+    },
+
+    hide,
+
+    sample(clientX, clientY) {
+      if (!showing() || !pixelsA || !pixelsB) return null;
+      const rect = layer.getBoundingClientRect();
+      let fx = (clientX - rect.left) / rect.width;
+      let fy = (clientY - rect.top) / rect.height;
+      if (layout === 'side') {
+        fx = (fx % 0.5) * 2;
+        fy = (fy - 0.25) * 2;
+      }
+      if (fx < 0 || fx >= 1 || fy < 0 || fy >= 1) return null;
+      const i = (Math.floor(fy * pixelsA.height) * pixelsA.width + Math.floor(fx * pixelsA.width)) * 4;
+      const rgb = (d: Uint8ClampedArray): RGB => [d[i] / 255, d[i + 1] / 255, d[i + 2] / 255];
+      return { u: fx, v: 1 - fy, a: rgb(pixelsA.data), b: rgb(pixelsB.data) };
+    },
+  };
+}
@@ -0,0 +1,201 @@
+/**
+ * @fileoverview Script Console
+ * Floating editor that runs small automation scripts against the scripting
+ * API. A script is the body of an async function with `principia`, `log`
+ * and `sleep` in scope; Stop makes its next call into any of them throw.
+ * Event subscriptions a script makes end with it.
+ */
+
+import type { PrincipiaAPI } from '../../scripting/api.js';
+import type { CodeEditor } from '../editors/EditorRegistry.js';
+import { AsyncFunction } from '../editors/ScriptEditor.js';
+import { loadScript, saveScript } from '../script-storage.js';
+
+const ICON_CLOSE = '&#x2715;';
+
+/** Output lines kept; older ones scroll away */
+const MAX_OUTPUT_LINES = 500;
+
+export interface ScriptConsoleDeps {
+  api: PrincipiaAPI;
+  /** Editor for the script text, mounted the first time the console opens */
+  createEditor(): CodeEditor;
+}
+
+export interface ScriptConsole {
+  open(): void;
+  close(): void;
+  toggle(): void;
+  isOpen(): boolean;
+}
+
+interface ScriptRun {
+  stopped: boolean;
+  /** Unsubscribers of the events the script listens to */
+  subscriptions: Array<() => void>;
+}
+
+/** Thrown into a script that was stopped */
+class ScriptStopped extends Error {
+  constructor() {
+    super('Stopped');
+    this.name = 'ScriptStopped';
+  }
+}
+
+/**
+ * One-line rendering of a logged value
+ */
+function formatValue(value: unknown): string {
+  if (typeof value === 'string') return value;
+  if (value instanceof Blob) return `Blob (${value.type || 'binary'}, ${value.size} bytes)`;
+  if (value instanceof Error) return `${value.name}: ${value.message}`;
+  try {
+    return JSON.stringify(value) ?? String(value);
+  } catch {
+    return String(value);
+  }
+}
+
+/**
+ * Creates the script console and appends it to the document
+ */
+export function createScriptConsole(deps: ScriptConsoleDeps): ScriptConsole {
+  const panel = document.createElement('div');
+  panel.id = 'console-panel';
+  panel.innerHTML = `
+    <div id="console-panel-header">
+      <span id="console-panel-title">Script console</span>
+      <button id="console-panel-close">${ICON_CLOSE}</button>
+    </div>
+    <div id="console-panel-body">
+      <div id="console-editor"></div>
+      <div class="console-row">
+        <button id="console-run" class="btn" data-tip="Run the script (Ctrl/⌘ + Enter).">Run</button>
+        <button id="console-stop" class="btn" data-tip="Stop the script at its next call into the API." disabled>Stop</button>
+        <button id="console-clear" class="btn" data-tip="Clear the output.">Clear</button>
+        <span id="console-state"></span>
+      </div>
+      <div id="console-output" role="log"></div>
+    </div>
+  `;
+  document.body.appendChild(panel);
+
+  const q = <T extends HTMLElement>(sel: string) => panel.querySelector(sel) as T;
+  const editorHost = q<HTMLElement>('#console-editor');
+  const runBtn = q<HTMLButtonElement>('#console-run');
+  const stopBtn = q<HTMLButtonElement>('#console-stop');
+  const stateEl = q<HTMLElement>('#console-state');
+  const output = q<HTMLElement>('#console-output');
+
+  let editor: CodeEditor | null = null;
+  /** The run in progress; setting `stopped` ends it at its next API call */
+  let run: ScriptRun | null = null;
+
+  const isOpen = () => panel.classList.contains('open');
+
+  function print(text: string, kind: 'log' | 'result' | 'error' | 'info' = 'log'): void {
+    const line = document.createElement('div');
+    line.className = `console-line console-${kind}`;
+    line.textContent = text;
+    output.appendChild(line);
+    while (output.childElementCount > MAX_OUTPUT_LINES) output.firstElementChild!.remove();
+    output.scrollTop = output.scrollHeight;
+  }
+
+  function setRunning(on: boolean): void {
+    runBtn.disabled = on;
+    stopBtn.disabled = !on;
+    stateEl.textContent = on ? 'Running…' : '';
+  }
+
+  /**
+   * The API as a script sees it: every call throws once the run is stopped
+   */
+  function guardedAPI(current: ScriptRun): PrincipiaAPI {
+    return new Proxy(deps.api, {
+      get(target, key) {
+        const value = (target as any)[key];
+        if (typeof value !== 'function') return value;
+        return (...args: any[]) => {
+          if (current.stopped) throw new ScriptStopped();
+          const result = value.apply(target, args);
+          if (key === 'on') current.subscriptions.push(result);
+          return result;
+        };
+      },
+    });
+  }
+
+  async function runScript(): Promise<void> {
+    if (run || !editor) return;
+    const code = editor.getValue();
+    saveScript(code);
+
+    let fn: (...args: any[]) => Promise<any>;
+    try {
+      fn = new AsyncFunction('principia', 'log', 'sleep', code);
+    } catch (e: any) {
+      print(`${e?.name || 'Error'}: ${e?.message || e}`, 'error');
+      return;
+    }
+
+    const current: ScriptRun = { stopped: false, subscriptions: [] };
+    run = current;
+    setRunning(true);
+    const check = () => { if (current.stopped) throw new ScriptStopped(); };
+    const log = (...values: unknown[]) => { check(); print(values.map(formatValue).join(' ')); };
+    const sleep = (ms: number) => new Promise<void>(resolve => setTimeout(resolve, ms)).then(check);
+    const started = performance.now();
+    try {
+      const result = await fn(guardedAPI(current), log, sleep);
+      if (result !== undefined) print(formatValue(result), 'result');
+      print(`Done in ${((performance.now() - started) / 1000).toFixed(2)} s.`, 'info');
+    } catch (e: any) {
+      if (e instanceof ScriptStopped) print('Stopped.', 'info');
+      else print(`${e?.name || 'Error'}: ${e?.message || e}`, 'error');
+    } finally {
+      current.subscriptions.forEach(off => off());
+      run = null;
+      setRunning(false);
+    }
+  }
+
+  runBtn.addEventListener('click', () => runScript());
+  stopBtn.addEventListener('click', () => { if (run) run.stopped = true; });
+  q<HTMLButtonElement>('#console-clear').addEventListener('click', () => { output.innerHTML = ''; });
+  q<HTMLButtonElement>('#console-panel-close').addEventListener('click', () => close());
+
+  // Ahead of the editor, whose own Mod-Enter inserts a line
+  panel.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      e.stopPropagation();
+      runScript();
+    }
+  }, true);
+
+  function open(): void {
+    if (isOpen()) return;
+    panel.classList.add('open');
+    if (!editor) {
+      editor = deps.createEditor();
+      editor.mount(editorHost);
+      editor.setValue(loadScript());
+    }
+    editor.focus();
+  }
+
+  function close(): void {
+    if (!isOpen()) return;
+    if (editor) saveScript(editor.getValue());
+    panel.classList.remove('open');
+  }
+
+  return {
+    open,
+    close,
+    toggle: () => (isOpen() ? close() : open()),
+    isOpen,
+  };
+}
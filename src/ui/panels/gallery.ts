@@ -0,0 +1,259 @@
+/**
+ * @fileoverview Gallery Panel
+ * Named, tagged bookmarks of the current view with thumbnails taken from the
+ * canvas, kept in local storage and exported/imported as one file, next to
+ * the curated starting states shipped with the app.
+ */
+
+import { canonicalState, MODE_INFO, state, type CanonicalState, type State } from '../../state.js';
+import {
+  newBookmarkId, parseTags, matchesQuery, serializeCollection, parseCollection, mergeBookmarks, type Bookmark,
+} from '../../gallery/bookmarks.js';
+import { CURATED_STATES } from '../../gallery/curated.js';
+import { loadBookmarks, saveBookmarks } from '../bookmark-storage.js';
+
+const ICON_CLOSE = '&#x2715;';
+
+/** Thumbnail edge in pixels */
+const THUMB_SIZE = 128;
+const THUMB_QUALITY = 0.8;
+
+export interface GalleryPanelDeps {
+  renderer: any;
+  /** Canvas showing the current frame */
+  getFrameCanvas: () => HTMLCanvasElement;
+  toState: (doc: any) => State;
+  /** Make a document the live state; throws if it is invalid */
+  applyDoc: (doc: any, reason: string) => void;
+  setStatus: (msg: string) => void;
+}
+
+export interface GalleryPanel {
+  open(): void;
+  close(): void;
+  toggle(): void;
+  isOpen(): boolean;
+}
+
+function download(blob: Blob, name: string): void {
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = name;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(a.href), 1500);
+}
+
+/**
+ * JPEG data URL of a square thumbnail of `source`
+ */
+function thumbnailOf(source: CanvasImageSource): string {
+  const c = document.createElement('canvas');
+  c.width = c.height = THUMB_SIZE;
+  c.getContext('2d')!.drawImage(source, 0, 0, THUMB_SIZE, THUMB_SIZE);
+  return c.toDataURL('image/jpeg', THUMB_QUALITY);
+}
+
+function defaultName(): string {
+  const mode = MODE_INFO[state.mode]?.name ?? `Mode ${state.mode}`;
+  return `${mode} · zoom ${state.viewZoom >= 0.01 ? state.viewZoom.toFixed(3) : state.viewZoom.toExponential(2)}`;
+}
+
+/**
+ * Creates the gallery panel and appends it to the document
+ */
+export function createGalleryPanel(deps: GalleryPanelDeps): GalleryPanel {
+  const panel = document.createElement('div');
+  panel.id = 'gallery-panel';
+  panel.innerHTML = `
+    <div id="gallery-panel-header">
+      <span id="gallery-panel-title">Gallery</span>
+      <button id="gallery-panel-close">${ICON_CLOSE}</button>
+    </div>
+    <div id="gallery-panel-body">
+      <div class="gal-row">
+        <input id="gallery-name" type="text" placeholder="Name" spellcheck="false" />
+      </div>
+      <div class="gal-row">
+        <input id="gallery-tags" type="text" placeholder="Tags, comma separated" spellcheck="false" />
+        <button id="gallery-save" class="btn" data-tip="Bookmark the current view with a thumbnail of the canvas.">Save view</button>
+      </div>
+      <input id="gallery-filter" type="search" placeholder="Filter by name or tag" spellcheck="false" />
+      <div class="gal-heading">Bookmarks <span id="gallery-count"></span></div>
+      <div id="gallery-bookmarks" class="gal-grid"></div>
+      <div class="gal-heading">Curated</div>
+      <div id="gallery-curated" class="gal-grid"></div>
+      <div class="gal-row">
+        <button id="gallery-export" class="btn" data-tip="Download all bookmarks as one JSON file.">Export</button>
+        <button id="gallery-import" class="btn" data-tip="Add the bookmarks of an exported file; same bookmarks are replaced.">Import</button>
+        <input id="gallery-file" type="file" accept=".json,application/json" hidden />
+      </div>
+    </div>
+  `;
+  document.body.appendChild(panel);
+
+  const q = <T extends HTMLElement>(sel: string) => panel.querySelector(sel) as T;
+  const nameInput = q<HTMLInputElement>('#gallery-name');
+  const tagsInput = q<HTMLInputElement>('#gallery-tags');
+  const filterInput = q<HTMLInputElement>('#gallery-filter');
+  const countEl = q<HTMLElement>('#gallery-count');
+  const bookmarksEl = q<HTMLElement>('#gallery-bookmarks');
+  const curatedEl = q<HTMLElement>('#gallery-curated');
+  const exportBtn = q<HTMLButtonElement>('#gallery-export');
+  const fileInput = q<HTMLInputElement>('#gallery-file');
+
+  let bookmarks = loadBookmarks();
+  /** Thumbnails of curated states, rendered offscreen the first time they are shown */
+  const curatedThumbs = new Map<string, string>();
+  let thumbJob = 0;
+
+  const isOpen = () => panel.classList.contains('open');
+
+  /** Save the collection; on failure keep the previous one */
+  function commit(next: Bookmark[], okMessage: string): boolean {
+    if (!saveBookmarks(next)) {
+      deps.setStatus('Could not save bookmarks: browser storage is full. Export and delete some first.');
+      return false;
+    }
+    bookmarks = next;
+    deps.setStatus(okMessage);
+    render();
+    return true;
+  }
+
+  function apply(doc: CanonicalState, name: string): void {
+    try {
+      deps.applyDoc(doc, 'bookmark');
+      deps.setStatus(`Opened "${name}".`);
+    } catch (e: any) {
+      deps.setStatus(`Cannot open "${name}": ${e?.message || e}`);
+    }
+  }
+
+  function card(entry: { name: string; tags: string[] }, thumb: string | null, onOpen: () => void, onDelete?: () => void, time?: number): HTMLElement {
+    const el = document.createElement('div');
+    el.className = 'gal-card';
+    el.innerHTML = `
+      <button class="gal-thumb"></button>
+      <div class="gal-name"></div>
+      <div class="gal-meta"></div>
+    `;
+    const thumbBtn = el.querySelector('.gal-thumb') as HTMLButtonElement;
+    thumbBtn.title = `Open "${entry.name}"`;
+    if (thumb) thumbBtn.style.backgroundImage = `url("${thumb}")`;
+    thumbBtn.addEventListener('click', onOpen);
+    el.querySelector('.gal-name')!.textContent = entry.name;
+    const meta = [entry.tags.map(t => '#' + t).join(' '), time ? new Date(time).toLocaleDateString() : ''].filter(Boolean).join(' · ');
+    el.querySelector('.gal-meta')!.textContent = meta;
+    if (onDelete) {
+      const del = document.createElement('button');
+      del.className = 'gal-delete';
+      del.title = 'Delete bookmark';
+      del.innerHTML = ICON_CLOSE;
+      del.addEventListener('click', onDelete);
+      el.appendChild(del);
+    }
+    return el;
+  }
+
+  function render(): void {
+    const query = filterInput.value;
+    const shown = bookmarks.filter(b => matchesQuery(b, query));
+    countEl.textContent = bookmarks.length ? `(${shown.length === bookmarks.length ? bookmarks.length : `${shown.length} of ${bookmarks.length}`})` : '';
+    exportBtn.disabled = bookmarks.length === 0;
+    bookmarksEl.innerHTML = '';
+    if (!bookmarks.length) bookmarksEl.textContent = 'No bookmarks yet.';
+    for (const b of shown) {
+      bookmarksEl.appendChild(card(b, b.thumb, () => apply(b.state, b.name), () => {
+        if (!confirm(`Delete bookmark "${b.name}"?`)) return;
+        commit(bookmarks.filter(x => x.id !== b.id), `Deleted "${b.name}".`);
+      }, b.created));
+    }
+    curatedEl.innerHTML = '';
+    for (const c of CURATED_STATES.filter(c => matchesQuery(c, query))) {
+      curatedEl.appendChild(card(c, curatedThumbs.get(c.id) ?? null, () => apply(c.state, c.name)));
+    }
+  }
+
+  /**
+   * Render missing curated thumbnails, one per frame. Skipped while a tiled
+   * render is in flight: it shares the GPU state with the offscreen draw.
+   */
+  async function renderCuratedThumbs(): Promise<void> {
+    const my = ++thumbJob;
+    const scratch = document.createElement('canvas');
+    scratch.width = scratch.height = THUMB_SIZE;
+    const ctx = scratch.getContext('2d')!;
+    for (const c of CURATED_STATES) {
+      if (curatedThumbs.has(c.id)) continue;
+      await new Promise(requestAnimationFrame);
+      if (my !== thumbJob || !isOpen() || deps.renderer.isTiling()) return;
+      try {
+        ctx.putImageData(deps.renderer.renderImage(deps.toState(c.state), THUMB_SIZE), 0, 0);
+        curatedThumbs.set(c.id, scratch.toDataURL('image/jpeg', THUMB_QUALITY));
+      } catch (e) {
+        console.warn('[Gallery] No thumbnail for', c.id, e);
+        return;
+      }
+      render();
+    }
+  }
+
+  q<HTMLButtonElement>('#gallery-save').addEventListener('click', () => {
+    const b: Bookmark = {
+      id: newBookmarkId(),
+      name: nameInput.value.trim() || defaultName(),
+      tags: parseTags(tagsInput.value),
+      created: Date.now(),
+      state: canonicalState(state),
+      thumb: thumbnailOf(deps.getFrameCanvas()),
+    };
+    if (commit([b, ...bookmarks], `Bookmarked "${b.name}".`)) {
+      nameInput.value = '';
+    }
+  });
+
+  filterInput.addEventListener('input', render);
+
+  exportBtn.addEventListener('click', () => {
+    download(new Blob([serializeCollection(bookmarks)], { type: 'application/json' }), 'three-body-bookmarks.json');
+    deps.setStatus(`Exported ${bookmarks.length} bookmark${bookmarks.length === 1 ? '' : 's'}.`);
+  });
+
+  q<HTMLButtonElement>('#gallery-import').addEventListener('click', () => fileInput.click());
+  fileInput.addEventListener('change', async () => {
+    const file = fileInput.files?.[0];
+    fileInput.value = '';
+    if (!file) return;
+    try {
+      const { bookmarks: incoming, skipped } = parseCollection(await file.text());
+      const merged = mergeBookmarks(bookmarks, incoming);
+      commit(merged.bookmarks, `Imported ${file.name}: ${merged.added} added, ${merged.replaced} replaced${skipped ? `, ${skipped} invalid skipped` : ''}.`);
+    } catch (e: any) {
+      deps.setStatus(`Cannot import ${file.name}: ${e?.message || e}`);
+    }
+  });
+
+  // Keep typing away from the global shortcuts
+  for (const input of [nameInput, tagsInput, filterInput]) {
+    input.addEventListener('keydown', (e) => e.stopPropagation());
+  }
+
+  function open(): void {
+    panel.classList.add('open');
+    render();
+    renderCuratedThumbs();
+  }
+
+  function close(): void {
+    panel.classList.remove('open');
+  }
+
+  q<HTMLButtonElement>('#gallery-panel-close').addEventListener('click', close);
+
+  return {
+    open,
+    close,
+    toggle: () => (isOpen() ? close() : open()),
+    isOpen,
+  };
+}
@@ -1,7 +1,8 @@
-import { state, MODE_INFO, PRESETS, AXIS_NAMES_SHORT } from '../../state.js';
+import { state, MODE_INFO, INTEGRATOR_INFO, PRESETS, AXIS_NAMES_SHORT } from '../../state.js';
 import { $ } from '../utils.js';
 import { buildDOMAxes } from './axes.js';
 import { updateLegendPanel } from './legend.js';
+import { precisionInfo, type PrecisionLevel } from '../../sim/deepZoom.js';
 
 // ─── HUD ─────────────────────────────────────────────────────────────────────
 
@@ -9,11 +10,58 @@ function fmt(n: number, k: number = 3): string {
   return Number.isFinite(n) ? n.toFixed(k) : "—";
 }
 
+/** Zoom in scientific notation once fixed-point would read 0.000 */
+function fmtZoom(z: number): string {
+  return z >= 0.01 ? z.toFixed(3) : z.toExponential(2);
+}
+
+/** Enough decimals to tell views at this zoom apart */
+function panDigits(zoom: number): number {
+  return Math.min(16, Math.max(3, Math.ceil(-Math.log10(zoom)) + 2));
+}
+
+const PRECISION_TEXT: Record<PrecisionLevel, string> = {
+  float: "float32",
+  deep: "double-float",
+  limit: "⚠ limit · pixels merge",
+};
+
 function topComponents(vec: number[], k: number = 3): Array<{ i: number; v: number; a: number }> {
   return vec.map((v, i) => ({ i, v, a: Math.abs(v) }))
     .sort((x, y) => y.a - x.a).slice(0, k);
 }
 
+/** Pin radius in CSS pixels */
+const MARKER_RADIUS = 8;
+
+/**
+ * Numbered pins for the markers inside the view, anchored in slice
+ * coordinates so they follow pan and zoom
+ */
+function drawMarkers(ui2d: CanvasRenderingContext2D, w: number, h: number): void {
+  const dpr = window.devicePixelRatio || 1;
+  const r = MARKER_RADIUS * dpr;
+  ui2d.save();
+  ui2d.font = `600 ${Math.round(9 * dpr)}px 'IBM Plex Mono', monospace`;
+  ui2d.textAlign = "center";
+  ui2d.textBaseline = "middle";
+  ui2d.lineWidth = 1.5 * dpr;
+  state.markers.forEach((m, i) => {
+    const x = (m.x - state.viewPanX) / state.viewZoom * w;
+    const y = (1 - (m.y - state.viewPanY) / state.viewZoom) * h;
+    if (x < -r || y < -r || x > w + r || y > h + r) return;
+    ui2d.beginPath();
+    ui2d.arc(x, y, r, 0, 2 * Math.PI);
+    ui2d.fillStyle = "rgba(255, 255, 255, 0.9)";
+    ui2d.fill();
+    ui2d.strokeStyle = "#1a1816";
+    ui2d.stroke();
+    ui2d.fillStyle = "#1a1816";
+    ui2d.fillText(String(i + 1), x, y + 0.5 * dpr);
+  });
+  ui2d.restore();
+}
+
 export function drawOverlayHUD(
   renderer: any,
   glCanvas: HTMLCanvasElement,
@@ -29,6 +77,7 @@ export function drawOverlayHUD(
     buildDOMAxes(rect, renderer);
   }
   ui2d.clearRect(0, 0, uiCanvas.width, uiCanvas.height);
+  drawMarkers(ui2d, uiCanvas.width, uiCanvas.height);
   const hudPanel = $("hud-panel");
   if (!hudPanel) return;
   
@@ -39,18 +88,24 @@ export function drawOverlayHUD(
   const mode_name   = MODE_INFO[state.mode]?.name || "";
   const preset = PRESETS.find(p => p.id === state.presetId);
   const preset_name = preset?.name || state.presetId;
-  const rows = [
+  const precision = precisionInfo(state, state.res);
+  const rows: Array<{ label: string; val: string; warn?: boolean }> = [
     { label: "mode",    val: mode_name },
     { label: "preset",  val: preset_name },
     { label: "γ",       val: `${state.gammaDeg.toFixed(1)}°` },
-    { label: "zoom",    val: fmt(state.viewZoom, 3) },
-    { label: "pan",     val: `(${fmt(state.viewPanX,3)}, ${fmt(state.viewPanY,3)})` },
+    { label: "zoom",    val: fmtZoom(state.viewZoom) },
+    { label: "pan",     val: `(${fmt(state.viewPanX, panDigits(state.viewZoom))}, ${fmt(state.viewPanY, panDigits(state.viewZoom))})` },
     { label: "horizon", val: `${state.horizon}` },
     { label: "dt",      val: fmt(state.dtMacro, 4) },
+    { label: "integr.", val: INTEGRATOR_INFO[state.integrator]?.name || "" },
     { label: "q₁",      val: top1.map(t => `${t.v>=0?"+":""}${t.v.toFixed(2)}·${AXIS_NAMES_SHORT[t.i]}`).join(" ") },
     { label: "q₂",      val: top2.map(t => `${t.v>=0?"+":""}${t.v.toFixed(2)}·${AXIS_NAMES_SHORT[t.i]}`).join(" ") },
   ];
+  // Only worth a row once the float32 path no longer resolves the view
+  if (precision.level !== "float") {
+    rows.push({ label: "precision", val: PRECISION_TEXT[precision.level], warn: precision.level === "limit" });
+  }
   hudPanel.innerHTML = rows.map(r =>
-    `<div class="hud-row"><span class="hud-label">${r.label}</span><span class="hud-val">${r.val}</span></div>`
+    `<div class="hud-row${r.warn ? " hud-warn" : ""}"><span class="hud-label">${r.label}</span><span class="hud-val">${r.val}</span></div>`
   ).join("");
 }
@@ -18,11 +18,22 @@ export interface PanelMap {
  */
 function createSettingsContent(): string {
   return `
+    <div class="stg-group">
+      <div class="stg-group-title">Appearance</div>
+      <div class="stg-seg">
+        <button class="stg-seg-btn" id="stgThemeLight" data-theme-choice="light">Light</button>
+        <button class="stg-seg-btn" id="stgThemeDark" data-theme-choice="dark">Dark</button>
+        <button class="stg-seg-btn" id="stgThemeSystem" data-theme-choice="system">System</button>
+      </div>
+      <div class="stg-row"><span>Solid probe background</span><input type="checkbox" id="stgSolidProbe" /></div>
+    </div>
     <div class="stg-group">
       <div class="stg-group-title">Rendering</div>
       <div class="stg-row"><span>Auto-render</span><input type="checkbox" id="autoRender" checked /></div>
       <div class="stg-row"><span>Preview while moving</span><input type="checkbox" id="previewWhileDrag" checked /></div>
       <div class="stg-row"><span>Show probe</span><input type="checkbox" id="showHud" checked /></div>
+      <div class="stg-row"><span>Exact probe values</span><input type="checkbox" id="probeData" checked /></div>
+      <div class="stg-row"><span>Random curated view on load</span><input type="checkbox" id="randomStart" /></div>
     </div>
     <div class="stg-group">
       <div class="stg-group-title">Scroll / Zoom</div>
@@ -51,6 +62,11 @@ function createSettingsContent(): string {
         </div>
       </div>
     </div>
+    <div class="stg-group">
+      <div class="stg-group-title">Keyboard</div>
+      <div id="stgKeymap"></div>
+      <div class="stg-row"><span>Click a key to remove it</span><button class="km-btn" id="stgKeymapReset">Reset to defaults</button></div>
+    </div>
   `.trim();
 }
 
@@ -64,16 +80,33 @@ function createInfoContent(): string {
       <div class="info-row"><span class="info-key">Pan</span><span class="info-val">Drag</span></div>
       <div class="info-row"><span class="info-key">Zoom</span><span class="info-val">Scroll wheel</span></div>
       <div class="info-row"><span class="info-key">Reset view</span><span class="info-val">Double-click</span></div>
+      <div class="info-row"><span class="info-key">Inspect trajectory</span><span class="info-val">Click</span></div>
     </div>
     <div class="info-group">
       <div class="info-group-title">Slice orientation</div>
       <div class="info-row"><span class="info-key">Rotate &gamma;</span><span class="info-val">&#x21E7; + drag</span></div>
       <div class="info-row"><span class="info-key">Tilt q&#8321;/q&#8322;</span><span class="info-val">&#x2325; + drag</span></div>
     </div>
+    <div class="info-group">
+      <div class="info-group-title">Touch</div>
+      <div class="info-row"><span class="info-key">Pan</span><span class="info-val">One-finger drag</span></div>
+      <div class="info-row"><span class="info-key">Zoom</span><span class="info-val">Pinch</span></div>
+      <div class="info-row"><span class="info-key">Rotate &gamma;</span><span class="info-val">Two-finger twist</span></div>
+      <div class="info-row"><span class="info-key">Tilt q&#8321;/q&#8322;</span><span class="info-val">Three-finger drag</span></div>
+      <div class="info-row"><span class="info-key">Pin marker</span><span class="info-val">Long-press</span></div>
+    </div>
+    <div class="info-group">
+      <div class="info-group-title">History</div>
+      <div class="info-row"><span class="info-key">Undo</span><span class="info-val">Ctrl/&#x2318; + Z</span></div>
+      <div class="info-row"><span class="info-key">Redo</span><span class="info-val">Ctrl/&#x2318; + &#x21E7; + Z</span></div>
+      <div class="info-row"><span class="info-key">Find any control</span><span class="info-val">Ctrl/&#x2318; + K</span></div>
+      <div class="info-row"><span class="info-key">Script console</span><span class="info-val">&#96;</span></div>
+      <div class="info-row"><span class="info-key">Rebind keys</span><span class="info-val">Settings &rarr; Keyboard</span></div>
+    </div>
     <div class="info-group">
       <div class="info-group-title">About</div>
       <div class="info-row"><span class="info-key">Pipeline</span><span class="info-val">10D slice &rarr; IC decode &rarr; integrate &rarr; classify</span></div>
-      <div class="info-row"><span class="info-key">Integrator</span><span class="info-val">KDK leapfrog + adaptive substeps</span></div>
+      <div class="info-row"><span class="info-key">Integrator</span><span class="info-val">Leapfrog, Yoshida 4th order or regularised (log-Hamiltonian), adaptive substeps</span></div>
     </div>
     <div class="info-group">
       <div class="info-group-title">Render modes</div>
@@ -82,6 +115,9 @@ function createInfoContent(): string {
       <div class="info-row"><span class="info-key">Shape sphere phase</span><span class="info-val">Hue = shape phase &theta;</span></div>
       <div class="info-row"><span class="info-key">Diffusion</span><span class="info-val">Greyscale chaos proxy</span></div>
       <div class="info-row"><span class="info-key">Shape sphere RGB</span><span class="info-val">RGB &larr; surface normal</span></div>
+      <div class="info-row"><span class="info-key">Lyapunov exponent</span><span class="info-val">Finite-time divergence rate &lambda;</span></div>
+      <div class="info-row"><span class="info-key">Time to event</span><span class="info-val">When it collides / escapes</span></div>
+      <div class="info-row"><span class="info-key">Energy drift</span><span class="info-val">Integrator error |&Delta;E/E&#8320;|</span></div>
     </div>
   `.trim();
 }
@@ -0,0 +1,144 @@
+/**
+ * @fileoverview Keymap Editor
+ * Keyboard group of the Settings panel: every bindable action with its keys.
+ * Keys are added by pressing them, removed by clicking them, and chords that
+ * another action or navigation already uses are flagged.
+ */
+
+import { chordFromEvent, type ActionRegistry } from '../../navigation/ActionRegistry.js';
+import {
+  DEFAULT_BINDINGS, keysFor, withKeys, conflictsFor, formatChord, type Keymap,
+} from '../../navigation/keymap.js';
+import { loadSettings, saveKeymap } from '../settings-storage.js';
+
+export interface KeymapEditorDeps {
+  /** Registry whose keys follow the edits */
+  actions: ActionRegistry;
+  setStatus(msg: string): void;
+}
+
+const MODIFIER_KEYS = ['Shift', 'Control', 'Alt', 'Meta'];
+
+/**
+ * Bind the keymap editor to the Settings panel
+ */
+export function bindKeymapEditor(deps: KeymapEditorDeps): void {
+  const list = document.getElementById('stgKeymap')!;
+  const resetBtn = document.getElementById('stgKeymapReset') as HTMLButtonElement;
+
+  let keymap: Keymap = loadSettings().keymap;
+  /** Ends the key capture in progress, if any */
+  let stopCapture: (() => void) | null = null;
+
+  function commit(next: Keymap): void {
+    keymap = next;
+    saveKeymap(keymap);
+    deps.actions.applyKeymap(keymap);
+    render();
+  }
+
+  function chip(text: string, className: string, title: string, onClick: () => void): HTMLButtonElement {
+    const btn = document.createElement('button');
+    btn.className = className;
+    btn.textContent = text;
+    btn.title = title;
+    btn.addEventListener('click', onClick);
+    return btn;
+  }
+
+  /**
+   * Take the next chord pressed as a new key for `id`; Escape cancels
+   */
+  function capture(id: string, btn: HTMLButtonElement): void {
+    stopCapture?.();
+    btn.textContent = 'Press keys…';
+    btn.classList.add('capturing');
+
+    const onKey = (e: KeyboardEvent) => {
+      if (MODIFIER_KEYS.includes(e.key)) return;
+      // Ahead of navigation and the panel's own Escape
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      stopCapture?.();
+      if (e.key === 'Escape' && !e.ctrlKey && !e.metaKey && !e.altKey && !e.shiftKey) {
+        render();
+        return;
+      }
+      const chord = chordFromEvent(e);
+      const keys = keysFor(id, keymap);
+      if (!keys.includes(chord)) commit(withKeys(keymap, id, [...keys, chord]));
+      const clash = conflictsFor(id, keymap).find(c => c.chord === chord);
+      deps.setStatus(clash
+        ? `${formatChord(chord)} is also used by ${clash.owner}.`
+        : `${formatChord(chord)} bound.`);
+    };
+    const onPointer = (e: PointerEvent) => {
+      if (e.target !== btn) {
+        stopCapture?.();
+        render();
+      }
+    };
+    window.addEventListener('keydown', onKey, true);
+    window.addEventListener('pointerdown', onPointer, true);
+    stopCapture = () => {
+      window.removeEventListener('keydown', onKey, true);
+      window.removeEventListener('pointerdown', onPointer, true);
+      stopCapture = null;
+    };
+  }
+
+  function render(): void {
+    list.innerHTML = '';
+    let group = '';
+    for (const binding of DEFAULT_BINDINGS) {
+      if (binding.group !== group) {
+        group = binding.group;
+        const title = document.createElement('div');
+        title.className = 'km-group-title';
+        title.textContent = binding.scope === 'canvas' ? `${group} (while the canvas is active)` : group;
+        list.appendChild(title);
+      }
+
+      const conflicts = conflictsFor(binding.id, keymap);
+      const row = document.createElement('div');
+      row.className = 'km-row' + (conflicts.length ? ' km-conflict' : '');
+
+      const label = document.createElement('span');
+      label.className = 'km-label';
+      label.textContent = binding.label;
+      row.appendChild(label);
+
+      const keys = document.createElement('span');
+      keys.className = 'km-keys';
+      for (const chord of keysFor(binding.id, keymap)) {
+        const clash = conflicts.some(c => c.chord === chord);
+        keys.appendChild(chip(formatChord(chord), 'km-chip' + (clash ? ' clash' : ''), 'Remove this key', () =>
+          commit(withKeys(keymap, binding.id, keysFor(binding.id, keymap).filter(k => k !== chord)))));
+      }
+      const add = chip('+', 'km-btn', 'Add a key', () => capture(binding.id, add));
+      keys.appendChild(add);
+      if (binding.id in keymap) {
+        keys.appendChild(chip('↺', 'km-btn', 'Back to the default keys', () =>
+          commit(withKeys(keymap, binding.id, binding.keys))));
+      }
+      row.appendChild(keys);
+      list.appendChild(row);
+
+      for (const c of conflicts) {
+        const note = document.createElement('div');
+        note.className = 'km-note';
+        note.textContent = `${formatChord(c.chord)} is also used by ${c.owner}`;
+        list.appendChild(note);
+      }
+    }
+    resetBtn.disabled = Object.keys(keymap).length === 0;
+  }
+
+  resetBtn.addEventListener('click', () => {
+    stopCapture?.();
+    commit({});
+    deps.setStatus('Keys reset to defaults.');
+  });
+
+  render();
+}
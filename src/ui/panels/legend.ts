@@ -1,5 +1,8 @@
 import { state } from '../../state.js';
 import { $ } from '../utils.js';
+import {
+  FTLE_RAMP, COLLISION_RAMP, ESCAPE_RAMP, ENERGY_RAMP, FTLE_MAX, rampCss,
+} from '../../sim/diagnostics.js';
 
 // ─── Legend ──────────────────────────────────────────────────────────────────
 
@@ -78,5 +81,17 @@ export function updateLegendPanel(): void {
     addSwatch("rgba(200,50,50,0.9)", "R = nₓ");
     addSwatch("rgba(50,180,80,0.9)", "G = nᵧ");
     addSwatch("rgba(50,80,200,0.9)", "B = n_z");
+  } else if (mode === 5) {
+    addTitle("FTLE λ");
+    addGradBar(rampCss(FTLE_RAMP), "0", `≥ ${FTLE_MAX}`);
+  } else if (mode === 6) {
+    addTitle("collision at");
+    addGradBar(rampCss(COLLISION_RAMP), "t = 0", "horizon");
+    addTitle("escape at");
+    addGradBar(rampCss(ESCAPE_RAMP), "t = 0", "horizon");
+    addSwatch("rgba(0,0,0,0.9)", "bounded");
+  } else if (mode === 7) {
+    addTitle("max |ΔE/E₀|");
+    addGradBar(rampCss(ENERGY_RAMP), "≤ 10⁻⁶", "≥ 10⁻¹");
   }
 }
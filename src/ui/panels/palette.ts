@@ -0,0 +1,251 @@
+/**
+ * @fileoverview Command Palette
+ * Keyboard-invoked search over every control and action in the UI tree.
+ * Choosing a result opens its section, scrolls it into view and gives it
+ * keyboard focus; buttons can also be run straight from the palette.
+ */
+
+import { chordFromEvent } from '../../navigation/ActionRegistry.js';
+import type { KeyboardNavigationManager } from '../../navigation/KeyboardNavigationManager.js';
+import { collectCommands, searchCommands, type Command, type CommandMatch } from '../../navigation/commands.js';
+import { formatChord, keysFor } from '../../navigation/keymap.js';
+import type { UITreeStore, UINode } from '../semantic-tree/store.js';
+import { setSectionOpen } from '../semantic-tree/attach.js';
+import { loadRecentCommands, pushRecentCommand } from '../palette-storage.js';
+import { loadSettings } from '../settings-storage.js';
+
+/** Most results listed at once */
+const MAX_RESULTS = 50;
+
+export interface CommandPaletteDeps {
+  uiTree: UITreeStore;
+  nav: KeyboardNavigationManager;
+  setStatus(msg: string): void;
+}
+
+export interface CommandPalette {
+  open(): void;
+  close(): void;
+  toggle(): void;
+  isOpen(): boolean;
+}
+
+/**
+ * Creates the command palette and appends it to the document
+ */
+export function createCommandPalette(deps: CommandPaletteDeps): CommandPalette {
+  const overlay = document.createElement('div');
+  overlay.id = 'palette-overlay';
+  overlay.innerHTML = `
+    <div id="palette" role="dialog" aria-label="Command palette">
+      <input id="palette-input" type="text" placeholder="Search controls and actions" spellcheck="false" autocomplete="off" />
+      <div id="palette-results" role="listbox"></div>
+      <div id="palette-foot"><span>↵ run or go to</span><span>⇧↵ go to</span><span>esc close</span></div>
+    </div>
+  `;
+  document.body.appendChild(overlay);
+
+  const input = overlay.querySelector('#palette-input') as HTMLInputElement;
+  const results = overlay.querySelector('#palette-results') as HTMLElement;
+
+  let commands: Command[] = [];
+  let recent: string[] = [];
+  let matches: CommandMatch[] = [];
+  let selected = 0;
+  /** Focus to give back when the palette is dismissed */
+  let returnFocus: HTMLElement | null = null;
+
+  const isOpen = () => overlay.classList.contains('open');
+
+  function ancestorOf(node: UINode, kind: string): UINode | null {
+    for (let cur = deps.uiTree.getParent(node.id); cur; cur = deps.uiTree.getParent(cur.id)) {
+      if (cur.kind === kind) return cur;
+    }
+    return null;
+  }
+
+  /** Label with the matched characters marked */
+  function labelEl(label: string, hits: number[]): HTMLElement {
+    const el = document.createElement('span');
+    el.className = 'pal-label';
+    let plain = '';
+    const flush = () => { if (plain) el.appendChild(document.createTextNode(plain)); plain = ''; };
+    for (let i = 0; i < label.length; i++) {
+      if (hits.includes(i)) {
+        flush();
+        const mark = document.createElement('mark');
+        mark.textContent = label[i];
+        el.appendChild(mark);
+      } else {
+        plain += label[i];
+      }
+    }
+    flush();
+    return el;
+  }
+
+  function heading(text: string): void {
+    const el = document.createElement('div');
+    el.className = 'pal-heading';
+    el.textContent = text;
+    results.appendChild(el);
+  }
+
+  function render(): void {
+    const query = input.value;
+    matches = searchCommands(commands, query, recent).slice(0, MAX_RESULTS);
+    selected = Math.min(selected, Math.max(0, matches.length - 1));
+    results.innerHTML = '';
+
+    if (matches.length === 0) {
+      heading('No matching controls');
+      return;
+    }
+    const recentCount = query.trim() ? 0 : matches.findIndex(m => !recent.includes(m.command.id));
+    matches.forEach((m, i) => {
+      if (recentCount !== 0 && i === 0) heading('Recent');
+      if (recentCount > 0 && i === recentCount) heading('All');
+
+      const item = document.createElement('div');
+      item.className = 'pal-item' + (i === selected ? ' selected' : '');
+      item.setAttribute('role', 'option');
+      item.appendChild(labelEl(m.command.label, m.hits));
+      const context = document.createElement('span');
+      context.className = 'pal-context';
+      context.textContent = m.command.context;
+      item.appendChild(context);
+      const kind = document.createElement('span');
+      kind.className = 'pal-kind';
+      kind.textContent = m.command.runnable ? 'Run' : 'Go to';
+      item.appendChild(kind);
+
+      item.addEventListener('mousemove', () => { if (selected !== i) select(i); });
+      item.addEventListener('click', (e) => choose(m.command, !e.shiftKey));
+      results.appendChild(item);
+    });
+  }
+
+  function select(i: number): void {
+    if (matches.length === 0) return;
+    selected = (i + matches.length) % matches.length;
+    const items = results.querySelectorAll('.pal-item');
+    items.forEach((el, j) => el.classList.toggle('selected', j === selected));
+    items[selected]?.scrollIntoView({ block: 'nearest' });
+  }
+
+  /**
+   * Open the command's section if it is collapsed, scroll to it and focus it
+   */
+  async function reveal(command: Command): Promise<void> {
+    const node = deps.uiTree.getNode(command.id);
+    const el = deps.uiTree.getElement(command.id);
+    if (!node || !el) {
+      deps.setStatus(`${command.label} is not on screen right now.`);
+      return;
+    }
+
+    // Side panels are outside keyboard navigation: open the panel and focus the element
+    const panel = ancestorOf(node, 'panel');
+    if (panel) {
+      if (!el.getClientRects().length) document.getElementById(panel.meta?.triggerId)?.click();
+      el.scrollIntoView({ block: 'nearest' });
+      el.focus();
+      return;
+    }
+
+    const section = ancestorOf(node, 'section');
+    if (section && !document.getElementById(section.id)?.classList.contains('open')) {
+      await setSectionOpen(section.id, true, deps.uiTree);
+    }
+    el.scrollIntoView({ block: 'nearest' });
+    if (!deps.nav.focusNode(command.id)) el.focus();
+  }
+
+  function choose(command: Command, run: boolean): void {
+    recent = pushRecentCommand(command.id);
+    close(false);
+    if (run && command.runnable) {
+      const el = deps.uiTree.getElement(command.id) as HTMLButtonElement | null;
+      if (!el || el.disabled) {
+        deps.setStatus(`${command.label} is not available right now.`);
+        return;
+      }
+      el.click();
+      return;
+    }
+    reveal(command).catch(err => console.warn('[Palette] Could not reveal', command.id, err));
+  }
+
+  input.addEventListener('input', () => {
+    selected = 0;
+    render();
+  });
+
+  // Keep typing away from navigation and the global shortcuts
+  input.addEventListener('keydown', (e) => {
+    e.stopPropagation();
+    if (keysFor('palette.open', loadSettings().keymap).includes(chordFromEvent(e))) {
+      e.preventDefault();
+      close();
+      return;
+    }
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        select(selected + 1);
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        select(selected - 1);
+        break;
+      case 'Enter': {
+        e.preventDefault();
+        const m = matches[selected];
+        if (m) choose(m.command, !e.shiftKey);
+        break;
+      }
+      case 'Escape':
+        e.preventDefault();
+        close();
+        break;
+    }
+  });
+
+  overlay.addEventListener('pointerdown', (e) => {
+    if (e.target === overlay) close();
+  });
+
+  function open(): void {
+    if (isOpen()) return;
+    returnFocus = document.activeElement as HTMLElement | null;
+    commands = collectCommands(deps.uiTree);
+    recent = loadRecentCommands();
+    selected = 0;
+    input.value = '';
+    const keys = keysFor('palette.open', loadSettings().keymap);
+    input.placeholder = keys.length
+      ? `Search controls and actions (${formatChord(keys[0])})`
+      : 'Search controls and actions';
+    render();
+    overlay.classList.add('open');
+    input.focus();
+  }
+
+  /**
+   * @param restore - Give focus back to where it was (not when a command takes it)
+   */
+  function close(restore: boolean = true): void {
+    if (!isOpen()) return;
+    overlay.classList.remove('open');
+    input.blur();
+    if (restore) returnFocus?.focus?.();
+    returnFocus = null;
+  }
+
+  return {
+    open,
+    close: () => close(),
+    toggle: () => (isOpen() ? close() : open()),
+    isOpen,
+  };
+}
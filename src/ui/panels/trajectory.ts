@@ -0,0 +1,236 @@
+/**
+ * @fileoverview Trajectory Inspector
+ * Pinned panel that integrates a single pixel's initial condition on the CPU
+ * and animates the three bodies plus their shape-sphere path
+ */
+
+import { state } from '../../state.js';
+import { integrateZ, describeOutcome, type IntegrationResult } from '../../sim/threeBody.js';
+import { isEventMode } from '../../analysis/classes.js';
+import { onThemeChange } from '../core/theme.js';
+
+const ICON_CLOSE = '&#x2715;';
+
+/** Maximum number of recorded samples per trajectory (keeps playback cheap) */
+const MAX_SAMPLES = 2000;
+
+/** Playback speed in samples per animation frame */
+const SAMPLES_PER_FRAME = 4;
+
+/** Body colours, matching the collision-pair hues of the event legend */
+const BODY_COLORS = ['rgb(180,40,40)', 'rgb(40,160,80)', 'rgb(40,80,180)'];
+
+export interface TrajectoryInspector {
+  inspect(z: number[], world: { x: number; y: number }): void;
+  close(): void;
+  isOpen(): boolean;
+}
+
+/**
+ * Creates the trajectory inspector panel and appends it to the document
+ */
+export function createTrajectoryInspector(): TrajectoryInspector {
+  const panel = document.createElement('div');
+  panel.id = 'trajectory-panel';
+  panel.innerHTML = `
+    <div id="trajectory-panel-header">
+      <span id="trajectory-panel-title">Trajectory</span>
+      <button id="trajectory-panel-close">${ICON_CLOSE}</button>
+    </div>
+    <div id="trajectory-panel-body">
+      <div class="traj-views">
+        <canvas id="trajectory-orbit" width="240" height="240"></canvas>
+        <canvas id="trajectory-sphere" width="120" height="120"></canvas>
+      </div>
+      <div id="trajectory-readout"></div>
+      <div class="row traj-controls">
+        <button id="trajectory-play" class="btn">Pause</button>
+        <button id="trajectory-replay" class="btn">Replay</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(panel);
+
+  const orbitCanvas = panel.querySelector('#trajectory-orbit') as HTMLCanvasElement;
+  const sphereCanvas = panel.querySelector('#trajectory-sphere') as HTMLCanvasElement;
+  const readout = panel.querySelector('#trajectory-readout') as HTMLElement;
+  const playBtn = panel.querySelector('#trajectory-play') as HTMLButtonElement;
+  const replayBtn = panel.querySelector('#trajectory-replay') as HTMLButtonElement;
+  const orbit2d = orbitCanvas.getContext('2d')!;
+  const sphere2d = sphereCanvas.getContext('2d')!;
+
+  let result: IntegrationResult | null = null;
+  let world = { x: 0, y: 0 };
+  let frame = 0;
+  let playing = false;
+  let rafId: number | null = null;
+  let bounds = { cx: 0, cy: 0, half: 1 };
+
+  function computeBounds(res: IntegrationResult): void {
+    let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+    for (const s of res.samples) {
+      for (const r of s.r) {
+        minX = Math.min(minX, r[0]); maxX = Math.max(maxX, r[0]);
+        minY = Math.min(minY, r[1]); maxY = Math.max(maxY, r[1]);
+      }
+    }
+    // Escaping bodies fly off; clamp the frame so the close dynamics stay visible
+    const half = Math.min(Math.max(maxX - minX, maxY - minY, 1e-3) * 0.55, state.rEsc * 1.5);
+    bounds = { cx: (minX + maxX) / 2, cy: (minY + maxY) / 2, half };
+  }
+
+  function toPx(x: number, y: number): [number, number] {
+    const w = orbitCanvas.width, h = orbitCanvas.height;
+    return [
+      w / 2 + ((x - bounds.cx) / bounds.half) * (w / 2),
+      h / 2 - ((y - bounds.cy) / bounds.half) * (h / 2),
+    ];
+  }
+
+  function drawOrbit(upTo: number): void {
+    const w = orbitCanvas.width, h = orbitCanvas.height;
+    orbit2d.clearRect(0, 0, w, h);
+    if (!result || result.samples.length === 0) return;
+    for (let b = 0; b < 3; b++) {
+      orbit2d.strokeStyle = BODY_COLORS[b];
+      orbit2d.globalAlpha = 0.55;
+      orbit2d.lineWidth = 1;
+      orbit2d.beginPath();
+      for (let i = 0; i <= upTo; i++) {
+        const [px, py] = toPx(result.samples[i].r[b][0], result.samples[i].r[b][1]);
+        if (i === 0) orbit2d.moveTo(px, py); else orbit2d.lineTo(px, py);
+      }
+      orbit2d.stroke();
+    }
+    orbit2d.globalAlpha = 1;
+    const cur = result.samples[upTo];
+    for (let b = 0; b < 3; b++) {
+      const [px, py] = toPx(cur.r[b][0], cur.r[b][1]);
+      const rad = 2 + 4 * Math.sqrt(result.m[b]);
+      orbit2d.fillStyle = BODY_COLORS[b];
+      orbit2d.beginPath();
+      orbit2d.arc(px, py, rad, 0, Math.PI * 2);
+      orbit2d.fill();
+    }
+  }
+
+  function drawSphere(upTo: number): void {
+    const w = sphereCanvas.width, h = sphereCanvas.height;
+    const R = Math.min(w, h) / 2 - 4;
+    const ink = getComputedStyle(document.documentElement).getPropertyValue('--text').trim() || '#1a1916';
+    sphere2d.clearRect(0, 0, w, h);
+    sphere2d.strokeStyle = ink;
+    sphere2d.globalAlpha = 0.25;
+    sphere2d.lineWidth = 1;
+    sphere2d.beginPath();
+    sphere2d.arc(w / 2, h / 2, R, 0, Math.PI * 2);
+    sphere2d.stroke();
+    sphere2d.globalAlpha = 1;
+    if (!result || result.samples.length === 0) return;
+    // Orthographic view from +n_z: upper hemisphere solid, lower hemisphere faded
+    for (let i = 1; i <= upTo; i++) {
+      const a = result.samples[i - 1].n, b = result.samples[i].n;
+      sphere2d.globalAlpha = b[2] >= 0 ? 0.8 : 0.25;
+      sphere2d.beginPath();
+      sphere2d.moveTo(w / 2 + a[0] * R, h / 2 - a[1] * R);
+      sphere2d.lineTo(w / 2 + b[0] * R, h / 2 - b[1] * R);
+      sphere2d.stroke();
+    }
+    sphere2d.globalAlpha = 1;
+    const n = result.samples[upTo].n;
+    sphere2d.fillStyle = 'rgb(240,130,30)';
+    sphere2d.beginPath();
+    sphere2d.arc(w / 2 + n[0] * R, h / 2 - n[1] * R, 3, 0, Math.PI * 2);
+    sphere2d.fill();
+  }
+
+  function updateReadout(upTo: number): void {
+    if (!result) { readout.innerHTML = ''; return; }
+    const cur = result.samples[upTo];
+    const e0 = result.e0;
+    const drift = cur ? Math.abs(cur.energy - e0) / Math.max(1e-12, Math.abs(e0)) : 0;
+    const finished = upTo >= result.samples.length - 1;
+    const rows = [
+      { label: 'world', val: `(${world.x.toFixed(5)}, ${world.y.toFixed(5)})` },
+      { label: 'm', val: `[${result.m.map(x => x.toFixed(3)).join(', ')}]` },
+      { label: 't', val: `${(cur?.t ?? 0).toFixed(3)} / ${result.t.toFixed(3)}` },
+      { label: 'outcome', val: finished ? describeOutcome(result.outcome) : '…' },
+      { label: 'steps', val: `${result.steps}` },
+      { label: 'ΔE/E₀', val: drift.toExponential(2) },
+      { label: 'ΔE/E₀ end', val: result.energyDrift.toExponential(2) },
+    ];
+    readout.innerHTML = rows.map(r =>
+      `<div class="hud-row"><span class="hud-label">${r.label}</span><span class="hud-val">${r.val}</span></div>`
+    ).join('');
+  }
+
+  function draw(): void {
+    const last = result ? Math.max(0, result.samples.length - 1) : 0;
+    const upTo = Math.min(frame, last);
+    drawOrbit(upTo);
+    drawSphere(upTo);
+    updateReadout(upTo);
+  }
+
+  function tick(): void {
+    rafId = null;
+    if (!playing || !result) return;
+    frame = Math.min(frame + SAMPLES_PER_FRAME, result.samples.length - 1);
+    draw();
+    if (frame >= result.samples.length - 1) {
+      setPlaying(false);
+      return;
+    }
+    rafId = requestAnimationFrame(tick);
+  }
+
+  function setPlaying(on: boolean): void {
+    playing = on;
+    playBtn.textContent = on ? 'Pause' : 'Play';
+    if (on && rafId === null) rafId = requestAnimationFrame(tick);
+    if (!on && rafId !== null) { cancelAnimationFrame(rafId); rafId = null; }
+  }
+
+  playBtn.addEventListener('click', () => {
+    if (!result) return;
+    if (!playing && frame >= result.samples.length - 1) frame = 0;
+    setPlaying(!playing);
+  });
+  replayBtn.addEventListener('click', () => {
+    if (!result) return;
+    frame = 0;
+    setPlaying(true);
+  });
+  (panel.querySelector('#trajectory-panel-close') as HTMLButtonElement)
+    .addEventListener('click', () => close());
+  onThemeChange(() => { if (panel.classList.contains('open')) draw(); });
+
+  function inspect(z: number[], at: { x: number; y: number }): void {
+    const sim = {
+      horizon: state.horizon, maxSteps: state.maxSteps, dtMacro: state.dtMacro,
+      rColl: state.rColl, rEsc: state.rEsc, integrator: state.integrator,
+    };
+    const recordEvery = Math.max(1, Math.ceil(Math.min(sim.maxSteps, 20000) / MAX_SAMPLES));
+    // The shader stops at an escape only in the event modes; elsewhere the
+    // orbit runs on to the horizon or a collision
+    result = integrateZ(z, sim, { recordEvery, checkEscape: isEventMode(state.mode) });
+    world = at;
+    computeBounds(result);
+    frame = 0;
+    panel.classList.add('open');
+    draw();
+    setPlaying(result.samples.length > 1);
+  }
+
+  function close(): void {
+    setPlaying(false);
+    panel.classList.remove('open');
+    result = null;
+  }
+
+  return {
+    inspect,
+    close,
+    isOpen: () => panel.classList.contains('open'),
+  };
+}
@@ -13,6 +13,8 @@ export interface PickerMap {
   customDim: PickerResult;
   res: PickerResult;
   tilt: PickerResult;
+  integrator: PickerResult;
+  quality: PickerResult;
 }
 
 /**
@@ -23,7 +25,9 @@ export function initAllPickers(): PickerMap {
     mode: createPicker('modePicker', 'Render mode'),
     customDim: createPicker('customDimPicker', 'H-axis dimension'),
     res: createPicker('resPicker', 'Resolution'),
-    tilt: createPicker('tiltPicker', 'Tilt into')
+    tilt: createPicker('tiltPicker', 'Tilt into'),
+    integrator: createPicker('integratorPicker', 'Integrator'),
+    quality: createPicker('qualityPicker', 'Quality')
   };
   
   // Append all picker overlays to body
@@ -0,0 +1,107 @@
+import { state, INTEGRATOR_INFO, type IntegratorId } from '../../state.js';
+import { $ } from '../utils.js';
+import { registerPickerOverlay, unregisterPickerOverlay } from './keyboard-nav-integration.js';
+
+// ─── Integrator picker overlay ───────────────────────────────────────────────
+
+let _integratorPickerCallback: ((id: IntegratorId) => void) | null = null;
+
+export function bindIntegratorPicker(onPick: (id: IntegratorId) => void): void {
+  const overlay  = $("integratorPickerOverlay");
+  const list     = $("integratorPickerList");
+  const closeBtn = $("integratorPickerClose");
+
+  if (!overlay || !list || !closeBtn) {
+    console.warn('[integrator] Required elements not found');
+    return;
+  }
+
+  function buildList(activeVal: string): void {
+    if (!list) return;
+    
+    list.innerHTML = "";
+    const sel = $("integrator") as HTMLSelectElement | null;
+    if (!sel) return;
+    
+    for (const opt of sel.options) {
+      const btn = document.createElement("button");
+      btn.className = "tilt-pick-btn" + (opt.value === activeVal ? " active" : "");
+      btn.textContent = opt.textContent;
+      btn.addEventListener("click", () => {
+        if (_integratorPickerCallback) _integratorPickerCallback(opt.value as IntegratorId);
+        closeIntegratorPicker();
+      });
+      list.appendChild(btn);
+    }
+  }
+
+  function closeIntegratorPicker(): void {
+    if (overlay) overlay.classList.remove("open");
+    _integratorPickerCallback = null;
+    
+    // Unregister from keyboard navigation
+    const uiTree = (window as any).uiTree;
+    if (uiTree) {
+      unregisterPickerOverlay(uiTree, 'integratorPickerOverlay');
+    }
+  }
+
+  overlay.addEventListener("click", (e) => { 
+    if (e.target === overlay) {
+      // Close via KNM to ensure proper state management
+      const navManager = (window as any).navManager;
+      if (navManager) {
+        navManager.closeOverlay('integratorPickerOverlay');
+      } else {
+        closeIntegratorPicker();
+      }
+    }
+  });
+  closeBtn.addEventListener("click", () => {
+    // Close button click already handled by pickerCloseButtonBehavior
+    // But keep this as fallback if KNM is not active
+    const navManager = (window as any).navManager;
+    if (navManager) {
+      navManager.closeOverlay('integratorPickerOverlay');
+    } else {
+      closeIntegratorPicker();
+    }
+  });
+
+  const integratorLabel = $("integratorLabel");
+  if (integratorLabel) {
+    integratorLabel.addEventListener("click", () => {
+      const sel = $("integrator") as HTMLSelectElement | null;
+      buildList(state.integrator);
+      _integratorPickerCallback = onPick;
+      if (overlay) overlay.classList.add("open");
+      
+      // Register with keyboard navigation
+      const uiTree = (window as any).uiTree;
+      const itemCount = sel ? sel.options.length : 0;
+      
+      if (uiTree && list && closeBtn) {
+        registerPickerOverlay({
+          uiTree,
+          pickerId: 'integratorPickerOverlay',
+          overlayElement: overlay,
+          listElement: list,
+          closeButtonElement: closeBtn,
+          itemCount,
+          triggerId: 'integrator-picker:trigger',
+          onClose: closeIntegratorPicker
+        });
+      }
+    });
+  }
+}
+
+/**
+ * Show the current integrator on the picker label
+ */
+export function syncIntegratorLabel(): void {
+  const sel = $("integrator") as HTMLSelectElement | null;
+  if (sel) sel.value = state.integrator;
+  const name = $("integratorName");
+  if (name) name.textContent = INTEGRATOR_INFO[state.integrator]?.name || "";
+}
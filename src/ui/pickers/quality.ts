@@ -1,3 +1,4 @@
+import { state, QUALITY_PRESETS } from '../../state.js';
 import { $ } from '../utils.js';
 import { registerPickerOverlay, unregisterPickerOverlay } from './keyboard-nav-integration.js';
 
@@ -94,3 +95,18 @@ export function bindQualityPicker(onPick: (value: string) => void): void {
     });
   }
 }
+
+/**
+ * Show the quality preset matching the current simulation settings, or
+ * "Custom" once integrator, dt macro or max steps have been changed by hand
+ */
+export function syncQualityLabel(): void {
+  const match = Object.keys(QUALITY_PRESETS).find(id => {
+    const q = QUALITY_PRESETS[id];
+    return q.integrator === state.integrator && q.dtMacro === state.dtMacro && q.maxSteps === state.maxSteps;
+  });
+  const sel = $("quality") as HTMLSelectElement | null;
+  if (sel) sel.value = match ?? "";
+  const name = $("qualityName");
+  if (name) name.textContent = match ? QUALITY_PRESETS[match].name : "Custom";
+}
@@ -0,0 +1,68 @@
+import type { Preset } from '../state.js';
+
+const PRESETS_KEY = 'principia_presets';
+
+/**
+ * Slice preset defined by the user: base directions and the origin z0
+ */
+export interface UserPreset extends Preset {
+  z0: number[];
+}
+
+export function newUserPresetId(): string {
+  return 'u' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+const isVec10 = (v: any) => Array.isArray(v) && v.length === 10 && v.every(x => typeof x === 'number' && Number.isFinite(x));
+
+/**
+ * Check one stored preset; throws with the reason if unusable
+ */
+export function readUserPreset(raw: any): UserPreset {
+  if (!raw || typeof raw !== 'object') throw new Error('not an object');
+  if (typeof raw.name !== 'string' || !raw.name.trim()) throw new Error('missing name');
+  for (const k of ['q1', 'q2', 'z0']) {
+    if (!isVec10(raw[k])) throw new Error(`${k}: expected 10 finite numbers`);
+  }
+  return {
+    id: typeof raw.id === 'string' && raw.id ? raw.id : newUserPresetId(),
+    name: raw.name.trim(),
+    q1: raw.q1.slice(),
+    q2: raw.q2.slice(),
+    z0: raw.z0.slice(),
+  };
+}
+
+/**
+ * Saved user presets in the order they were created; unreadable entries are dropped
+ */
+export function loadUserPresets(): UserPreset[] {
+  try {
+    const stored = localStorage.getItem(PRESETS_KEY);
+    const raw = stored ? JSON.parse(stored) : [];
+    if (!Array.isArray(raw)) return [];
+    const presets: UserPreset[] = [];
+    for (const entry of raw) {
+      try { presets.push(readUserPreset(entry)); }
+      catch (e: any) { console.warn('[Presets] Dropping unreadable preset:', e?.message || e); }
+    }
+    return presets;
+  } catch (e) {
+    console.error('[Presets] Failed to load:', e);
+    return [];
+  }
+}
+
+/**
+ * Persist the user presets
+ * @returns false if storage refused them
+ */
+export function saveUserPresets(presets: UserPreset[]): boolean {
+  try {
+    localStorage.setItem(PRESETS_KEY, JSON.stringify(presets));
+    return true;
+  } catch (e) {
+    console.error('[Presets] Failed to save:', e);
+    return false;
+  }
+}
@@ -0,0 +1,38 @@
+/**
+ * Script Storage
+ * Keeps the script console's text across sessions
+ */
+
+const SCRIPT_KEY = 'principia_console_script';
+
+/** Shown until the user writes their own */
+export const EXAMPLE_SCRIPT = `// Sweep z₈ and save a PNG of each step.
+// \`principia\` is the scripting API; log() prints below, sleep(ms) waits.
+const start = principia.getState();
+for (const z8 of [-0.2, 0, 0.2]) {
+  const z0 = start.slice.z0.slice();
+  z0[8] = z8;
+  principia.setState({ slice: { z0 } });
+  const { ms } = await principia.render();
+  log(\`z8 = \${z8}: rendered in \${ms.toFixed(0)} ms\`, (await principia.probe(0.5, 0.5)).data);
+  // await principia.downloadPNG(\`sweep-z8-\${z8}.png\`);
+}
+principia.setState(start);
+`;
+
+export function loadScript(): string {
+  try {
+    return localStorage.getItem(SCRIPT_KEY) ?? EXAMPLE_SCRIPT;
+  } catch (e) {
+    console.error('[Console] Failed to load script:', e);
+    return EXAMPLE_SCRIPT;
+  }
+}
+
+export function saveScript(text: string): void {
+  try {
+    localStorage.setItem(SCRIPT_KEY, text);
+  } catch (e) {
+    console.error('[Console] Failed to save script:', e);
+  }
+}
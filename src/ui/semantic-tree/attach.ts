@@ -20,6 +20,10 @@ export function attachPrincipiaElements(uiTree: UITreeStore): void {
   // Navigation goes directly to the buttons
   uiTree.attachElement('infoBtn', document.getElementById('infoBtn'));
   uiTree.attachElement('settingsBtn', document.getElementById('settingsBtn'));
+  uiTree.attachElement('animateBtn', document.getElementById('animateBtn'));
+  uiTree.attachElement('compareBtn', document.getElementById('compareBtn'));
+  uiTree.attachElement('analysisBtn', document.getElementById('analysisBtn'));
+  uiTree.attachElement('galleryBtn', document.getElementById('galleryBtn'));
   
   // ── Control Section ────────────────────────────────────────────────────────
   const renderBtn = document.getElementById('renderBtn');
@@ -45,7 +49,7 @@ export function attachPrincipiaElements(uiTree: UITreeStore): void {
   if (modeSelect) {
     const modeOptions = [...modeSelect.options];
     modeOptions.forEach((opt, idx) => {
-      const menuId = `mode-picker:dropdown:${['event', 'phase-diffusion', 'phase', 'diffusion', 'rgb'][idx]}`;
+      const menuId = `mode-picker:dropdown:${['event', 'phase-diffusion', 'phase', 'diffusion', 'rgb', 'ftle', 'time-to-event', 'energy-drift'][idx]}`;
       uiTree.attachElement(menuId, opt);
     });
   }
@@ -81,6 +85,11 @@ export function attachPrincipiaElements(uiTree: UITreeStore): void {
   // Custom mag slider
   attachSlider(uiTree, 'slider-customMag', 'customMag');
   
+  // User preset actions (the preset buttons themselves attach as they are built)
+  uiTree.attachElement('planeNewBtn', document.getElementById('planeNewBtn'));
+  uiTree.attachElement('planeEditBtn', document.getElementById('planeEditBtn'));
+  uiTree.attachElement('planePickBtn', document.getElementById('planePickBtn'));
+  
   // ── Slice Offset Section ───────────────────────────────────────────────────
   const secZ0 = document.getElementById('sec-z0');
   uiTree.attachElement('sec-z0', secZ0); // Section container (legacy)
@@ -122,12 +131,35 @@ export function attachPrincipiaElements(uiTree: UITreeStore): void {
   uiTree.attachElement('sec-sim', secSim); // Section container (legacy)
   uiTree.attachElement('sec-sim-body', secSim); // Section body grid
   uiTree.attachElement('sec-sim:header', secSim?.parentElement?.querySelector('.section-head') as HTMLElement | null);
+
+  // Integrator + quality pickers
+  for (const id of ['integrator', 'quality']) {
+    uiTree.attachElement(`${id}-picker:trigger`, document.getElementById(`${id}Label`));
+    const sel = document.getElementById(id) as HTMLSelectElement | null;
+    if (sel) [...sel.options].forEach(opt => uiTree.attachElement(`${id}-picker:dropdown:${opt.value}`, opt));
+  }
   attachSlider(uiTree, 'slider-horizon', 'horizon');
   attachSlider(uiTree, 'slider-maxSteps', 'maxSteps');
   attachSlider(uiTree, 'slider-dtMacro', 'dtMacro');
   attachSlider(uiTree, 'slider-rColl', 'rColl');
   attachSlider(uiTree, 'slider-rEsc', 'rEsc');
   
+  // ── History Section ────────────────────────────────────────────────────────
+  const secHistory = document.getElementById('sec-history');
+  uiTree.attachElement('sec-history', secHistory); // Section container (legacy)
+  uiTree.attachElement('sec-history-body', secHistory); // Section body grid
+  uiTree.attachElement('sec-history:header', secHistory?.parentElement?.querySelector('.section-head') as HTMLElement | null);
+  uiTree.attachElement('undoBtn', document.getElementById('undoBtn'));
+  uiTree.attachElement('redoBtn', document.getElementById('redoBtn'));
+  
+  // ── Markers Section ────────────────────────────────────────────────────────
+  const secMarkers = document.getElementById('sec-markers');
+  uiTree.attachElement('sec-markers', secMarkers); // Section container (legacy)
+  uiTree.attachElement('sec-markers-body', secMarkers); // Section body grid
+  uiTree.attachElement('sec-markers:header', secMarkers?.parentElement?.querySelector('.section-head') as HTMLElement | null);
+  uiTree.attachElement('pinCentreBtn', document.getElementById('pinCentreBtn'));
+  uiTree.attachElement('clearMarkersBtn', document.getElementById('clearMarkersBtn'));
+  
   // ── Export/Import Section ──────────────────────────────────────────────────
   const secState = document.getElementById('sec-state');
   uiTree.attachElement('sec-state', secState); // Section container (legacy)
@@ -143,9 +175,15 @@ export function attachPrincipiaElements(uiTree: UITreeStore): void {
   // Navigation goes directly to section bodies
   
   // ── Settings Panel ─────────────────────────────────────────────────────────
+  uiTree.attachElement('stgThemeLight', document.getElementById('stgThemeLight'));
+  uiTree.attachElement('stgThemeDark', document.getElementById('stgThemeDark'));
+  uiTree.attachElement('stgThemeSystem', document.getElementById('stgThemeSystem'));
+  uiTree.attachElement('stgSolidProbe', document.getElementById('stgSolidProbe'));
   uiTree.attachElement('autoRender', document.getElementById('autoRender'));
   uiTree.attachElement('previewWhileDrag', document.getElementById('previewWhileDrag'));
   uiTree.attachElement('showHud', document.getElementById('showHud'));
+  uiTree.attachElement('probeData', document.getElementById('probeData'));
+  uiTree.attachElement('randomStart', document.getElementById('randomStart'));
   uiTree.attachElement('stgInvertScroll', document.getElementById('stgInvertScroll'));
   attachSlider(uiTree, 'slider-stgZoomSpeed', 'stgZoomSpeed');
   uiTree.attachElement('stgInvertPanX', document.getElementById('stgInvertPanX'));
@@ -231,6 +269,31 @@ export async function syncCollapseState(uiTree: UITreeStore): Promise<void> {
   rebuildSidebarGrid(uiTree);
 }
 
+/**
+ * Open or close a sidebar section: its DOM classes, the hidden flag of its
+ * body grid, and the sidebar grid rebuilt to match
+ * @param target - Section body element id (the header's data-target)
+ */
+export async function setSectionOpen(target: string, open: boolean, uiTree: UITreeStore | null): Promise<void> {
+  const body = document.getElementById(target);
+  if (!body) return;
+  body.classList.toggle('open', open);
+  document.querySelector(`.section-head[data-target="${target}"]`)?.classList.toggle('open', open);
+  if (!uiTree) return;
+
+  const bodyGridId = `${target}-body`;
+  const bodyGrid = uiTree.getNode(bodyGridId);
+  if (!bodyGrid || bodyGrid.kind !== 'grid') {
+    console.warn('[attach] Body grid not found:', bodyGridId);
+    return;
+  }
+  uiTree.updateNode(bodyGridId, { hidden: !open });
+  console.log('[attach] Section', target, open ? 'expanded' : 'collapsed', '- body grid', bodyGridId, 'hidden:', !open);
+
+  const { rebuildSidebarGrid } = await import('./grid-rebuilder.js');
+  rebuildSidebarGrid(uiTree);
+}
+
 /**
  * Initialize tabindex for all interactive elements
  * Sets all to tabindex="-1" for keyboard navigation manager control
@@ -23,6 +23,8 @@ export function rebuildSidebarGrid(uiTree: UITreeStore): void {
     { headerId: 'sec-z0:header', bodyId: 'sec-z0-body' },
     { headerId: 'sec-orient:header', bodyId: 'sec-orient-body' },
     { headerId: 'sec-sim:header', bodyId: 'sec-sim-body' },
+    { headerId: 'sec-history:header', bodyId: 'sec-history-body' },
+    { headerId: 'sec-markers:header', bodyId: 'sec-markers-body' },
     { headerId: 'sec-state:header', bodyId: 'sec-state-body' }
   ];
   
@@ -47,11 +49,16 @@ export function rebuildSidebarGrid(uiTree: UITreeStore): void {
   });
 }
 
+/** Node ids of the user preset buttons, as last passed to rebuildPresetsGrid */
+let userPresetCells: string[] = [];
+
 /**
- * Rebuild the presets grid based on whether custom preset is selected
+ * Rebuild the presets grid based on whether custom preset is selected.
+ * User preset buttons follow the custom controls; omit `userPresetIds` to keep the last ones.
  */
-export function rebuildPresetsGrid(uiTree: UITreeStore, isCustomActive: boolean): void {
+export function rebuildPresetsGrid(uiTree: UITreeStore, isCustomActive: boolean, userPresetIds?: string[]): void {
   console.log('[GridRebuilder] Rebuilding presets grid, custom active:', isCustomActive);
+  if (userPresetIds) userPresetCells = userPresetIds;
   
   const cells: GridCell[] = [
     { id: 'preset-shape', rowSpan: 1, colSpan: 1 },
@@ -70,6 +77,14 @@ export function rebuildPresetsGrid(uiTree: UITreeStore, isCustomActive: boolean)
     );
   }
   
+  // User presets (an odd last one spans the row, as in the DOM), then the buttons that manage them
+  cells.push(
+    ...userPresetCells.map((id, i) => ({ id, rowSpan: 1, colSpan: i === userPresetCells.length - 1 && i % 2 === 0 ? 2 : 1 })),
+    { id: 'planeNewBtn', rowSpan: 1, colSpan: 1 },
+    { id: 'planeEditBtn', rowSpan: 1, colSpan: 1 },
+    { id: 'planePickBtn', rowSpan: 1, colSpan: 2 }
+  );
+  
   console.log('[GridRebuilder] Presets cells:', cells.length);
   
   // Calculate rows by simulating grid layout
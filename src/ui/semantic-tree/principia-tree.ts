@@ -12,6 +12,7 @@ import {
   grid, cell
 } from './builders.js';
 import type { UINode } from './store.js';
+import { INTEGRATOR_INFO, QUALITY_PRESETS } from '../../state.js';
 
 /**
  * Build complete Principia UI tree
@@ -46,7 +47,7 @@ export function buildPrincipiaUITree(): UINode[] {
   nodes.push(canvasNode);
 
   // ─── Canvas Controls (Floating Buttons) ───────────────────────────────────
-  // 2×1 vertical grid: [Info] [Settings]
+  // 6×1 vertical grid: [Info] [Settings] [Animate] [Compare] [Analysis] [Gallery]
   // Up/down cycles between them
   // Entry defaults to Settings but remembers last position
   const infoBtnNode = button("infoBtn", { 
@@ -55,11 +56,27 @@ export function buildPrincipiaUITree(): UINode[] {
   const settingsBtnNode = button("settingsBtn", { 
     ariaLabel: "Navigation and rendering settings" 
   });
+  const animateBtnNode = button("animateBtn", { 
+    ariaLabel: "Keyframe animation" 
+  });
+  const compareBtnNode = button("compareBtn", { 
+    ariaLabel: "Compare two states" 
+  });
+  const analysisBtnNode = button("analysisBtn", { 
+    ariaLabel: "View statistics" 
+  });
+  const galleryBtnNode = button("galleryBtn", { 
+    ariaLabel: "Bookmark gallery" 
+  });
   
   const canvasControlsGrid = grid("canvas-controls", {
     cells: [
       [cell("infoBtn")],
-      [cell("settingsBtn")]
+      [cell("settingsBtn")],
+      [cell("animateBtn")],
+      [cell("compareBtn")],
+      [cell("analysisBtn")],
+      [cell("galleryBtn")]
     ],
     wrapCols: false,
     wrapRows: false,  // Don't wrap vertically
@@ -69,7 +86,7 @@ export function buildPrincipiaUITree(): UINode[] {
     escapeUp: 'canvas'  // Up from INFO button goes to canvas
   });
   
-  nodes.push(canvasControlsGrid, infoBtnNode, settingsBtnNode);
+  nodes.push(canvasControlsGrid, infoBtnNode, settingsBtnNode, animateBtnNode, compareBtnNode, analysisBtnNode, galleryBtnNode);
 
   // ─── Control Section (Render + Icon Buttons) ──────────────────────────────
   // Section body: 2-row grid
@@ -115,7 +132,10 @@ export function buildPrincipiaUITree(): UINode[] {
       { id: "phase-diffusion", label: "Phase + Diffusion", value: 1 },
       { id: "phase", label: "Shape sphere phase", value: 2 },
       { id: "diffusion", label: "Diffusion", value: 3 },
-      { id: "rgb", label: "Shape sphere RGB", value: 4 }
+      { id: "rgb", label: "Shape sphere RGB", value: 4 },
+      { id: "ftle", label: "Lyapunov exponent", value: 5 },
+      { id: "time-to-event", label: "Time to event", value: 6 },
+      { id: "energy-drift", label: "Energy drift", value: 7 }
     ],
     selectedId: "event"
   });
@@ -193,14 +213,26 @@ export function buildPrincipiaUITree(): UINode[] {
     meta: { tip: "Half-range magnitude for custom basis vectors." }
   });
 
+  const planeNewBtn = button("planeNewBtn", { 
+    ariaLabel: "New preset from the current slice" 
+  });
+  const planeEditBtn = button("planeEditBtn", { 
+    ariaLabel: "Edit preset" 
+  });
+  const planePickBtn = button("planePickBtn", { 
+    ariaLabel: "Plane from 3 points" 
+  });
+
   // Section body: will be populated dynamically by buildPresets
-  // Structure will be: [preset buttons in 2D grid] + [custom controls]
+  // Structure will be: [preset buttons in 2D grid] + [custom controls] + [user presets] + [preset actions]
   const sliceBasisBodyGrid = grid("sec-presets-body", {
     cells: [
       // Preset buttons added dynamically by buildPresets
       [cell("customDimH-picker:trigger")],
       [cell("customDimV-picker:trigger")],
-      [cell("slider-customMag")]
+      [cell("slider-customMag")],
+      [cell("planeNewBtn"), cell("planeEditBtn")],
+      [cell("planePickBtn")]
     ],
     wrapCols: false,
     wrapRows: false,
@@ -222,7 +254,10 @@ export function buildPrincipiaUITree(): UINode[] {
     ...customDimHPicker.overlayNodes,
     customDimVPicker.trigger,
     ...customDimVPicker.overlayNodes,
-    ...customMagSlider
+    ...customMagSlider,
+    planeNewBtn,
+    planeEditBtn,
+    planePickBtn
   );
 
   // ─── Slice Offset Section ──────────────────────────────────────────────────
@@ -397,6 +432,18 @@ export function buildPrincipiaUITree(): UINode[] {
   );
 
   // ─── Simulation Section (Collapsed by Default) ────────────────────────────
+  const integratorPicker = picker("integrator-picker", {
+    label: "Integrator",
+    options: Object.entries(INTEGRATOR_INFO).map(([id, info]) => ({ id, label: info.name, value: id })),
+    selectedId: "leapfrog"
+  });
+
+  const qualityPicker = picker("quality-picker", {
+    label: "Quality",
+    options: Object.entries(QUALITY_PRESETS).map(([id, q]) => ({ id, label: q.name, value: id })),
+    selectedId: "balanced"
+  });
+
   const simSliders = [
     slider("slider-horizon", { 
       label: "Horizon", 
@@ -440,14 +487,15 @@ export function buildPrincipiaUITree(): UINode[] {
     })
   ];
 
-  // Vertical grid: 5×1 (one slider per row)
+  // Grid: [INTEGRATOR] [QUALITY], then one slider per row spanning both columns
   const simBodyGrid = grid("sec-sim-body", {
     cells: [
-      [cell("slider-horizon")],
-      [cell("slider-maxSteps")],
-      [cell("slider-dtMacro")],
-      [cell("slider-rColl")],
-      [cell("slider-rEsc")]
+      [cell("integrator-picker:trigger"), cell("quality-picker:trigger")],
+      [cell("slider-horizon", 1, 2)],
+      [cell("slider-maxSteps", 1, 2)],
+      [cell("slider-dtMacro", 1, 2)],
+      [cell("slider-rColl", 1, 2)],
+      [cell("slider-rEsc", 1, 2)]
     ],
     wrapCols: false,
     wrapRows: false,
@@ -460,7 +508,64 @@ export function buildPrincipiaUITree(): UINode[] {
     simBodyGrid
   ], { collapsed: true });
 
-  nodes.push(simHeader, simSection, simBodyGrid, ...simSliders.flatMap(s => s));
+  nodes.push(
+    simHeader, simSection, simBodyGrid,
+    integratorPicker.trigger, ...integratorPicker.overlayNodes,
+    qualityPicker.trigger, ...qualityPicker.overlayNodes,
+    ...simSliders.flatMap(s => s)
+  );
+
+  // ─── History Section (Collapsed by Default) ───────────────────────────────
+  const undoBtn = button("undoBtn", { 
+    ariaLabel: "Undo" 
+  });
+  const redoBtn = button("redoBtn", { 
+    ariaLabel: "Redo" 
+  });
+
+  // Section body: undo/redo side by side (list entries are pointer-only)
+  const historyBodyGrid = grid("sec-history-body", {
+    cells: [
+      [cell("undoBtn"), cell("redoBtn")]
+    ],
+    wrapCols: false,
+    wrapRows: false,
+    entryPolicy: 'remembered',  // Remember last position in this section
+    escapeUp: 'sec-history-body',  // Up exits this scope
+    escapeDown: 'sec-history-body'  // Down exits this scope
+  });
+
+  const { header: historyHeader, section: historySection } = section("sec-history", "History", [
+    historyBodyGrid
+  ], { collapsed: true });
+
+  nodes.push(historyHeader, historySection, historyBodyGrid, undoBtn, redoBtn);
+
+  // ─── Markers Section (Collapsed by Default) ───────────────────────────────
+  const pinCentreBtn = button("pinCentreBtn", { 
+    ariaLabel: "Pin marker at view centre" 
+  });
+  const clearMarkersBtn = button("clearMarkersBtn", { 
+    ariaLabel: "Clear markers" 
+  });
+
+  // Section body: pin/clear side by side (list rows are pointer-only)
+  const markersBodyGrid = grid("sec-markers-body", {
+    cells: [
+      [cell("pinCentreBtn"), cell("clearMarkersBtn")]
+    ],
+    wrapCols: false,
+    wrapRows: false,
+    entryPolicy: 'remembered',  // Remember last position in this section
+    escapeUp: 'sec-markers-body',  // Up exits this scope
+    escapeDown: 'sec-markers-body'  // Down exits this scope
+  });
+
+  const { header: markersHeader, section: markersSection } = section("sec-markers", "Markers", [
+    markersBodyGrid
+  ], { collapsed: true });
+
+  nodes.push(markersHeader, markersSection, markersBodyGrid, pinCentreBtn, clearMarkersBtn);
 
   // ─── Export / Import Section (Collapsed by Default) ───────────────────────
   const pasteJsonBtn = button("pasteJsonBtn", { 
@@ -522,6 +627,10 @@ export function buildPrincipiaUITree(): UINode[] {
       [cell("sec-orient-body")],
       [cell("sec-sim:header")],
       [cell("sec-sim-body")],
+      [cell("sec-history:header")],
+      [cell("sec-history-body")],
+      [cell("sec-markers:header")],
+      [cell("sec-markers-body")],
       [cell("sec-state:header")],
       [cell("sec-state-body")]
     ],
@@ -546,7 +655,25 @@ export function buildPrincipiaUITree(): UINode[] {
   });
   nodes.push(...infoPanel.nodes, infoPanelGrid);
 
-  // Settings panel: 3 vertical groups
+  // Settings panel: 4 vertical groups
+  const themeLightBtn = button("stgThemeLight", { ariaLabel: "Light theme" });
+  const themeDarkBtn = button("stgThemeDark", { ariaLabel: "Dark theme" });
+  const themeSystemBtn = button("stgThemeSystem", { ariaLabel: "Follow the system theme" });
+  const solidProbeCheck = checkbox("stgSolidProbe", { 
+    label: "Solid probe background" 
+  });
+
+  // Appearance group: theme buttons over the probe checkbox
+  const appearanceGroupGrid = grid("settings-panel:appearance", {
+    cells: [
+      [cell("stgThemeLight"), cell("stgThemeDark"), cell("stgThemeSystem")],
+      [cell("stgSolidProbe", 1, 3)]
+    ],
+    wrapCols: false,
+    wrapRows: false,
+    entryPolicy: 'first'
+  });
+
   const autoRenderCheck = checkbox("autoRender", { 
     label: "Auto-render" 
   });
@@ -556,13 +683,21 @@ export function buildPrincipiaUITree(): UINode[] {
   const showHudCheck = checkbox("showHud", { 
     label: "Show probe" 
   });
+  const probeDataCheck = checkbox("probeData", { 
+    label: "Exact probe values" 
+  });
+  const randomStartCheck = checkbox("randomStart", { 
+    label: "Random curated view on load" 
+  });
   
-  // Rendering group: 3×1 grid
+  // Rendering group: 5×1 grid
   const renderingGroupGrid = grid("settings-panel:rendering", {
     cells: [
       [cell("autoRender")],
       [cell("previewWhileDrag")],
-      [cell("showHud")]
+      [cell("showHud")],
+      [cell("probeData")],
+      [cell("randomStart")]
     ],
     wrapCols: false,
     wrapRows: false,
@@ -619,10 +754,11 @@ export function buildPrincipiaUITree(): UINode[] {
     entryPolicy: 'first'
   });
 
-  // Settings panel body: vertical grid of close button + 3 groups
+  // Settings panel body: vertical grid of close button + 4 groups
   const settingsPanelBodyGrid = grid("settings-panel-body", {
     cells: [
       [cell("settings-panel:close")],
+      [cell("settings-panel:appearance")],
       [cell("settings-panel:rendering")],
       [cell("settings-panel:scroll")],
       [cell("settings-panel:panning")]
@@ -637,7 +773,8 @@ export function buildPrincipiaUITree(): UINode[] {
   ], { triggerId: "settingsBtn" });
 
   nodes.push(
-    renderingGroupGrid, autoRenderCheck, previewDragCheck, showHudCheck,
+    appearanceGroupGrid, themeLightBtn, themeDarkBtn, themeSystemBtn, solidProbeCheck,
+    renderingGroupGrid, autoRenderCheck, previewDragCheck, showHudCheck, probeDataCheck, randomStartCheck,
     scrollGroupGrid, invertScrollCheck, ...zoomSpeedSlider,
     panningGroupGrid, invertPanXCheck, invertPanYCheck, ...panSpeedSlider,
     settingsPanelBodyGrid,
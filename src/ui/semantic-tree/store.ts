@@ -298,6 +298,19 @@ export class UITreeStore {
     return null;
   }
 
+  /**
+   * Grid that has `cellId` as one of its cells: the parent if it does,
+   * otherwise the first grid found (section bodies sit in the sidebar grid
+   * but have their section as parent)
+   */
+  findContainingGrid(cellId: string): UINode | null {
+    const holds = (node: UINode | null) =>
+      !!node && node.kind === 'grid' && !!node.cells?.some(c => c.id === cellId);
+    const parent = this.getParent(cellId);
+    if (holds(parent)) return parent;
+    return this.findNode(node => node.id !== cellId && holds(node));
+  }
+
   /**
    * Get nearest ancestor ID (for focus restoration)
    */
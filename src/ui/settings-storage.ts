@@ -1,3 +1,6 @@
+import type { Keymap } from '../navigation/keymap.js';
+import type { ThemeChoice } from './core/theme.js';
+
 const SETTINGS_KEY = 'principia_settings';
 
 /**
@@ -7,24 +10,36 @@ export interface Settings {
   autoRender: boolean;
   previewWhileDrag: boolean;
   showHud: boolean;
+  probeData: boolean;
+  randomStart: boolean;
   invertScroll: boolean;
   zoomSpeed: number;
   invertPanX: boolean;
   invertPanY: boolean;
   panSpeed: number;
   suppressWelcomeDialog: boolean;
+  /** Rebound keyboard actions; the rest keep their default keys */
+  keymap: Keymap;
+  theme: ThemeChoice;
+  /** Probe tooltip on a plain panel instead of glass */
+  solidProbe: boolean;
 }
 
 const DEFAULT_SETTINGS: Settings = {
   autoRender: true,
   previewWhileDrag: true,
   showHud: true,
+  probeData: true,
+  randomStart: false,
   invertScroll: false,
   zoomSpeed: 1.0,
   invertPanX: false,
   invertPanY: false,
   panSpeed: 1.0,
-  suppressWelcomeDialog: false
+  suppressWelcomeDialog: false,
+  keymap: {},
+  theme: 'light',
+  solidProbe: false
 };
 
 export function loadSettings(): Settings {
@@ -51,6 +66,8 @@ export function applySavedSettings(): Settings {
   const autoRenderEl = document.getElementById('autoRender') as HTMLInputElement | null;
   const previewWhileDragEl = document.getElementById('previewWhileDrag') as HTMLInputElement | null;
   const showHudEl = document.getElementById('showHud') as HTMLInputElement | null;
+  const probeDataEl = document.getElementById('probeData') as HTMLInputElement | null;
+  const randomStartEl = document.getElementById('randomStart') as HTMLInputElement | null;
   const stgInvertScrollEl = document.getElementById('stgInvertScroll') as HTMLInputElement | null;
   const stgZoomSpeedEl = document.getElementById('stgZoomSpeed') as HTMLInputElement | null;
   const stgZoomSpeedValEl = document.getElementById('stgZoomSpeedVal') as HTMLInputElement | null;
@@ -58,10 +75,13 @@ export function applySavedSettings(): Settings {
   const stgInvertPanYEl = document.getElementById('stgInvertPanY') as HTMLInputElement | null;
   const stgPanSpeedEl = document.getElementById('stgPanSpeed') as HTMLInputElement | null;
   const stgPanSpeedValEl = document.getElementById('stgPanSpeedVal') as HTMLInputElement | null;
+  const stgSolidProbeEl = document.getElementById('stgSolidProbe') as HTMLInputElement | null;
   
   if (autoRenderEl) autoRenderEl.checked = settings.autoRender;
   if (previewWhileDragEl) previewWhileDragEl.checked = settings.previewWhileDrag;
   if (showHudEl) showHudEl.checked = settings.showHud;
+  if (probeDataEl) probeDataEl.checked = settings.probeData;
+  if (randomStartEl) randomStartEl.checked = settings.randomStart;
   if (stgInvertScrollEl) stgInvertScrollEl.checked = settings.invertScroll;
   if (stgZoomSpeedEl) stgZoomSpeedEl.value = String(settings.zoomSpeed);
   if (stgZoomSpeedValEl) stgZoomSpeedValEl.value = String(settings.zoomSpeed);
@@ -69,6 +89,7 @@ export function applySavedSettings(): Settings {
   if (stgInvertPanYEl) stgInvertPanYEl.checked = settings.invertPanY;
   if (stgPanSpeedEl) stgPanSpeedEl.value = String(settings.panSpeed);
   if (stgPanSpeedValEl) stgPanSpeedValEl.value = String(settings.panSpeed);
+  if (stgSolidProbeEl) stgSolidProbeEl.checked = settings.solidProbe;
   
   return settings;
 }
@@ -77,23 +98,39 @@ export function saveCurrentSettings(): void {
   const autoRenderEl = document.getElementById('autoRender') as HTMLInputElement | null;
   const previewWhileDragEl = document.getElementById('previewWhileDrag') as HTMLInputElement | null;
   const showHudEl = document.getElementById('showHud') as HTMLInputElement | null;
+  const probeDataEl = document.getElementById('probeData') as HTMLInputElement | null;
+  const randomStartEl = document.getElementById('randomStart') as HTMLInputElement | null;
   const stgInvertScrollEl = document.getElementById('stgInvertScroll') as HTMLInputElement | null;
   const stgZoomSpeedEl = document.getElementById('stgZoomSpeed') as HTMLInputElement | null;
   const stgInvertPanXEl = document.getElementById('stgInvertPanX') as HTMLInputElement | null;
   const stgInvertPanYEl = document.getElementById('stgInvertPanY') as HTMLInputElement | null;
   const stgPanSpeedEl = document.getElementById('stgPanSpeed') as HTMLInputElement | null;
+  const stgSolidProbeEl = document.getElementById('stgSolidProbe') as HTMLInputElement | null;
   
   const settings: Settings = {
     autoRender: autoRenderEl?.checked ?? false,
     previewWhileDrag: previewWhileDragEl?.checked ?? false,
     showHud: showHudEl?.checked ?? true,
+    probeData: probeDataEl?.checked ?? true,
+    randomStart: randomStartEl?.checked ?? false,
     invertScroll: stgInvertScrollEl?.checked ?? false,
     zoomSpeed: stgZoomSpeedEl ? parseFloat(stgZoomSpeedEl.value) : 1.0,
     invertPanX: stgInvertPanXEl?.checked ?? false,
     invertPanY: stgInvertPanYEl?.checked ?? false,
     panSpeed: stgPanSpeedEl ? parseFloat(stgPanSpeedEl.value) : 1.0,
-    suppressWelcomeDialog: loadSettings().suppressWelcomeDialog
+    suppressWelcomeDialog: loadSettings().suppressWelcomeDialog,
+    keymap: loadSettings().keymap,
+    theme: loadSettings().theme,
+    solidProbe: stgSolidProbeEl?.checked ?? false
   };
   
   saveSettings(settings);
 }
+
+export function saveKeymap(keymap: Keymap): void {
+  saveSettings({ ...loadSettings(), keymap });
+}
+
+export function saveTheme(theme: ThemeChoice): void {
+  saveSettings({ ...loadSettings(), theme });
+}
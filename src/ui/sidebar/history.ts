@@ -0,0 +1,54 @@
+/**
+ * @fileoverview History Section Binding
+ * Wires the undo/redo buttons and renders the list of recorded states
+ */
+
+import type { StateHistory } from '../../history.js';
+
+function formatTime(t: number): string {
+  return new Date(t).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+}
+
+/**
+ * Bind the History section to a state history
+ * @param onApply - Applies a canonical document returned by undo/redo/jump
+ */
+export function bindHistorySection(history: StateHistory, onApply: (doc: any) => void): void {
+  const undoBtn = document.getElementById('undoBtn') as HTMLButtonElement;
+  const redoBtn = document.getElementById('redoBtn') as HTMLButtonElement;
+  const list = document.getElementById('historyList')!;
+
+  function render(): void {
+    undoBtn.disabled = !history.canUndo();
+    redoBtn.disabled = !history.canRedo();
+    list.innerHTML = '';
+    const entries = history.entries();
+    const current = history.index();
+    // Newest first
+    for (let i = entries.length - 1; i >= 0; i--) {
+      const row = document.createElement('button');
+      row.className = 'history-item';
+      row.classList.toggle('current', i === current);
+      row.classList.toggle('future', i > current);
+      row.innerHTML = `<span class="history-label"></span><span class="history-time">${formatTime(entries[i].time)}</span>`;
+      row.querySelector('.history-label')!.textContent = entries[i].label;
+      row.addEventListener('click', () => {
+        const doc = history.jump(i);
+        if (doc) onApply(doc);
+      });
+      list.appendChild(row);
+    }
+  }
+
+  undoBtn.addEventListener('click', () => {
+    const doc = history.undo();
+    if (doc) onApply(doc);
+  });
+  redoBtn.addEventListener('click', () => {
+    const doc = history.redo();
+    if (doc) onApply(doc);
+  });
+
+  history.onChange(render);
+  render();
+}
@@ -55,7 +55,7 @@ export function createControlSection(): HTMLElement {
   const pngBtn = document.createElement('button');
   pngBtn.id = 'savePngBtn';
   pngBtn.className = 'btn icon-btn';
-  pngBtn.setAttribute('data-tip', 'Save the current canvas as a PNG image.');
+  pngBtn.setAttribute('data-tip', 'Save the current canvas as a PNG image with the state embedded. Drop it back onto the page to restore the view.');
   pngBtn.innerHTML = ICON_PNG + '<span>PNG</span>';
   
   // Reset button
@@ -6,6 +6,7 @@
 import { createSection } from '../components/section/SectionFactory.js';
 import { createSlider } from '../components/slider/SliderFactory.js';
 import { createScrollbar } from '../components/scrollbar/ScrollbarFactory.js';
+import { INTEGRATOR_INFO, QUALITY_PRESETS } from '../../state.js';
 
 /**
  * Creates all sidebar sections and inserts them into the sidebar-scroll container
@@ -26,6 +27,8 @@ export function initSidebarSections(): void {
   container.appendChild(createSliceOffsetSection());
   container.appendChild(createOrientationSection());
   container.appendChild(createSimulationSection());
+  container.appendChild(createHistorySection());
+  container.appendChild(createMarkersSection());
   container.appendChild(createExportImportSection());
 }
 
@@ -38,12 +41,15 @@ function createDisplaySection(): HTMLElement {
       <div class="dim-pair-cell">
         <label>Render mode</label>
         <span class="sl-dim-label" id="modeLabel"><span class="sl-dim-text" id="modeName">Event classification</span><span class="sl-dim-arrow">&#9662;</span></span>
-        <select id="mode" style="display:none;" data-tip="Render mode: event classification, phase + diffusion, shape sphere phase, diffusion, or shape sphere RGB.">
+        <select id="mode" style="display:none;" data-tip="Render mode: event classification, phase + diffusion, shape sphere phase, diffusion, shape sphere RGB, Lyapunov exponent, time to event, or energy drift.">
           <option value="0">Event classification</option>
           <option value="1">Phase + Diffusion</option>
           <option value="2">Shape sphere phase</option>
           <option value="3">Diffusion</option>
           <option value="4">Shape sphere RGB</option>
+          <option value="5">Lyapunov exponent</option>
+          <option value="6">Time to event</option>
+          <option value="7">Energy drift</option>
         </select>
       </div>
       <div class="dim-pair-cell">
@@ -63,7 +69,7 @@ function createDisplaySection(): HTMLElement {
 }
 
 /**
- * Slice Basis Section (preset grid + custom dim selectors + customMag slider)
+ * Slice Basis Section (preset grid + custom dim selectors + customMag slider + user presets)
  */
 function createSliceBasisSection(): HTMLElement {
   const content = document.createElement('div');
@@ -110,6 +116,21 @@ function createSliceBasisSection(): HTMLElement {
   
   content.appendChild(customPanel);
   
+  // User presets (populated by bindPlanePresets) and the buttons that manage them
+  const userPresetGrid = document.createElement('div');
+  userPresetGrid.className = 'presetGrid';
+  userPresetGrid.id = 'userPresetGrid';
+  content.appendChild(userPresetGrid);
+  
+  const planeActions = document.createElement('div');
+  planeActions.className = 'presetGrid';
+  planeActions.innerHTML = `
+    <button id="planeNewBtn" class="btn preset" data-tip="Save the current slice, directions and z0, as a preset of your own.">New preset</button>
+    <button id="planeEditBtn" class="btn preset" data-tip="Rename, edit or delete the selected preset of your own.">Edit preset</button>
+    <button id="planePickBtn" class="btn preset" style="grid-column: span 2;" data-tip="Click three points on the canvas, from any slices, to build the plane through them.">Plane from 3 points</button>
+  `;
+  content.appendChild(planeActions);
+  
   return createSection({
     id: 'sec-presets',
     title: 'Slice Basis',
@@ -244,10 +265,31 @@ function createOrientationSection(): HTMLElement {
 }
 
 /**
- * Simulation Section (5 simulation parameter sliders)
+ * Simulation Section (integrator + quality pickers, 5 simulation parameter sliders)
  */
 function createSimulationSection(): HTMLElement {
+  const integratorOptions = Object.entries(INTEGRATOR_INFO)
+    .map(([id, info]) => `<option value="${id}">${info.name}</option>`).join('');
+  const qualityOptions = Object.entries(QUALITY_PRESETS)
+    .map(([id, q]) => `<option value="${id}">${q.name}</option>`).join('');
+  const pickerRow = document.createElement('div');
+  pickerRow.className = 'dim-pair-row';
+  pickerRow.style.marginBottom = '8px';
+  pickerRow.innerHTML = `
+    <div class="dim-pair-cell">
+      <label>Integrator</label>
+      <span class="sl-dim-label" id="integratorLabel"><span class="sl-dim-text" id="integratorName">${INTEGRATOR_INFO.leapfrog.name}</span><span class="sl-dim-arrow">&#9662;</span></span>
+      <select id="integrator" style="display:none;" data-tip="Integrator: leapfrog, 4th-order symplectic (Yoshida), or regularised for close encounters.">${integratorOptions}</select>
+    </div>
+    <div class="dim-pair-cell">
+      <label>Quality</label>
+      <span class="sl-dim-label" id="qualityLabel"><span class="sl-dim-text" id="qualityName">${QUALITY_PRESETS.balanced.name}</span><span class="sl-dim-arrow">&#9662;</span></span>
+      <select id="quality" style="display:none;" data-tip="Quality preset: sets integrator, dt macro and max steps together.">${qualityOptions}</select>
+    </div>
+  `;
+
   const sliders = [
+    pickerRow,
     createSlider({
       id: 'horizon',
       label: 'Horizon',
@@ -274,7 +316,7 @@ function createSimulationSection(): HTMLElement {
       max: 0.01,
       step: 0.0005,
       value: 0.002,
-      tip: 'Macro timestep for the leapfrog integrator. Smaller = more accurate.',
+      tip: 'Macro timestep of the integrator. Smaller = more accurate.',
       marginTop: '8px'
     }),
     createSlider({
@@ -307,6 +349,62 @@ function createSimulationSection(): HTMLElement {
   });
 }
 
+/**
+ * History Section (undo/redo buttons + list of earlier states)
+ */
+function createHistorySection(): HTMLElement {
+  const content = document.createElement('div');
+  
+  // Button row
+  const buttonRow = document.createElement('div');
+  buttonRow.className = 'row';
+  buttonRow.innerHTML = `
+    <button id="undoBtn" data-tip="Undo the last change (Ctrl/⌘+Z)." class="btn" style="font-size:10px; padding:5px 8px;" disabled>Undo</button>
+    <button id="redoBtn" data-tip="Redo the undone change (Ctrl/⌘+Shift+Z)." class="btn" style="font-size:10px; padding:5px 8px;" disabled>Redo</button>
+  `;
+  content.appendChild(buttonRow);
+  
+  // History list (populated by bindHistorySection)
+  const list = document.createElement('div');
+  list.id = 'historyList';
+  content.appendChild(list);
+  
+  return createSection({
+    id: 'sec-history',
+    title: 'History',
+    open: false,
+    content
+  });
+}
+
+/**
+ * Markers Section (pinned probe points with notes)
+ */
+function createMarkersSection(): HTMLElement {
+  const content = document.createElement('div');
+  
+  // Button row
+  const buttonRow = document.createElement('div');
+  buttonRow.className = 'row';
+  buttonRow.innerHTML = `
+    <button id="pinCentreBtn" data-tip="Pin a marker at the centre of the view. Right-click or long-press the image, or press P, to pin under the cursor." class="btn" style="font-size:10px; padding:5px 8px;">Pin centre</button>
+    <button id="clearMarkersBtn" data-tip="Remove all markers." class="btn" style="font-size:10px; padding:5px 8px;" disabled>Clear</button>
+  `;
+  content.appendChild(buttonRow);
+  
+  // Marker list (populated by bindMarkersSection)
+  const list = document.createElement('div');
+  list.id = 'markerList';
+  content.appendChild(list);
+  
+  return createSection({
+    id: 'sec-markers',
+    title: 'Markers',
+    open: false,
+    content
+  });
+}
+
 /**
  * Export/Import Section (buttons + stateBox with scrollbar)
  */
@@ -0,0 +1,87 @@
+/**
+ * @fileoverview Markers Section Binding
+ * Lists the pinned probe markers of the current state with their notes and,
+ * where the data target covers them, their exact values
+ */
+
+import { state, type ProbeMarker } from '../../state.js';
+
+export interface MarkersSectionDeps {
+  /** Replace the markers in the state and bring the URL, state box and pins along */
+  setMarkers(markers: ProbeMarker[]): void;
+  /** Pin a marker at the centre of the view */
+  pinCentre(): void;
+  /** Centre the view on a marker */
+  goTo(m: ProbeMarker): void;
+  /** Exact values at a marker, or null if no data target covers it */
+  readValue(m: ProbeMarker): string | null;
+}
+
+export interface MarkersSection {
+  /** Rebuild the list from `state.markers`, e.g. once exact values are available */
+  refresh(): void;
+  /** Rebuild only if `state.markers` was replaced since the last build */
+  sync(): void;
+}
+
+/**
+ * Bind the Markers section to the current state
+ */
+export function bindMarkersSection(deps: MarkersSectionDeps): MarkersSection {
+  const clearBtn = document.getElementById('clearMarkersBtn') as HTMLButtonElement;
+  const list = document.getElementById('markerList')!;
+
+  const replace = (i: number, m: ProbeMarker | null) =>
+    deps.setMarkers(state.markers.flatMap((x, k) => k !== i ? [x] : m ? [m] : []));
+
+  /** Markers the list was built from (marker arrays are replaced, never mutated) */
+  let shown: ProbeMarker[] | null = null;
+
+  function refresh(): void {
+    // A note being typed would lose focus; the edit refreshes once it lands
+    if (list.contains(document.activeElement)) return;
+    shown = state.markers;
+    clearBtn.disabled = state.markers.length === 0;
+    list.innerHTML = '';
+    const digits = Math.max(4, Math.ceil(-Math.log10(state.viewZoom)) + 3);
+    state.markers.forEach((m, i) => {
+      const row = document.createElement('div');
+      row.className = 'marker-item';
+      row.innerHTML = `
+        <div class="marker-head">
+          <span class="marker-index">${i + 1}</span>
+          <span class="marker-coords">(${m.x.toFixed(digits)}, ${m.y.toFixed(digits)})</span>
+          <button class="marker-btn" data-act="go" title="Centre the view here">Go</button>
+          <button class="marker-btn" data-act="remove" title="Remove marker">&#x2715;</button>
+        </div>
+        <input class="marker-note" type="text" placeholder="Note" spellcheck="false" />
+        <div class="marker-value"></div>
+      `;
+      const note = row.querySelector('.marker-note') as HTMLInputElement;
+      note.value = m.note;
+      note.addEventListener('change', () => {
+        note.blur();
+        replace(i, { ...m, note: note.value });
+      });
+      note.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') note.value = m.note;
+        if (e.key === 'Enter' || e.key === 'Escape') note.blur();
+        // Keep typing away from the global shortcuts
+        e.stopPropagation();
+      });
+      row.querySelector('.marker-value')!.textContent = deps.readValue(m) ?? '';
+      row.querySelector('[data-act="go"]')!.addEventListener('click', () => deps.goTo(m));
+      row.querySelector('[data-act="remove"]')!.addEventListener('click', () => replace(i, null));
+      list.appendChild(row);
+    });
+  }
+
+  document.getElementById('pinCentreBtn')!.addEventListener('click', () => deps.pinCentre());
+  clearBtn.addEventListener('click', () => deps.setMarkers([]));
+
+  refresh();
+  return {
+    refresh,
+    sync: () => { if (state.markers !== shown) refresh(); },
+  };
+}
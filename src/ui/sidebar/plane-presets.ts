@@ -0,0 +1,211 @@
+/**
+ * @fileoverview User Plane Presets Binding
+ * Presets of the user's own with arbitrary 10D directions and origin, kept
+ * in local storage and shown under the built-in presets, and the tool that
+ * builds the plane through three points picked on the canvas
+ */
+
+import { state, STATE_VERSION, PLANE_PRESET_ID } from '../../state.js';
+import { planeThroughPoints } from '../../sim/slice.js';
+import { loadUserPresets, saveUserPresets, newUserPresetId, type UserPreset } from '../preset-storage.js';
+import { editPlanePreset, type PlaneDraft } from '../dialogs/plane-preset.js';
+import { rebuildPresetsGrid } from '../semantic-tree/grid-rebuilder.js';
+import type { UITreeStore } from '../semantic-tree/store.js';
+
+/** Margin around the three picked points when framing them */
+const FRAME_MARGIN = 1.6;
+
+export interface PlanePresetsDeps {
+  /** Make a (partial) canonical document the live state; throws if it is invalid */
+  applyDoc(doc: any, reason: string): void;
+  /** Slice directions after tilt and γ, as rendered */
+  currentDirs(): { q1: number[]; q2: number[] };
+  setStatus(msg: string): void;
+  uiTree: UITreeStore | null;
+}
+
+export interface PlanePresets {
+  /** Highlight the user preset the state is on, if any */
+  sync(): void;
+  /** Take a picked 10D point; false if no pick is in progress */
+  pickPoint(z: number[]): boolean;
+}
+
+/** Equal to the six decimals the URL keeps */
+const sameVec = (a: number[], b: number[]) => a.every((x, i) => Math.abs(x - b[i]) < 1e-6);
+
+/**
+ * Partial document selecting a plane. The preset is the whole slice, so γ and tilt are cleared.
+ */
+function planeDoc(p: { q1: number[]; q2: number[]; z0: number[] }, view?: { zoom: number; panX: number; panY: number }): any {
+  return {
+    v: STATE_VERSION,
+    slice: { preset: PLANE_PRESET_ID, plane: { q1: p.q1, q2: p.q2 }, z0: p.z0, gammaDeg: 0, tilt: { amt1: 0, amt2: 0 } },
+    ...(view ? { view } : {}),
+  };
+}
+
+/**
+ * View showing the given slice coordinates with some margin
+ */
+function frameCoords(coords: [number, number][]): { zoom: number; panX: number; panY: number } {
+  // Slice coordinate s lands at view coordinate (s + 1) / 2
+  const us = coords.map(c => (c[0] + 1) / 2), vs = coords.map(c => (c[1] + 1) / 2);
+  const span = Math.max(Math.max(...us) - Math.min(...us), Math.max(...vs) - Math.min(...vs));
+  const zoom = span * FRAME_MARGIN;
+  return {
+    zoom,
+    panX: (Math.max(...us) + Math.min(...us)) / 2 - zoom / 2,
+    panY: (Math.max(...vs) + Math.min(...vs)) / 2 - zoom / 2,
+  };
+}
+
+/**
+ * Bind the user presets and preset actions of the Slice Basis section
+ */
+export function bindPlanePresets(deps: PlanePresetsDeps): PlanePresets {
+  const grid = document.getElementById('userPresetGrid')!;
+  const editBtn = document.getElementById('planeEditBtn') as HTMLButtonElement;
+  const pickBtn = document.getElementById('planePickBtn') as HTMLButtonElement;
+  const pickLabel = pickBtn.textContent ?? '';
+
+  let presets = loadUserPresets();
+  let nodeIds: string[] = [];
+  /** Points picked so far, or null when not picking */
+  let picked: number[][] | null = null;
+
+  const active = () => state.presetId === PLANE_PRESET_ID
+    ? presets.find(p => sameVec(p.q1, state.dir1Base) && sameVec(p.q2, state.dir2Base)) ?? null
+    : null;
+
+  function select(p: { q1: number[]; q2: number[]; z0: number[] }, reason: string, view?: { zoom: number; panX: number; panY: number }): boolean {
+    try {
+      deps.applyDoc(planeDoc(p, view), reason);
+      return true;
+    } catch (e: any) {
+      deps.setStatus(`Cannot use this plane: ${e?.message || e}`);
+      return false;
+    }
+  }
+
+  function store(next: UserPreset[], okMessage: string): boolean {
+    if (!saveUserPresets(next)) {
+      deps.setStatus('Could not save presets: browser storage is full.');
+      return false;
+    }
+    presets = next;
+    deps.setStatus(okMessage);
+    build();
+    return true;
+  }
+
+  /** Save a new preset from a draft and switch to it */
+  async function saveNew(draft: PlaneDraft, title: string): Promise<void> {
+    const result = await editPlanePreset(draft, { title, canDelete: false });
+    if (result?.action !== 'save') return;
+    const p: UserPreset = { id: newUserPresetId(), ...result.draft };
+    if (store([...presets, p], `Saved preset "${p.name}".`)) select(p, 'preset');
+  }
+
+  function build(): void {
+    grid.innerHTML = '';
+    const current = active();
+    presets.forEach((p, i) => {
+      const b = document.createElement('button');
+      b.className = 'btn preset' + (p === current ? ' active' : '');
+      b.dataset.presetId = p.id;
+      if (i === presets.length - 1 && i % 2 === 0) b.style.gridColumn = 'span 2';
+      b.textContent = p.name;
+      b.setAttribute('data-tip', 'Your preset: its own directions and z0. Selecting it clears γ and tilt.');
+      b.addEventListener('click', () => { if (select(p, 'preset')) deps.setStatus(`Preset "${p.name}".`); });
+      grid.appendChild(b);
+    });
+    editBtn.disabled = !current;
+
+    const uiTree = deps.uiTree;
+    if (!uiTree) return;
+    nodeIds.forEach(id => uiTree.removeNode(id));
+    nodeIds = presets.map(p => `preset-user-${p.id}`);
+    uiTree.addNodes(presets.map((p, i) => ({
+      id: nodeIds[i],
+      kind: 'button',
+      parentId: 'preset-grid',
+      children: [],
+      focusMode: 'leaf',
+      role: 'button',
+      ariaRole: 'button',
+      ariaLabel: p.name,
+      meta: { label: p.name, presetId: p.id },
+    }) as any));
+    nodeIds.forEach((id, i) => uiTree.attachElement(id, grid.children[i] as HTMLElement));
+    rebuildPresetsGrid(uiTree, state.presetId === 'custom', nodeIds);
+  }
+
+  function sync(): void {
+    const current = active();
+    for (const b of grid.children) {
+      b.classList.toggle('active', (b as HTMLElement).dataset.presetId === current?.id);
+    }
+    editBtn.disabled = !current;
+  }
+
+  function setPicking(points: number[][] | null): void {
+    picked = points;
+    pickBtn.classList.toggle('active', !!points);
+    pickBtn.textContent = points ? `Pick point ${points.length + 1} of 3…` : pickLabel;
+  }
+
+  document.getElementById('planeNewBtn')!.addEventListener('click', () => {
+    const { q1, q2 } = deps.currentDirs();
+    saveNew({ name: `My plane ${presets.length + 1}`, q1, q2, z0: state.z0.slice() }, 'New preset');
+  });
+
+  editBtn.addEventListener('click', async () => {
+    const p = active();
+    if (!p) return;
+    const result = await editPlanePreset(p, { title: 'Edit preset', canDelete: true });
+    if (!result) return;
+    if (result.action === 'delete') {
+      store(presets.filter(x => x.id !== p.id), `Deleted preset "${p.name}".`);
+      return;
+    }
+    const edited: UserPreset = { id: p.id, ...result.draft };
+    if (store(presets.map(x => x.id === p.id ? edited : x), `Saved preset "${edited.name}".`)) select(edited, 'preset');
+  });
+
+  pickBtn.addEventListener('click', () => {
+    if (picked) {
+      setPicking(null);
+      deps.setStatus('Plane from 3 points cancelled.');
+      return;
+    }
+    setPicking([]);
+    deps.setStatus('Click three points on the canvas; you can change the slice between clicks.');
+  });
+
+  function pickPoint(z: number[]): boolean {
+    if (!picked) return false;
+    const points = [...picked, z.slice()];
+    if (points.length < 3) {
+      setPicking(points);
+      deps.setStatus(`Picked point ${points.length} of 3.`);
+      return true;
+    }
+    setPicking(null);
+    let plane: ReturnType<typeof planeThroughPoints>;
+    try {
+      plane = planeThroughPoints(points);
+    } catch (e: any) {
+      deps.setStatus(`No plane through these points: ${e?.message || e}`);
+      return true;
+    }
+    if (select(plane, 'plane-3pt', frameCoords(plane.coords))) {
+      deps.setStatus('Showing the plane through the three points.');
+      saveNew({ name: 'Plane through 3 points', q1: plane.q1, q2: plane.q2, z0: plane.z0 }, 'Save plane as preset');
+    }
+    return true;
+  }
+
+  build();
+  return { sync, pickPoint };
+}
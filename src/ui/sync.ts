@@ -3,7 +3,9 @@ import { $ } from './utils.ts';
 import { setStatus } from './panels/overlay.ts';
 import { updateCustomPanelVisibility } from './builders/presets.ts';
 import { syncTiltDimLabels } from './pickers/tilt.ts';
-import type { UINode } from './semantic-tree/store.ts';
+import { syncIntegratorLabel } from './pickers/integrator.js';
+import { syncQualityLabel } from './pickers/quality.js';
+import type { UITreeStore } from './semantic-tree/store.ts';
 import { setStateBoxValue } from './editors/stateBoxEditor.ts';
 
 export function updateStateBox(): void {
@@ -15,7 +17,7 @@ export function syncUIFromState(
   scheduleRender: (reason?: string) => void,
   writeHash: () => void,
   drawOverlayHUD: () => void,
-  uiTree: UINode | null = null
+  uiTree: UITreeStore | null = null
 ): void {
   $("mode").value = String(state.mode);
   $("modeName").textContent = MODE_INFO[state.mode]?.name || "";
@@ -60,6 +62,8 @@ export function syncUIFromState(
   if (cV) { cV.value = String(state.customDimV); const vn = $("customDimVName"); if (vn) vn.textContent = AXIS_NAMES[state.customDimV]; }
   if (cM) { cM.value = String(state.customMag); $("customMagVal").value = state.customMag.toFixed(2); }
   syncTiltDimLabels();
+  syncIntegratorLabel();
+  syncQualityLabel();
   
   updateAllSliderTrackFills();
   
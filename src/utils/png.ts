@@ -0,0 +1,147 @@
+/**
+ * @fileoverview Minimal PNG encoding
+ * Chunk-level helpers shared by the browser (metadata export) and the
+ * headless CPU renderer. Compression is supplied by the caller so the
+ * module works with either node:zlib or CompressionStream.
+ */
+
+/**
+ * PNG file signature
+ */
+export const PNG_SIGNATURE = new Uint8Array([137, 80, 78, 71, 13, 10, 26, 10]);
+
+let crcTable: Uint32Array | null = null;
+
+function getCrcTable(): Uint32Array {
+  if (crcTable) return crcTable;
+  crcTable = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+    crcTable[n] = c >>> 0;
+  }
+  return crcTable;
+}
+
+/**
+ * CRC-32 as used by PNG chunks
+ */
+export function crc32(bytes: Uint8Array, crc: number = 0xffffffff): number {
+  const table = getCrcTable();
+  for (let i = 0; i < bytes.length; i++) crc = table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return crc;
+}
+
+/**
+ * Build a complete chunk (length + type + data + CRC)
+ */
+export function pngChunk(type: string, data: Uint8Array): Uint8Array {
+  const out = new Uint8Array(12 + data.length);
+  const view = new DataView(out.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) out[4 + i] = type.charCodeAt(i);
+  out.set(data, 8);
+  const crc = crc32(out.subarray(4, 8 + data.length)) ^ 0xffffffff;
+  view.setUint32(8 + data.length, crc >>> 0);
+  return out;
+}
+
+/**
+ * Uncompressed tEXt chunk (Latin-1 keyword and text)
+ */
+export function textChunk(keyword: string, text: string): Uint8Array {
+  const data = new Uint8Array(keyword.length + 1 + text.length);
+  for (let i = 0; i < keyword.length; i++) data[i] = keyword.charCodeAt(i) & 0xff;
+  data[keyword.length] = 0;
+  for (let i = 0; i < text.length; i++) data[keyword.length + 1 + i] = text.charCodeAt(i) & 0xff;
+  return pngChunk('tEXt', data);
+}
+
+function concat(parts: Uint8Array[]): Uint8Array {
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let o = 0;
+  for (const p of parts) { out.set(p, o); o += p.length; }
+  return out;
+}
+
+/**
+ * Encode 8-bit RGBA pixels (top row first) as a PNG
+ * @param deflate - zlib-format compressor (e.g. zlib.deflateSync)
+ * @param text - Optional tEXt entries written before the image data
+ */
+export function encodePNG(
+  rgba: Uint8Array | Uint8ClampedArray,
+  width: number,
+  height: number,
+  deflate: (raw: Uint8Array) => Uint8Array,
+  text: Record<string, string> = {}
+): Uint8Array {
+  const ihdr = new Uint8Array(13);
+  const view = new DataView(ihdr.buffer);
+  view.setUint32(0, width);
+  view.setUint32(4, height);
+  ihdr[8] = 8;   // bit depth
+  ihdr[9] = 6;   // colour type RGBA
+  const stride = width * 4;
+  const raw = new Uint8Array((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw[y * (stride + 1)] = 0; // filter: none
+    raw.set(rgba.subarray(y * stride, (y + 1) * stride), y * (stride + 1) + 1);
+  }
+  return concat([
+    PNG_SIGNATURE,
+    pngChunk('IHDR', ihdr),
+    ...Object.entries(text).map(([k, v]) => textChunk(k, v)),
+    pngChunk('IDAT', deflate(raw)),
+    pngChunk('IEND', new Uint8Array(0)),
+  ]);
+}
+
+/**
+ * True if the bytes start with the PNG signature
+ */
+export function isPNG(bytes: Uint8Array): boolean {
+  return bytes.length >= 8 && PNG_SIGNATURE.every((b, i) => bytes[i] === b);
+}
+
+/**
+ * Insert tEXt entries right after IHDR of an already-encoded PNG
+ * (e.g. the output of canvas.toBlob), leaving the image data untouched
+ */
+export function insertTextChunks(png: Uint8Array, text: Record<string, string>): Uint8Array {
+  if (!isPNG(png)) throw new Error('Not a PNG file');
+  const ihdrEnd = 8 + 12 + new DataView(png.buffer, png.byteOffset).getUint32(8);
+  return concat([
+    png.subarray(0, ihdrEnd),
+    ...Object.entries(text).map(([k, v]) => textChunk(k, v)),
+    png.subarray(ihdrEnd),
+  ]);
+}
+
+/**
+ * Read all tEXt entries of a PNG (later duplicates win)
+ */
+export function readTextChunks(png: Uint8Array): Record<string, string> {
+  if (!isPNG(png)) throw new Error('Not a PNG file');
+  const view = new DataView(png.buffer, png.byteOffset, png.byteLength);
+  const out: Record<string, string> = {};
+  let o = 8;
+  while (o + 12 <= png.length) {
+    const len = view.getUint32(o);
+    const type = String.fromCharCode(...png.subarray(o + 4, o + 8));
+    if (o + 12 + len > png.length) break;
+    if (type === 'tEXt') {
+      const data = png.subarray(o + 8, o + 8 + len);
+      const nul = data.indexOf(0);
+      if (nul > 0) {
+        let keyword = '', value = '';
+        for (let i = 0; i < nul; i++) keyword += String.fromCharCode(data[i]);
+        for (let i = nul + 1; i < data.length; i++) value += String.fromCharCode(data[i]);
+        out[keyword] = value;
+      }
+    }
+    if (type === 'IEND') break;
+    o += 12 + len;
+  }
+  return out;
+}